@@ -0,0 +1,53 @@
+/**
+ * Rule analysis script
+ *
+ * This script reports contradictory or ineffective incompatibility and
+ * pricing rules in the database
+ */
+require('dotenv').config();
+require('colors');
+const SQLiteDatabase = require('./database');
+const { getDatabaseFilePath } = require('./setup');
+const AdminService = require('../services/admin');
+
+const dbPath = getDatabaseFilePath();
+
+async function analyzeRules() {
+  console.debug(`Analyzing rules in`.cyan, `${dbPath}`.green);
+
+  const db = new SQLiteDatabase(dbPath);
+
+  try {
+    const adminService = new AdminService(db);
+    const { errors, warnings } = await adminService.analyzeRules();
+
+    for (const error of errors) {
+      console.error(`[error] ${error.code}`.red, error.message);
+    }
+    for (const warning of warnings) {
+      console.warn(`[warning] ${warning.code}`.yellow, warning.message);
+    }
+
+    console.debug(
+      `${errors.length} errors, ${warnings.length} warnings`[
+        errors.length > 0 ? 'red' : 'green'
+      ]
+    );
+
+    return errors.length === 0;
+  } catch (error) {
+    console.error('Error analyzing rules'.red, error);
+    return false;
+  } finally {
+    db.close();
+  }
+}
+
+// Run the analysis if this script is executed directly
+if (require.main === module) {
+  analyzeRules().then((valid) => {
+    process.exitCode = valid ? 0 : 1;
+  });
+}
+
+module.exports = analyzeRules;
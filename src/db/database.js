@@ -47,16 +47,14 @@ class SQLiteDatabase {
         });
       }
 
-      // Check if the query is a SELECT
-      const isSelect = processedSql.trim().toLowerCase().startsWith('select');
+      const stmt = this.db.prepare(processedSql);
 
-      if (isSelect) {
-        // For SELECT queries, return all results
-        const stmt = this.db.prepare(processedSql);
+      // Statements returning data (SELECT, WITH ... SELECT or RETURNING)
+      if (stmt.reader) {
+        // Return all results
         return stmt.all(...processedParams);
       } else {
         // For other queries, just execute
-        const stmt = this.db.prepare(processedSql);
         const result = stmt.run(...processedParams);
 
         return {
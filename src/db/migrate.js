@@ -0,0 +1,596 @@
+/**
+ * Database migration script
+ *
+ * This script brings a database created from an older schema up to date. The
+ * schema version is kept in SQLite's user_version; data_model.sql sets it to
+ * the latest version for new databases, so it must be bumped with every
+ * migration added here.
+ */
+require('dotenv').config();
+require('colors');
+const SQLiteDatabase = require('./database');
+const { getDatabaseFilePath } = require('./setup');
+const { SHOP_CURRENCY, toMinorUnits } = require('../services/money');
+
+const dbPath = getDatabaseFilePath();
+
+// The columns of a table, none if it does not exist
+async function columnsOf(db, table) {
+  const columns = await db.query(`PRAGMA table_info(${table})`);
+  return new Set(columns.map((column) => column.name));
+}
+
+/**
+ * Adds the tables and columns of the product rules, option scoping, presets
+ * and build codes, which databases created from the original schema lack.
+ * Schema versions were not kept before migration 1, so a database created in
+ * between may have some of them already and only the missing ones are added
+ *
+ * @param {Object} db - The database to migrate
+ */
+async function addProductModel(db) {
+  const tables = [
+    `CREATE TABLE IF NOT EXISTS ProductPartOptions (
+       id INTEGER PRIMARY KEY AUTOINCREMENT,
+       product_id INTEGER NOT NULL,
+       part_option_id INTEGER NOT NULL,
+       UNIQUE (product_id, part_option_id),
+       FOREIGN KEY (product_id) REFERENCES Products(id),
+       FOREIGN KEY (part_option_id) REFERENCES PartOptions(id)
+     )`,
+    `CREATE TABLE IF NOT EXISTS ProductPresets (
+       id INTEGER PRIMARY KEY AUTOINCREMENT,
+       product_id INTEGER NOT NULL,
+       name VARCHAR(255) NOT NULL,
+       description TEXT,
+       display_order INTEGER,
+       active BOOLEAN DEFAULT TRUE,
+       UNIQUE (product_id, name),
+       FOREIGN KEY (product_id) REFERENCES Products(id)
+     )`,
+    `CREATE TABLE IF NOT EXISTS ProductPresetOptions (
+       id INTEGER PRIMARY KEY AUTOINCREMENT,
+       preset_id INTEGER NOT NULL,
+       part_type_id INTEGER NOT NULL,
+       part_option_id INTEGER,
+       FOREIGN KEY (preset_id) REFERENCES ProductPresets(id),
+       FOREIGN KEY (part_type_id) REFERENCES PartTypes(id),
+       FOREIGN KEY (part_option_id) REFERENCES PartOptions(id)
+     )`,
+    `CREATE TABLE IF NOT EXISTS PartTypeAttributes (
+       id INTEGER PRIMARY KEY AUTOINCREMENT,
+       part_type_id INTEGER NOT NULL,
+       name VARCHAR(255) NOT NULL,
+       data_type VARCHAR(10) NOT NULL
+         CHECK (data_type IN ('number', 'enum', 'text', 'colour')),
+       unit VARCHAR(20),
+       allowed_values TEXT,
+       UNIQUE (part_type_id, name),
+       FOREIGN KEY (part_type_id) REFERENCES PartTypes(id)
+     )`,
+    `CREATE TABLE IF NOT EXISTS PartOptionAttributes (
+       id INTEGER PRIMARY KEY AUTOINCREMENT,
+       part_option_id INTEGER NOT NULL,
+       attribute_id INTEGER NOT NULL,
+       value TEXT NOT NULL,
+       UNIQUE (part_option_id, attribute_id),
+       FOREIGN KEY (part_option_id) REFERENCES PartOptions(id),
+       FOREIGN KEY (attribute_id) REFERENCES PartTypeAttributes(id)
+     )`,
+    `CREATE TABLE IF NOT EXISTS RuleRequirements (
+       id INTEGER PRIMARY KEY AUTOINCREMENT,
+       rule_id INTEGER NOT NULL,
+       part_option_id INTEGER NOT NULL,
+       required_part_type_id INTEGER NOT NULL,
+       allowed_part_option_id INTEGER NOT NULL,
+       FOREIGN KEY (rule_id) REFERENCES IncompatibilityRules(id),
+       FOREIGN KEY (part_option_id) REFERENCES PartOptions(id),
+       FOREIGN KEY (required_part_type_id) REFERENCES PartTypes(id),
+       FOREIGN KEY (allowed_part_option_id) REFERENCES PartOptions(id)
+     )`,
+    `CREATE TABLE IF NOT EXISTS RuleAttributeConditions (
+       id INTEGER PRIMARY KEY AUTOINCREMENT,
+       rule_id INTEGER NOT NULL,
+       left_attribute_id INTEGER NOT NULL,
+       operator VARCHAR(2) NOT NULL
+         CHECK (operator IN ('<', '<=', '=', '!=', '>=', '>')),
+       right_attribute_id INTEGER NOT NULL,
+       FOREIGN KEY (rule_id) REFERENCES IncompatibilityRules(id),
+       FOREIGN KEY (left_attribute_id) REFERENCES PartTypeAttributes(id),
+       FOREIGN KEY (right_attribute_id) REFERENCES PartTypeAttributes(id)
+     )`,
+    `CREATE TABLE IF NOT EXISTS RuleConditionSets (
+       id INTEGER PRIMARY KEY AUTOINCREMENT,
+       rule_id INTEGER NOT NULL,
+       set_number INTEGER NOT NULL DEFAULT 1,
+       part_option_id INTEGER NOT NULL,
+       FOREIGN KEY (rule_id) REFERENCES IncompatibilityRules(id),
+       FOREIGN KEY (part_option_id) REFERENCES PartOptions(id)
+     )`,
+  ];
+  for (const statement of tables) {
+    await db.query(statement);
+  }
+
+  // Added columns cannot have table constraints, so the checks across
+  // columns of new databases are left out here
+  const columns = [
+    [
+      'PartTypes',
+      'min_selections',
+      'INTEGER NOT NULL DEFAULT 1',
+      // Part types that were not required can be left empty
+      'UPDATE PartTypes SET min_selections = 0 WHERE required = FALSE',
+    ],
+    ['PartTypes', 'max_selections', 'INTEGER NOT NULL DEFAULT 1'],
+    [
+      'ProductPartTypes',
+      'default_part_option_id',
+      'INTEGER REFERENCES PartOptions(id)',
+    ],
+    ['IncompatibilityRules', 'product_id', 'INTEGER REFERENCES Products(id)'],
+    [
+      'IncompatibilityRules',
+      'category_id',
+      'INTEGER REFERENCES Categories(id)',
+    ],
+    ['PricingRules', 'product_id', 'INTEGER REFERENCES Products(id)'],
+    ['PricingRules', 'category_id', 'INTEGER REFERENCES Categories(id)'],
+    ['PricingRules', 'priority', 'INTEGER NOT NULL DEFAULT 0'],
+    [
+      'PricingRules',
+      'target',
+      `VARCHAR(20) NOT NULL DEFAULT 'configuration'
+         CHECK (target IN ('option', 'part_type', 'configuration'))`,
+    ],
+    [
+      'PricingRules',
+      'target_part_option_id',
+      'INTEGER REFERENCES PartOptions(id)',
+    ],
+    ['PricingRules', 'target_part_type_id', 'INTEGER REFERENCES PartTypes(id)'],
+    [
+      'PricingRules',
+      'stacking',
+      `VARCHAR(20) NOT NULL DEFAULT 'stack'
+         CHECK (stacking IN ('stack', 'exclusive', 'best_of'))`,
+    ],
+    ['OrderItems', 'build_code', 'VARCHAR(255)'],
+  ];
+  for (const [table, column, definition, backfill] of columns) {
+    if (!(await columnsOf(db, table)).has(column)) {
+      await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      if (backfill) {
+        await db.query(backfill);
+      }
+    }
+  }
+
+  // Columns that became nullable need their table rebuilt. Every condition
+  // of a pricing rule had to hold, so each one becomes a group of its own
+  if (!(await columnsOf(db, 'PricingRuleConditions')).has('group_number')) {
+    const statements = [
+      `CREATE TABLE PricingRuleConditionsNew (
+         id INTEGER PRIMARY KEY AUTOINCREMENT,
+         pricing_rule_id INTEGER NOT NULL,
+         group_number INTEGER NOT NULL,
+         part_option_id INTEGER,
+         part_type_id INTEGER,
+         negated BOOLEAN DEFAULT FALSE,
+         CHECK ((part_option_id IS NULL) != (part_type_id IS NULL)),
+         FOREIGN KEY (pricing_rule_id) REFERENCES PricingRules(id),
+         FOREIGN KEY (part_option_id) REFERENCES PartOptions(id),
+         FOREIGN KEY (part_type_id) REFERENCES PartTypes(id)
+       )`,
+      `INSERT INTO PricingRuleConditionsNew
+         (id, pricing_rule_id, group_number, part_option_id)
+       SELECT id, pricing_rule_id,
+              ROW_NUMBER() OVER (PARTITION BY pricing_rule_id ORDER BY id),
+              part_option_id
+       FROM PricingRuleConditions`,
+      'DROP TABLE PricingRuleConditions',
+      'ALTER TABLE PricingRuleConditionsNew RENAME TO PricingRuleConditions',
+    ];
+    for (const statement of statements) {
+      await db.query(statement);
+    }
+  }
+
+  // Configuration rows name their part type, so that "none" can be stored.
+  // A row whose option no longer exists has no part type to name, so the
+  // migration stops rather than drop it from its order
+  if (!(await columnsOf(db, 'OrderItemConfiguration')).has('part_type_id')) {
+    const orphans = await db.query(
+      `SELECT oic.id
+       FROM OrderItemConfiguration oic
+       LEFT JOIN PartOptions po ON po.id = oic.part_option_id
+       WHERE po.id IS NULL
+       ORDER BY oic.id`
+    );
+    if (orphans.length > 0) {
+      throw new Error(
+        `OrderItemConfiguration rows ${orphans.map((row) => row.id).join(', ')} name part options that do not exist`
+      );
+    }
+
+    const statements = [
+      `CREATE TABLE OrderItemConfigurationNew (
+         id INTEGER PRIMARY KEY AUTOINCREMENT,
+         order_item_id INTEGER NOT NULL,
+         part_type_id INTEGER NOT NULL,
+         part_option_id INTEGER,
+         FOREIGN KEY (order_item_id) REFERENCES OrderItems(id),
+         FOREIGN KEY (part_type_id) REFERENCES PartTypes(id),
+         FOREIGN KEY (part_option_id) REFERENCES PartOptions(id)
+       )`,
+      `INSERT INTO OrderItemConfigurationNew
+         (id, order_item_id, part_type_id, part_option_id)
+       SELECT oic.id, oic.order_item_id, po.part_type_id, oic.part_option_id
+       FROM OrderItemConfiguration oic
+       LEFT JOIN PartOptions po ON po.id = oic.part_option_id`,
+      'DROP TABLE OrderItemConfiguration',
+      'ALTER TABLE OrderItemConfigurationNew RENAME TO OrderItemConfiguration',
+    ];
+    for (const statement of statements) {
+      await db.query(statement);
+    }
+  }
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description:
+      'Add what the original schema lacks, and store money as integer minor units, with the order currency',
+    async up(db) {
+      await addProductModel(db);
+
+      const amounts = [
+        ['Products', 'base_price', 'TRUE'],
+        ['PartOptions', 'base_price', 'TRUE'],
+        ['PricingRules', 'price_adjustment', 'is_percentage = FALSE'],
+        ['Orders', 'total_price', 'TRUE'],
+        ['OrderItems', 'price', 'TRUE'],
+      ];
+
+      for (const [table, column, condition] of amounts) {
+        const rows = await db.query(
+          `SELECT id, ${column} AS amount FROM ${table} WHERE ${condition}`
+        );
+        for (const row of rows) {
+          await db.query(`UPDATE ${table} SET ${column} = ? WHERE id = ?`, [
+            toMinorUnits(row.amount),
+            row.id,
+          ]);
+        }
+      }
+
+      await db.query(
+        `ALTER TABLE Orders ADD COLUMN currency CHAR(3) NOT NULL DEFAULT '${SHOP_CURRENCY}'`
+      );
+    },
+  },
+  {
+    version: 2,
+    description: 'Add price lists, and the price list of each order',
+    async up(db) {
+      await db.query(
+        `CREATE TABLE PriceLists (
+           id INTEGER PRIMARY KEY AUTOINCREMENT,
+           name VARCHAR(255) NOT NULL,
+           currency CHAR(3) NOT NULL,
+           exchange_rate DECIMAL(12, 6) NOT NULL,
+           rounding_step INTEGER NOT NULL DEFAULT 1 CHECK (rounding_step > 0),
+           active BOOLEAN DEFAULT TRUE
+         )`
+      );
+      await db.query(
+        `CREATE TABLE PriceListPrices (
+           id INTEGER PRIMARY KEY AUTOINCREMENT,
+           price_list_id INTEGER NOT NULL,
+           product_id INTEGER,
+           part_option_id INTEGER,
+           pricing_rule_id INTEGER,
+           price INTEGER NOT NULL,
+           CHECK ((product_id IS NOT NULL) + (part_option_id IS NOT NULL)
+             + (pricing_rule_id IS NOT NULL) = 1),
+           UNIQUE (price_list_id, product_id),
+           UNIQUE (price_list_id, part_option_id),
+           UNIQUE (price_list_id, pricing_rule_id),
+           FOREIGN KEY (price_list_id) REFERENCES PriceLists(id),
+           FOREIGN KEY (product_id) REFERENCES Products(id),
+           FOREIGN KEY (part_option_id) REFERENCES PartOptions(id),
+           FOREIGN KEY (pricing_rule_id) REFERENCES PricingRules(id)
+         )`
+      );
+      await db.query(
+        'ALTER TABLE Orders ADD COLUMN price_list_id INTEGER REFERENCES PriceLists(id)'
+      );
+    },
+  },
+  {
+    version: 3,
+    description: 'Add tax categories and rates, and the tax of each order',
+    async up(db) {
+      const statements = [
+        `CREATE TABLE TaxCategories (
+           id INTEGER PRIMARY KEY AUTOINCREMENT,
+           name VARCHAR(255) NOT NULL
+         )`,
+        `CREATE TABLE TaxRates (
+           id INTEGER PRIMARY KEY AUTOINCREMENT,
+           tax_category_id INTEGER NOT NULL,
+           country CHAR(2) NOT NULL,
+           rate DECIMAL(5, 2) NOT NULL CHECK (rate >= 0),
+           UNIQUE (tax_category_id, country),
+           FOREIGN KEY (tax_category_id) REFERENCES TaxCategories(id)
+         )`,
+        // Products and options stay exempt until they are given a category
+        'ALTER TABLE Products ADD COLUMN tax_category_id INTEGER REFERENCES TaxCategories(id)',
+        'ALTER TABLE PartOptions ADD COLUMN tax_category_id INTEGER REFERENCES TaxCategories(id)',
+        'ALTER TABLE Orders ADD COLUMN tax_country CHAR(2)',
+        'ALTER TABLE Orders ADD COLUMN tax_total INTEGER',
+        'ALTER TABLE OrderItems ADD COLUMN tax_amount INTEGER',
+      ];
+
+      for (const statement of statements) {
+        await db.query(statement);
+      }
+    },
+  },
+  {
+    version: 4,
+    description: 'Add campaigns, pricing rule windows and price overrides',
+    async up(db) {
+      const statements = [
+        `CREATE TABLE Campaigns (
+           id INTEGER PRIMARY KEY AUTOINCREMENT,
+           name VARCHAR(255) NOT NULL,
+           description TEXT,
+           valid_from TIMESTAMP,
+           valid_to TIMESTAMP,
+           active BOOLEAN DEFAULT TRUE,
+           CHECK (valid_to IS NULL OR valid_from IS NULL OR valid_to > valid_from)
+         )`,
+        // Added columns cannot have table constraints, so the window check of
+        // new databases is left out here
+        'ALTER TABLE PricingRules ADD COLUMN campaign_id INTEGER REFERENCES Campaigns(id)',
+        'ALTER TABLE PricingRules ADD COLUMN valid_from TIMESTAMP',
+        'ALTER TABLE PricingRules ADD COLUMN valid_to TIMESTAMP',
+        `CREATE TABLE PartOptionPriceOverrides (
+           id INTEGER PRIMARY KEY AUTOINCREMENT,
+           part_option_id INTEGER NOT NULL,
+           campaign_id INTEGER,
+           price INTEGER NOT NULL CHECK (price >= 0),
+           valid_from TIMESTAMP,
+           valid_to TIMESTAMP,
+           CHECK (valid_to IS NULL OR valid_from IS NULL OR valid_to > valid_from),
+           FOREIGN KEY (part_option_id) REFERENCES PartOptions(id),
+           FOREIGN KEY (campaign_id) REFERENCES Campaigns(id)
+         )`,
+      ];
+
+      for (const statement of statements) {
+        await db.query(statement);
+      }
+    },
+  },
+  {
+    version: 5,
+    description: 'Add coupons, and the coupon and discount of each order',
+    async up(db) {
+      const statements = [
+        `CREATE TABLE Coupons (
+           id INTEGER PRIMARY KEY AUTOINCREMENT,
+           code VARCHAR(50) NOT NULL UNIQUE,
+           description TEXT,
+           discount_type VARCHAR(20) NOT NULL
+             CHECK (discount_type IN ('fixed', 'percentage', 'free_option')),
+           discount_value DECIMAL(10, 2) CHECK (discount_value > 0),
+           free_part_type_id INTEGER,
+           min_cart_value INTEGER,
+           max_uses INTEGER,
+           max_uses_per_customer INTEGER,
+           product_id INTEGER,
+           category_id INTEGER,
+           valid_from TIMESTAMP,
+           valid_to TIMESTAMP,
+           active BOOLEAN DEFAULT TRUE,
+           CHECK ((discount_type = 'free_option') = (free_part_type_id IS NOT NULL)),
+           CHECK ((discount_type = 'free_option') = (discount_value IS NULL)),
+           CHECK (valid_to IS NULL OR valid_from IS NULL OR valid_to > valid_from),
+           FOREIGN KEY (free_part_type_id) REFERENCES PartTypes(id),
+           FOREIGN KEY (product_id) REFERENCES Products(id),
+           FOREIGN KEY (category_id) REFERENCES Categories(id)
+         )`,
+        'ALTER TABLE Orders ADD COLUMN coupon_id INTEGER REFERENCES Coupons(id)',
+        'ALTER TABLE Orders ADD COLUMN discount_total INTEGER NOT NULL DEFAULT 0',
+        'ALTER TABLE OrderItems ADD COLUMN discount_amount INTEGER NOT NULL DEFAULT 0',
+      ];
+
+      for (const statement of statements) {
+        await db.query(statement);
+      }
+    },
+  },
+  {
+    version: 6,
+    description: 'Add volume discounts, and itemise the discounts of items',
+    async up(db) {
+      const statements = [
+        `CREATE TABLE VolumeDiscounts (
+           id INTEGER PRIMARY KEY AUTOINCREMENT,
+           name VARCHAR(255) NOT NULL,
+           basis VARCHAR(10) NOT NULL DEFAULT 'item' CHECK (basis IN ('item', 'cart')),
+           min_quantity INTEGER NOT NULL CHECK (min_quantity > 0),
+           discount_percent DECIMAL(5, 2) NOT NULL
+             CHECK (discount_percent > 0 AND discount_percent <= 100),
+           product_id INTEGER,
+           category_id INTEGER,
+           active BOOLEAN DEFAULT TRUE,
+           FOREIGN KEY (product_id) REFERENCES Products(id),
+           FOREIGN KEY (category_id) REFERENCES Categories(id)
+         )`,
+        `CREATE TABLE OrderItemDiscounts (
+           id INTEGER PRIMARY KEY AUTOINCREMENT,
+           order_item_id INTEGER NOT NULL,
+           kind VARCHAR(20) NOT NULL CHECK (kind IN ('volume', 'coupon')),
+           volume_discount_id INTEGER,
+           coupon_id INTEGER,
+           description VARCHAR(255) NOT NULL,
+           amount INTEGER NOT NULL,
+           CHECK ((kind = 'volume') = (volume_discount_id IS NOT NULL)),
+           CHECK ((kind = 'coupon') = (coupon_id IS NOT NULL)),
+           FOREIGN KEY (order_item_id) REFERENCES OrderItems(id),
+           FOREIGN KEY (volume_discount_id) REFERENCES VolumeDiscounts(id),
+           FOREIGN KEY (coupon_id) REFERENCES Coupons(id)
+         )`,
+        // Until now every item discount was its share of the coupon's
+        `INSERT INTO OrderItemDiscounts
+           (order_item_id, kind, coupon_id, description, amount)
+         SELECT oi.id, 'coupon', o.coupon_id, 'Coupon ' || c.code,
+                oi.discount_amount
+         FROM OrderItems oi
+         JOIN Orders o ON o.id = oi.order_id
+         JOIN Coupons c ON c.id = o.coupon_id
+         WHERE oi.discount_amount != 0`,
+      ];
+
+      for (const statement of statements) {
+        await db.query(statement);
+      }
+    },
+  },
+  {
+    version: 7,
+    description: 'Add customer groups, and restrict prices to a group',
+    async up(db) {
+      const statements = [
+        `CREATE TABLE CustomerGroups (
+           id INTEGER PRIMARY KEY AUTOINCREMENT,
+           name VARCHAR(255) NOT NULL UNIQUE,
+           description TEXT,
+           active BOOLEAN DEFAULT TRUE
+         )`,
+        `CREATE TABLE CustomerGroupMembers (
+           customer_group_id INTEGER NOT NULL,
+           customer_id INTEGER NOT NULL,
+           PRIMARY KEY (customer_group_id, customer_id),
+           FOREIGN KEY (customer_group_id) REFERENCES CustomerGroups(id),
+           FOREIGN KEY (customer_id) REFERENCES Customers(id)
+         )`,
+        `ALTER TABLE PricingRules ADD COLUMN customer_group_id INTEGER
+           REFERENCES CustomerGroups(id)`,
+        `ALTER TABLE PartOptionPriceOverrides ADD COLUMN customer_group_id
+           INTEGER REFERENCES CustomerGroups(id)`,
+      ];
+
+      for (const statement of statements) {
+        await db.query(statement);
+      }
+    },
+  },
+  {
+    version: 8,
+    description: 'Keep the price breakdown of order items',
+    async up(db) {
+      // Items added before have no breakdown to show
+      await db.query('ALTER TABLE OrderItems ADD COLUMN price_breakdown TEXT');
+    },
+  },
+  {
+    version: 9,
+    description: 'Snapshot the names and option prices of order items',
+    async up(db) {
+      // Names of existing items can only be taken from the catalogue as it
+      // is now, and the prices of their options were not kept
+      const statements = [
+        'ALTER TABLE OrderItems ADD COLUMN product_name VARCHAR(255)',
+        'ALTER TABLE OrderItemConfiguration ADD COLUMN part_type_name VARCHAR(255)',
+        'ALTER TABLE OrderItemConfiguration ADD COLUMN option_name VARCHAR(255)',
+        'ALTER TABLE OrderItemConfiguration ADD COLUMN option_price INTEGER',
+        `UPDATE OrderItems SET product_name =
+           (SELECT name FROM Products WHERE id = OrderItems.product_id)`,
+        `UPDATE OrderItemConfiguration SET
+           part_type_name = (SELECT name FROM PartTypes
+                             WHERE id = OrderItemConfiguration.part_type_id),
+           option_name = (SELECT name FROM PartOptions
+                          WHERE id = OrderItemConfiguration.part_option_id)`,
+      ];
+
+      for (const statement of statements) {
+        await db.query(statement);
+      }
+    },
+  },
+];
+
+/**
+ * Applies the migrations a database has not had yet, each one in its own
+ * transaction
+ *
+ * @param {Object} db - The database to migrate
+ * @returns {Array} The versions applied
+ */
+async function applyMigrations(db) {
+  const [{ user_version: currentVersion }] = await db.query(
+    'PRAGMA user_version'
+  );
+  const applied = [];
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= currentVersion) {
+      continue;
+    }
+
+    await db.query('BEGIN');
+    try {
+      await migration.up(db);
+      await db.query(`PRAGMA user_version = ${migration.version}`);
+      await db.query('COMMIT');
+    } catch (error) {
+      await db.query('ROLLBACK');
+      throw error;
+    }
+
+    applied.push(migration.version);
+  }
+
+  return applied;
+}
+
+async function migrateDatabase() {
+  console.debug(`Migrating database at`.cyan, `${dbPath}`.green);
+
+  const db = new SQLiteDatabase(dbPath);
+
+  try {
+    const applied = await applyMigrations(db);
+    for (const migration of MIGRATIONS) {
+      if (applied.includes(migration.version)) {
+        console.debug(
+          `Migrated to version ${migration.version}:`.cyan,
+          migration.description.green
+        );
+      }
+    }
+    if (applied.length === 0) {
+      console.debug('Database is up to date'.green);
+    }
+    return true;
+  } catch (error) {
+    console.error('Error migrating database'.red, error);
+    return false;
+  } finally {
+    db.close();
+  }
+}
+
+// Run the migrations if this script is executed directly
+if (require.main === module) {
+  migrateDatabase().then((success) => {
+    process.exitCode = success ? 0 : 1;
+  });
+}
+
+module.exports = { migrateDatabase, applyMigrations };
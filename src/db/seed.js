@@ -38,10 +38,26 @@ async function seedDatabase() {
       );
     }
 
+    // Insert tax categories
+    for (const taxCategory of exampleData.taxCategories) {
+      await db.query('INSERT INTO TaxCategories (id, name) VALUES (?, ?)', [
+        taxCategory.id,
+        taxCategory.name,
+      ]);
+    }
+
+    // Insert tax rates
+    for (const taxRate of exampleData.taxRates) {
+      await db.query(
+        'INSERT INTO TaxRates (tax_category_id, country, rate) VALUES (?, ?, ?)',
+        [taxRate.tax_category_id, taxRate.country, taxRate.rate]
+      );
+    }
+
     // Insert products
     for (const product of exampleData.products) {
       await db.query(
-        'INSERT INTO Products (id, category_id, name, description, base_price, active) VALUES (?, ?, ?, ?, ?, ?)',
+        'INSERT INTO Products (id, category_id, name, description, base_price, active, tax_category_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
         [
           product.id,
           product.category_id,
@@ -49,6 +65,7 @@ async function seedDatabase() {
           product.description,
           product.base_price,
           product.active,
+          product.tax_category_id || null,
         ]
       );
     }
@@ -56,23 +73,26 @@ async function seedDatabase() {
     // Insert part types
     for (const partType of exampleData.partTypes) {
       await db.query(
-        'INSERT INTO PartTypes (id, name, description, required) VALUES (?, ?, ?, ?)',
-        [partType.id, partType.name, partType.description, partType.required]
-      );
-    }
-
-    // Insert product part types
-    for (const ppt of exampleData.productPartTypes) {
-      await db.query(
-        'INSERT INTO ProductPartTypes (product_id, part_type_id, display_order) VALUES (?, ?, ?)',
-        [ppt.product_id, ppt.part_type_id, ppt.display_order]
+        'INSERT INTO PartTypes (id, name, description, required, min_selections, max_selections) VALUES (?, ?, ?, ?, ?, ?)',
+        [
+          partType.id,
+          partType.name,
+          partType.description,
+          partType.required,
+          partType.min_selections !== undefined
+            ? partType.min_selections
+            : partType.required
+              ? 1
+              : 0,
+          partType.max_selections || 1,
+        ]
       );
     }
 
     // Insert part options
     for (const option of exampleData.partOptions) {
       await db.query(
-        'INSERT INTO PartOptions (id, part_type_id, name, description, base_price, active) VALUES (?, ?, ?, ?, ?, ?)',
+        'INSERT INTO PartOptions (id, part_type_id, name, description, base_price, active, tax_category_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
         [
           option.id,
           option.part_type_id,
@@ -80,6 +100,44 @@ async function seedDatabase() {
           option.description,
           option.base_price,
           option.active,
+          option.tax_category_id || null,
+        ]
+      );
+    }
+
+    // Insert part type attributes and their values
+    for (const attribute of exampleData.partTypeAttributes) {
+      await db.query(
+        'INSERT INTO PartTypeAttributes (id, part_type_id, name, data_type, unit, allowed_values) VALUES (?, ?, ?, ?, ?, ?)',
+        [
+          attribute.id,
+          attribute.part_type_id,
+          attribute.name,
+          attribute.data_type,
+          attribute.unit || null,
+          attribute.allowed_values
+            ? JSON.stringify(attribute.allowed_values)
+            : null,
+        ]
+      );
+    }
+
+    for (const value of exampleData.partOptionAttributes) {
+      await db.query(
+        'INSERT INTO PartOptionAttributes (part_option_id, attribute_id, value) VALUES (?, ?, ?)',
+        [value.part_option_id, value.attribute_id, value.value]
+      );
+    }
+
+    // Insert product part types
+    for (const ppt of exampleData.productPartTypes) {
+      await db.query(
+        'INSERT INTO ProductPartTypes (product_id, part_type_id, display_order, default_part_option_id) VALUES (?, ?, ?, ?)',
+        [
+          ppt.product_id,
+          ppt.part_type_id,
+          ppt.display_order,
+          ppt.default_part_option_id || null,
         ]
       );
     }
@@ -97,11 +155,48 @@ async function seedDatabase() {
       );
     }
 
+    // Insert product part options
+    for (const ppo of exampleData.productPartOptions) {
+      await db.query(
+        'INSERT INTO ProductPartOptions (product_id, part_option_id) VALUES (?, ?)',
+        [ppo.product_id, ppo.part_option_id]
+      );
+    }
+
+    // Insert presets and their selections
+    for (const preset of exampleData.productPresets) {
+      await db.query(
+        'INSERT INTO ProductPresets (id, product_id, name, description, display_order, active) VALUES (?, ?, ?, ?, ?, ?)',
+        [
+          preset.id,
+          preset.product_id,
+          preset.name,
+          preset.description,
+          preset.display_order,
+          preset.active,
+        ]
+      );
+    }
+
+    for (const presetOption of exampleData.productPresetOptions) {
+      await db.query(
+        'INSERT INTO ProductPresetOptions (preset_id, part_type_id, part_option_id) SELECT ?, part_type_id, id FROM PartOptions WHERE id = ?',
+        [presetOption.preset_id, presetOption.part_option_id]
+      );
+    }
+
     // Insert incompatibility rules
     for (const rule of exampleData.incompatibilityRules) {
       await db.query(
-        'INSERT INTO IncompatibilityRules (id, name, description, active) VALUES (?, ?, ?, ?)',
-        [rule.id, rule.name, rule.description, rule.active]
+        'INSERT INTO IncompatibilityRules (id, name, description, active, product_id, category_id) VALUES (?, ?, ?, ?, ?, ?)',
+        [
+          rule.id,
+          rule.name,
+          rule.description,
+          rule.active,
+          rule.product_id || null,
+          rule.category_id || null,
+        ]
       );
     }
 
@@ -117,10 +212,67 @@ async function seedDatabase() {
       );
     }
 
+    // Insert rule requirements
+    for (const req of exampleData.ruleRequirements) {
+      await db.query(
+        'INSERT INTO RuleRequirements (rule_id, part_option_id, required_part_type_id, allowed_part_option_id) VALUES (?, ?, ?, ?)',
+        [
+          req.rule_id,
+          req.part_option_id,
+          req.required_part_type_id,
+          req.allowed_part_option_id,
+        ]
+      );
+    }
+
+    // Insert rule attribute conditions
+    for (const cond of exampleData.ruleAttributeConditions) {
+      await db.query(
+        'INSERT INTO RuleAttributeConditions (rule_id, left_attribute_id, operator, right_attribute_id) VALUES (?, ?, ?, ?)',
+        [
+          cond.rule_id,
+          cond.left_attribute_id,
+          cond.operator,
+          cond.right_attribute_id,
+        ]
+      );
+    }
+
+    // Insert rule condition sets
+    for (const member of exampleData.ruleConditionSets) {
+      await db.query(
+        'INSERT INTO RuleConditionSets (rule_id, set_number, part_option_id) VALUES (?, ?, ?)',
+        [member.rule_id, member.set_number, member.part_option_id]
+      );
+    }
+
+    // Insert customer groups
+    for (const group of exampleData.customerGroups) {
+      await db.query(
+        'INSERT INTO CustomerGroups (id, name, description, active) VALUES (?, ?, ?, ?)',
+        [group.id, group.name, group.description, group.active]
+      );
+    }
+
+    // Insert campaigns
+    for (const campaign of exampleData.campaigns) {
+      await db.query(
+        'INSERT INTO Campaigns (id, name, description, valid_from, valid_to, active) VALUES (?, ?, ?, ?, ?, ?)',
+        [
+          campaign.id,
+          campaign.name,
+          campaign.description,
+          campaign.valid_from || null,
+          campaign.valid_to || null,
+          campaign.active,
+        ]
+      );
+    }
+
     // Insert pricing rules
     for (const rule of exampleData.pricingRules) {
       await db.query(
-        'INSERT INTO PricingRules (id, name, description, price_adjustment, is_percentage, active) VALUES (?, ?, ?, ?, ?, ?)',
+        'INSERT INTO PricingRules (id, name, description, price_adjustment, is_percentage, active, product_id, category_id, priority, target, target_part_option_id, target_part_type_id, stacking, campaign_id, customer_group_id, valid_from, valid_to) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
         [
           rule.id,
           rule.name,
@@ -128,6 +280,17 @@ async function seedDatabase() {
           rule.price_adjustment,
           rule.is_percentage,
           rule.active,
+          rule.product_id || null,
+          rule.category_id || null,
+          rule.priority || 0,
+          rule.target || 'configuration',
+          rule.target_part_option_id || null,
+          rule.target_part_type_id || null,
+          rule.stacking || 'stack',
+          rule.campaign_id || null,
+          rule.customer_group_id || null,
+          rule.valid_from || null,
+          rule.valid_to || null,
         ]
       );
     }
@@ -135,8 +298,98 @@ async function seedDatabase() {
     // Insert pricing rule conditions
     for (const cond of exampleData.pricingRuleConditions) {
       await db.query(
-        'INSERT INTO PricingRuleConditions (pricing_rule_id, part_option_id) VALUES (?, ?)',
-        [cond.pricing_rule_id, cond.part_option_id]
+        'INSERT INTO PricingRuleConditions (pricing_rule_id, group_number, part_option_id, part_type_id, negated) VALUES (?, ?, ?, ?, ?)',
+        [
+          cond.pricing_rule_id,
+          cond.group_number,
+          cond.part_option_id || null,
+          cond.part_type_id || null,
+          cond.negated || 0,
+        ]
+      );
+    }
+
+    // Insert part option price overrides
+    for (const override of exampleData.partOptionPriceOverrides) {
+      await db.query(
+        'INSERT INTO PartOptionPriceOverrides (part_option_id, campaign_id, customer_group_id, price, valid_from, valid_to) VALUES (?, ?, ?, ?, ?, ?)',
+        [
+          override.part_option_id,
+          override.campaign_id || null,
+          override.customer_group_id || null,
+          override.price,
+          override.valid_from || null,
+          override.valid_to || null,
+        ]
+      );
+    }
+
+    // Insert price lists
+    for (const priceList of exampleData.priceLists) {
+      await db.query(
+        'INSERT INTO PriceLists (id, name, currency, exchange_rate, rounding_step, active) VALUES (?, ?, ?, ?, ?, ?)',
+        [
+          priceList.id,
+          priceList.name,
+          priceList.currency,
+          priceList.exchange_rate,
+          priceList.rounding_step,
+          priceList.active,
+        ]
+      );
+    }
+
+    // Insert price list prices
+    for (const entry of exampleData.priceListPrices) {
+      await db.query(
+        'INSERT INTO PriceListPrices (price_list_id, product_id, part_option_id, pricing_rule_id, price) VALUES (?, ?, ?, ?, ?)',
+        [
+          entry.price_list_id,
+          entry.product_id || null,
+          entry.part_option_id || null,
+          entry.pricing_rule_id || null,
+          entry.price,
+        ]
+      );
+    }
+
+    // Insert coupons
+    for (const coupon of exampleData.coupons) {
+      await db.query(
+        'INSERT INTO Coupons (id, code, description, discount_type, discount_value, free_part_type_id, min_cart_value, max_uses, max_uses_per_customer, product_id, category_id, valid_from, valid_to, active) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [
+          coupon.id,
+          coupon.code,
+          coupon.description,
+          coupon.discount_type,
+          coupon.discount_value || null,
+          coupon.free_part_type_id || null,
+          coupon.min_cart_value || null,
+          coupon.max_uses || null,
+          coupon.max_uses_per_customer || null,
+          coupon.product_id || null,
+          coupon.category_id || null,
+          coupon.valid_from || null,
+          coupon.valid_to || null,
+          coupon.active,
+        ]
+      );
+    }
+
+    // Insert volume discounts
+    for (const discount of exampleData.volumeDiscounts) {
+      await db.query(
+        'INSERT INTO VolumeDiscounts (id, name, basis, min_quantity, discount_percent, product_id, category_id, active) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [
+          discount.id,
+          discount.name,
+          discount.basis,
+          discount.min_quantity,
+          discount.discount_percent,
+          discount.product_id || null,
+          discount.category_id || null,
+          discount.active,
+        ]
       );
     }
 
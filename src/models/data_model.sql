@@ -1,4 +1,7 @@
 -- SQL Schema for Bicycle Shop E-commerce Platform
+--
+-- Money amounts are integers in the minor unit of their currency (cents), see
+-- src/services/money.js. Catalogue prices are in the shop currency, net of tax
 
 -- Categories represents the top-level product categories (bicycles, skis, surfboards, etc.)
 CREATE TABLE Categories (
@@ -8,33 +11,63 @@ CREATE TABLE Categories (
   active BOOLEAN DEFAULT TRUE
 );
 
--- Products represent specific product types within a category
+-- TaxCategories group products and part options taxed at the same rate
+-- (e.g. standard or reduced VAT)
+CREATE TABLE TaxCategories (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(255) NOT NULL
+);
+
+-- TaxRates are the percentages a tax category is taxed at in each destination
+-- country (ISO 3166 alpha-2 code). A tax category without a rate in a country
+-- is exempt there
+CREATE TABLE TaxRates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tax_category_id INTEGER NOT NULL,
+  country CHAR(2) NOT NULL,
+  rate DECIMAL(5, 2) NOT NULL CHECK (rate >= 0),
+  UNIQUE (tax_category_id, country),
+  FOREIGN KEY (tax_category_id) REFERENCES TaxCategories(id)
+);
+
+-- Products represent specific product types within a category, with the tax
+-- category of their base price and options (none if exempt)
 CREATE TABLE Products (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   category_id INTEGER NOT NULL,
   name VARCHAR(255) NOT NULL,
   description TEXT,
-  base_price DECIMAL(10, 2) NOT NULL,
+  base_price INTEGER NOT NULL,
   active BOOLEAN DEFAULT TRUE,
-  FOREIGN KEY (category_id) REFERENCES Categories(id)
+  tax_category_id INTEGER,
+  FOREIGN KEY (category_id) REFERENCES Categories(id),
+  FOREIGN KEY (tax_category_id) REFERENCES TaxCategories(id)
 );
 
--- PartTypes represent the types of parts that can be customized
+-- PartTypes represent the types of parts that can be customized, with how
+-- many of their options can be picked (required mirrors min_selections > 0)
 CREATE TABLE PartTypes (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   name VARCHAR(255) NOT NULL,
   description TEXT,
-  required BOOLEAN DEFAULT TRUE
+  required BOOLEAN DEFAULT TRUE,
+  min_selections INTEGER NOT NULL DEFAULT 1,
+  max_selections INTEGER NOT NULL DEFAULT 1,
+  CHECK (min_selections >= 0 AND max_selections >= 1
+    AND min_selections <= max_selections)
 );
 
--- ProductPartTypes links products to relevant part types
+-- ProductPartTypes links products to relevant part types, with the option
+-- suggested by default when completing a configuration
 CREATE TABLE ProductPartTypes (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   product_id INTEGER NOT NULL,
   part_type_id INTEGER NOT NULL,
   display_order INTEGER,
+  default_part_option_id INTEGER,
   FOREIGN KEY (product_id) REFERENCES Products(id),
-  FOREIGN KEY (part_type_id) REFERENCES PartTypes(id)
+  FOREIGN KEY (part_type_id) REFERENCES PartTypes(id),
+  FOREIGN KEY (default_part_option_id) REFERENCES PartOptions(id)
 );
 
 -- PartOptions represent the specific options for each part type
@@ -43,9 +76,47 @@ CREATE TABLE PartOptions (
   part_type_id INTEGER NOT NULL,
   name VARCHAR(255) NOT NULL,
   description TEXT,
-  base_price DECIMAL(10, 2) NOT NULL,
+  base_price INTEGER NOT NULL,
   active BOOLEAN DEFAULT TRUE,
-  FOREIGN KEY (part_type_id) REFERENCES PartTypes(id)
+  tax_category_id INTEGER, -- The product's when not set
+  FOREIGN KEY (part_type_id) REFERENCES PartTypes(id),
+  FOREIGN KEY (tax_category_id) REFERENCES TaxCategories(id)
+);
+
+-- ProductPartOptions restricts the options of a part type offered on a product:
+-- when a product has no rows for a part type, all of its options are offered
+CREATE TABLE ProductPartOptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id INTEGER NOT NULL,
+  part_option_id INTEGER NOT NULL,
+  UNIQUE (product_id, part_option_id),
+  FOREIGN KEY (product_id) REFERENCES Products(id),
+  FOREIGN KEY (part_option_id) REFERENCES PartOptions(id)
+);
+
+-- ProductPresets are named starting configurations of a product
+-- (e.g. "Commuter"), listed in display order
+CREATE TABLE ProductPresets (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id INTEGER NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  display_order INTEGER,
+  active BOOLEAN DEFAULT TRUE,
+  UNIQUE (product_id, name),
+  FOREIGN KEY (product_id) REFERENCES Products(id)
+);
+
+-- ProductPresetOptions holds the selections of a preset, in the same shape as
+-- OrderItemConfiguration (a NULL part_option_id means "none")
+CREATE TABLE ProductPresetOptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  preset_id INTEGER NOT NULL,
+  part_type_id INTEGER NOT NULL,
+  part_option_id INTEGER,
+  FOREIGN KEY (preset_id) REFERENCES ProductPresets(id),
+  FOREIGN KEY (part_type_id) REFERENCES PartTypes(id),
+  FOREIGN KEY (part_option_id) REFERENCES PartOptions(id)
 );
 
 -- Inventory tracks stock levels for specific part options
@@ -58,12 +129,44 @@ CREATE TABLE Inventory (
   FOREIGN KEY (part_option_id) REFERENCES PartOptions(id)
 );
 
--- IncompatibilityRules defines which combinations of parts are not allowed
+-- PartTypeAttributes defines typed facts about the options of a part type
+-- (e.g. wheel diameter). Enum attributes list their allowed values as a JSON
+-- array
+CREATE TABLE PartTypeAttributes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  part_type_id INTEGER NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  data_type VARCHAR(10) NOT NULL
+    CHECK (data_type IN ('number', 'enum', 'text', 'colour')),
+  unit VARCHAR(20),
+  allowed_values TEXT,
+  UNIQUE (part_type_id, name),
+  FOREIGN KEY (part_type_id) REFERENCES PartTypes(id)
+);
+
+-- PartOptionAttributes holds the value of an attribute for a part option,
+-- stored as text and compared according to the attribute's data type
+CREATE TABLE PartOptionAttributes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  part_option_id INTEGER NOT NULL,
+  attribute_id INTEGER NOT NULL,
+  value TEXT NOT NULL,
+  UNIQUE (part_option_id, attribute_id),
+  FOREIGN KEY (part_option_id) REFERENCES PartOptions(id),
+  FOREIGN KEY (attribute_id) REFERENCES PartTypeAttributes(id)
+);
+
+-- IncompatibilityRules defines which combinations of parts are not allowed,
+-- optionally scoped to a single product or category (NULL applies to all)
 CREATE TABLE IncompatibilityRules (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   name VARCHAR(255),
   description TEXT,
-  active BOOLEAN DEFAULT TRUE
+  active BOOLEAN DEFAULT TRUE,
+  product_id INTEGER,
+  category_id INTEGER,
+  FOREIGN KEY (product_id) REFERENCES Products(id),
+  FOREIGN KEY (category_id) REFERENCES Categories(id)
 );
 
 -- RuleConditions defines the specific conditions for incompatibility rules
@@ -77,23 +180,223 @@ CREATE TABLE RuleConditions (
   FOREIGN KEY (incompatible_with_part_option_id) REFERENCES PartOptions(id)
 );
 
--- PricingRules defines special pricing for combinations of parts
+-- RuleRequirements defines positive conditions for incompatibility rules:
+-- when part_option_id is selected, the selection for required_part_type_id
+-- must be one of the allowed options (one row per allowed option)
+CREATE TABLE RuleRequirements (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  rule_id INTEGER NOT NULL,
+  part_option_id INTEGER NOT NULL,
+  required_part_type_id INTEGER NOT NULL,
+  allowed_part_option_id INTEGER NOT NULL,
+  FOREIGN KEY (rule_id) REFERENCES IncompatibilityRules(id),
+  FOREIGN KEY (part_option_id) REFERENCES PartOptions(id),
+  FOREIGN KEY (required_part_type_id) REFERENCES PartTypes(id),
+  FOREIGN KEY (allowed_part_option_id) REFERENCES PartOptions(id)
+);
+
+-- RuleAttributeConditions defines incompatibility rules over attributes: two
+-- options whose values do not satisfy "left operator right" cannot be
+-- selected together. Options without a value for either attribute are not
+-- affected
+CREATE TABLE RuleAttributeConditions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  rule_id INTEGER NOT NULL,
+  left_attribute_id INTEGER NOT NULL,
+  operator VARCHAR(2) NOT NULL
+    CHECK (operator IN ('<', '<=', '=', '!=', '>=', '>')),
+  right_attribute_id INTEGER NOT NULL,
+  FOREIGN KEY (rule_id) REFERENCES IncompatibilityRules(id),
+  FOREIGN KEY (left_attribute_id) REFERENCES PartTypeAttributes(id),
+  FOREIGN KEY (right_attribute_id) REFERENCES PartTypeAttributes(id)
+);
+
+-- RuleConditionSets defines n-ary conditions for incompatibility rules:
+-- the options sharing a rule_id and set_number may not all be selected together
+CREATE TABLE RuleConditionSets (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  rule_id INTEGER NOT NULL,
+  set_number INTEGER NOT NULL DEFAULT 1,
+  part_option_id INTEGER NOT NULL,
+  FOREIGN KEY (rule_id) REFERENCES IncompatibilityRules(id),
+  FOREIGN KEY (part_option_id) REFERENCES PartOptions(id)
+);
+
+-- Campaigns group time-bound pricing rules and price overrides under a name
+-- (e.g. "Black Friday"), so they can be scheduled or switched off together.
+-- Windows include valid_from and end before valid_to, in UTC. A missing bound
+-- leaves the window open on that side
+CREATE TABLE Campaigns (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  valid_from TIMESTAMP,
+  valid_to TIMESTAMP,
+  active BOOLEAN DEFAULT TRUE,
+  CHECK (valid_to IS NULL OR valid_from IS NULL OR valid_to > valid_from)
+);
+
+-- PricingRules adjust the price of a configuration, optionally scoped to a
+-- single product or category (NULL applies to all). Matching rules are
+-- applied in priority order (lowest first, then by ID) to their target: one
+-- part option, the subtotal of a part type, or the whole configuration. The
+-- stacking mode decides which matching rules are applied together: every
+-- 'stack' rule, the first 'exclusive' rule alone, or only the 'best_of' rule
+-- giving the lowest total. price_adjustment is an amount in minor units, or a
+-- percentage (to a hundredth of a percent) when is_percentage is set. A rule
+-- is only in effect within its valid_from/valid_to window, and within the one
+-- of its campaign, if any. A rule restricted to a customer group only applies
+-- to the members of the group
 CREATE TABLE PricingRules (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   name VARCHAR(255) NOT NULL,
   description TEXT,
   price_adjustment DECIMAL(10, 2) NOT NULL,
   is_percentage BOOLEAN DEFAULT FALSE,
-  active BOOLEAN DEFAULT TRUE
+  active BOOLEAN DEFAULT TRUE,
+  product_id INTEGER,
+  category_id INTEGER,
+  priority INTEGER NOT NULL DEFAULT 0,
+  target VARCHAR(20) NOT NULL DEFAULT 'configuration'
+    CHECK (target IN ('option', 'part_type', 'configuration')),
+  target_part_option_id INTEGER,
+  target_part_type_id INTEGER,
+  stacking VARCHAR(20) NOT NULL DEFAULT 'stack'
+    CHECK (stacking IN ('stack', 'exclusive', 'best_of')),
+  campaign_id INTEGER,
+  customer_group_id INTEGER,
+  valid_from TIMESTAMP,
+  valid_to TIMESTAMP,
+  CHECK ((target = 'option') = (target_part_option_id IS NOT NULL)),
+  CHECK ((target = 'part_type') = (target_part_type_id IS NOT NULL)),
+  CHECK (valid_to IS NULL OR valid_from IS NULL OR valid_to > valid_from),
+  FOREIGN KEY (product_id) REFERENCES Products(id),
+  FOREIGN KEY (category_id) REFERENCES Categories(id),
+  FOREIGN KEY (target_part_option_id) REFERENCES PartOptions(id),
+  FOREIGN KEY (target_part_type_id) REFERENCES PartTypes(id),
+  FOREIGN KEY (campaign_id) REFERENCES Campaigns(id),
+  FOREIGN KEY (customer_group_id) REFERENCES CustomerGroups(id)
 );
 
--- PricingRuleConditions defines when a pricing rule is applied
+-- PricingRuleConditions defines when a pricing rule is applied. Conditions
+-- sharing a group_number are alternatives (OR), and every group of a rule
+-- must hold (AND). A condition is a part option, or any option of a part type,
+-- and holds when it is selected (or when it is not, if negated)
 CREATE TABLE PricingRuleConditions (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   pricing_rule_id INTEGER NOT NULL,
-  part_option_id INTEGER NOT NULL,
+  group_number INTEGER NOT NULL,
+  part_option_id INTEGER,
+  part_type_id INTEGER,
+  negated BOOLEAN DEFAULT FALSE,
+  CHECK ((part_option_id IS NULL) != (part_type_id IS NULL)),
   FOREIGN KEY (pricing_rule_id) REFERENCES PricingRules(id),
-  FOREIGN KEY (part_option_id) REFERENCES PartOptions(id)
+  FOREIGN KEY (part_option_id) REFERENCES PartOptions(id),
+  FOREIGN KEY (part_type_id) REFERENCES PartTypes(id)
+);
+
+-- PartOptionPriceOverrides replace the base price of a part option, in the
+-- shop currency, within their window and the one of their campaign, if any,
+-- and for the members of their customer group, if any. When several are in
+-- effect the lowest price wins
+CREATE TABLE PartOptionPriceOverrides (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  part_option_id INTEGER NOT NULL,
+  campaign_id INTEGER,
+  customer_group_id INTEGER,
+  price INTEGER NOT NULL CHECK (price >= 0),
+  valid_from TIMESTAMP,
+  valid_to TIMESTAMP,
+  CHECK (valid_to IS NULL OR valid_from IS NULL OR valid_to > valid_from),
+  FOREIGN KEY (part_option_id) REFERENCES PartOptions(id),
+  FOREIGN KEY (campaign_id) REFERENCES Campaigns(id),
+  FOREIGN KEY (customer_group_id) REFERENCES CustomerGroups(id)
+);
+
+-- PriceLists price the catalogue in another currency (e.g. for Switzerland).
+-- A price without an entry in PriceListPrices is derived from the catalogue
+-- price at exchange_rate (units of the list currency per unit of the shop
+-- currency), rounded to a multiple of rounding_step minor units. Catalogue
+-- prices themselves are used when no price list is given
+CREATE TABLE PriceLists (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(255) NOT NULL,
+  currency CHAR(3) NOT NULL,
+  exchange_rate DECIMAL(12, 6) NOT NULL,
+  rounding_step INTEGER NOT NULL DEFAULT 1 CHECK (rounding_step > 0),
+  active BOOLEAN DEFAULT TRUE
+);
+
+-- PriceListPrices set a price of a price list explicitly, in the list
+-- currency: the base price of a product or part option, or the amount of a
+-- fixed pricing rule
+CREATE TABLE PriceListPrices (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  price_list_id INTEGER NOT NULL,
+  product_id INTEGER,
+  part_option_id INTEGER,
+  pricing_rule_id INTEGER,
+  price INTEGER NOT NULL,
+  CHECK ((product_id IS NOT NULL) + (part_option_id IS NOT NULL)
+    + (pricing_rule_id IS NOT NULL) = 1),
+  UNIQUE (price_list_id, product_id),
+  UNIQUE (price_list_id, part_option_id),
+  UNIQUE (price_list_id, pricing_rule_id),
+  FOREIGN KEY (price_list_id) REFERENCES PriceLists(id),
+  FOREIGN KEY (product_id) REFERENCES Products(id),
+  FOREIGN KEY (part_option_id) REFERENCES PartOptions(id),
+  FOREIGN KEY (pricing_rule_id) REFERENCES PricingRules(id)
+);
+
+-- Coupons are promo codes (stored in uppercase) a customer applies to their
+-- cart. A coupon takes off a fixed amount in minor units of the shop currency
+-- or a percentage (discount_value), or makes the dearest selected option of
+-- free_part_type_id free. Only items of product_id or category_id are
+-- discounted, when set. max_uses counts placed orders, in total and per
+-- customer, and min_cart_value (shop currency) is compared to the cart after
+-- its volume discounts. A coupon can only be used within its window
+CREATE TABLE Coupons (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  code VARCHAR(50) NOT NULL UNIQUE,
+  description TEXT,
+  discount_type VARCHAR(20) NOT NULL
+    CHECK (discount_type IN ('fixed', 'percentage', 'free_option')),
+  discount_value DECIMAL(10, 2) CHECK (discount_value > 0),
+  free_part_type_id INTEGER,
+  min_cart_value INTEGER,
+  max_uses INTEGER,
+  max_uses_per_customer INTEGER,
+  product_id INTEGER,
+  category_id INTEGER,
+  valid_from TIMESTAMP,
+  valid_to TIMESTAMP,
+  active BOOLEAN DEFAULT TRUE,
+  CHECK ((discount_type = 'free_option') = (free_part_type_id IS NOT NULL)),
+  CHECK ((discount_type = 'free_option') = (discount_value IS NULL)),
+  CHECK (valid_to IS NULL OR valid_from IS NULL OR valid_to > valid_from),
+  FOREIGN KEY (free_part_type_id) REFERENCES PartTypes(id),
+  FOREIGN KEY (product_id) REFERENCES Products(id),
+  FOREIGN KEY (category_id) REFERENCES Categories(id)
+);
+
+-- VolumeDiscounts take discount_percent off items bought in quantity, within
+-- their product_id or category_id scope when set. An 'item' tier applies to
+-- a cart item of at least min_quantity units (e.g. five identical bikes), a
+-- 'cart' threshold to every item in its scope once the cart holds at least
+-- min_quantity units in that scope (e.g. three bikes of any kind). Only the
+-- highest tier of each basis applies to an item, and the two add up
+CREATE TABLE VolumeDiscounts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(255) NOT NULL,
+  basis VARCHAR(10) NOT NULL DEFAULT 'item' CHECK (basis IN ('item', 'cart')),
+  min_quantity INTEGER NOT NULL CHECK (min_quantity > 0),
+  discount_percent DECIMAL(5, 2) NOT NULL
+    CHECK (discount_percent > 0 AND discount_percent <= 100),
+  product_id INTEGER,
+  category_id INTEGER,
+  active BOOLEAN DEFAULT TRUE,
+  FOREIGN KEY (product_id) REFERENCES Products(id),
+  FOREIGN KEY (category_id) REFERENCES Categories(id)
 );
 
 -- Customers table for user accounts
@@ -107,34 +410,106 @@ CREATE TABLE Customers (
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Order represents a customer order
+-- CustomerGroups are segments of customers with prices of their own (e.g.
+-- racing-club members, resellers or staff), given by the pricing rules and
+-- price overrides restricted to the group. An inactive group gets none
+CREATE TABLE CustomerGroups (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(255) NOT NULL UNIQUE,
+  description TEXT,
+  active BOOLEAN DEFAULT TRUE
+);
+
+-- CustomerGroupMembers assigns customers to groups, a customer possibly
+-- being in several
+CREATE TABLE CustomerGroupMembers (
+  customer_group_id INTEGER NOT NULL,
+  customer_id INTEGER NOT NULL,
+  PRIMARY KEY (customer_group_id, customer_id),
+  FOREIGN KEY (customer_group_id) REFERENCES CustomerGroups(id),
+  FOREIGN KEY (customer_id) REFERENCES Customers(id)
+);
+
+-- Order represents a customer order, with the price list (none for the
+-- catalogue prices) and currency it was priced in. The total price is net,
+-- after the discount of its coupon. The tax, worked out at checkout for the
+-- destination country, comes on top
 CREATE TABLE Orders (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   customer_id INTEGER NOT NULL,
   date_created TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   status VARCHAR(50) NOT NULL,
-  total_price DECIMAL(10, 2) NOT NULL,
+  total_price INTEGER NOT NULL,
+  currency CHAR(3) NOT NULL DEFAULT 'EUR',
+  price_list_id INTEGER,
+  tax_country CHAR(2),
+  tax_total INTEGER,
+  coupon_id INTEGER,
+  discount_total INTEGER NOT NULL DEFAULT 0,
   shipping_address TEXT,
   payment_reference VARCHAR(255),
-  FOREIGN KEY (customer_id) REFERENCES Customers(id)
+  FOREIGN KEY (customer_id) REFERENCES Customers(id),
+  FOREIGN KEY (price_list_id) REFERENCES PriceLists(id),
+  FOREIGN KEY (coupon_id) REFERENCES Coupons(id)
 );
 
--- OrderItems represents individual products in an order
+-- OrderItems represents individual products in an order, with the build code
+-- of its configuration (see src/services/build_codes.js). The product name
+-- and price_breakdown are a snapshot taken when the item is added, so renaming
+-- or repricing the catalogue leaves orders as the customer agreed to them.
+-- price_breakdown is the itemised unit price with the pricing rules applied,
+-- as JSON (see priceBreakdown in src/services/pricing.js)
 CREATE TABLE OrderItems (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   order_id INTEGER NOT NULL,
   product_id INTEGER NOT NULL,
+  product_name VARCHAR(255),
   quantity INTEGER DEFAULT 1,
-  price DECIMAL(10, 2) NOT NULL,
+  price INTEGER NOT NULL,
+  discount_amount INTEGER NOT NULL DEFAULT 0, -- Sum of its OrderItemDiscounts
+  tax_amount INTEGER, -- For the whole quantity, set at checkout
+  build_code VARCHAR(255),
+  price_breakdown TEXT,
   FOREIGN KEY (order_id) REFERENCES Orders(id),
   FOREIGN KEY (product_id) REFERENCES Products(id)
 );
 
--- OrderItemConfiguration represents the selected part options for an order item
+-- OrderItemDiscounts itemise the discounts taken off an order item (for its
+-- whole quantity) when the cart total is recalculated: its volume discounts,
+-- then its share of the coupon discount
+CREATE TABLE OrderItemDiscounts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_item_id INTEGER NOT NULL,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('volume', 'coupon')),
+  volume_discount_id INTEGER,
+  coupon_id INTEGER,
+  description VARCHAR(255) NOT NULL,
+  amount INTEGER NOT NULL,
+  CHECK ((kind = 'volume') = (volume_discount_id IS NOT NULL)),
+  CHECK ((kind = 'coupon') = (coupon_id IS NOT NULL)),
+  FOREIGN KEY (order_item_id) REFERENCES OrderItems(id),
+  FOREIGN KEY (volume_discount_id) REFERENCES VolumeDiscounts(id),
+  FOREIGN KEY (coupon_id) REFERENCES Coupons(id)
+);
+
+-- OrderItemConfiguration represents the selected part options for an order
+-- item, one row per option, with a snapshot of the part type and option
+-- names and the unit price of the option when the item was added. An
+-- optional part type explicitly left empty ("none") is stored as a row
+-- without a part option
 CREATE TABLE OrderItemConfiguration (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   order_item_id INTEGER NOT NULL,
-  part_option_id INTEGER NOT NULL,
+  part_type_id INTEGER NOT NULL,
+  part_option_id INTEGER,
+  part_type_name VARCHAR(255),
+  option_name VARCHAR(255),
+  option_price INTEGER,
   FOREIGN KEY (order_item_id) REFERENCES OrderItems(id),
+  FOREIGN KEY (part_type_id) REFERENCES PartTypes(id),
   FOREIGN KEY (part_option_id) REFERENCES PartOptions(id)
 );
+
+-- Schema version of a database created from this file. Databases created
+-- from an older schema are brought up to date by src/db/migrate.js
+PRAGMA user_version = 9;
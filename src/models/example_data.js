@@ -2,7 +2,8 @@
  * Example data for the bicycle shop
  *
  * This file demonstrates how the data model would be populated
- * with sample categories, products, parts, and rules
+ * with sample categories, products, parts, and rules. Prices are in euro
+ * cents.
  */
 
 // Sample Categories
@@ -21,6 +22,26 @@ const categories = [
   },
 ];
 
+// Sample Tax Categories
+const taxCategories = [
+  { id: 1, name: 'Standard' },
+  { id: 2, name: 'Reduced' },
+];
+
+// Sample Tax Rates, in percent, per destination country
+const taxRates = [
+  { tax_category_id: 1, country: 'ES', rate: 21 },
+  { tax_category_id: 2, country: 'ES', rate: 10 },
+  { tax_category_id: 1, country: 'DE', rate: 19 },
+  { tax_category_id: 2, country: 'DE', rate: 7 },
+  { tax_category_id: 1, country: 'FR', rate: 20 },
+  { tax_category_id: 2, country: 'FR', rate: 5.5 },
+  { tax_category_id: 1, country: 'CH', rate: 8.1 },
+  { tax_category_id: 2, country: 'CH', rate: 2.6 },
+  { tax_category_id: 1, country: 'GB', rate: 20 },
+  { tax_category_id: 2, country: 'GB', rate: 5 },
+];
+
 // Sample Products
 const products = [
   {
@@ -28,16 +49,18 @@ const products = [
     category_id: 1,
     name: 'Adventure Bike',
     description: 'Perfect for trail and mountain riding',
-    base_price: 120.0,
+    base_price: 12000,
     active: 1,
+    tax_category_id: 1, // Standard
   },
   {
     id: 2,
     category_id: 1,
     name: 'City Cruiser',
     description: 'Comfortable ride for urban environments',
-    base_price: 100.0,
+    base_price: 10000,
     active: 1,
+    tax_category_id: 1, // Standard
   },
 ];
 
@@ -73,14 +96,32 @@ const partTypes = [
     description: 'Type of chain that affects gearing',
     required: 1,
   },
+  {
+    id: 6,
+    name: 'Accessories',
+    description: 'Optional extras, up to three per bike',
+    required: 0,
+    min_selections: 0,
+    max_selections: 3,
+  },
 ];
 
 // Map products to their part types
 const productPartTypes = [
-  // Adventure Bike parts
-  { product_id: 1, part_type_id: 1, display_order: 1 },
+  // Adventure Bike parts, defaulting to a full-suspension mountain bike
+  {
+    product_id: 1,
+    part_type_id: 1,
+    display_order: 1,
+    default_part_option_id: 1,
+  },
   { product_id: 1, part_type_id: 2, display_order: 2 },
-  { product_id: 1, part_type_id: 3, display_order: 3 },
+  {
+    product_id: 1,
+    part_type_id: 3,
+    display_order: 3,
+    default_part_option_id: 7,
+  },
   { product_id: 1, part_type_id: 4, display_order: 4 },
   { product_id: 1, part_type_id: 5, display_order: 5 },
 
@@ -90,6 +131,7 @@ const productPartTypes = [
   { product_id: 2, part_type_id: 3, display_order: 3 },
   { product_id: 2, part_type_id: 4, display_order: 4 },
   { product_id: 2, part_type_id: 5, display_order: 5 },
+  { product_id: 2, part_type_id: 6, display_order: 6 },
 ];
 
 // Sample Part Options
@@ -100,7 +142,7 @@ const partOptions = [
     part_type_id: 1,
     name: 'Full-suspension',
     description: 'Front and rear shock absorbers for rough terrain',
-    base_price: 130.0,
+    base_price: 13000,
     active: 1,
   },
   {
@@ -108,7 +150,7 @@ const partOptions = [
     part_type_id: 1,
     name: 'Diamond',
     description: 'Traditional frame design with improved stability',
-    base_price: 100.0,
+    base_price: 10000,
     active: 1,
   },
   {
@@ -116,7 +158,7 @@ const partOptions = [
     part_type_id: 1,
     name: 'Step-through',
     description: 'Low top tube for easy mounting and dismounting',
-    base_price: 110.0,
+    base_price: 11000,
     active: 1,
   },
 
@@ -126,7 +168,7 @@ const partOptions = [
     part_type_id: 2,
     name: 'Matte',
     description: 'Non-reflective finish',
-    base_price: 0.0, // Base price is 0 because it varies with frame type
+    base_price: 0, // Base price is 0 because it varies with frame type
     active: 1,
   },
   {
@@ -134,7 +176,7 @@ const partOptions = [
     part_type_id: 2,
     name: 'Shiny',
     description: 'Glossy reflective finish',
-    base_price: 30.0,
+    base_price: 3000,
     active: 1,
   },
 
@@ -144,7 +186,7 @@ const partOptions = [
     part_type_id: 3,
     name: 'Road Wheels',
     description: 'Thin, fast wheels for paved surfaces',
-    base_price: 80.0,
+    base_price: 8000,
     active: 1,
   },
   {
@@ -152,7 +194,7 @@ const partOptions = [
     part_type_id: 3,
     name: 'Mountain Wheels',
     description: 'Sturdy wheels with good traction for trails',
-    base_price: 95.0,
+    base_price: 9500,
     active: 1,
   },
   {
@@ -160,7 +202,7 @@ const partOptions = [
     part_type_id: 3,
     name: 'Fat Bike Wheels',
     description: 'Extra wide wheels for sand and snow',
-    base_price: 120.0,
+    base_price: 12000,
     active: 1,
   },
 
@@ -170,7 +212,7 @@ const partOptions = [
     part_type_id: 4,
     name: 'Red',
     description: 'Bright red color',
-    base_price: 20.0,
+    base_price: 2000,
     active: 1,
   },
   {
@@ -178,7 +220,7 @@ const partOptions = [
     part_type_id: 4,
     name: 'Black',
     description: 'Classic black color',
-    base_price: 15.0,
+    base_price: 1500,
     active: 1,
   },
   {
@@ -186,7 +228,7 @@ const partOptions = [
     part_type_id: 4,
     name: 'Blue',
     description: 'Deep blue color',
-    base_price: 20.0,
+    base_price: 2000,
     active: 1,
   },
 
@@ -196,7 +238,7 @@ const partOptions = [
     part_type_id: 5,
     name: 'Single-speed Chain',
     description: 'Simple chain for bikes without gears',
-    base_price: 43.0,
+    base_price: 4300,
     active: 1,
   },
   {
@@ -204,11 +246,92 @@ const partOptions = [
     part_type_id: 5,
     name: '8-speed Chain',
     description: 'Chain compatible with 8-speed gear systems',
-    base_price: 55.0,
+    base_price: 5500,
+    active: 1,
+  },
+
+  // Accessories
+  {
+    id: 14,
+    part_type_id: 6,
+    name: 'Bottle Cage',
+    description: 'Holds a standard water bottle on the down tube',
+    base_price: 1200,
+    active: 1,
+  },
+  {
+    id: 15,
+    part_type_id: 6,
+    name: 'Rear Rack',
+    description: 'Carries panniers and a basket',
+    base_price: 3500,
+    active: 1,
+  },
+  {
+    id: 16,
+    part_type_id: 6,
+    name: 'Bell',
+    description: 'Classic brass bell',
+    base_price: 800,
+    active: 1,
+    tax_category_id: 2, // Reduced, as a safety item
+  },
+  {
+    id: 17,
+    part_type_id: 6,
+    name: 'Kickstand',
+    description: 'Side stand for parking',
+    base_price: 1800,
     active: 1,
   },
 ];
 
+// Sample Part Type Attributes
+const partTypeAttributes = [
+  {
+    id: 1,
+    part_type_id: 1,
+    name: 'Max wheel diameter',
+    data_type: 'number',
+    unit: 'in',
+  },
+  { id: 2, part_type_id: 3, name: 'Diameter', data_type: 'number', unit: 'in' },
+  {
+    id: 3,
+    part_type_id: 3,
+    name: 'Terrain',
+    data_type: 'enum',
+    allowed_values: ['road', 'trail', 'snow'],
+  },
+  { id: 4, part_type_id: 4, name: 'Colour', data_type: 'colour' },
+  { id: 5, part_type_id: 5, name: 'Speeds', data_type: 'number' },
+];
+
+// Attribute values of the part options
+const partOptionAttributes = [
+  // Frames
+  { part_option_id: 1, attribute_id: 1, value: '29' },
+  { part_option_id: 2, attribute_id: 1, value: '29' },
+  { part_option_id: 3, attribute_id: 1, value: '28' },
+
+  // Wheels
+  { part_option_id: 6, attribute_id: 2, value: '28' },
+  { part_option_id: 6, attribute_id: 3, value: 'road' },
+  { part_option_id: 7, attribute_id: 2, value: '29' },
+  { part_option_id: 7, attribute_id: 3, value: 'trail' },
+  { part_option_id: 8, attribute_id: 2, value: '26' },
+  { part_option_id: 8, attribute_id: 3, value: 'snow' },
+
+  // Rim colors
+  { part_option_id: 9, attribute_id: 4, value: '#c0392b' },
+  { part_option_id: 10, attribute_id: 4, value: '#000000' },
+  { part_option_id: 11, attribute_id: 4, value: '#1f4e9c' },
+
+  // Chains
+  { part_option_id: 12, attribute_id: 5, value: '1' },
+  { part_option_id: 13, attribute_id: 5, value: '8' },
+];
+
 // Sample Inventory
 const inventory = [
   // Full inventory for Frame Types
@@ -238,6 +361,64 @@ const inventory = [
   // Chains
   { part_option_id: 12, quantity: 45, in_stock: 1 },
   { part_option_id: 13, quantity: 40, in_stock: 1 },
+
+  // Accessories
+  { part_option_id: 14, quantity: 60, in_stock: 1 },
+  { part_option_id: 15, quantity: 12, in_stock: 1 },
+  { part_option_id: 16, quantity: 80, in_stock: 1 },
+  { part_option_id: 17, quantity: 25, in_stock: 1 },
+];
+
+// Restrict the options offered on specific products (part types without rows
+// offer all of their options)
+const productPartOptions = [
+  // City Cruiser frames: no full-suspension
+  { product_id: 2, part_option_id: 2 },
+  { product_id: 2, part_option_id: 3 },
+
+  // City Cruiser wheels: no mountain wheels
+  { product_id: 2, part_option_id: 6 },
+  { product_id: 2, part_option_id: 8 },
+];
+
+// Sample Presets
+const productPresets = [
+  {
+    id: 1,
+    product_id: 1,
+    name: 'Trail Ready',
+    description: 'Full-suspension mountain bike with an 8-speed chain',
+    display_order: 1,
+    active: 1,
+  },
+  {
+    id: 2,
+    product_id: 2,
+    name: 'Commuter',
+    description: 'Step-through road bike with a rack and a bell',
+    display_order: 1,
+    active: 1,
+  },
+];
+
+// Selections of each preset
+const productPresetOptions = [
+  // Trail Ready: full-suspension, matte, mountain wheels, black, 8-speed
+  { preset_id: 1, part_option_id: 1 },
+  { preset_id: 1, part_option_id: 4 },
+  { preset_id: 1, part_option_id: 7 },
+  { preset_id: 1, part_option_id: 10 },
+  { preset_id: 1, part_option_id: 13 },
+
+  // Commuter: step-through, shiny, road wheels, black, single-speed, rear
+  // rack and bell
+  { preset_id: 2, part_option_id: 3 },
+  { preset_id: 2, part_option_id: 5 },
+  { preset_id: 2, part_option_id: 6 },
+  { preset_id: 2, part_option_id: 10 },
+  { preset_id: 2, part_option_id: 12 },
+  { preset_id: 2, part_option_id: 15 },
+  { preset_id: 2, part_option_id: 16 },
 ];
 
 // Sample Incompatibility Rules
@@ -254,83 +435,311 @@ const incompatibilityRules = [
     description: 'Red rim color unavailable with fat bike wheels',
     active: 1,
   },
+  {
+    id: 3,
+    name: 'Fat step-through with gears',
+    description:
+      'Fat bike wheels on a step-through frame cannot take an 8-speed chain',
+    active: 1,
+  },
+  {
+    id: 4,
+    name: 'Wheels fit the frame',
+    description: 'The wheel diameter cannot exceed what the frame takes',
+    active: 1,
+  },
 ];
 
 // Sample Rule Conditions
 const ruleConditions = [
-  // If mountain wheels selected, only full-suspension frame is allowed
-  { rule_id: 1, part_option_id: 7, incompatible_with_part_option_id: 2 },
-  { rule_id: 1, part_option_id: 7, incompatible_with_part_option_id: 3 },
-
   // If fat bike wheels selected, red rim is unavailable
   { rule_id: 2, part_option_id: 8, incompatible_with_part_option_id: 9 },
 ];
 
+// Sample Rule Requirements
+const ruleRequirements = [
+  // If mountain wheels selected, only full-suspension frame is allowed
+  {
+    rule_id: 1,
+    part_option_id: 7,
+    required_part_type_id: 1,
+    allowed_part_option_id: 1,
+  },
+];
+
+// Sample Rule Attribute Conditions
+const ruleAttributeConditions = [
+  // Wheel diameter <= frame max wheel diameter
+  { rule_id: 4, left_attribute_id: 2, operator: '<=', right_attribute_id: 1 },
+];
+
+// Sample Rule Condition Sets
+const ruleConditionSets = [
+  // Fat bike wheels + step-through frame + 8-speed chain is not buildable
+  { rule_id: 3, set_number: 1, part_option_id: 8 },
+  { rule_id: 3, set_number: 1, part_option_id: 3 },
+  { rule_id: 3, set_number: 1, part_option_id: 13 },
+];
+
 // Sample Pricing Rules
 const pricingRules = [
   {
     id: 1,
     name: 'Matte finish on full-suspension',
     description: 'Matte finish costs more on full-suspension frames',
-    price_adjustment: 50.0,
+    price_adjustment: 5000,
     is_percentage: 0,
     active: 1,
+    target: 'option',
+    target_part_option_id: 4, // Matte finish
   },
   {
     id: 2,
     name: 'Matte finish on diamond',
     description: 'Matte finish costs more on diamond frames',
-    price_adjustment: 35.0,
+    price_adjustment: 3500,
     is_percentage: 0,
     active: 1,
+    target: 'option',
+    target_part_option_id: 4, // Matte finish
   },
   {
     id: 3,
     name: 'Matte finish on step-through',
     description: 'Matte finish costs more on step-through frames',
-    price_adjustment: 40.0,
+    price_adjustment: 4000,
     is_percentage: 0,
     active: 1,
+    target: 'option',
+    target_part_option_id: 4, // Matte finish
   },
   {
     id: 4,
     name: 'Premium combination discount',
     description: 'Discount for premium wheel and chain combination',
-    price_adjustment: -10.0,
+    price_adjustment: -10, // Percent
     is_percentage: 1,
     active: 1,
+    product_id: 1, // Adventure Bike only
+    priority: 10, // After the option surcharges
+  },
+  {
+    id: 5,
+    name: 'Rack or kickstand fitting',
+    description:
+      'Fitting a rear rack or kickstand takes extra work on frames other than step-through',
+    price_adjustment: 500,
+    is_percentage: 0,
+    active: 1,
+    product_id: 2, // City Cruiser only
+  },
+  {
+    id: 6,
+    name: 'Black Friday bike discount',
+    description: '10% off any bike during Black Friday',
+    price_adjustment: -10, // Percent
+    is_percentage: 1,
+    active: 1,
+    priority: 20, // After every other rule
+    campaign_id: 1, // Black Friday
+  },
+  {
+    id: 7,
+    name: 'Racing club discount',
+    description: '15% off any bike for members of partner racing clubs',
+    price_adjustment: -15, // Percent
+    is_percentage: 1,
+    active: 1,
+    priority: 20, // After every other rule
+    customer_group_id: 1, // Racing club
   },
 ];
 
-// Sample Pricing Rule Conditions
+// Sample Pricing Rule Conditions, one group per condition unless the
+// conditions are alternatives
 const pricingRuleConditions = [
   // Matte finish on full-suspension
-  { pricing_rule_id: 1, part_option_id: 1 }, // Full-suspension frame
-  { pricing_rule_id: 1, part_option_id: 4 }, // Matte finish
+  { pricing_rule_id: 1, group_number: 1, part_option_id: 1 }, // Full-suspension frame
+  { pricing_rule_id: 1, group_number: 2, part_option_id: 4 }, // Matte finish
 
   // Matte finish on diamond
-  { pricing_rule_id: 2, part_option_id: 2 }, // Diamond frame
-  { pricing_rule_id: 2, part_option_id: 4 }, // Matte finish
+  { pricing_rule_id: 2, group_number: 1, part_option_id: 2 }, // Diamond frame
+  { pricing_rule_id: 2, group_number: 2, part_option_id: 4 }, // Matte finish
 
   // Matte finish on step-through
-  { pricing_rule_id: 3, part_option_id: 3 }, // Step-through frame
-  { pricing_rule_id: 3, part_option_id: 4 }, // Matte finish
+  { pricing_rule_id: 3, group_number: 1, part_option_id: 3 }, // Step-through frame
+  { pricing_rule_id: 3, group_number: 2, part_option_id: 4 }, // Matte finish
 
   // Premium combination discount
-  { pricing_rule_id: 4, part_option_id: 7 }, // Mountain wheels
-  { pricing_rule_id: 4, part_option_id: 13 }, // 8-speed chain
+  { pricing_rule_id: 4, group_number: 1, part_option_id: 7 }, // Mountain wheels
+  { pricing_rule_id: 4, group_number: 2, part_option_id: 13 }, // 8-speed chain
+
+  // Rack or kickstand fitting: (rear rack or kickstand) with any frame except
+  // step-through
+  { pricing_rule_id: 5, group_number: 1, part_option_id: 15 }, // Rear rack
+  { pricing_rule_id: 5, group_number: 1, part_option_id: 17 }, // Kickstand
+  { pricing_rule_id: 5, group_number: 2, part_type_id: 1 }, // Any frame
+  { pricing_rule_id: 5, group_number: 3, part_option_id: 3, negated: 1 }, // Not step-through
+
+  // Black Friday bike discount
+  { pricing_rule_id: 6, group_number: 1, part_type_id: 1 }, // Any frame
+
+  // Racing club discount
+  { pricing_rule_id: 7, group_number: 1, part_type_id: 1 }, // Any frame
+];
+
+// Sample Customer Groups, whose members get the prices restricted to them
+const customerGroups = [
+  {
+    id: 1,
+    name: 'Racing club',
+    description: 'Members of partner racing clubs',
+    active: 1,
+  },
+  { id: 2, name: 'Staff', description: 'Shop employees', active: 1 },
+];
+
+// Sample Campaigns, with UTC windows
+const campaigns = [
+  {
+    id: 1,
+    name: 'Black Friday',
+    description: 'Black Friday weekend sale',
+    valid_from: '2026-11-27 00:00:00',
+    valid_to: '2026-12-01 00:00:00',
+    active: 1,
+  },
+];
+
+// Sample Part Option Price Overrides, in euro cents
+const partOptionPriceOverrides = [
+  { part_option_id: 7, campaign_id: 1, price: 7900 }, // Mountain Wheels on sale
+  { part_option_id: 1, customer_group_id: 2, price: 11000 }, // Staff price of the Full-Suspension frame
+];
+
+// Sample Price Lists; catalogue prices are in EUR, and each list converts them
+// at its exchange rate unless a price is set for it below
+const priceLists = [
+  {
+    id: 1,
+    name: 'Switzerland',
+    currency: 'CHF',
+    exchange_rate: 0.94,
+    rounding_step: 5, // Prices end in 0.05
+    active: 1,
+  },
+  {
+    id: 2,
+    name: 'United Kingdom',
+    currency: 'GBP',
+    exchange_rate: 0.85,
+    rounding_step: 100, // Whole pounds
+    active: 1,
+  },
+];
+
+// Sample Price List Prices, in the minor unit of the list currency
+const priceListPrices = [
+  { price_list_id: 1, product_id: 1, price: 11500 }, // Adventure Bike in CHF
+  { price_list_id: 1, pricing_rule_id: 1, price: 4500 }, // Matte on full-suspension in CHF
+  { price_list_id: 2, part_option_id: 15, price: 3000 }, // Rear rack in GBP
+];
+
+// Sample Coupons; fixed amounts and minimum cart values are in euro cents
+const coupons = [
+  {
+    id: 1,
+    code: 'SPRING10',
+    description: '10% off carts of 500 euros or more this spring',
+    discount_type: 'percentage',
+    discount_value: 10,
+    min_cart_value: 50000,
+    max_uses: 500,
+    max_uses_per_customer: 1,
+    valid_from: '2026-03-01 00:00:00',
+    valid_to: '2026-06-01 00:00:00',
+    active: 1,
+  },
+  {
+    id: 2,
+    code: 'WELCOME25',
+    description: '25 euros off a first order',
+    discount_type: 'fixed',
+    discount_value: 2500,
+    max_uses_per_customer: 1,
+    active: 1,
+  },
+  {
+    id: 3,
+    code: 'FREEACCESSORY',
+    description: 'A free accessory with any bicycle',
+    discount_type: 'free_option',
+    free_part_type_id: 6, // Accessories
+    category_id: 1, // Bicycles
+    max_uses: 100,
+    valid_to: '2027-01-01 00:00:00',
+    active: 1,
+  },
+];
+
+// Sample Volume Discounts, for clubs and rental businesses
+const volumeDiscounts = [
+  {
+    id: 1,
+    name: '5+ identical bikes',
+    basis: 'item',
+    min_quantity: 5,
+    discount_percent: 8,
+    category_id: 1, // Bicycles
+    active: 1,
+  },
+  {
+    id: 2,
+    name: '10+ identical bikes',
+    basis: 'item',
+    min_quantity: 10,
+    discount_percent: 12,
+    category_id: 1,
+    active: 1,
+  },
+  {
+    id: 3,
+    name: '3+ bikes in one order',
+    basis: 'cart',
+    min_quantity: 3,
+    discount_percent: 3,
+    category_id: 1,
+    active: 1,
+  },
 ];
 
 // Example data export
 module.exports = {
   categories,
+  taxCategories,
+  taxRates,
   products,
   partTypes,
   productPartTypes,
   partOptions,
+  partTypeAttributes,
+  partOptionAttributes,
   inventory,
+  productPartOptions,
+  productPresets,
+  productPresetOptions,
   incompatibilityRules,
   ruleConditions,
+  ruleRequirements,
+  ruleAttributeConditions,
+  ruleConditionSets,
   pricingRules,
   pricingRuleConditions,
+  customerGroups,
+  campaigns,
+  partOptionPriceOverrides,
+  priceLists,
+  priceListPrices,
+  coupons,
+  volumeDiscounts,
 };
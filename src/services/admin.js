@@ -3,31 +3,104 @@
  *
  * Handles administrative operations for the shop owner
  */
+const ProductConfigurationService = require('./product_configuration');
+const {
+  PRICING_RULE_TARGETS,
+  STACKING_MODES,
+  toTimestamp,
+} = require('./pricing');
+const { COUPON_TYPES, normalizeCouponCode } = require('./coupons');
+const { VOLUME_DISCOUNT_BASES } = require('./volume_discounts');
+
+const ATTRIBUTE_DATA_TYPES = ['number', 'enum', 'text', 'colour'];
+
+const ATTRIBUTE_OPERATORS = ['<', '<=', '=', '!=', '>=', '>'];
+
+// Checks a value against the data type of an attribute, returning the value
+// as stored (colours in lowercase) or null if it is not valid
+function normalizeAttributeValue(attribute, value) {
+  const text = String(value).trim();
+
+  switch (attribute.data_type) {
+    case 'number':
+      return text !== '' && Number.isFinite(Number(text)) ? text : null;
+    case 'enum':
+      return JSON.parse(attribute.allowed_values || '[]').includes(text)
+        ? text
+        : null;
+    case 'colour':
+      return /^#[0-9a-f]{6}$/i.test(text) ? text.toLowerCase() : null;
+    default:
+      return text;
+  }
+}
+
+// The `validFrom` and `validTo` dates of a pricing rule, price override or
+// campaign as stored (null leaves the window open on that side), or null if
+// the window ends before it starts
+function validityWindow(data) {
+  const validFrom = data.validFrom ? toTimestamp(data.validFrom) : null;
+  const validTo = data.validTo ? toTimestamp(data.validTo) : null;
+
+  return validFrom && validTo && validTo <= validFrom
+    ? null
+    : { validFrom, validTo };
+}
+
+const INVALID_WINDOW = {
+  success: false,
+  message: 'validTo must be later than validFrom',
+};
+
+// Why the target and stacking mode of a pricing rule cannot be stored, or
+// null if they can
+function pricingRuleProblem(ruleData) {
+  const target = ruleData.target || 'configuration';
+  const stacking = ruleData.stacking || 'stack';
+
+  if (!PRICING_RULE_TARGETS.includes(target)) {
+    return `A pricing rule target must be one of ${PRICING_RULE_TARGETS.join(', ')}`;
+  }
+  if (target === 'option' && !ruleData.targetPartOptionId) {
+    return 'A pricing rule targeting an option needs a targetPartOptionId';
+  }
+  if (target === 'part_type' && !ruleData.targetPartTypeId) {
+    return 'A pricing rule targeting a part type needs a targetPartTypeId';
+  }
+  if (!STACKING_MODES.includes(stacking)) {
+    return `A pricing rule stacking mode must be one of ${STACKING_MODES.join(', ')}`;
+  }
+  return null;
+}
 
 class AdminService {
   constructor(database) {
     this.database = database;
+    this.productConfigService = new ProductConfigurationService(database);
   }
 
   /**
    * Creates a new product
    *
-   * @param {Object} productData - Product details
+   * @param {Object} productData - Product details, with the `basePrice` in
+   *   minor units of the shop currency (net of tax) and the `taxCategoryId`
+   *   (exempt when not set)
    * @returns {Object} The created product
    */
   async createProduct(productData) {
     // Insert new product
     const [newProduct] = await this.database.query(
       `INSERT INTO Products
-         (category_id, name, description, base_price, active)
-       VALUES (?, ?, ?, ?, ?)
+         (category_id, name, description, base_price, active, tax_category_id)
+       VALUES (?, ?, ?, ?, ?, ?)
        RETURNING id`,
       [
         productData.categoryId,
         productData.name,
         productData.description,
         productData.basePrice,
-        productData.active !== undefined ? productData.active : true,
+        Number(productData.active !== undefined ? productData.active : true),
+        productData.taxCategoryId || null,
       ]
     );
 
@@ -35,7 +108,7 @@ class AdminService {
     if (productData.partTypes && productData.partTypes.length > 0) {
       for (let i = 0; i < productData.partTypes.length; i++) {
         await this.database.query(
-          `INSERT INTO ProductPartTypes (product_id, part_type_id, sort_order) VALUES (?, ?, ?)`,
+          `INSERT INTO ProductPartTypes (product_id, part_type_id, display_order) VALUES (?, ?, ?)`,
           [newProduct.id, productData.partTypes[i], i + 1]
         );
       }
@@ -48,49 +121,217 @@ class AdminService {
   }
 
   /**
-   * Creates a new part type
+   * Creates a new part type. Unless `minSelections` and `maxSelections` are
+   * given, a required part type takes exactly one option and an optional one
+   * at most one.
    *
    * @param {Object} partTypeData - Part type details
    * @returns {Object} The created part type
    */
   async createPartType(partTypeData) {
+    const required =
+      partTypeData.required !== undefined ? partTypeData.required : true;
+    const minSelections =
+      partTypeData.minSelections !== undefined
+        ? partTypeData.minSelections
+        : Number(Boolean(required));
+    const maxSelections =
+      partTypeData.maxSelections !== undefined
+        ? partTypeData.maxSelections
+        : Math.max(minSelections, 1);
+
     const [newPartType] = await this.database.query(
       `INSERT INTO PartTypes
-         (name, description, required)
-       VALUES (?, ?, ?)
+         (name, description, required, min_selections, max_selections)
+       VALUES (?, ?, ?, ?, ?)
        RETURNING id`,
       [
         partTypeData.name,
         partTypeData.description,
-        partTypeData.required !== undefined ? partTypeData.required : true,
+        Number(minSelections > 0),
+        minSelections,
+        maxSelections,
       ]
     );
 
     return {
       id: newPartType.id,
       ...partTypeData,
+      required: minSelections > 0,
+      minSelections,
+      maxSelections,
+    };
+  }
+
+  /**
+   * Sets how many options of a part type can be picked. A minimum of zero
+   * makes the part type optional, allowing "none" to be chosen.
+   *
+   * @param {number} partTypeId - The part type ID
+   * @param {Object} limits - `minSelections` and `maxSelections`
+   * @returns {Object} Result of the operation
+   */
+  async setPartTypeSelectionLimits(
+    partTypeId,
+    { minSelections, maxSelections }
+  ) {
+    if (
+      minSelections < 0 ||
+      maxSelections < 1 ||
+      minSelections > maxSelections
+    ) {
+      return {
+        success: false,
+        message: 'Selection limits must satisfy 0 <= min <= max and max >= 1',
+      };
+    }
+
+    await this.database.query(
+      `UPDATE PartTypes
+       SET min_selections = ?, max_selections = ?, required = ?
+       WHERE id = ?`,
+      [minSelections, maxSelections, Number(minSelections > 0), partTypeId]
+    );
+
+    return {
+      success: true,
+      message: `Selection limits for part type ${partTypeId} updated`,
+    };
+  }
+
+  /**
+   * Adds a typed attribute to a part type, whose options can then be given a
+   * value for it (e.g. a number attribute "Diameter" in inches for wheels)
+   *
+   * @param {number} partTypeId - The part type ID
+   * @param {Object} attributeData - `name`, `dataType` (`number`, `enum`,
+   *   `text` or `colour`), an optional `unit`, and the `allowedValues` of an
+   *   enum
+   * @returns {Object} Result of the operation, with the attribute ID
+   */
+  async createPartTypeAttribute(partTypeId, attributeData) {
+    if (!ATTRIBUTE_DATA_TYPES.includes(attributeData.dataType)) {
+      return {
+        success: false,
+        message: `Unknown attribute data type: ${attributeData.dataType}`,
+      };
+    }
+    if (
+      attributeData.dataType === 'enum' &&
+      !(attributeData.allowedValues && attributeData.allowedValues.length > 0)
+    ) {
+      return {
+        success: false,
+        message: 'Enum attributes need a list of allowed values',
+      };
+    }
+
+    const [attribute] = await this.database.query(
+      `INSERT INTO PartTypeAttributes
+         (part_type_id, name, data_type, unit, allowed_values)
+       VALUES (?, ?, ?, ?, ?)
+       RETURNING id`,
+      [
+        partTypeId,
+        attributeData.name,
+        attributeData.dataType,
+        attributeData.unit || null,
+        attributeData.dataType === 'enum'
+          ? JSON.stringify(attributeData.allowedValues.map(String))
+          : null,
+      ]
+    );
+
+    return {
+      success: true,
+      message: `Attribute ${attributeData.name} added to part type ${partTypeId}`,
+      id: attribute.id,
+    };
+  }
+
+  /**
+   * Sets the value of an attribute for a part option, checked against the
+   * attribute's data type. Passing null removes the value.
+   *
+   * @param {number} partOptionId - The part option ID
+   * @param {number} attributeId - The attribute ID
+   * @param {number|string|null} value - The new value
+   * @returns {Object} Result of the operation
+   */
+  async setPartOptionAttribute(partOptionId, attributeId, value) {
+    if (value === null || value === undefined) {
+      await this.database.query(
+        `DELETE FROM PartOptionAttributes
+         WHERE part_option_id = ? AND attribute_id = ?`,
+        [partOptionId, attributeId]
+      );
+      return {
+        success: true,
+        message: `Attribute ${attributeId} removed from part option ${partOptionId}`,
+      };
+    }
+
+    const [attribute] = await this.database.query(
+      `SELECT a.name, a.data_type, a.allowed_values
+       FROM PartTypeAttributes a
+       JOIN PartOptions po ON po.part_type_id = a.part_type_id
+       WHERE a.id = ? AND po.id = ?`,
+      [attributeId, partOptionId]
+    );
+
+    if (!attribute) {
+      return {
+        success: false,
+        message: `Attribute ${attributeId} does not belong to the part type of option ${partOptionId}`,
+      };
+    }
+
+    const normalized = normalizeAttributeValue(attribute, value);
+    if (normalized === null) {
+      return {
+        success: false,
+        message: `Invalid ${attribute.data_type} value for ${attribute.name}: ${value}`,
+      };
+    }
+
+    await this.database.query(
+      `INSERT INTO PartOptionAttributes (part_option_id, attribute_id, value)
+       VALUES (?, ?, ?)
+       ON CONFLICT (part_option_id, attribute_id)
+       DO UPDATE SET value = excluded.value`,
+      [partOptionId, attributeId, normalized]
+    );
+
+    return {
+      success: true,
+      message: `${attribute.name} of part option ${partOptionId} updated`,
     };
   }
 
   /**
    * Creates a new part option
    *
-   * @param {Object} partOptionData - Part option details
+   * @param {Object} partOptionData - Part option details, with the
+   *   `basePrice` in minor units of the shop currency (net of tax) and a
+   *   `taxCategoryId` when it is not taxed like the product
    * @returns {Object} The created part option
    */
   async createPartOption(partOptionData) {
     // 1. Create the part option
     const [newPartOption] = await this.database.query(
       `INSERT INTO PartOptions
-         (part_type_id, name, description, base_price, active)
-       VALUES (?, ?, ?, ?, ?)
+         (part_type_id, name, description, base_price, active, tax_category_id)
+       VALUES (?, ?, ?, ?, ?, ?)
        RETURNING id`,
       [
         partOptionData.partTypeId,
         partOptionData.name,
         partOptionData.description,
         partOptionData.basePrice,
-        partOptionData.active !== undefined ? partOptionData.active : true,
+        Number(
+          partOptionData.active !== undefined ? partOptionData.active : true
+        ),
+        partOptionData.taxCategoryId || null,
       ]
     );
 
@@ -99,7 +340,7 @@ class AdminService {
       await this.database.query(
         `INSERT INTO Inventory (part_option_id, quantity, in_stock)
          VALUES (?, ?, ?)`,
-        [newPartOption.id, partOptionData.initialStock, true]
+        [newPartOption.id, partOptionData.initialStock, 1]
       );
     }
 
@@ -154,23 +395,281 @@ class AdminService {
     };
   }
 
+  /**
+   * Sets the option suggested by default for a part type of a product when
+   * completing a configuration. Passing null clears it.
+   *
+   * @param {number} productId - The product ID
+   * @param {number} partTypeId - The part type ID
+   * @param {number|null} partOptionId - The default part option
+   * @returns {Object} Result of the operation
+   */
+  async setDefaultPartOption(productId, partTypeId, partOptionId) {
+    await this.database.query(
+      `UPDATE ProductPartTypes SET default_part_option_id = ?
+       WHERE product_id = ? AND part_type_id = ?`,
+      [partOptionId, productId, partTypeId]
+    );
+    return {
+      success: true,
+      message: `Default option for part type ${partTypeId} updated`,
+    };
+  }
+
+  /**
+   * Creates a named preset build of a product (e.g. "Commuter") that
+   * customers can start configuring from. The selections must form a valid
+   * configuration; options out of stock are accepted, as stock changes
+   * independently of the preset.
+   *
+   * @param {number} productId - The product ID
+   * @param {Object} presetData - `name`, `description`, `selections` (in the
+   *   validateConfiguration format), `displayOrder` and `active`
+   * @returns {Object} Result of the operation, with the preset ID and the
+   *   validation of its selections
+   */
+  async createProductPreset(productId, presetData) {
+    const validation = await this.productConfigService.validateConfiguration(
+      productId,
+      presetData.selections
+    );
+    if (!validation.valid && !validation.unavailableOptions) {
+      return {
+        success: false,
+        message: `Preset is not a valid configuration: ${validation.message}`,
+        validation,
+      };
+    }
+
+    const [newPreset] = await this.database.query(
+      `INSERT INTO ProductPresets
+         (product_id, name, description, display_order, active)
+       VALUES (?, ?, ?, ?, ?)
+       RETURNING id`,
+      [
+        productId,
+        presetData.name,
+        presetData.description || null,
+        presetData.displayOrder || null,
+        Number(presetData.active !== undefined ? presetData.active : true),
+      ]
+    );
+    await this.savePresetSelections(newPreset.id, presetData.selections);
+
+    return {
+      success: true,
+      message: `Preset ${presetData.name} created for product ${productId}`,
+      id: newPreset.id,
+      validation,
+    };
+  }
+
+  /**
+   * Replaces the details and selections of a preset, validated as in
+   * createProductPreset
+   *
+   * @param {number} presetId - The preset ID
+   * @param {Object} presetData - The same fields as createProductPreset
+   * @returns {Object} Result of the operation, with the validation of the
+   *   new selections
+   */
+  async updateProductPreset(presetId, presetData) {
+    const [preset] = await this.database.query(
+      'SELECT product_id FROM ProductPresets WHERE id = ?',
+      [presetId]
+    );
+    if (!preset) {
+      return { success: false, message: `Preset ${presetId} not found` };
+    }
+
+    const validation = await this.productConfigService.validateConfiguration(
+      preset.product_id,
+      presetData.selections
+    );
+    if (!validation.valid && !validation.unavailableOptions) {
+      return {
+        success: false,
+        message: `Preset is not a valid configuration: ${validation.message}`,
+        validation,
+      };
+    }
+
+    await this.database.query(
+      `UPDATE ProductPresets
+       SET name = ?, description = ?, display_order = ?, active = ?
+       WHERE id = ?`,
+      [
+        presetData.name,
+        presetData.description || null,
+        presetData.displayOrder || null,
+        Number(presetData.active !== undefined ? presetData.active : true),
+        presetId,
+      ]
+    );
+    await this.database.query(
+      'DELETE FROM ProductPresetOptions WHERE preset_id = ?',
+      [presetId]
+    );
+    await this.savePresetSelections(presetId, presetData.selections);
+
+    return {
+      success: true,
+      message: `Preset ${presetId} updated`,
+      validation,
+    };
+  }
+
+  /**
+   * Deletes a preset and its selections
+   *
+   * @param {number} presetId - The preset ID
+   * @returns {Object} Result of the operation
+   */
+  async deleteProductPreset(presetId) {
+    await this.database.query(
+      'DELETE FROM ProductPresetOptions WHERE preset_id = ?',
+      [presetId]
+    );
+    await this.database.query('DELETE FROM ProductPresets WHERE id = ?', [
+      presetId,
+    ]);
+
+    return {
+      success: true,
+      message: `Preset ${presetId} deleted`,
+    };
+  }
+
+  /**
+   * Stores the selections of a preset, one row per option and one row
+   * without an option per part type left empty
+   */
+  async savePresetSelections(presetId, selections) {
+    for (const selection of selections) {
+      if (selection.none) {
+        await this.database.query(
+          `INSERT INTO ProductPresetOptions (preset_id, part_type_id, part_option_id)
+           VALUES (?, ?, NULL)`,
+          [presetId, selection.partTypeId]
+        );
+      } else {
+        await this.database.query(
+          `INSERT INTO ProductPresetOptions (preset_id, part_type_id, part_option_id)
+           SELECT ?, part_type_id, id FROM PartOptions WHERE id = ?`,
+          [presetId, selection.partOptionId]
+        );
+      }
+    }
+  }
+
+  /**
+   * Restricts the options of a part type offered on a product. Once a product
+   * has options assigned for a part type, the other options of that part type
+   * are no longer offered on it.
+   *
+   * @param {number} productId - The product ID
+   * @param {Array} partOptionIds - The part options to offer
+   * @returns {Object} Result of the operation
+   */
+  async assignPartOptionsToProduct(productId, partOptionIds) {
+    for (const partOptionId of partOptionIds) {
+      await this.database.query(
+        `INSERT OR IGNORE INTO ProductPartOptions (product_id, part_option_id)
+         VALUES (?, ?)`,
+        [productId, partOptionId]
+      );
+    }
+
+    return {
+      success: true,
+      message: `Assigned ${partOptionIds.length} part options to product ${productId}`,
+    };
+  }
+
+  /**
+   * Removes part option assignments from a product. When no assignments are
+   * left for a part type, all of its options are offered again.
+   *
+   * @param {number} productId - The product ID
+   * @param {Array} partOptionIds - The part options to stop offering
+   * @returns {Object} Result of the operation
+   */
+  async removePartOptionsFromProduct(productId, partOptionIds) {
+    // Use separate placeholders for each ID to avoid the IN clause array issue
+    const placeholders = partOptionIds.map(() => '?').join(',');
+    await this.database.query(
+      `DELETE FROM ProductPartOptions
+       WHERE product_id = ? AND part_option_id IN (${placeholders})`,
+      [productId, ...partOptionIds]
+    );
+
+    return {
+      success: true,
+      message: `Removed ${partOptionIds.length} part options from product ${productId}`,
+    };
+  }
+
   /**
    * Creates a new incompatibility rule
    *
-   * @param {Object} ruleData - Rule details
-   * @returns {Object} The created rule
+   * @param {Object} ruleData - Rule details, with an optional productId or
+   *   categoryId to scope the rule. Besides option conditions, it can hold
+   *   `attributeConditions` (`leftAttributeId`, `operator`,
+   *   `rightAttributeId`) that options must satisfy to be combined, e.g.
+   *   wheel diameter `<=` frame max wheel diameter
+   * @returns {Object} The created rule, or a failure result if an attribute
+   *   condition has an unknown operator or attribute
    */
   async createIncompatibilityRule(ruleData) {
+    // 0. Check the attribute conditions, before anything is stored
+    const attributeConditions = ruleData.attributeConditions || [];
+    if (
+      attributeConditions.some(
+        (cond) => !ATTRIBUTE_OPERATORS.includes(cond.operator)
+      )
+    ) {
+      return {
+        success: false,
+        message: `An attribute condition operator must be one of ${ATTRIBUTE_OPERATORS.join(', ')}`,
+      };
+    }
+    if (attributeConditions.length > 0) {
+      const attributeIds = [
+        ...new Set(
+          attributeConditions.flatMap((cond) => [
+            cond.leftAttributeId,
+            cond.rightAttributeId,
+          ])
+        ),
+      ];
+      const placeholders = attributeIds.map(() => '?').join(',');
+      const attributes = await this.database.query(
+        `SELECT id FROM PartTypeAttributes WHERE id IN (${placeholders})`,
+        attributeIds
+      );
+      const unknownIds = attributeIds.filter(
+        (id) => !attributes.some((attribute) => attribute.id === id)
+      );
+      if (unknownIds.length > 0) {
+        return {
+          success: false,
+          message: `Unknown part type attributes: ${unknownIds.join(', ')}`,
+        };
+      }
+    }
+
     // 1. Create the rule
     const [newRule] = await this.database.query(
       `INSERT INTO IncompatibilityRules
-         (name, description, active)
-       VALUES (?, ?, ?)
+         (name, description, active, product_id, category_id)
+       VALUES (?, ?, ?, ?, ?)
        RETURNING id`,
       [
         ruleData.name,
         ruleData.description,
-        ruleData.active !== undefined ? ruleData.active : true,
+        Number(ruleData.active !== undefined ? ruleData.active : true),
+        ruleData.productId || null,
+        ruleData.categoryId || null,
       ]
     );
 
@@ -185,60 +684,960 @@ class AdminService {
       }
     }
 
+    // 3. Add condition sets, whose options may not all be selected together
+    if (ruleData.conditionSets && ruleData.conditionSets.length > 0) {
+      for (let i = 0; i < ruleData.conditionSets.length; i++) {
+        for (const partOptionId of ruleData.conditionSets[i]) {
+          await this.database.query(
+            `INSERT INTO RuleConditionSets (rule_id, set_number, part_option_id)
+             VALUES (?, ?, ?)`,
+            [newRule.id, i + 1, partOptionId]
+          );
+        }
+      }
+    }
+
+    // 4. Add attribute conditions, comparing the attributes of two options
+    if (
+      ruleData.attributeConditions &&
+      ruleData.attributeConditions.length > 0
+    ) {
+      for (const cond of ruleData.attributeConditions) {
+        await this.database.query(
+          `INSERT INTO RuleAttributeConditions (rule_id, left_attribute_id, operator, right_attribute_id)
+           VALUES (?, ?, ?, ?)`,
+          [
+            newRule.id,
+            cond.leftAttributeId,
+            cond.operator,
+            cond.rightAttributeId,
+          ]
+        );
+      }
+    }
+
+    // 5. Add "requires" conditions, one row per allowed option
+    if (ruleData.requirements && ruleData.requirements.length > 0) {
+      for (const req of ruleData.requirements) {
+        for (const allowedPartOptionId of req.allowedPartOptionIds) {
+          await this.database.query(
+            `INSERT INTO RuleRequirements (rule_id, part_option_id, required_part_type_id, allowed_part_option_id)
+             VALUES (?, ?, ?, ?)`,
+            [
+              newRule.id,
+              req.partOptionId,
+              req.requiredPartTypeId,
+              allowedPartOptionId,
+            ]
+          );
+        }
+      }
+    }
+
     return {
       id: newRule.id,
       ...ruleData,
+      analysis: await this.analyzeNewRule('incompatibility', newRule.id),
+    };
+  }
+
+  /**
+   * Scopes an incompatibility rule to a product or category. Passing neither
+   * makes the rule apply to every product again.
+   *
+   * @param {number} ruleId - The rule ID
+   * @param {Object} scope - The productId and/or categoryId
+   * @returns {Object} Result of the operation
+   */
+  async setIncompatibilityRuleScope(ruleId, scope = {}) {
+    await this.database.query(
+      `UPDATE IncompatibilityRules SET product_id = ?, category_id = ? WHERE id = ?`,
+      [scope.productId || null, scope.categoryId || null, ruleId]
+    );
+    return {
+      success: true,
+      message: `Incompatibility rule ${ruleId} scope updated`,
     };
   }
 
   /**
    * Creates a new pricing rule
    *
-   * @param {Object} ruleData - Rule details
+   * @param {Object} ruleData - Rule details, with an optional productId or
+   *   categoryId to scope the rule. Each entry of `conditions` must hold for
+   *   the rule to apply: a part option ID, a condition object
+   *   (`partOptionId` or `partTypeId` for any option of that part type, and
+   *   `negated` to require it not to be selected), or an array of those of
+   *   which any one is enough, e.g. `[4, { partOptionId: 2, negated: true }]`
+   *   for "matte finish with any frame except diamond". `priceAdjustment` is
+   *   in minor units of the shop currency, or a percentage. The adjustment
+   *   applies to the `target` (`configuration` by default, `option` with a
+   *   `targetPartOptionId` or `part_type` with a `targetPartTypeId`), in
+   *   `priority` order, and its `stacking` mode is `stack` by default
+   *   (`exclusive` and `best_of` are the others). A rule with a `validFrom`
+   *   and/or `validTo` date, or a `campaignId`, is only in effect within
+   *   that window and the campaign's, and one with a `customerGroupId` only
+   *   applies to the members of that group
    * @returns {Object} The created rule
    */
   async createPricingRule(ruleData) {
+    const window = validityWindow(ruleData);
+    if (!window) {
+      return INVALID_WINDOW;
+    }
+    const problem = pricingRuleProblem(ruleData);
+    if (problem) {
+      return { success: false, message: problem };
+    }
+
     // 1. Create the rule
     const [newRule] = await this.database.query(
       `INSERT INTO PricingRules
-         (name, description, price_adjustment, is_percentage, active)
-       VALUES (?, ?, ?, ?, ?)
+         (name, description, price_adjustment, is_percentage, active, product_id, category_id,
+          priority, target, target_part_option_id, target_part_type_id, stacking,
+          campaign_id, customer_group_id, valid_from, valid_to)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
        RETURNING id`,
       [
         ruleData.name,
         ruleData.description,
         ruleData.priceAdjustment,
-        ruleData.isPercentage !== undefined ? ruleData.isPercentage : false,
-        ruleData.active !== undefined ? ruleData.active : true,
+        Number(
+          ruleData.isPercentage !== undefined ? ruleData.isPercentage : false
+        ),
+        Number(ruleData.active !== undefined ? ruleData.active : true),
+        ruleData.productId || null,
+        ruleData.categoryId || null,
+        ruleData.priority || 0,
+        ruleData.target || 'configuration',
+        ruleData.targetPartOptionId || null,
+        ruleData.targetPartTypeId || null,
+        ruleData.stacking || 'stack',
+        ruleData.campaignId || null,
+        ruleData.customerGroupId || null,
+        window.validFrom,
+        window.validTo,
       ]
     );
 
-    // 2. Add rule conditions
+    // 2. Add rule conditions, one group per entry
     if (ruleData.conditions && ruleData.conditions.length > 0) {
-      for (const cond of ruleData.conditions) {
-        await this.database.query(
-          `INSERT INTO PricingRuleConditions (rule_id, part_option_id)
-           VALUES (?, ?)`,
-          [newRule.id, cond]
-        );
+      for (let i = 0; i < ruleData.conditions.length; i++) {
+        const group = [].concat(ruleData.conditions[i]);
+        for (const cond of group) {
+          const condition =
+            typeof cond === 'object' ? cond : { partOptionId: cond };
+          await this.database.query(
+            `INSERT INTO PricingRuleConditions
+               (pricing_rule_id, group_number, part_option_id, part_type_id, negated)
+             VALUES (?, ?, ?, ?, ?)`,
+            [
+              newRule.id,
+              i + 1,
+              condition.partOptionId || null,
+              condition.partTypeId || null,
+              Number(Boolean(condition.negated)),
+            ]
+          );
+        }
       }
     }
 
     return {
       id: newRule.id,
       ...ruleData,
+      analysis: await this.analyzeNewRule('pricing', newRule.id),
+    };
+  }
+
+  /**
+   * Scopes a pricing rule to a product or category. Passing neither makes the
+   * rule apply to every product again.
+   *
+   * @param {number} ruleId - The rule ID
+   * @param {Object} scope - The productId and/or categoryId
+   * @returns {Object} Result of the operation
+   */
+  async setPricingRuleScope(ruleId, scope = {}) {
+    await this.database.query(
+      `UPDATE PricingRules SET product_id = ?, category_id = ? WHERE id = ?`,
+      [scope.productId || null, scope.categoryId || null, ruleId]
+    );
+    return {
+      success: true,
+      message: `Pricing rule ${ruleId} scope updated`,
+    };
+  }
+
+  /**
+   * Creates a sale campaign. The pricing rules and price overrides of a
+   * campaign are only in effect while it is active and within its window, so
+   * a sale can be scheduled ahead or ended early as a whole.
+   *
+   * @param {Object} campaignData - The `name`, optional `description`,
+   *   `validFrom` and `validTo` dates (a missing one leaves the window open on
+   *   that side) and `active` flag
+   * @returns {Object} The created campaign
+   */
+  async createCampaign(campaignData) {
+    const window = validityWindow(campaignData);
+    if (!window) {
+      return INVALID_WINDOW;
+    }
+
+    const [newCampaign] = await this.database.query(
+      `INSERT INTO Campaigns (name, description, valid_from, valid_to, active)
+       VALUES (?, ?, ?, ?, ?)
+       RETURNING id`,
+      [
+        campaignData.name,
+        campaignData.description || null,
+        window.validFrom,
+        window.validTo,
+        Number(campaignData.active !== undefined ? campaignData.active : true),
+      ]
+    );
+
+    return { id: newCampaign.id, ...campaignData };
+  }
+
+  /**
+   * Overrides the base price of a part option for a time, e.g. a sale price,
+   * or for the members of a customer group, e.g. a staff price. When several
+   * overrides are in effect the lowest price wins.
+   *
+   * @param {number} partOptionId - The part option ID
+   * @param {Object} overrideData - The `price`, in minor units of the shop
+   *   currency, with a `campaignId` and/or `validFrom` and `validTo` dates,
+   *   and a `customerGroupId`
+   * @returns {Object} The created price override
+   */
+  async createPriceOverride(partOptionId, overrideData) {
+    const window = validityWindow(overrideData);
+    if (!window) {
+      return INVALID_WINDOW;
+    }
+
+    const [newOverride] = await this.database.query(
+      `INSERT INTO PartOptionPriceOverrides
+         (part_option_id, campaign_id, customer_group_id, price, valid_from,
+          valid_to)
+       VALUES (?, ?, ?, ?, ?, ?)
+       RETURNING id`,
+      [
+        partOptionId,
+        overrideData.campaignId || null,
+        overrideData.customerGroupId || null,
+        overrideData.price,
+        window.validFrom,
+        window.validTo,
+      ]
+    );
+
+    return { id: newOverride.id, partOptionId, ...overrideData };
+  }
+
+  /**
+   * Creates a customer group, e.g. racing-club members or resellers, to
+   * restrict pricing rules and price overrides to
+   *
+   * @param {Object} groupData - The `name`, optional `description` and
+   *   `active` flag
+   * @returns {Object} Result of the operation, with the group ID
+   */
+  async createCustomerGroup(groupData) {
+    const [existing] = await this.database.query(
+      'SELECT id FROM CustomerGroups WHERE name = ?',
+      [groupData.name]
+    );
+    if (existing) {
+      return {
+        success: false,
+        message: `Customer group ${groupData.name} already exists`,
+      };
+    }
+
+    const [newGroup] = await this.database.query(
+      `INSERT INTO CustomerGroups (name, description, active)
+       VALUES (?, ?, ?)
+       RETURNING id`,
+      [
+        groupData.name,
+        groupData.description || null,
+        Number(groupData.active !== undefined ? groupData.active : true),
+      ]
+    );
+
+    return {
+      success: true,
+      message: `Customer group ${groupData.name} created`,
+      id: newGroup.id,
+    };
+  }
+
+  /**
+   * Adds customers to a customer group. Customers already in the group, or
+   * that do not exist, are skipped.
+   *
+   * @param {number} groupId - The customer group ID
+   * @param {Array} customerIds - The customers to add
+   * @returns {Object} Result of the operation
+   */
+  async addCustomersToGroup(groupId, customerIds) {
+    const [group] = await this.database.query(
+      'SELECT id FROM CustomerGroups WHERE id = ?',
+      [groupId]
+    );
+    if (!group) {
+      return {
+        success: false,
+        message: `Customer group ${groupId} not found`,
+      };
+    }
+
+    for (const customerId of customerIds) {
+      await this.database.query(
+        `INSERT OR IGNORE INTO CustomerGroupMembers
+           (customer_group_id, customer_id)
+         SELECT ?, id FROM Customers WHERE id = ?`,
+        [groupId, customerId]
+      );
+    }
+
+    return {
+      success: true,
+      message: `Added ${customerIds.length} customers to customer group ${groupId}`,
+    };
+  }
+
+  /**
+   * Removes customers from a customer group. They keep the prices of the
+   * items already in their cart.
+   *
+   * @param {number} groupId - The customer group ID
+   * @param {Array} customerIds - The customers to remove
+   * @returns {Object} Result of the operation
+   */
+  async removeCustomersFromGroup(groupId, customerIds) {
+    const placeholders = customerIds.map(() => '?').join(',');
+    await this.database.query(
+      `DELETE FROM CustomerGroupMembers
+       WHERE customer_group_id = ? AND customer_id IN (${placeholders})`,
+      [groupId, ...customerIds]
+    );
+
+    return {
+      success: true,
+      message: `Removed ${customerIds.length} customers from customer group ${groupId}`,
+    };
+  }
+
+  /**
+   * Lists the members of a customer group
+   *
+   * @param {number} groupId - The customer group ID
+   * @returns {Array} The members, with their `id`, `email` and `name`
+   */
+  async getCustomerGroupMembers(groupId) {
+    return this.database.query(
+      `SELECT c.id, c.email, c.name
+       FROM CustomerGroupMembers cgm
+       JOIN Customers c ON c.id = cgm.customer_id
+       WHERE cgm.customer_group_id = ?
+       ORDER BY c.name, c.id`,
+      [groupId]
+    );
+  }
+
+  /**
+   * Creates a coupon customers can apply to their cart with its code
+   *
+   * @param {Object} couponData - The `code`, `description`, `discountType`
+   *   (`fixed`, `percentage` or `free_option`) with its `discountValue` (in
+   *   minor units of the shop currency, or a percentage) or the
+   *   `freePartTypeId` whose dearest selected option is made free, and the
+   *   optional `minCartValue`, `maxUses`, `maxUsesPerCustomer`, `productId`
+   *   or `categoryId` scope, `validFrom` and `validTo` dates and `active` flag
+   * @returns {Object} Result of the operation, with the coupon ID
+   */
+  async createCoupon(couponData) {
+    const code = normalizeCouponCode(couponData.code);
+    const isFreeOption = couponData.discountType === 'free_option';
+
+    if (!COUPON_TYPES.includes(couponData.discountType)) {
+      return {
+        success: false,
+        message: `A coupon discount type must be one of ${COUPON_TYPES.join(', ')}`,
+      };
+    }
+    if (
+      isFreeOption
+        ? !couponData.freePartTypeId
+        : !(couponData.discountValue > 0)
+    ) {
+      return {
+        success: false,
+        message: isFreeOption
+          ? 'A free option coupon needs the part type of the free option'
+          : 'A coupon needs a discount value above 0',
+      };
+    }
+
+    const window = validityWindow(couponData);
+    if (!window) {
+      return INVALID_WINDOW;
+    }
+
+    const [existing] = await this.database.query(
+      'SELECT id FROM Coupons WHERE code = ?',
+      [code]
+    );
+    if (existing) {
+      return {
+        success: false,
+        message: `Coupon ${code} already exists`,
+      };
+    }
+
+    const [newCoupon] = await this.database.query(
+      `INSERT INTO Coupons
+         (code, description, discount_type, discount_value, free_part_type_id,
+          min_cart_value, max_uses, max_uses_per_customer, product_id,
+          category_id, valid_from, valid_to, active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       RETURNING id`,
+      [
+        code,
+        couponData.description || null,
+        couponData.discountType,
+        isFreeOption ? null : couponData.discountValue,
+        isFreeOption ? couponData.freePartTypeId : null,
+        couponData.minCartValue || null,
+        couponData.maxUses || null,
+        couponData.maxUsesPerCustomer || null,
+        couponData.productId || null,
+        couponData.categoryId || null,
+        window.validFrom,
+        window.validTo,
+        Number(couponData.active !== undefined ? couponData.active : true),
+      ]
+    );
+
+    return {
+      success: true,
+      message: `Coupon ${code} created`,
+      id: newCoupon.id,
+    };
+  }
+
+  /**
+   * Creates a volume discount, taken off carts when their total is next
+   * recalculated
+   *
+   * @param {Object} discountData - The `name` shown on the cart, the `basis`
+   *   (`item` for the units of one cart item, `cart` for the units of all the
+   *   items in scope), the `minQuantity` and the `discountPercent`, with an
+   *   optional `productId` or `categoryId` scope and `active` flag
+   * @returns {Object} Result of the operation, with the volume discount ID
+   */
+  async createVolumeDiscount(discountData) {
+    const basis = discountData.basis || 'item';
+
+    if (
+      !VOLUME_DISCOUNT_BASES.includes(basis) ||
+      !(discountData.minQuantity >= 1) ||
+      !(discountData.discountPercent > 0 && discountData.discountPercent <= 100)
+    ) {
+      return {
+        success: false,
+        message:
+          'A volume discount needs an item or cart basis, a minimum quantity of 1 or more and a percentage up to 100',
+      };
+    }
+
+    const [newDiscount] = await this.database.query(
+      `INSERT INTO VolumeDiscounts
+         (name, basis, min_quantity, discount_percent, product_id, category_id, active)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       RETURNING id`,
+      [
+        discountData.name,
+        basis,
+        discountData.minQuantity,
+        discountData.discountPercent,
+        discountData.productId || null,
+        discountData.categoryId || null,
+        Number(discountData.active !== undefined ? discountData.active : true),
+      ]
+    );
+
+    return {
+      success: true,
+      message: `Volume discount ${discountData.name} created`,
+      id: newDiscount.id,
+    };
+  }
+
+  /**
+   * Creates a price list. Catalogue prices are converted to its currency at
+   * `exchangeRate` (units of its currency per unit of the shop currency),
+   * rounded to a multiple of `roundingStep` minor units, unless a price is set
+   * on the list with setPriceListPrice.
+   *
+   * @param {Object} priceListData - The `name`, `currency`, `exchangeRate`,
+   *   and optional `roundingStep` and `active` flag
+   * @returns {Object} The created price list
+   */
+  async createPriceList(priceListData) {
+    const [newPriceList] = await this.database.query(
+      `INSERT INTO PriceLists
+         (name, currency, exchange_rate, rounding_step, active)
+       VALUES (?, ?, ?, ?, ?)
+       RETURNING id`,
+      [
+        priceListData.name,
+        priceListData.currency,
+        priceListData.exchangeRate,
+        priceListData.roundingStep || 1,
+        Number(
+          priceListData.active !== undefined ? priceListData.active : true
+        ),
+      ]
+    );
+
+    return { id: newPriceList.id, ...priceListData };
+  }
+
+  /**
+   * Sets the price of a product, part option or fixed pricing rule
+   * adjustment in a price list, replacing its converted price
+   *
+   * @param {number} priceListId - The price list ID
+   * @param {Object} target - The `productId`, `partOptionId` or
+   *   `pricingRuleId` to price
+   * @param {number} price - The price, in minor units of the list currency
+   * @returns {Object} Result of the operation
+   */
+  async setPriceListPrice(priceListId, target, price) {
+    const columns = {
+      productId: 'product_id',
+      partOptionId: 'part_option_id',
+      pricingRuleId: 'pricing_rule_id',
+    };
+    const keys = Object.keys(columns).filter(
+      (key) => target[key] !== undefined && target[key] !== null
+    );
+
+    if (keys.length !== 1) {
+      return {
+        success: false,
+        message:
+          'A price list price is for exactly one product, part option or pricing rule',
+      };
+    }
+
+    const column = columns[keys[0]];
+    await this.database.query(
+      `INSERT INTO PriceListPrices (price_list_id, ${column}, price)
+       VALUES (?, ?, ?)
+       ON CONFLICT (price_list_id, ${column}) DO UPDATE SET price = excluded.price`,
+      [priceListId, target[keys[0]], price]
+    );
+
+    return {
+      success: true,
+      message: `Price set in price list ${priceListId}`,
+    };
+  }
+
+  /**
+   * Creates a tax category, such as the standard or a reduced VAT rate
+   *
+   * @param {Object} taxCategoryData - The `name` of the tax category
+   * @returns {Object} The created tax category
+   */
+  async createTaxCategory(taxCategoryData) {
+    const [newTaxCategory] = await this.database.query(
+      'INSERT INTO TaxCategories (name) VALUES (?) RETURNING id',
+      [taxCategoryData.name]
+    );
+
+    return { id: newTaxCategory.id, ...taxCategoryData };
+  }
+
+  /**
+   * Sets the rate a tax category is taxed at in a destination country,
+   * replacing its current rate there
+   *
+   * @param {number} taxCategoryId - The tax category ID
+   * @param {string} country - ISO 3166 alpha-2 country code
+   * @param {number} rate - The rate, in percent (e.g. 21 or 5.5)
+   * @returns {Object} Result of the operation
+   */
+  async setTaxRate(taxCategoryId, country, rate) {
+    if (!/^[A-Z]{2}$/.test(country) || !(rate >= 0)) {
+      return {
+        success: false,
+        message:
+          'A tax rate needs a two-letter country code and a rate of 0 or more',
+      };
+    }
+
+    await this.database.query(
+      `INSERT INTO TaxRates (tax_category_id, country, rate)
+       VALUES (?, ?, ?)
+       ON CONFLICT (tax_category_id, country) DO UPDATE SET rate = excluded.rate`,
+      [taxCategoryId, country, rate]
+    );
+
+    return {
+      success: true,
+      message: `Tax rate of category ${taxCategoryId} in ${country} set to ${rate}%`,
+    };
+  }
+
+  /**
+   * Scans the incompatibility and pricing rules for contradictory or
+   * ineffective data. Errors are rules or options that can never work as
+   * intended, warnings are rules that are redundant or depend on inactive
+   * options, and presets the rules no longer allow.
+   *
+   * @returns {Object} The `errors` and `warnings` found, each with a `code`,
+   *   a `message` and the IDs of the offending rules, conditions, options,
+   *   products or presets
+   */
+  async analyzeRules() {
+    const incompatibility = await this.analyzeIncompatibilityRules();
+    const pricing = await this.analyzePricingRules();
+    const products = await this.database.query(
+      'SELECT id FROM Products WHERE active = TRUE ORDER BY id'
+    );
+    const catalogue = await this.analyzeProducts(
+      products.map((product) => product.id)
+    );
+
+    return {
+      errors: [
+        ...incompatibility.errors,
+        ...pricing.errors,
+        ...catalogue.errors,
+      ],
+      warnings: [
+        ...incompatibility.warnings,
+        ...pricing.warnings,
+        ...catalogue.warnings,
+      ],
+    };
+  }
+
+  /**
+   * Finds incompatibility rules with conditions on a single option, repeated
+   * conditions, and rules referencing inactive options
+   *
+   * @returns {Object} The `errors` and `warnings` found
+   */
+  async analyzeIncompatibilityRules() {
+    const errors = [];
+    const warnings = [];
+
+    // 1. Pairwise conditions on a single option, or repeated in any direction
+    const conditions = await this.database.query(
+      `SELECT rc.id, rc.rule_id, rc.part_option_id,
+              rc.incompatible_with_part_option_id, ir.product_id, ir.category_id
+       FROM RuleConditions rc
+       JOIN IncompatibilityRules ir ON ir.id = rc.rule_id
+       WHERE ir.active = TRUE
+       ORDER BY rc.id`
+    );
+
+    const conditionsByPair = new Map();
+    for (const condition of conditions) {
+      const pair = [
+        condition.part_option_id,
+        condition.incompatible_with_part_option_id,
+      ].sort((a, b) => a - b);
+
+      if (pair[0] === pair[1]) {
+        errors.push({
+          code: 'self_condition',
+          message: `Rule ${condition.rule_id} makes option ${pair[0]} incompatible with itself`,
+          ruleType: 'incompatibility',
+          ruleIds: [condition.rule_id],
+          conditionIds: [condition.id],
+          partOptionIds: [pair[0]],
+        });
+        continue;
+      }
+
+      const key = [...pair, condition.product_id, condition.category_id].join(
+        ':'
+      );
+      if (!conditionsByPair.has(key)) {
+        conditionsByPair.set(key, { pair, conditions: [] });
+      }
+      conditionsByPair.get(key).conditions.push(condition);
+    }
+
+    for (const { pair, conditions: duplicates } of conditionsByPair.values()) {
+      if (duplicates.length > 1) {
+        const ruleIds = [...new Set(duplicates.map((c) => c.rule_id))];
+        warnings.push({
+          code: 'duplicate_condition',
+          message: `Options ${pair[0]} and ${pair[1]} are declared incompatible ${duplicates.length} times (rules ${ruleIds.join(', ')})`,
+          ruleType: 'incompatibility',
+          ruleIds,
+          conditionIds: duplicates.map((c) => c.id),
+          partOptionIds: pair,
+        });
+      }
+    }
+
+    // 2. Incompatibility rules referencing inactive options
+    const inactiveReferences = await this.database.query(
+      `SELECT refs.rule_id, GROUP_CONCAT(DISTINCT po.id) AS part_option_ids
+       FROM (
+         SELECT rule_id, part_option_id FROM RuleConditions
+         UNION SELECT rule_id, incompatible_with_part_option_id FROM RuleConditions
+         UNION SELECT rule_id, part_option_id FROM RuleConditionSets
+         UNION SELECT rule_id, part_option_id FROM RuleRequirements
+         UNION SELECT rule_id, allowed_part_option_id FROM RuleRequirements
+       ) refs
+       JOIN IncompatibilityRules ir ON ir.id = refs.rule_id
+       JOIN PartOptions po ON po.id = refs.part_option_id
+       WHERE ir.active = TRUE AND po.active = FALSE
+       GROUP BY refs.rule_id`
+    );
+
+    for (const reference of inactiveReferences) {
+      const partOptionIds = reference.part_option_ids.split(',').map(Number);
+      warnings.push({
+        code: 'inactive_option',
+        message: `Incompatibility rule ${reference.rule_id} references inactive options ${partOptionIds.join(', ')}`,
+        ruleType: 'incompatibility',
+        ruleIds: [reference.rule_id],
+        partOptionIds,
+      });
+    }
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Finds pricing rules that can never match or depend on inactive options
+   *
+   * @param {number} [ruleId] - Only check this rule
+   * @returns {Object} The `errors` and `warnings` found
+   */
+  async analyzePricingRules(ruleId = null) {
+    const errors = [];
+    const warnings = [];
+
+    const pricingConditions = await this.database.query(
+      `SELECT pr.id AS rule_id, prc.part_option_id, po.part_type_id, po.active,
+              pt.max_selections, prc.negated,
+              (SELECT COUNT(*) FROM PricingRuleConditions alt
+               WHERE alt.pricing_rule_id = prc.pricing_rule_id
+                 AND alt.group_number = prc.group_number) AS group_size
+       FROM PricingRules pr
+       JOIN PricingRuleConditions prc ON prc.pricing_rule_id = pr.id
+       JOIN PartOptions po ON po.id = prc.part_option_id
+       JOIN PartTypes pt ON pt.id = po.part_type_id
+       WHERE pr.active = TRUE AND (? IS NULL OR pr.id = ?)
+       ORDER BY pr.id, prc.part_option_id`,
+      [ruleId, ruleId]
+    );
+
+    const pricingRuleIds = [
+      ...new Set(pricingConditions.map((condition) => condition.rule_id)),
+    ];
+    for (const ruleId of pricingRuleIds) {
+      const ruleConditions = pricingConditions.filter(
+        (condition) => condition.rule_id === ruleId
+      );
+
+      // A configuration holds at most max_selections options of a part type.
+      // Only the options a rule cannot do without count: the ones alone in
+      // their group and not negated
+      const optionsByPartType = new Map();
+      for (const condition of ruleConditions) {
+        if (condition.negated || condition.group_size > 1) {
+          continue;
+        }
+        const partType = optionsByPartType.get(condition.part_type_id) || {
+          maxSelections: condition.max_selections,
+          partOptionIds: [],
+        };
+        if (!partType.partOptionIds.includes(condition.part_option_id)) {
+          partType.partOptionIds.push(condition.part_option_id);
+        }
+        optionsByPartType.set(condition.part_type_id, partType);
+      }
+
+      for (const {
+        maxSelections,
+        partOptionIds,
+      } of optionsByPartType.values()) {
+        if (partOptionIds.length > maxSelections) {
+          errors.push({
+            code: 'pricing_rule_never_matches',
+            message: `Pricing rule ${ruleId} requires more options of the same part type than can be selected (${partOptionIds.join(', ')})`,
+            ruleType: 'pricing',
+            ruleIds: [ruleId],
+            partOptionIds,
+          });
+        }
+      }
+
+      const inactive = ruleConditions
+        .filter((condition) => !condition.active)
+        .map((condition) => condition.part_option_id);
+      if (inactive.length > 0) {
+        warnings.push({
+          code: 'inactive_option',
+          message: `Pricing rule ${ruleId} references inactive options ${inactive.join(', ')}`,
+          ruleType: 'pricing',
+          ruleIds: [ruleId],
+          partOptionIds: inactive,
+        });
+      }
+    }
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Checks the options and presets of products against the rules
+   *
+   * @param {Array} productIds - The products to check
+   * @returns {Object} The `errors` and `warnings` found: active options no
+   *   valid configuration of these products can include, and presets the
+   *   rules no longer allow
+   */
+  async analyzeProducts(productIds) {
+    const errors = [];
+    const warnings = [];
+
+    // Active options that no valid configuration of any product offering them
+    // can include
+    const unselectableOn = new Map();
+    const selectable = new Set();
+    for (const productId of productIds) {
+      const selectability =
+        await this.productConfigService.getOptionSelectability(productId);
+
+      for (const [partOptionId, canBeSelected] of selectability) {
+        if (canBeSelected) {
+          selectable.add(partOptionId);
+        } else {
+          unselectableOn.set(partOptionId, [
+            ...(unselectableOn.get(partOptionId) || []),
+            productId,
+          ]);
+        }
+      }
+    }
+
+    for (const [partOptionId, productIds] of unselectableOn) {
+      if (!selectable.has(partOptionId)) {
+        errors.push({
+          code: 'unselectable_option',
+          message: `Option ${partOptionId} cannot be part of any valid configuration on products ${productIds.join(', ')}`,
+          partOptionIds: [partOptionId],
+          productIds,
+        });
+      }
+    }
+
+    // Presets the current rules no longer allow, whatever the stock
+    for (const productId of productIds) {
+      const presets =
+        await this.productConfigService.getProductPresets(productId);
+      for (const preset of presets) {
+        if (!preset.valid && !preset.validation.unavailableOptions) {
+          warnings.push({
+            code: 'invalid_preset',
+            message: `Preset ${preset.id} (${preset.name}) of product ${productId} is no longer valid: ${preset.validation.message}`,
+            productIds: [productId],
+            presetIds: [preset.id],
+          });
+        }
+      }
+    }
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Analyzes a rule after it is created. A pricing rule is checked on its
+   * own, as it cannot change what can be selected. For an incompatibility
+   * rule, only the products offering the part types it involves are checked
+   * again, keeping the findings about the rule, its part types' options no
+   * longer selectable anywhere, and the presets of these products
+   */
+  async analyzeNewRule(ruleType, ruleId) {
+    if (ruleType === 'pricing') {
+      return this.analyzePricingRules(ruleId);
+    }
+
+    const rules = await this.analyzeIncompatibilityRules();
+    const options = await this.database.query(
+      `SELECT id FROM PartOptions
+       WHERE part_type_id IN (
+         SELECT part_type_id FROM PartOptions
+         WHERE id IN (
+           SELECT part_option_id FROM RuleConditions WHERE rule_id = ?
+           UNION SELECT incompatible_with_part_option_id FROM RuleConditions
+           WHERE rule_id = ?
+           UNION SELECT part_option_id FROM RuleConditionSets WHERE rule_id = ?
+           UNION SELECT part_option_id FROM RuleRequirements WHERE rule_id = ?
+         )
+         UNION SELECT required_part_type_id FROM RuleRequirements
+         WHERE rule_id = ?
+         UNION SELECT pta.part_type_id
+         FROM RuleAttributeConditions rac
+         JOIN PartTypeAttributes pta
+           ON pta.id IN (rac.left_attribute_id, rac.right_attribute_id)
+         WHERE rac.rule_id = ?
+       )`,
+      [ruleId, ruleId, ruleId, ruleId, ruleId, ruleId]
+    );
+    const partOptionIds = options.map((option) => option.id);
+    const products = await this.database.query(
+      `SELECT DISTINCT p.id
+       FROM Products p
+       JOIN ProductPartTypes ppt ON ppt.product_id = p.id
+       JOIN PartOptions po ON po.part_type_id = ppt.part_type_id
+       WHERE p.active = TRUE AND po.id IN (?)
+       ORDER BY p.id`,
+      [partOptionIds]
+    );
+    const catalogue = await this.analyzeProducts(
+      products.map((product) => product.id)
+    );
+
+    const concernsRule = (finding) =>
+      finding.ruleIds
+        ? finding.ruleType === ruleType && finding.ruleIds.includes(ruleId)
+        : finding.code !== 'unselectable_option' ||
+          finding.partOptionIds.every((id) => partOptionIds.includes(id));
+
+    return {
+      errors: [...rules.errors, ...catalogue.errors].filter(concernsRule),
+      warnings: [...rules.warnings, ...catalogue.warnings].filter(concernsRule),
     };
   }
 
   /**
    * Get all orders with optional filtering
    *
-   * @param {Object} filters - Filter options
-   * @returns {Array} Orders matching the filters
+   * @param {Object} filters - Filter options, such as the `couponId` used
+   * @returns {Array} Orders matching the filters, with their coupon and
+   *   discount
    */
   async getOrders(filters = {}) {
     let query = `
-      SELECT id, customer_id, date_created, status, total_price
+      SELECT id, customer_id, date_created, status, total_price, currency,
+             price_list_id, tax_country, tax_total, coupon_id, discount_total
       FROM Orders
       WHERE status != 'cart'
     `;
@@ -250,6 +1649,11 @@ class AdminService {
       queryParams.push(filters.status);
     }
 
+    if (filters.couponId) {
+      query += ' AND coupon_id = ?';
+      queryParams.push(filters.couponId);
+    }
+
     if (filters.dateFrom) {
       query += ' AND date_created >= ?';
       queryParams.push(filters.dateFrom);
@@ -272,30 +1676,46 @@ class AdminService {
   }
 
   /**
-   * Get detailed information about a specific order
+   * Get detailed information about a specific order, with its items as they
+   * were when the customer added them: their product and option names, unit
+   * prices and price breakdown are a snapshot the catalogue does not change
    *
    * @param {number} orderId - The order ID
    * @returns {Object} Order details
    */
   async getOrderDetails(orderId) {
     const order = await this.database.query(
-      `SELECT id, customer_id, date_created, status, total_price
+      `SELECT id, customer_id, date_created, status, total_price, currency,
+             price_list_id, tax_country, tax_total, coupon_id, discount_total
        FROM Orders WHERE id = ?`,
       [orderId]
     );
     if (!order || order.length === 0) return null;
 
     const items = await this.database.query(
-      `SELECT id, product_id, product_name, quantity, price
+      `SELECT id, product_id, product_name, quantity, price, discount_amount,
+              tax_amount, build_code, price_breakdown
        FROM OrderItems WHERE order_id = ?`,
       [orderId]
     );
 
-    // For each item, get configuration
+    // For each item, get configuration, the breakdown of its price and the
+    // discounts taken off it
     for (const item of items) {
+      item.price_breakdown = item.price_breakdown
+        ? JSON.parse(item.price_breakdown)
+        : null;
       item.configuration = await this.database.query(
-        `SELECT part_option_id, option_name, part_type
-         FROM OrderItemConfiguration WHERE order_item_id = ?`,
+        `SELECT part_type_id, part_option_id, part_type_name AS part_type,
+                option_name, option_price
+         FROM OrderItemConfiguration WHERE order_item_id = ?
+         ORDER BY id`,
+        [item.id]
+      );
+      item.discounts = await this.database.query(
+        `SELECT kind, volume_discount_id, coupon_id, description, amount
+         FROM OrderItemDiscounts WHERE order_item_id = ?
+         ORDER BY id`,
         [item.id]
       );
     }
@@ -66,7 +66,7 @@ describe('AdminService', () => {
           productData.name,
           productData.description,
           productData.basePrice,
-          productData.active,
+          1,
         ])
       );
       expect(database.query).toHaveBeenCalledWith(
@@ -100,7 +100,7 @@ describe('AdminService', () => {
         expect.arrayContaining([
           partTypeData.name,
           partTypeData.description,
-          partTypeData.required,
+          Number(partTypeData.required),
         ])
       );
       expect(result).toMatchObject({
@@ -108,6 +108,150 @@ describe('AdminService', () => {
         ...partTypeData,
       });
     });
+
+    it('derives the selection limits from whether the part type is required', async () => {
+      database.query.mockResolvedValue([{ id: 7 }]);
+
+      const required = await adminService.createPartType(partTypeData);
+      const optional = await adminService.createPartType({
+        ...partTypeData,
+        required: false,
+      });
+
+      expect(required).toMatchObject({ minSelections: 1, maxSelections: 1 });
+      expect(optional).toMatchObject({ minSelections: 0, maxSelections: 1 });
+    });
+
+    it('creates a multi-select part type', async () => {
+      database.query.mockResolvedValueOnce([{ id: 8 }]);
+
+      const result = await adminService.createPartType({
+        name: 'Accessories',
+        description: 'Optional extras',
+        minSelections: 0,
+        maxSelections: 3,
+      });
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('min_selections, max_selections'),
+        ['Accessories', 'Optional extras', 0, 0, 3]
+      );
+      expect(result).toMatchObject({ id: 8, required: false });
+    });
+  });
+
+  describe('setPartTypeSelectionLimits', () => {
+    it('updates the limits and whether the part type is required', async () => {
+      const result = await adminService.setPartTypeSelectionLimits(6, {
+        minSelections: 0,
+        maxSelections: 3,
+      });
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE PartTypes'),
+        [0, 3, 0, 6]
+      );
+      expect(result.success).toBe(true);
+    });
+
+    it('rejects limits that cannot be met', async () => {
+      const result = await adminService.setPartTypeSelectionLimits(6, {
+        minSelections: 2,
+        maxSelections: 1,
+      });
+
+      expect(database.query).not.toHaveBeenCalled();
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('createPartTypeAttribute', () => {
+    it('creates an enum attribute with its allowed values', async () => {
+      database.query.mockResolvedValueOnce([{ id: 3 }]);
+
+      const result = await adminService.createPartTypeAttribute(3, {
+        name: 'Terrain',
+        dataType: 'enum',
+        allowedValues: ['road', 'trail'],
+      });
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO PartTypeAttributes'),
+        [3, 'Terrain', 'enum', null, '["road","trail"]']
+      );
+      expect(result).toMatchObject({ success: true, id: 3 });
+    });
+
+    it('rejects unknown data types and enums without values', async () => {
+      const unknown = await adminService.createPartTypeAttribute(3, {
+        name: 'Weight',
+        dataType: 'float',
+      });
+      const emptyEnum = await adminService.createPartTypeAttribute(3, {
+        name: 'Terrain',
+        dataType: 'enum',
+      });
+
+      expect(unknown.success).toBe(false);
+      expect(emptyEnum.success).toBe(false);
+      expect(database.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setPartOptionAttribute', () => {
+    it('stores a value matching the data type', async () => {
+      database.query
+        .mockResolvedValueOnce([{ name: 'Colour', data_type: 'colour' }])
+        .mockResolvedValueOnce([]);
+
+      const result = await adminService.setPartOptionAttribute(9, 4, '#C0392B');
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO PartOptionAttributes'),
+        [9, 4, '#c0392b']
+      );
+      expect(result.success).toBe(true);
+    });
+
+    it('rejects values not matching the data type', async () => {
+      database.query
+        .mockResolvedValueOnce([{ name: 'Diameter', data_type: 'number' }])
+        .mockResolvedValueOnce([
+          {
+            name: 'Terrain',
+            data_type: 'enum',
+            allowed_values: '["road","trail"]',
+          },
+        ]);
+
+      const number = await adminService.setPartOptionAttribute(6, 2, 'wide');
+      const enumValue = await adminService.setPartOptionAttribute(6, 3, 'snow');
+
+      expect(number).toEqual({
+        success: false,
+        message: 'Invalid number value for Diameter: wide',
+      });
+      expect(enumValue.success).toBe(false);
+      expect(database.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('rejects attributes of another part type', async () => {
+      database.query.mockResolvedValueOnce([]);
+
+      const result = await adminService.setPartOptionAttribute(9, 2, '28');
+
+      expect(result.success).toBe(false);
+    });
+
+    it('removes the value when given null', async () => {
+      const result = await adminService.setPartOptionAttribute(6, 2, null);
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('DELETE FROM PartOptionAttributes'),
+        [6, 2]
+      );
+      expect(result.success).toBe(true);
+    });
   });
 
   describe('createPartOption', () => {
@@ -125,12 +269,12 @@ describe('AdminService', () => {
           partOptionData.name,
           partOptionData.description,
           partOptionData.basePrice,
-          partOptionData.active,
+          1,
         ])
       );
       expect(database.query).toHaveBeenCalledWith(
         expect.stringContaining('INSERT INTO Inventory'),
-        [5, partOptionData.initialStock, true]
+        [5, partOptionData.initialStock, 1]
       );
       expect(result).toMatchObject({
         id: 5,
@@ -191,6 +335,12 @@ describe('AdminService', () => {
   });
 
   describe('createIncompatibilityRule', () => {
+    beforeEach(() => {
+      jest
+        .spyOn(adminService, 'analyzeNewRule')
+        .mockResolvedValue({ errors: [], warnings: [] });
+    });
+
     it('creates a new incompatibility rule and adds conditions', async () => {
       database.query
         .mockResolvedValueOnce([{ id: 11 }]) // Rule insert
@@ -205,7 +355,7 @@ describe('AdminService', () => {
         expect.arrayContaining([
           incompatibilityRuleData.name,
           incompatibilityRuleData.description,
-          incompatibilityRuleData.active,
+          1,
         ])
       );
       expect(database.query).toHaveBeenCalledWith(
@@ -222,6 +372,167 @@ describe('AdminService', () => {
       });
     });
 
+    it('stores a rule as active by default', async () => {
+      database.query.mockResolvedValueOnce([{ id: 12 }]);
+
+      await adminService.createIncompatibilityRule({
+        name: 'Fat wheels on a road frame',
+      });
+
+      // SQLite cannot bind booleans
+      expect(database.query.mock.calls[0][1]).toEqual([
+        'Fat wheels on a road frame',
+        undefined,
+        1,
+        null,
+        null,
+      ]);
+    });
+
+    it('creates a "requires" rule with one row per allowed option', async () => {
+      const data = {
+        name: 'Mountain wheels require full-suspension',
+        requirements: [
+          {
+            partOptionId: 7,
+            requiredPartTypeId: 1,
+            allowedPartOptionIds: [1, 4],
+          },
+        ],
+      };
+      database.query
+        .mockResolvedValueOnce([{ id: 13 }]) // Rule insert
+        .mockResolvedValueOnce([{}]) // Requirement 1
+        .mockResolvedValueOnce([{}]); // Requirement 2
+
+      const result = await adminService.createIncompatibilityRule(data);
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO RuleRequirements'),
+        [13, 7, 1, 1]
+      );
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO RuleRequirements'),
+        [13, 7, 1, 4]
+      );
+      expect(database.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO RuleConditions'),
+        expect.anything()
+      );
+      expect(result).toMatchObject({ id: 13, ...data });
+    });
+
+    it('creates a rule with condition sets of three or more options', async () => {
+      const data = {
+        name: 'Unbuildable fat step-through',
+        conditionSets: [[8, 3, 13]],
+      };
+      database.query
+        .mockResolvedValueOnce([{ id: 14 }]) // Rule insert
+        .mockResolvedValueOnce([{}]) // Set member 1
+        .mockResolvedValueOnce([{}]) // Set member 2
+        .mockResolvedValueOnce([{}]); // Set member 3
+
+      const result = await adminService.createIncompatibilityRule(data);
+
+      for (const partOptionId of [8, 3, 13]) {
+        expect(database.query).toHaveBeenCalledWith(
+          expect.stringContaining('INSERT INTO RuleConditionSets'),
+          [14, 1, partOptionId]
+        );
+      }
+      expect(result).toMatchObject({ id: 14, ...data });
+    });
+
+    it('creates a rule comparing the attributes of two options', async () => {
+      const data = {
+        name: 'Wheels fit the frame',
+        attributeConditions: [
+          { leftAttributeId: 2, operator: '<=', rightAttributeId: 1 },
+        ],
+      };
+      database.query
+        .mockResolvedValueOnce([{ id: 2 }, { id: 1 }]) // Attribute lookup
+        .mockResolvedValueOnce([{ id: 16 }]) // Rule insert
+        .mockResolvedValueOnce([{}]); // Attribute condition insert
+
+      const result = await adminService.createIncompatibilityRule(data);
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('FROM PartTypeAttributes'),
+        [2, 1]
+      );
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO RuleAttributeConditions'),
+        [16, 2, '<=', 1]
+      );
+      expect(result).toMatchObject({ id: 16, ...data });
+    });
+
+    it('rejects an attribute condition with an unknown operator', async () => {
+      const result = await adminService.createIncompatibilityRule({
+        name: 'Wheels fit the frame',
+        attributeConditions: [
+          { leftAttributeId: 2, operator: '=<', rightAttributeId: 1 },
+        ],
+      });
+
+      expect(result).toEqual({
+        success: false,
+        message:
+          'An attribute condition operator must be one of <, <=, =, !=, >=, >',
+      });
+      expect(database.query).not.toHaveBeenCalled();
+    });
+
+    it('rejects an attribute condition with an unknown attribute', async () => {
+      database.query.mockResolvedValueOnce([{ id: 2 }]); // Attribute lookup
+
+      const result = await adminService.createIncompatibilityRule({
+        name: 'Wheels fit the frame',
+        conditions: [{ partOptionId: 1, incompatibleWithPartOptionId: 2 }],
+        attributeConditions: [
+          { leftAttributeId: 2, operator: '<=', rightAttributeId: 99 },
+        ],
+      });
+
+      expect(result).toEqual({
+        success: false,
+        message: 'Unknown part type attributes: 99',
+      });
+      expect(database.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('creates a rule scoped to a product', async () => {
+      const data = { ...incompatibilityRuleData, productId: 2 };
+      database.query
+        .mockResolvedValueOnce([{ id: 15 }]) // Rule insert
+        .mockResolvedValueOnce([{}]); // Condition insert
+
+      await adminService.createIncompatibilityRule(data);
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO IncompatibilityRules'),
+        [data.name, data.description, 1, 2, null]
+      );
+    });
+
+    it('analyzes the rule set once the rule is created', async () => {
+      database.query
+        .mockResolvedValueOnce([{ id: 11 }]) // Rule insert
+        .mockResolvedValueOnce([{}]); // Condition insert
+
+      const result = await adminService.createIncompatibilityRule(
+        incompatibilityRuleData
+      );
+
+      expect(adminService.analyzeNewRule).toHaveBeenCalledWith(
+        'incompatibility',
+        11
+      );
+      expect(result.analysis).toEqual({ errors: [], warnings: [] });
+    });
+
     it('creates a rule without conditions', async () => {
       const data = { ...incompatibilityRuleData, conditions: undefined };
       database.query.mockResolvedValueOnce([{ id: 12 }]);
@@ -230,7 +541,229 @@ describe('AdminService', () => {
     });
   });
 
+  describe('setDefaultPartOption', () => {
+    it('sets the default option of a product part type', async () => {
+      database.query.mockResolvedValueOnce([{}]);
+
+      const result = await adminService.setDefaultPartOption(1, 3, 7);
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE ProductPartTypes'),
+        [7, 1, 3]
+      );
+      expect(result).toEqual({
+        success: true,
+        message: 'Default option for part type 3 updated',
+      });
+    });
+  });
+
+  describe('product presets', () => {
+    const presetData = {
+      name: 'Commuter',
+      description: 'Ready for the city',
+      selections: [{ partOptionId: 3 }, { partTypeId: 6, none: true }],
+      displayOrder: 1,
+    };
+
+    it('creates a preset with its selections', async () => {
+      jest
+        .spyOn(adminService.productConfigService, 'validateConfiguration')
+        .mockResolvedValue({ valid: true, message: 'Configuration is valid' });
+      database.query
+        .mockResolvedValueOnce([{ id: 4 }])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+
+      const result = await adminService.createProductPreset(2, presetData);
+
+      expect(database.query).toHaveBeenNthCalledWith(
+        1,
+        expect.stringContaining('INSERT INTO ProductPresets'),
+        [2, 'Commuter', 'Ready for the city', 1, 1]
+      );
+      expect(database.query).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('SELECT ?, part_type_id, id FROM PartOptions'),
+        [4, 3]
+      );
+      expect(database.query).toHaveBeenNthCalledWith(
+        3,
+        expect.stringContaining('VALUES (?, ?, NULL)'),
+        [4, 6]
+      );
+      expect(result).toMatchObject({
+        success: true,
+        message: 'Preset Commuter created for product 2',
+        id: 4,
+      });
+    });
+
+    it('accepts presets with options out of stock', async () => {
+      jest
+        .spyOn(adminService.productConfigService, 'validateConfiguration')
+        .mockResolvedValue({
+          valid: false,
+          message: 'Some selected options are out of stock',
+          unavailableOptions: [3],
+        });
+      database.query.mockResolvedValueOnce([{ id: 5 }]);
+
+      const result = await adminService.createProductPreset(2, presetData);
+
+      expect(result.success).toBe(true);
+      expect(result.validation.unavailableOptions).toEqual([3]);
+    });
+
+    it('rejects presets that break the rules', async () => {
+      jest
+        .spyOn(adminService.productConfigService, 'validateConfiguration')
+        .mockResolvedValue({
+          valid: false,
+          message: 'Missing required selections: Wheels',
+        });
+
+      const result = await adminService.createProductPreset(2, presetData);
+
+      expect(database.query).not.toHaveBeenCalled();
+      expect(result).toMatchObject({
+        success: false,
+        message:
+          'Preset is not a valid configuration: Missing required selections: Wheels',
+      });
+    });
+
+    it('replaces the details and selections of a preset', async () => {
+      jest
+        .spyOn(adminService.productConfigService, 'validateConfiguration')
+        .mockResolvedValue({ valid: true, message: 'Configuration is valid' });
+      database.query.mockResolvedValueOnce([{ product_id: 2 }]);
+
+      const result = await adminService.updateProductPreset(4, {
+        ...presetData,
+        active: false,
+      });
+
+      expect(
+        adminService.productConfigService.validateConfiguration
+      ).toHaveBeenCalledWith(2, presetData.selections);
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE ProductPresets'),
+        ['Commuter', 'Ready for the city', 1, 0, 4]
+      );
+      expect(database.query).toHaveBeenCalledWith(
+        'DELETE FROM ProductPresetOptions WHERE preset_id = ?',
+        [4]
+      );
+      expect(result).toMatchObject({
+        success: true,
+        message: 'Preset 4 updated',
+      });
+    });
+
+    it('reports presets that do not exist', async () => {
+      database.query.mockResolvedValueOnce([]);
+
+      const result = await adminService.updateProductPreset(99, presetData);
+
+      expect(result).toEqual({
+        success: false,
+        message: 'Preset 99 not found',
+      });
+    });
+
+    it('deletes a preset and its selections', async () => {
+      database.query.mockResolvedValue([]);
+
+      const result = await adminService.deleteProductPreset(4);
+
+      expect(database.query).toHaveBeenCalledWith(
+        'DELETE FROM ProductPresetOptions WHERE preset_id = ?',
+        [4]
+      );
+      expect(database.query).toHaveBeenCalledWith(
+        'DELETE FROM ProductPresets WHERE id = ?',
+        [4]
+      );
+      expect(result).toEqual({ success: true, message: 'Preset 4 deleted' });
+    });
+  });
+
+  describe('assignPartOptionsToProduct', () => {
+    it('assigns each part option to the product', async () => {
+      database.query.mockResolvedValue([{}]);
+
+      const result = await adminService.assignPartOptionsToProduct(2, [6, 8]);
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT OR IGNORE INTO ProductPartOptions'),
+        [2, 6]
+      );
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT OR IGNORE INTO ProductPartOptions'),
+        [2, 8]
+      );
+      expect(result).toEqual({
+        success: true,
+        message: 'Assigned 2 part options to product 2',
+      });
+    });
+  });
+
+  describe('removePartOptionsFromProduct', () => {
+    it('deletes the assignments in a single query', async () => {
+      database.query.mockResolvedValueOnce([{}]);
+
+      const result = await adminService.removePartOptionsFromProduct(2, [6, 8]);
+
+      expect(database.query).toHaveBeenCalledTimes(1);
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('DELETE FROM ProductPartOptions'),
+        [2, 6, 8]
+      );
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('setIncompatibilityRuleScope', () => {
+    it('scopes the rule to a category', async () => {
+      database.query.mockResolvedValueOnce([{}]);
+
+      const result = await adminService.setIncompatibilityRuleScope(3, {
+        categoryId: 1,
+      });
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE IncompatibilityRules'),
+        [null, 1, 3]
+      );
+      expect(result).toEqual({
+        success: true,
+        message: 'Incompatibility rule 3 scope updated',
+      });
+    });
+  });
+
+  describe('setPricingRuleScope', () => {
+    it('clears the scope when none is given', async () => {
+      database.query.mockResolvedValueOnce([{}]);
+
+      await adminService.setPricingRuleScope(4);
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE PricingRules'),
+        [null, null, 4]
+      );
+    });
+  });
+
   describe('createPricingRule', () => {
+    beforeEach(() => {
+      jest
+        .spyOn(adminService, 'analyzeNewRule')
+        .mockResolvedValue({ errors: [], warnings: [] });
+    });
+
     it('creates a new pricing rule and adds conditions', async () => {
       database.query
         .mockResolvedValueOnce([{ id: 21 }]) // Rule insert
@@ -245,17 +778,17 @@ describe('AdminService', () => {
           pricingRuleData.name,
           pricingRuleData.description,
           pricingRuleData.priceAdjustment,
-          pricingRuleData.isPercentage,
-          pricingRuleData.active,
+          0,
+          1,
         ])
       );
       expect(database.query).toHaveBeenCalledWith(
         expect.stringContaining('INSERT INTO PricingRuleConditions'),
-        [21, 1]
+        [21, 1, 1, null, 0]
       );
       expect(database.query).toHaveBeenCalledWith(
         expect.stringContaining('INSERT INTO PricingRuleConditions'),
-        [21, 2]
+        [21, 2, 2, null, 0]
       );
       expect(result).toMatchObject({
         id: 21,
@@ -269,6 +802,603 @@ describe('AdminService', () => {
       const result = await adminService.createPricingRule(data);
       expect(result.id).toBe(22);
     });
+
+    it('stores a rule as an active fixed amount by default', async () => {
+      database.query.mockResolvedValueOnce([{ id: 25 }]);
+
+      await adminService.createPricingRule({
+        name: 'Matte finish surcharge',
+        priceAdjustment: 500,
+      });
+
+      // SQLite cannot bind booleans
+      expect(database.query.mock.calls[0][1].slice(0, 5)).toEqual([
+        'Matte finish surcharge',
+        undefined,
+        500,
+        0,
+        1,
+      ]);
+    });
+
+    it('stores the window of a time-bound rule in UTC', async () => {
+      database.query.mockResolvedValueOnce([{ id: 23 }]);
+      await adminService.createPricingRule({
+        ...pricingRuleData,
+        conditions: undefined,
+        campaignId: 4,
+        validFrom: '2026-11-27T00:00:00+01:00',
+        validTo: new Date('2026-12-01T00:00:00Z'),
+      });
+
+      expect(database.query.mock.calls[0][1].slice(-4)).toEqual([
+        4,
+        null,
+        '2026-11-26 23:00:00',
+        '2026-12-01 00:00:00',
+      ]);
+    });
+
+    it('restricts a rule to a customer group', async () => {
+      database.query.mockResolvedValueOnce([{ id: 24 }]);
+      await adminService.createPricingRule({
+        ...pricingRuleData,
+        conditions: undefined,
+        customerGroupId: 1,
+      });
+
+      expect(database.query.mock.calls[0][1].slice(-4)).toEqual([
+        null,
+        1,
+        null,
+        null,
+      ]);
+    });
+
+    it('rejects a window ending before it starts', async () => {
+      const result = await adminService.createPricingRule({
+        ...pricingRuleData,
+        validFrom: '2026-12-01',
+        validTo: '2026-11-27',
+      });
+
+      expect(result.success).toBe(false);
+      expect(database.query).not.toHaveBeenCalled();
+    });
+
+    it('rejects an unknown target', async () => {
+      const result = await adminService.createPricingRule({
+        ...pricingRuleData,
+        target: 'product',
+      });
+
+      expect(result).toEqual({
+        success: false,
+        message:
+          'A pricing rule target must be one of option, part_type, configuration',
+      });
+      expect(database.query).not.toHaveBeenCalled();
+    });
+
+    it('rejects an option target without a targetPartOptionId', async () => {
+      const result = await adminService.createPricingRule({
+        ...pricingRuleData,
+        target: 'option',
+        targetPartTypeId: 2,
+      });
+
+      expect(result).toEqual({
+        success: false,
+        message:
+          'A pricing rule targeting an option needs a targetPartOptionId',
+      });
+      expect(database.query).not.toHaveBeenCalled();
+    });
+
+    it('rejects a part type target without a targetPartTypeId', async () => {
+      const result = await adminService.createPricingRule({
+        ...pricingRuleData,
+        target: 'part_type',
+      });
+
+      expect(result).toEqual({
+        success: false,
+        message:
+          'A pricing rule targeting a part type needs a targetPartTypeId',
+      });
+      expect(database.query).not.toHaveBeenCalled();
+    });
+
+    it('rejects an unknown stacking mode', async () => {
+      const result = await adminService.createPricingRule({
+        ...pricingRuleData,
+        stacking: 'replace',
+      });
+
+      expect(result).toEqual({
+        success: false,
+        message:
+          'A pricing rule stacking mode must be one of stack, exclusive, best_of',
+      });
+      expect(database.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createCampaign', () => {
+    it('creates a campaign with an open-ended window', async () => {
+      database.query.mockResolvedValueOnce([{ id: 2 }]);
+      const result = await adminService.createCampaign({
+        name: 'Spring sale',
+        validFrom: '2026-03-20T00:00:00Z',
+      });
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO Campaigns'),
+        ['Spring sale', null, '2026-03-20 00:00:00', null, 1]
+      );
+      expect(result.id).toBe(2);
+    });
+  });
+
+  describe('createCoupon', () => {
+    it('creates a coupon with its code in uppercase', async () => {
+      database.query
+        .mockResolvedValueOnce([]) // no coupon with the code
+        .mockResolvedValueOnce([{ id: 4 }]);
+
+      const result = await adminService.createCoupon({
+        code: 'freebell',
+        discountType: 'free_option',
+        freePartTypeId: 6,
+        productId: 2,
+        maxUsesPerCustomer: 1,
+      });
+
+      expect(database.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('INSERT INTO Coupons'),
+        [
+          'FREEBELL',
+          null,
+          'free_option',
+          null,
+          6,
+          null,
+          null,
+          1,
+          2,
+          null,
+          null,
+          null,
+          1,
+        ]
+      );
+      expect(result).toEqual({
+        success: true,
+        message: 'Coupon FREEBELL created',
+        id: 4,
+      });
+    });
+
+    it('rejects a coupon without a discount', async () => {
+      const result = await adminService.createCoupon({
+        code: 'NOTHING',
+        discountType: 'percentage',
+      });
+
+      expect(result).toEqual({
+        success: false,
+        message: 'A coupon needs a discount value above 0',
+      });
+    });
+
+    it('rejects a code already in use', async () => {
+      database.query.mockResolvedValueOnce([{ id: 1 }]);
+
+      const result = await adminService.createCoupon({
+        code: 'spring10',
+        discountType: 'fixed',
+        discountValue: 1000,
+      });
+
+      expect(result.message).toBe('Coupon SPRING10 already exists');
+    });
+  });
+
+  describe('createVolumeDiscount', () => {
+    it('creates a tier for a category', async () => {
+      database.query.mockResolvedValueOnce([{ id: 3 }]);
+
+      const result = await adminService.createVolumeDiscount({
+        name: '5+ bikes',
+        minQuantity: 5,
+        discountPercent: 8,
+        categoryId: 1,
+      });
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO VolumeDiscounts'),
+        ['5+ bikes', 'item', 5, 8, null, 1, 1]
+      );
+      expect(result.id).toBe(3);
+    });
+
+    it('rejects an unknown basis', async () => {
+      const result = await adminService.createVolumeDiscount({
+        name: 'Per order',
+        basis: 'order',
+        minQuantity: 2,
+        discountPercent: 5,
+      });
+
+      expect(result.success).toBe(false);
+      expect(database.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createPriceOverride', () => {
+    it('overrides the price of a part option within a campaign', async () => {
+      database.query.mockResolvedValueOnce([{ id: 5 }]);
+      const result = await adminService.createPriceOverride(7, {
+        campaignId: 2,
+        price: 7900,
+      });
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO PartOptionPriceOverrides'),
+        [7, 2, null, 7900, null, null]
+      );
+      expect(result).toEqual({
+        id: 5,
+        partOptionId: 7,
+        campaignId: 2,
+        price: 7900,
+      });
+    });
+
+    it('overrides the price of a part option for a customer group', async () => {
+      database.query.mockResolvedValueOnce([{ id: 6 }]);
+      await adminService.createPriceOverride(1, {
+        customerGroupId: 2,
+        price: 11000,
+      });
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO PartOptionPriceOverrides'),
+        [1, null, 2, 11000, null, null]
+      );
+    });
+  });
+
+  describe('customer groups', () => {
+    it('creates a customer group', async () => {
+      database.query
+        .mockResolvedValueOnce([]) // No group with the name
+        .mockResolvedValueOnce([{ id: 3 }]);
+
+      const result = await adminService.createCustomerGroup({
+        name: 'Resellers',
+      });
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO CustomerGroups'),
+        ['Resellers', null, 1]
+      );
+      expect(result).toEqual({
+        success: true,
+        message: 'Customer group Resellers created',
+        id: 3,
+      });
+    });
+
+    it('rejects a duplicate group name', async () => {
+      database.query.mockResolvedValueOnce([{ id: 1 }]);
+
+      const result = await adminService.createCustomerGroup({
+        name: 'Racing club',
+      });
+
+      expect(result.success).toBe(false);
+      expect(database.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('adds each customer to the group', async () => {
+      database.query.mockResolvedValue([{ id: 1 }]);
+
+      const result = await adminService.addCustomersToGroup(1, [4, 5]);
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT OR IGNORE INTO CustomerGroupMembers'),
+        [1, 4]
+      );
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT OR IGNORE INTO CustomerGroupMembers'),
+        [1, 5]
+      );
+      expect(result).toEqual({
+        success: true,
+        message: 'Added 2 customers to customer group 1',
+      });
+    });
+
+    it('does not add customers to a missing group', async () => {
+      database.query.mockResolvedValueOnce([]);
+
+      const result = await adminService.addCustomersToGroup(9, [4]);
+
+      expect(result).toEqual({
+        success: false,
+        message: 'Customer group 9 not found',
+      });
+      expect(database.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('removes customers from the group in a single query', async () => {
+      database.query.mockResolvedValueOnce([{}]);
+
+      const result = await adminService.removeCustomersFromGroup(1, [4, 5]);
+
+      expect(database.query).toHaveBeenCalledTimes(1);
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('DELETE FROM CustomerGroupMembers'),
+        [1, 4, 5]
+      );
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('analyzeRules', () => {
+    const analyze = async ({
+      conditions = [],
+      inactiveReferences = [],
+      pricingConditions = [],
+      selectability = new Map(),
+      presets = [],
+    }) => {
+      database.query
+        .mockResolvedValueOnce(conditions)
+        .mockResolvedValueOnce(inactiveReferences)
+        .mockResolvedValueOnce(pricingConditions)
+        .mockResolvedValueOnce([{ id: 1 }]); // Products
+      jest
+        .spyOn(adminService.productConfigService, 'getOptionSelectability')
+        .mockResolvedValue(selectability);
+      jest
+        .spyOn(adminService.productConfigService, 'getProductPresets')
+        .mockResolvedValue(presets);
+
+      return adminService.analyzeRules();
+    };
+
+    it('reports nothing for a clean rule set', async () => {
+      const result = await analyze({
+        conditions: [
+          {
+            id: 1,
+            rule_id: 1,
+            part_option_id: 8,
+            incompatible_with_part_option_id: 9,
+          },
+        ],
+        selectability: new Map([
+          [8, true],
+          [9, true],
+        ]),
+      });
+
+      expect(result).toEqual({ errors: [], warnings: [] });
+    });
+
+    it('flags self conditions and duplicate or mirrored conditions', async () => {
+      const result = await analyze({
+        conditions: [
+          {
+            id: 1,
+            rule_id: 1,
+            part_option_id: 8,
+            incompatible_with_part_option_id: 9,
+          },
+          {
+            id: 2,
+            rule_id: 2,
+            part_option_id: 9,
+            incompatible_with_part_option_id: 8,
+          },
+          {
+            id: 3,
+            rule_id: 3,
+            part_option_id: 5,
+            incompatible_with_part_option_id: 5,
+          },
+        ],
+      });
+
+      expect(result.errors).toEqual([
+        expect.objectContaining({
+          code: 'self_condition',
+          ruleIds: [3],
+          partOptionIds: [5],
+        }),
+      ]);
+      expect(result.warnings).toEqual([
+        expect.objectContaining({
+          code: 'duplicate_condition',
+          ruleIds: [1, 2],
+          conditionIds: [1, 2],
+          partOptionIds: [8, 9],
+        }),
+      ]);
+    });
+
+    it('flags pricing rules on one part type and inactive options', async () => {
+      const result = await analyze({
+        inactiveReferences: [{ rule_id: 4, part_option_ids: '6,7' }],
+        pricingConditions: [
+          {
+            rule_id: 2,
+            part_option_id: 1,
+            part_type_id: 1,
+            active: 1,
+            max_selections: 1,
+          },
+          {
+            rule_id: 2,
+            part_option_id: 2,
+            part_type_id: 1,
+            active: 1,
+            max_selections: 1,
+          },
+          {
+            rule_id: 3,
+            part_option_id: 4,
+            part_type_id: 2,
+            active: 0,
+            max_selections: 1,
+          },
+        ],
+      });
+
+      expect(result.errors).toEqual([
+        expect.objectContaining({
+          code: 'pricing_rule_never_matches',
+          ruleType: 'pricing',
+          ruleIds: [2],
+          partOptionIds: [1, 2],
+        }),
+      ]);
+      expect(result.warnings).toEqual([
+        expect.objectContaining({
+          code: 'inactive_option',
+          ruleType: 'incompatibility',
+          ruleIds: [4],
+          partOptionIds: [6, 7],
+        }),
+        expect.objectContaining({
+          code: 'inactive_option',
+          ruleType: 'pricing',
+          ruleIds: [3],
+          partOptionIds: [4],
+        }),
+      ]);
+    });
+
+    it('flags options that cannot be selected on any product', async () => {
+      const result = await analyze({
+        selectability: new Map([
+          [7, false],
+          [8, true],
+        ]),
+      });
+
+      expect(result.errors).toEqual([
+        expect.objectContaining({
+          code: 'unselectable_option',
+          partOptionIds: [7],
+          productIds: [1],
+        }),
+      ]);
+    });
+
+    it('flags presets the rules no longer allow, whatever the stock', async () => {
+      const result = await analyze({
+        presets: [
+          {
+            id: 1,
+            name: 'Trail Ready',
+            valid: false,
+            validation: {
+              valid: false,
+              message: 'Selected options contain incompatible combinations',
+            },
+          },
+          {
+            id: 2,
+            name: 'Sold Out',
+            valid: false,
+            validation: {
+              valid: false,
+              message: 'Some selected options are out of stock',
+              unavailableOptions: [8],
+            },
+          },
+        ],
+      });
+
+      expect(result.warnings).toEqual([
+        {
+          code: 'invalid_preset',
+          message:
+            'Preset 1 (Trail Ready) of product 1 is no longer valid: Selected options contain incompatible combinations',
+          productIds: [1],
+          presetIds: [1],
+        },
+      ]);
+    });
+  });
+
+  describe('analyzeNewRule', () => {
+    it('checks the products offering the part types of the new rule', async () => {
+      const selfCondition = {
+        code: 'self_condition',
+        ruleType: 'incompatibility',
+        ruleIds: [3],
+      };
+      const unselectable = { code: 'unselectable_option', partOptionIds: [7] };
+      const invalidPreset = { code: 'invalid_preset', presetIds: [2] };
+      jest
+        .spyOn(adminService, 'analyzeIncompatibilityRules')
+        .mockResolvedValue({
+          errors: [
+            selfCondition,
+            {
+              code: 'self_condition',
+              ruleType: 'incompatibility',
+              ruleIds: [1],
+            },
+          ],
+          warnings: [],
+        });
+      jest.spyOn(adminService, 'analyzeProducts').mockResolvedValue({
+        errors: [
+          unselectable,
+          // Also offered on products that were not checked again
+          { code: 'unselectable_option', partOptionIds: [12] },
+        ],
+        warnings: [invalidPreset],
+      });
+      database.query
+        .mockResolvedValueOnce([{ id: 7 }, { id: 8 }]) // Options involved
+        .mockResolvedValueOnce([{ id: 2 }]); // Products offering them
+
+      const result = await adminService.analyzeNewRule('incompatibility', 3);
+
+      expect(database.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('JOIN ProductPartTypes'),
+        [[7, 8]]
+      );
+      expect(adminService.analyzeProducts).toHaveBeenCalledWith([2]);
+      expect(result).toEqual({
+        errors: [selfCondition, unselectable],
+        warnings: [invalidPreset],
+      });
+    });
+
+    it('only checks the new rule itself for a pricing rule', async () => {
+      const neverMatches = {
+        code: 'pricing_rule_never_matches',
+        ruleType: 'pricing',
+        ruleIds: [4],
+      };
+      jest
+        .spyOn(adminService, 'analyzePricingRules')
+        .mockResolvedValue({ errors: [neverMatches], warnings: [] });
+      jest.spyOn(adminService, 'analyzeProducts');
+
+      const result = await adminService.analyzeNewRule('pricing', 4);
+
+      expect(adminService.analyzePricingRules).toHaveBeenCalledWith(4);
+      expect(adminService.analyzeProducts).not.toHaveBeenCalled();
+      expect(result).toEqual({ errors: [neverMatches], warnings: [] });
+    });
   });
 
   describe('getOrders', () => {
@@ -293,6 +1423,15 @@ describe('AdminService', () => {
       expect(result).toEqual(orders);
     });
 
+    it('returns the orders that used a coupon', async () => {
+      database.query.mockResolvedValueOnce([]);
+      await adminService.getOrders({ couponId: 3 });
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('AND coupon_id = ?'),
+        [3]
+      );
+    });
+
     it('returns orders without filters', async () => {
       database.query.mockResolvedValueOnce([]);
       const result = await adminService.getOrders();
@@ -323,19 +1462,35 @@ describe('AdminService', () => {
       const configuration = [
         { part_option_id: 7, option_name: 'Red', part_type: 'Color' },
       ];
+      const discounts = [
+        {
+          kind: 'volume',
+          volume_discount_id: 1,
+          coupon_id: null,
+          description: '5+ bikes',
+          amount: 8,
+        },
+      ];
       database.query
         .mockResolvedValueOnce(order) // Order
         .mockResolvedValueOnce(items) // Items
-        .mockResolvedValueOnce(configuration); // Config for item
+        .mockResolvedValueOnce(configuration) // Config for item
+        .mockResolvedValueOnce(discounts); // Discounts of item
 
       const result = await adminService.getOrderDetails(1);
 
+      // From the snapshot taken when the item was added
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('part_type_name AS part_type'),
+        [10]
+      );
       expect(result).toMatchObject({
         id: 1,
         items: [
           {
             id: 10,
             configuration,
+            discounts,
           },
         ],
       });
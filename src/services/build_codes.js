@@ -0,0 +1,146 @@
+/**
+ * Build codes: compact, URL-safe codes for a configured product
+ *
+ * A code holds the product ID, the selected part option IDs and the part
+ * types explicitly left empty ("none"), so it keeps working when options are
+ * renamed or repriced. The IDs are written as variable-length integers (option
+ * IDs sorted and stored as deltas), followed by a Fletcher-16 checksum that
+ * catches typos when a code is read out over the phone, and encoded as
+ * base64url.
+ */
+const VERSION = 1;
+
+function writeVarint(bytes, value) {
+  let rest = value;
+  while (rest >= 0x80) {
+    bytes.push((rest & 0x7f) | 0x80);
+    rest = Math.floor(rest / 0x80);
+  }
+  bytes.push(rest);
+}
+
+// Reads a varint at the cursor, returning null past the end of the bytes
+function readVarint(bytes, cursor) {
+  let value = 0;
+  let factor = 1;
+  while (cursor.offset < bytes.length) {
+    const byte = bytes[cursor.offset++];
+    value += (byte & 0x7f) * factor;
+    if (byte < 0x80) {
+      return value;
+    }
+    factor *= 0x80;
+  }
+  return null;
+}
+
+function checksum(bytes) {
+  let sum1 = 0;
+  let sum2 = 0;
+  for (const byte of bytes) {
+    sum1 = (sum1 + byte) % 255;
+    sum2 = (sum2 + sum1) % 255;
+  }
+  return [sum2, sum1];
+}
+
+// Writes a list of IDs as its length followed by the sorted deltas
+function writeIds(bytes, ids) {
+  const sorted = [...new Set(ids)].sort((a, b) => a - b);
+  writeVarint(bytes, sorted.length);
+  let previous = 0;
+  for (const id of sorted) {
+    writeVarint(bytes, id - previous);
+    previous = id;
+  }
+}
+
+function readIds(bytes, cursor) {
+  const count = readVarint(bytes, cursor);
+  if (count === null) {
+    return null;
+  }
+
+  const ids = [];
+  let previous = 0;
+  for (let i = 0; i < count; i++) {
+    const delta = readVarint(bytes, cursor);
+    if (delta === null) {
+      return null;
+    }
+    previous += delta;
+    ids.push(previous);
+  }
+  return ids;
+}
+
+/**
+ * Encodes a product and its selections (`{ partOptionId }` or
+ * `{ partTypeId, none: true }`) into a build code. Selections are stored in
+ * ID order, so the same build always gets the same code.
+ */
+function encodeBuildCode(productId, selections) {
+  const bytes = [VERSION];
+  writeVarint(bytes, productId);
+  writeIds(
+    bytes,
+    selections
+      .filter((selection) => !selection.none)
+      .map((selection) => selection.partOptionId)
+  );
+  writeIds(
+    bytes,
+    selections
+      .filter((selection) => selection.none)
+      .map((selection) => selection.partTypeId)
+  );
+  bytes.push(...checksum(bytes));
+
+  return Buffer.from(bytes).toString('base64url');
+}
+
+/**
+ * Decodes a build code back into its product ID and selections
+ *
+ * @returns {Object|null} The `productId` and `selections`, or null if the
+ *   code is malformed or its checksum does not match
+ */
+function decodeBuildCode(code) {
+  if (typeof code !== 'string' || !/^[A-Za-z0-9_-]+$/.test(code)) {
+    return null;
+  }
+
+  const bytes = [...Buffer.from(code, 'base64url')];
+  if (bytes.length < 3) {
+    return null;
+  }
+  const body = bytes.slice(0, -2);
+  const [sum2, sum1] = checksum(body);
+  if (bytes[bytes.length - 2] !== sum2 || bytes[bytes.length - 1] !== sum1) {
+    return null;
+  }
+  if (body[0] !== VERSION) {
+    return null;
+  }
+
+  const cursor = { offset: 1 };
+  const productId = readVarint(body, cursor);
+  const partOptionIds = productId === null ? null : readIds(body, cursor);
+  const nonePartTypeIds = partOptionIds === null ? null : readIds(body, cursor);
+  if (nonePartTypeIds === null || cursor.offset !== body.length) {
+    return null;
+  }
+
+  return {
+    productId,
+    selections: [
+      ...partOptionIds.map((partOptionId) => ({ partOptionId })),
+      ...nonePartTypeIds.map((partTypeId) => ({ partTypeId, none: true })),
+    ],
+  };
+}
+
+module.exports = {
+  encodeBuildCode,
+  decodeBuildCode,
+};
@@ -0,0 +1,51 @@
+const { encodeBuildCode, decodeBuildCode } = require('./build_codes');
+
+describe('build codes', () => {
+  const selections = [
+    { partOptionId: 13 },
+    { partOptionId: 1 },
+    { partOptionId: 300 },
+    { partTypeId: 6, none: true },
+  ];
+
+  it('round-trips a product and its selections in ID order', () => {
+    const code = encodeBuildCode(2, selections);
+
+    expect(code).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeBuildCode(code)).toEqual({
+      productId: 2,
+      selections: [
+        { partOptionId: 1 },
+        { partOptionId: 13 },
+        { partOptionId: 300 },
+        { partTypeId: 6, none: true },
+      ],
+    });
+  });
+
+  it('gives the same code whatever the order of the selections', () => {
+    expect(encodeBuildCode(2, [...selections].reverse())).toBe(
+      encodeBuildCode(2, selections)
+    );
+  });
+
+  it('keeps codes short', () => {
+    const code = encodeBuildCode(
+      1,
+      [1, 4, 7, 10, 13].map((partOptionId) => ({ partOptionId }))
+    );
+
+    expect(code.length).toBeLessThanOrEqual(16);
+  });
+
+  it('rejects malformed codes and typos', () => {
+    const code = encodeBuildCode(1, selections);
+    const typo = `${code.slice(0, 3)}${code[3] === 'A' ? 'B' : 'A'}${code.slice(4)}`;
+
+    expect(decodeBuildCode(typo)).toBeNull();
+    expect(decodeBuildCode(code.slice(0, -2))).toBeNull();
+    expect(decodeBuildCode('')).toBeNull();
+    expect(decodeBuildCode('not a code')).toBeNull();
+    expect(decodeBuildCode(null)).toBeNull();
+  });
+});
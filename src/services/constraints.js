@@ -0,0 +1,609 @@
+/**
+ * Constraint propagation over a product's part types
+ *
+ * Works on an in-memory model of a product (see
+ * ProductConfigurationService.loadProductConstraints) where every part type
+ * has a domain of options that can still be picked. Options are removed from
+ * the domains when an incompatibility rule leaves them without support, until
+ * nothing changes. A configuration is stuck when a required part type ends
+ * up with an empty domain, or a multi-select part type cannot get between its
+ * minimum and maximum number of options.
+ *
+ * Propagation is sound but not complete: an option it removes can never be
+ * part of a valid configuration, but an option it keeps is not guaranteed to
+ * have one. This keeps the cost polynomial in the number of part types.
+ */
+
+// Domains are kept per slot: a single-choice part type is one slot holding
+// its options (and null when it can be left empty), while every option of a
+// multi-select part type is a slot of its own that can hold the option or
+// null (not picked). Slots are worked out once per model
+const slotCache = new WeakMap();
+
+function getSlots(model) {
+  if (!slotCache.has(model)) {
+    const slots = [];
+    const slotByOption = new Map();
+
+    for (const partType of model.partTypes) {
+      if (isMultiSelect(partType)) {
+        for (const partOptionId of partType.optionIds) {
+          const key = `${partType.id}:${partOptionId}`;
+          slots.push({ key, partType, optionIds: [partOptionId] });
+          slotByOption.set(partOptionId, key);
+        }
+      } else {
+        slots.push({
+          key: partType.id,
+          partType,
+          optionIds: partType.optionIds,
+        });
+        for (const partOptionId of partType.optionIds) {
+          slotByOption.set(partOptionId, partType.id);
+        }
+      }
+    }
+
+    slotCache.set(model, { slots, slotByOption });
+  }
+
+  return slotCache.get(model);
+}
+
+function isMultiSelect(partType) {
+  return partType.max_selections > 1;
+}
+
+// The domain an option belongs to, if it is offered on the product
+function domainOf(model, domains, partOptionId) {
+  const key = getSlots(model).slotByOption.get(partOptionId);
+  return key === undefined ? undefined : domains.get(key);
+}
+
+// Build the initial domain of every slot: the selected options when there are
+// any, nothing for part types explicitly left empty ("none"), otherwise every
+// active and in-stock option (or every active option when ignoring stock)
+function buildDomains(
+  model,
+  selectionIds = [],
+  { ignoreStock = false, nonePartTypeIds = [] } = {}
+) {
+  const domains = new Map();
+
+  for (const slot of getSlots(model).slots) {
+    const selected = slot.optionIds.filter((id) => selectionIds.includes(id));
+
+    if (selected.length > 0) {
+      domains.set(slot.key, new Set(selected));
+    } else if (nonePartTypeIds.includes(slot.partType.id)) {
+      domains.set(slot.key, new Set());
+    } else {
+      const domain = new Set(
+        slot.optionIds.filter((id) =>
+          isSelectable(model.options.get(id), ignoreStock)
+        )
+      );
+      // Options of multi-select part types can always be left out, and
+      // optional single-choice part types left empty
+      if (isMultiSelect(slot.partType) || slot.partType.min_selections === 0) {
+        domain.add(null);
+      }
+      domains.set(slot.key, domain);
+    }
+  }
+
+  return domains;
+}
+
+// Whether an option can be offered at all, regardless of rules
+function isSelectable(option, ignoreStock = false) {
+  return Boolean(
+    option.active && (ignoreStock || (option.in_stock && option.quantity > 0))
+  );
+}
+
+// Remove options without support from the domains (in place) until nothing
+// changes. Returns whether the configuration can still be completed, and the
+// part types that cannot be filled (emptied required part types, multi-select
+// part types left with too few or too many options, or the part types of an
+// exclusion whose members are all forced)
+function propagate(model, domains) {
+  const isPossible = (partOptionId) => {
+    const domain = domainOf(model, domains, partOptionId);
+    return Boolean(domain && domain.has(partOptionId));
+  };
+  const isForced = (partOptionId) => {
+    const domain = domainOf(model, domains, partOptionId);
+    return Boolean(domain && domain.size === 1 && domain.has(partOptionId));
+  };
+  const remove = (partOptionId) => {
+    const domain = domainOf(model, domains, partOptionId);
+    return Boolean(domain && domain.delete(partOptionId));
+  };
+  // Picks an option of a multi-select part type by ruling out leaving it out
+  const force = (partOptionId) => {
+    const domain = domainOf(model, domains, partOptionId);
+    return Boolean(domain && domain.delete(null));
+  };
+
+  const multiSelectPartTypes = model.partTypes.filter(isMultiSelect);
+  const violatedPartTypeIds = new Set();
+  let changed = true;
+
+  while (changed && violatedPartTypeIds.size === 0) {
+    changed = false;
+
+    // An exclusion only leaves its last unforced member without support
+    for (const exclusion of model.exclusions) {
+      const unforced = exclusion.partOptionIds.filter((id) => !isForced(id));
+
+      if (unforced.length === 0) {
+        for (const id of exclusion.partOptionIds) {
+          violatedPartTypeIds.add(model.options.get(id).part_type_id);
+        }
+      } else if (unforced.length === 1 && remove(unforced[0])) {
+        changed = true;
+      }
+    }
+
+    // A requirement needs one of its allowed options to remain, and once its
+    // option is forced, the other options of a single-choice required part
+    // type go, while the last allowed option of a multi-select one is picked
+    for (const requirement of model.requirements) {
+      if (!model.options.has(requirement.partOptionId)) {
+        continue;
+      }
+
+      const partType = model.partTypes.find(
+        (candidate) => candidate.id === requirement.requiredPartTypeId
+      );
+      const allowed = [...requirement.allowedPartOptionIds].filter(isPossible);
+
+      if (allowed.length === 0) {
+        if (remove(requirement.partOptionId)) {
+          changed = true;
+        }
+      } else if (!isForced(requirement.partOptionId)) {
+        continue;
+      } else if (isMultiSelect(partType)) {
+        if (allowed.length === 1 && force(allowed[0])) {
+          changed = true;
+        }
+      } else {
+        const required = domains.get(partType.id);
+        if (allowed.length < required.size) {
+          for (const id of required) {
+            if (!requirement.allowedPartOptionIds.has(id)) {
+              required.delete(id);
+            }
+          }
+          changed = true;
+        }
+      }
+    }
+
+    // A multi-select part type needs between its minimum and maximum number
+    // of options: the rest go once enough are forced, and the remaining ones
+    // are picked once there are only as many left as needed
+    for (const partType of multiSelectPartTypes) {
+      const possible = partType.optionIds.filter(isPossible);
+      const forced = possible.filter(isForced);
+
+      if (
+        forced.length > partType.max_selections ||
+        possible.length < partType.min_selections
+      ) {
+        violatedPartTypeIds.add(partType.id);
+      } else if (forced.length === partType.max_selections) {
+        for (const id of possible) {
+          if (!forced.includes(id) && remove(id)) {
+            changed = true;
+          }
+        }
+      } else if (possible.length === partType.min_selections) {
+        for (const id of possible) {
+          if (force(id)) {
+            changed = true;
+          }
+        }
+      }
+    }
+  }
+
+  const unfillablePartTypeIds = model.partTypes
+    .filter(
+      (partType) =>
+        violatedPartTypeIds.has(partType.id) ||
+        (!isMultiSelect(partType) &&
+          partType.min_selections > 0 &&
+          domains.get(partType.id).size === 0)
+    )
+    .map((partType) => partType.id);
+
+  return {
+    consistent: unfillablePartTypeIds.length === 0,
+    unfillablePartTypeIds,
+  };
+}
+
+// Find the selectable options that would leave the configuration impossible to
+// complete if picked (replacing the current pick of their part type, or added
+// to the picks of a multi-select one). Returns a Map of option ID to the part
+// types that could no longer be filled
+function findDeadEnds(
+  model,
+  selectionIds = [],
+  candidateIds = null,
+  { nonePartTypeIds = [] } = {}
+) {
+  const deadEnds = new Map();
+
+  for (const partType of model.partTypes) {
+    // Consider the rest of the selections as fixed while picking this part type
+    const otherSelectionIds = isMultiSelect(partType)
+      ? selectionIds
+      : selectionIds.filter((id) => !partType.optionIds.includes(id));
+    const baseDomains = buildDomains(model, otherSelectionIds, {
+      nonePartTypeIds: nonePartTypeIds.filter((id) => id !== partType.id),
+    });
+
+    for (const partOptionId of partType.optionIds) {
+      if (candidateIds && !candidateIds.includes(partOptionId)) {
+        continue;
+      }
+      if (!isSelectable(model.options.get(partOptionId))) {
+        continue;
+      }
+
+      const domains = cloneDomains(baseDomains);
+      domains.set(
+        getSlots(model).slotByOption.get(partOptionId),
+        new Set([partOptionId])
+      );
+
+      const result = propagate(model, domains);
+      if (!result.consistent) {
+        deadEnds.set(partOptionId, result.unfillablePartTypeIds);
+      }
+    }
+  }
+
+  return deadEnds;
+}
+
+// Find the rules that directly block each candidate option given the
+// selections, mirroring ProductConfigurationService.getBlockingRules: an
+// exclusion blocks its last member that is not selected, and a requirement on
+// a single-choice part type is checked from both sides (any option of a
+// multi-select part type can be picked next to an allowed one). Returns a Map
+// of option ID to the blocking rules, each with the selected option IDs that
+// triggered it
+function findBlockingRules(model, selectionIds = [], candidateIds = null) {
+  const blockingRules = new Map();
+  const isCandidate = (partOptionId) =>
+    model.options.has(partOptionId) &&
+    (!candidateIds || candidateIds.includes(partOptionId));
+  const block = (partOptionId, ruleId, triggeredBy) => {
+    const rules = blockingRules.get(partOptionId) || [];
+    const existing = rules.find((rule) => rule.ruleId === ruleId);
+
+    if (existing) {
+      for (const id of triggeredBy) {
+        if (!existing.triggeredBy.includes(id)) {
+          existing.triggeredBy.push(id);
+        }
+      }
+    } else {
+      rules.push({ ruleId, triggeredBy: [...triggeredBy] });
+    }
+
+    blockingRules.set(partOptionId, rules);
+  };
+
+  if (selectionIds.length === 0) {
+    return blockingRules;
+  }
+
+  for (const exclusion of model.exclusions) {
+    for (const partOptionId of exclusion.partOptionIds) {
+      const others = exclusion.partOptionIds.filter(
+        (id) => id !== partOptionId
+      );
+
+      if (
+        isCandidate(partOptionId) &&
+        others.every((id) => selectionIds.includes(id))
+      ) {
+        block(partOptionId, exclusion.ruleId, others);
+      }
+    }
+  }
+
+  for (const requirement of model.requirements) {
+    const partType = model.partTypes.find(
+      (candidate) => candidate.id === requirement.requiredPartTypeId
+    );
+    if (partType && isMultiSelect(partType)) {
+      continue;
+    }
+
+    const inRequiredPartType = (partOptionId) => {
+      const option = model.options.get(partOptionId);
+      return Boolean(
+        option &&
+          option.part_type_id === requirement.requiredPartTypeId &&
+          !requirement.allowedPartOptionIds.has(partOptionId)
+      );
+    };
+
+    // A selected option restricts the candidates of the required part type
+    if (selectionIds.includes(requirement.partOptionId)) {
+      for (const partOptionId of model.options.keys()) {
+        if (isCandidate(partOptionId) && inRequiredPartType(partOptionId)) {
+          block(partOptionId, requirement.ruleId, [requirement.partOptionId]);
+        }
+      }
+    }
+
+    // A candidate cannot be picked when a selection is not one it allows
+    if (isCandidate(requirement.partOptionId)) {
+      for (const selectionId of selectionIds) {
+        if (inRequiredPartType(selectionId)) {
+          block(requirement.partOptionId, requirement.ruleId, [selectionId]);
+        }
+      }
+    }
+  }
+
+  return blockingRules;
+}
+
+// Whether a set of selected option IDs is a complete configuration: every
+// part type filled with between its minimum and maximum number of selectable
+// options, no exclusion fully selected and every requirement of a selected
+// option met
+function isValidConfiguration(
+  model,
+  selectionIds,
+  { ignoreStock = false } = {}
+) {
+  const selected = new Set(selectionIds);
+
+  for (const partType of model.partTypes) {
+    const count = partType.optionIds.filter((id) => selected.has(id)).length;
+    if (count < partType.min_selections || count > partType.max_selections) {
+      return false;
+    }
+  }
+
+  for (const partOptionId of selected) {
+    const option = model.options.get(partOptionId);
+    if (!option || !isSelectable(option, ignoreStock)) {
+      return false;
+    }
+  }
+
+  for (const exclusion of model.exclusions) {
+    if (exclusion.partOptionIds.every((id) => selected.has(id))) {
+      return false;
+    }
+  }
+
+  for (const requirement of model.requirements) {
+    if (
+      selected.has(requirement.partOptionId) &&
+      ![...requirement.allowedPartOptionIds].some((id) => selected.has(id))
+    ) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Lazily enumerate the complete configurations extending the selections, each
+// as the array of selected option IDs in part type order.
+//
+// Slots are decided in display order, trying their values in the order
+// returned by `orderOptions(partType, optionIds)`, where null stands for
+// leaving the slot empty (by ID with null last by default). Part types in
+// `nonePartTypeIds` stay empty. Subtrees for which `prune(domains)` returns
+// true are skipped, so a caller can run a branch-and-bound search by
+// tightening what `prune` compares against as configurations are yielded.
+function* enumerateCompletions(model, selectionIds = [], options = {}) {
+  const domains = buildDomains(model, selectionIds, options);
+  yield* searchCompletions(model, domains, options);
+}
+
+function* searchCompletions(model, domains, options) {
+  if (!propagate(model, domains).consistent) {
+    return;
+  }
+  if (options.prune && options.prune(domains)) {
+    return;
+  }
+
+  const { slots } = getSlots(model);
+  const slot = slots.find((candidate) => domains.get(candidate.key).size > 1);
+
+  if (!slot) {
+    const selectionIds = slots
+      .map((candidate) => [...domains.get(candidate.key)][0])
+      .filter((id) => id !== null && id !== undefined);
+
+    if (isValidConfiguration(model, selectionIds, options)) {
+      yield selectionIds;
+    }
+    return;
+  }
+
+  const values = [...domains.get(slot.key)];
+  const ordered = options.orderOptions
+    ? options.orderOptions(slot.partType, values)
+    : values.sort((a, b) => (a === null) - (b === null) || a - b);
+
+  for (const partOptionId of ordered) {
+    const branch = cloneDomains(domains);
+    branch.set(slot.key, new Set([partOptionId]));
+    yield* searchCompletions(model, branch, options);
+  }
+}
+
+// Explain why the selections cannot be completed: the part types of selected
+// options that cannot be picked, the part types propagation leaves impossible
+// to fill, or failing that the first part type none of whose options leads to
+// a complete configuration
+function findUnsatisfiablePartTypes(model, selectionIds = [], options = {}) {
+  const unselectable = model.partTypes
+    .filter((partType) =>
+      partType.optionIds.some(
+        (id) =>
+          selectionIds.includes(id) &&
+          !isSelectable(model.options.get(id), options.ignoreStock)
+      )
+    )
+    .map((partType) => partType.id);
+  if (unselectable.length > 0) {
+    return unselectable;
+  }
+
+  const domains = buildDomains(model, selectionIds, options);
+  const result = propagate(model, domains);
+  if (!result.consistent) {
+    return result.unfillablePartTypeIds;
+  }
+
+  const slot = getSlots(model).slots.find(
+    (candidate) => domains.get(candidate.key).size > 1
+  );
+  return slot ? [slot.partType.id] : [];
+}
+
+// Whether the selections can be extended into at least one complete
+// configuration
+function canComplete(model, selectionIds, options = {}) {
+  return !enumerateCompletions(model, selectionIds, options).next().done;
+}
+
+// The subsets of `items` with `size` members, in order
+function* combinations(items, size, start = 0) {
+  if (size === 0) {
+    yield [];
+    return;
+  }
+  for (let i = start; i <= items.length - size; i++) {
+    for (const rest of combinations(items, size - 1, i + 1)) {
+      yield [items[i], ...rest];
+    }
+  }
+}
+
+// Every way of picking one value from each list
+function* cartesian(lists) {
+  if (lists.length === 0) {
+    yield [];
+    return;
+  }
+  for (const value of lists[0]) {
+    for (const rest of cartesian(lists.slice(1))) {
+      yield [value, ...rest];
+    }
+  }
+}
+
+// Find the smallest sets of changes to the selections after which the
+// configuration can be completed again, leaving the pinned options (the ones
+// the customer just picked) alone. A change swaps a selected option for
+// another option of its part type (`to`), or drops it (`to` is null) when its
+// part type keeps its minimum number of options. Only the repairs with the
+// fewest changes, up to `maxChanges`, are returned; an already valid
+// selection gets a single repair without changes.
+function findRepairs(model, selectionIds, pinnedIds = [], options = {}) {
+  const { maxChanges = 3 } = options;
+  if (canComplete(model, selectionIds, options)) {
+    return [{ changes: [], selectionIds: [...selectionIds] }];
+  }
+
+  const partTypeOf = new Map();
+  for (const partType of model.partTypes) {
+    for (const partOptionId of partType.optionIds) {
+      partTypeOf.set(partOptionId, partType);
+    }
+  }
+
+  const alternativesOf = (partOptionId, keptIds) => {
+    const partType = partTypeOf.get(partOptionId);
+    const alternatives = partType.optionIds.filter(
+      (id) =>
+        id !== partOptionId &&
+        !keptIds.includes(id) &&
+        isSelectable(model.options.get(id), options.ignoreStock)
+    );
+    const keptCount = partType.optionIds.filter((id) =>
+      keptIds.includes(id)
+    ).length;
+    return keptCount >= partType.min_selections
+      ? [...alternatives, null]
+      : alternatives;
+  };
+
+  const releasable = selectionIds.filter((id) => !pinnedIds.includes(id));
+  for (let size = 1; size <= Math.min(maxChanges, releasable.length); size++) {
+    const repairs = [];
+
+    for (const released of combinations(releasable, size)) {
+      const keptIds = selectionIds.filter((id) => !released.includes(id));
+      if (!canComplete(model, keptIds, options)) {
+        continue;
+      }
+
+      const choices = released.map((id) => alternativesOf(id, keptIds));
+      for (const replacements of cartesian(choices)) {
+        const added = replacements.filter((id) => id !== null);
+        if (new Set(added).size !== added.length) {
+          continue;
+        }
+
+        const repairedIds = [...keptIds, ...added];
+        if (canComplete(model, repairedIds, options)) {
+          repairs.push({
+            changes: released.map((from, i) => ({
+              partTypeId: partTypeOf.get(from).id,
+              from,
+              to: replacements[i],
+            })),
+            selectionIds: repairedIds,
+          });
+        }
+      }
+    }
+
+    if (repairs.length > 0) {
+      return repairs;
+    }
+  }
+
+  return [];
+}
+
+function cloneDomains(domains) {
+  const copy = new Map();
+  for (const [key, domain] of domains) {
+    copy.set(key, new Set(domain));
+  }
+  return copy;
+}
+
+module.exports = {
+  buildDomains,
+  domainOf,
+  isSelectable,
+  propagate,
+  findDeadEnds,
+  findBlockingRules,
+  isValidConfiguration,
+  enumerateCompletions,
+  findUnsatisfiablePartTypes,
+  findRepairs,
+  cloneDomains,
+};
@@ -0,0 +1,460 @@
+const {
+  buildDomains,
+  propagate,
+  findDeadEnds,
+  findBlockingRules,
+  isSelectable,
+  isValidConfiguration,
+  enumerateCompletions,
+  findUnsatisfiablePartTypes,
+  findRepairs,
+} = require('./constraints');
+
+describe('constraints', () => {
+  const option = (id, partTypeId, overrides = {}) => ({
+    id,
+    part_type_id: partTypeId,
+    active: 1,
+    in_stock: 1,
+    quantity: 5,
+    ...overrides,
+  });
+
+  // Frame (1, 2), Wheels (3, 4), Rim color (5, 6 out of stock)
+  const buildModel = ({ exclusions = [], requirements = [] } = {}) => ({
+    partTypes: [
+      {
+        id: 1,
+        name: 'Frame',
+        required: 1,
+        min_selections: 1,
+        max_selections: 1,
+        optionIds: [1, 2],
+      },
+      {
+        id: 2,
+        name: 'Wheels',
+        required: 1,
+        min_selections: 1,
+        max_selections: 1,
+        optionIds: [3, 4],
+      },
+      {
+        id: 3,
+        name: 'Rim Color',
+        required: 1,
+        min_selections: 1,
+        max_selections: 1,
+        optionIds: [5, 6],
+      },
+    ],
+    options: new Map(
+      [
+        option(1, 1),
+        option(2, 1),
+        option(3, 2),
+        option(4, 2),
+        option(5, 3),
+        option(6, 3, { in_stock: 0, quantity: 0 }),
+      ].map((o) => [o.id, o])
+    ),
+    exclusions,
+    requirements,
+  });
+
+  describe('isSelectable', () => {
+    it('requires the option to be active and in stock', () => {
+      expect(isSelectable(option(1, 1))).toBe(true);
+      expect(isSelectable(option(1, 1, { active: 0 }))).toBe(false);
+      expect(isSelectable(option(1, 1, { in_stock: 0 }))).toBe(false);
+      expect(isSelectable(option(1, 1, { quantity: 0 }))).toBe(false);
+    });
+
+    it('only requires the option to be active when ignoring stock', () => {
+      expect(isSelectable(option(1, 1, { in_stock: 0 }), true)).toBe(true);
+      expect(isSelectable(option(1, 1, { active: 0 }), true)).toBe(false);
+    });
+  });
+
+  describe('buildDomains', () => {
+    it('uses the selection or every selectable option of each part type', () => {
+      const domains = buildDomains(buildModel(), [2]);
+
+      expect(domains.get(1)).toEqual(new Set([2]));
+      expect(domains.get(2)).toEqual(new Set([3, 4]));
+      expect(domains.get(3)).toEqual(new Set([5]));
+    });
+  });
+
+  describe('propagate', () => {
+    it('removes the last unforced member of an exclusion', () => {
+      const model = buildModel({
+        exclusions: [{ ruleId: 1, partOptionIds: [1, 3] }],
+      });
+      const domains = buildDomains(model, [1]);
+
+      const result = propagate(model, domains);
+
+      expect(result.consistent).toBe(true);
+      expect(domains.get(2)).toEqual(new Set([4]));
+    });
+
+    it('reports the part types of an exclusion whose members are all forced', () => {
+      const model = buildModel({
+        exclusions: [{ ruleId: 1, partOptionIds: [1, 3, 5] }],
+      });
+      const domains = buildDomains(model, [1, 3]);
+
+      const result = propagate(model, domains);
+
+      // Rim color 5 is the only rim left, so the set is fully forced
+      expect(result).toEqual({
+        consistent: false,
+        unfillablePartTypeIds: [1, 2, 3],
+      });
+    });
+
+    it('restricts the required part type once a requiring option is forced', () => {
+      const model = buildModel({
+        requirements: [
+          {
+            ruleId: 2,
+            partOptionId: 4,
+            requiredPartTypeId: 1,
+            allowedPartOptionIds: new Set([1]),
+          },
+        ],
+      });
+      const domains = buildDomains(model, [4]);
+
+      const result = propagate(model, domains);
+
+      expect(result.consistent).toBe(true);
+      expect(domains.get(1)).toEqual(new Set([1]));
+    });
+
+    it('chains removals until the configuration cannot be completed', () => {
+      const model = buildModel({
+        exclusions: [
+          { ruleId: 1, partOptionIds: [1, 3] },
+          { ruleId: 2, partOptionIds: [4, 5] },
+        ],
+      });
+      const domains = buildDomains(model, [1]);
+
+      const result = propagate(model, domains);
+
+      // Frame 1 removes wheel 3, forcing wheel 4, which cannot be combined
+      // with the only rim color in stock
+      expect(result).toEqual({
+        consistent: false,
+        unfillablePartTypeIds: [2, 3],
+      });
+    });
+  });
+
+  describe('findDeadEnds', () => {
+    const model = buildModel({
+      exclusions: [
+        { ruleId: 1, partOptionIds: [1, 3] },
+        { ruleId: 2, partOptionIds: [4, 5] },
+      ],
+    });
+
+    it('flags options that leave a required part type impossible to fill', () => {
+      const deadEnds = findDeadEnds(model, []);
+
+      // Frame 1 and wheel 4 each lead to a dead end, the rest can be completed
+      expect(deadEnds).toEqual(
+        new Map([
+          [1, [2, 3]],
+          [4, [2, 3]],
+        ])
+      );
+    });
+
+    it('checks options against the other selections, replacing their own', () => {
+      const deadEnds = findDeadEnds(model, [2, 3], [1, 2]);
+
+      // Switching the frame to 1 while keeping wheel 3 is not possible
+      expect(deadEnds).toEqual(new Map([[1, [1, 2]]]));
+    });
+
+    it('leaves optional part types empty rather than flagging their rivals', () => {
+      // Frame (1, 2) and an optional bell (3) that frame 1 cannot take
+      const optional = {
+        partTypes: [
+          { id: 1, min_selections: 1, max_selections: 1, optionIds: [1, 2] },
+          { id: 2, min_selections: 0, max_selections: 1, optionIds: [3] },
+        ],
+        options: new Map(
+          [option(1, 1), option(2, 1), option(3, 2)].map((o) => [o.id, o])
+        ),
+        exclusions: [{ ruleId: 1, partOptionIds: [1, 3] }],
+        requirements: [],
+      };
+
+      expect(buildDomains(optional).get(2)).toEqual(new Set([3, null]));
+      expect(findDeadEnds(optional, [])).toEqual(new Map());
+      expect([...enumerateCompletions(optional, [1])]).toEqual([[1]]);
+    });
+  });
+
+  describe('findBlockingRules', () => {
+    it('blocks the last unselected member of an exclusion', () => {
+      const model = buildModel({
+        exclusions: [{ ruleId: 1, partOptionIds: [1, 3, 5] }],
+      });
+
+      expect(findBlockingRules(model, [1])).toEqual(new Map());
+      expect(findBlockingRules(model, [1, 3])).toEqual(
+        new Map([[5, [{ ruleId: 1, triggeredBy: [1, 3] }]]])
+      );
+    });
+
+    it('checks requirements from both sides', () => {
+      const model = buildModel({
+        requirements: [
+          {
+            ruleId: 2,
+            partOptionId: 4,
+            requiredPartTypeId: 1,
+            allowedPartOptionIds: new Set([1]),
+          },
+        ],
+      });
+
+      // Wheel 4 only allows frame 1...
+      expect(findBlockingRules(model, [4], [1, 2])).toEqual(
+        new Map([[2, [{ ruleId: 2, triggeredBy: [4] }]]])
+      );
+      // ...so it cannot be picked once frame 2 is selected
+      expect(findBlockingRules(model, [2], [3, 4])).toEqual(
+        new Map([[4, [{ ruleId: 2, triggeredBy: [2] }]]])
+      );
+    });
+  });
+
+  describe('isValidConfiguration', () => {
+    const model = buildModel({
+      exclusions: [{ ruleId: 1, partOptionIds: [1, 3] }],
+    });
+
+    it('accepts a complete configuration that breaks no rule', () => {
+      expect(isValidConfiguration(model, [1, 4, 5])).toBe(true);
+    });
+
+    it('rejects missing parts, broken rules and options out of stock', () => {
+      expect(isValidConfiguration(model, [1, 4])).toBe(false);
+      expect(isValidConfiguration(model, [1, 3, 5])).toBe(false);
+      expect(isValidConfiguration(model, [1, 4, 6])).toBe(false);
+      expect(
+        isValidConfiguration(model, [1, 4, 6], { ignoreStock: true })
+      ).toBe(true);
+    });
+  });
+
+  describe('enumerateCompletions', () => {
+    const model = buildModel({
+      exclusions: [{ ruleId: 1, partOptionIds: [1, 3] }],
+    });
+
+    it('lists every valid completion in part type order', () => {
+      expect([...enumerateCompletions(model)]).toEqual([
+        [1, 4, 5],
+        [2, 3, 5],
+        [2, 4, 5],
+      ]);
+      expect([...enumerateCompletions(model, [2])]).toEqual([
+        [2, 3, 5],
+        [2, 4, 5],
+      ]);
+    });
+
+    it('includes options out of stock when ignoring stock', () => {
+      expect([
+        ...enumerateCompletions(model, [1], { ignoreStock: true }),
+      ]).toEqual([
+        [1, 4, 5],
+        [1, 4, 6],
+      ]);
+    });
+
+    it('can leave optional part types empty', () => {
+      const optional = buildModel();
+      optional.partTypes[2].min_selections = 0;
+
+      expect([...enumerateCompletions(optional, [1, 3])]).toEqual([
+        [1, 3, 5],
+        [1, 3],
+      ]);
+    });
+
+    it('follows the option order and skips pruned subtrees', () => {
+      const completions = enumerateCompletions(model, [], {
+        orderOptions: (partType, optionIds) => optionIds.sort((a, b) => b - a),
+        prune: (domains) => domains.get(1).size === 1 && domains.get(1).has(2),
+      });
+
+      expect([...completions]).toEqual([[1, 4, 5]]);
+    });
+  });
+
+  describe('multi-select part types', () => {
+    // Frame (1, 2) and up to two accessories (7, 8, 9)
+    const buildMultiSelectModel = ({
+      minSelections = 0,
+      requirements = [],
+    }) => ({
+      partTypes: [
+        {
+          id: 1,
+          name: 'Frame',
+          min_selections: 1,
+          max_selections: 1,
+          optionIds: [1, 2],
+        },
+        {
+          id: 4,
+          name: 'Accessories',
+          min_selections: minSelections,
+          max_selections: 2,
+          optionIds: [7, 8, 9],
+        },
+      ],
+      options: new Map(
+        [
+          option(1, 1),
+          option(2, 1),
+          option(7, 4),
+          option(8, 4),
+          option(9, 4),
+        ].map((o) => [o.id, o])
+      ),
+      exclusions: [],
+      requirements,
+    });
+
+    it('lists every combination of options up to the maximum', () => {
+      const model = buildMultiSelectModel({});
+
+      expect([...enumerateCompletions(model, [1])]).toEqual([
+        [1, 7, 8],
+        [1, 7, 9],
+        [1, 7],
+        [1, 8, 9],
+        [1, 8],
+        [1, 9],
+        [1],
+      ]);
+    });
+
+    it('picks the options needed to reach the minimum', () => {
+      const model = buildMultiSelectModel({ minSelections: 2 });
+      model.options.get(9).in_stock = 0;
+      const domains = buildDomains(model, [1]);
+
+      expect(propagate(model, domains).consistent).toBe(true);
+      expect(domains.get('4:7')).toEqual(new Set([7]));
+      expect(domains.get('4:8')).toEqual(new Set([8]));
+    });
+
+    it('picks the only option a requirement allows, keeping the others', () => {
+      const model = buildMultiSelectModel({
+        requirements: [
+          {
+            ruleId: 1,
+            partOptionId: 2,
+            requiredPartTypeId: 4,
+            allowedPartOptionIds: new Set([8]),
+          },
+        ],
+      });
+      const domains = buildDomains(model, [2]);
+
+      propagate(model, domains);
+
+      expect(domains.get('4:8')).toEqual(new Set([8]));
+      expect(domains.get('4:7')).toEqual(new Set([7, null]));
+      // Other accessories can still be added next to the required one
+      expect(findBlockingRules(model, [2], [7, 9])).toEqual(new Map());
+    });
+
+    it('rejects more options than the maximum', () => {
+      const model = buildMultiSelectModel({});
+
+      expect(isValidConfiguration(model, [1, 7, 8])).toBe(true);
+      expect(isValidConfiguration(model, [1, 7, 8, 9])).toBe(false);
+      expect(findDeadEnds(model, [1, 7, 8], [9])).toEqual(new Map([[9, [4]]]));
+    });
+
+    it('keeps part types explicitly left empty without options', () => {
+      const model = buildMultiSelectModel({});
+
+      expect([
+        ...enumerateCompletions(model, [1], { nonePartTypeIds: [4] }),
+      ]).toEqual([[1]]);
+    });
+  });
+
+  describe('findRepairs', () => {
+    const model = buildModel({
+      exclusions: [{ ruleId: 1, partOptionIds: [1, 3] }],
+    });
+
+    it('returns a repair without changes for a valid selection', () => {
+      expect(findRepairs(model, [1, 4])).toEqual([
+        { changes: [], selectionIds: [1, 4] },
+      ]);
+    });
+
+    it('swaps the fewest other selections, keeping the pinned ones', () => {
+      // Wheel 3 was just picked, so frame 1 has to change
+      expect(findRepairs(model, [1, 3, 5], [3])).toEqual([
+        {
+          changes: [{ partTypeId: 1, from: 1, to: 2 }],
+          selectionIds: [3, 5, 2],
+        },
+      ]);
+      // Without pinning, swapping the wheel works as well
+      expect(findRepairs(model, [1, 3])).toEqual([
+        { changes: [{ partTypeId: 1, from: 1, to: 2 }], selectionIds: [3, 2] },
+        { changes: [{ partTypeId: 2, from: 3, to: 4 }], selectionIds: [1, 4] },
+      ]);
+    });
+
+    it('drops options of part types that can be left empty', () => {
+      const optional = buildModel({
+        exclusions: [{ ruleId: 1, partOptionIds: [1, 5] }],
+      });
+      optional.partTypes[2].min_selections = 0;
+
+      // Rim color 6 is out of stock, so rim color 5 can only be dropped
+      expect(findRepairs(optional, [1, 5], [1])).toEqual([
+        { changes: [{ partTypeId: 3, from: 5, to: null }], selectionIds: [1] },
+      ]);
+    });
+
+    it('returns nothing if the pinned options cannot be completed', () => {
+      expect(findRepairs(model, [1, 6], [6])).toEqual([]);
+    });
+  });
+
+  describe('findUnsatisfiablePartTypes', () => {
+    it('reports the part types of selected options that cannot be picked', () => {
+      expect(findUnsatisfiablePartTypes(buildModel(), [6])).toEqual([3]);
+    });
+
+    it('reports the part types propagation leaves impossible to fill', () => {
+      const model = buildModel({
+        exclusions: [
+          { ruleId: 1, partOptionIds: [1, 3] },
+          { ruleId: 2, partOptionIds: [1, 4] },
+        ],
+      });
+
+      // Frame 1 leaves no wheel it can be combined with
+      expect(findUnsatisfiablePartTypes(model, [1])).toEqual([1, 2]);
+    });
+  });
+});
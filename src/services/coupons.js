@@ -0,0 +1,139 @@
+/**
+ * Coupons
+ *
+ * A coupon is a promo code a customer applies to their cart. It takes a
+ * `fixed` amount or a `percentage` off the items it applies to, or makes the
+ * dearest selected option of a part type free (`free_option`, e.g. a free
+ * upgrade voucher, for one item of the cart). A coupon scoped to a product or
+ * category only applies to the items of that product or category.
+ *
+ * The discount is split between the items it applies to, in proportion to
+ * their amounts after volume discounts, so that each item is taxed on what
+ * is paid for it.
+ */
+const { percentageOf, formatMoney } = require('./money');
+const { allocate } = require('./tax');
+
+const COUPON_TYPES = ['fixed', 'percentage', 'free_option'];
+
+/**
+ * The form coupon codes are stored and looked up in, so "spring10 " finds
+ * SPRING10
+ */
+function normalizeCouponCode(code) {
+  return String(code).trim().toUpperCase();
+}
+
+/**
+ * Whether a cart item is in the product and category scope of a coupon or
+ * volume discount
+ */
+function isInScope(discount, item) {
+  return (
+    (!discount.product_id || discount.product_id === item.product_id) &&
+    (!discount.category_id || discount.category_id === item.category_id)
+  );
+}
+
+// The items a coupon can discount: the ones in its scope and, for a free
+// option, with a priced option of its part type
+function discountableItems(coupon, items) {
+  return items.filter(
+    (item) =>
+      isInScope(coupon, item) &&
+      (coupon.discount_type !== 'free_option' || item.freeOptionPrice > 0)
+  );
+}
+
+/**
+ * Works out why a coupon cannot be used on a cart
+ *
+ * @param {Object} coupon - The coupon
+ * @param {Object} cart - The `items` of the cart, each with its `amount`
+ *   (price times quantity, less volume discounts), the cart `currency` and
+ *   `minimum` value of the coupon in it, the time it is used at (`now`, as a
+ *   UTC timestamp) and
+ *   the number of placed orders that used the coupon, in total (`uses`) and
+ *   by the customer (`customerUses`)
+ * @returns {string|null} The reason to show the customer, or null if the
+ *   coupon can be used
+ */
+function couponProblem(
+  coupon,
+  { items, currency, minimum, now, uses, customerUses }
+) {
+  const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+
+  if (!coupon.active) {
+    return `Coupon ${coupon.code} is not valid`;
+  }
+  if (coupon.valid_from && now < coupon.valid_from) {
+    return `Coupon ${coupon.code} is not valid yet`;
+  }
+  if (coupon.valid_to && now >= coupon.valid_to) {
+    return `Coupon ${coupon.code} has expired`;
+  }
+  if (coupon.max_uses !== null && uses >= coupon.max_uses) {
+    return `Coupon ${coupon.code} has been used up`;
+  }
+  if (
+    coupon.max_uses_per_customer !== null &&
+    customerUses >= coupon.max_uses_per_customer
+  ) {
+    return `You have already used coupon ${coupon.code}`;
+  }
+  if (minimum && subtotal < minimum) {
+    return `Coupon ${coupon.code} needs a cart of at least ${formatMoney(minimum, currency)}`;
+  }
+  if (discountableItems(coupon, items).length === 0) {
+    return `Coupon ${coupon.code} does not apply to any item in the cart`;
+  }
+
+  return null;
+}
+
+/**
+ * Works out the discount a coupon takes off each item of a cart. A fixed
+ * discount is capped at the amount of the items it applies to.
+ *
+ * @param {Object} coupon - The coupon
+ * @param {Array} items - The cart items, with their `id` and `amount`, and
+ *   for a free option coupon the `freeOptionPrice` (the price of the dearest
+ *   selected option of its part type, if any)
+ * @param {number} fixedAmount - The amount of a fixed coupon, in minor units
+ *   of the cart currency
+ * @returns {Map} The amount taken off, keyed by the ID of each item the
+ *   coupon applies to
+ */
+function couponDiscounts(coupon, items, fixedAmount) {
+  const discountable = discountableItems(coupon, items);
+
+  if (coupon.discount_type === 'free_option') {
+    const [item] = [...discountable].sort(
+      (a, b) => b.freeOptionPrice - a.freeOptionPrice
+    );
+    return item
+      ? new Map([[item.id, Math.min(item.freeOptionPrice, item.amount)]])
+      : new Map();
+  }
+
+  const subtotal = discountable.reduce((sum, item) => sum + item.amount, 0);
+  const discount =
+    coupon.discount_type === 'percentage'
+      ? percentageOf(subtotal, coupon.discount_value)
+      : Math.min(fixedAmount, subtotal);
+  const parts = allocate(
+    discount,
+    discountable.map((item) => item.amount)
+  );
+
+  return new Map(discountable.map((item, index) => [item.id, parts[index]]));
+}
+
+module.exports = {
+  COUPON_TYPES,
+  normalizeCouponCode,
+  isInScope,
+  couponProblem,
+  couponDiscounts,
+};
@@ -0,0 +1,117 @@
+const {
+  normalizeCouponCode,
+  couponProblem,
+  couponDiscounts,
+} = require('./coupons');
+
+describe('coupons', () => {
+  const coupon = (fields) => ({
+    code: 'SPRING10',
+    discount_type: 'percentage',
+    discount_value: 10,
+    free_part_type_id: null,
+    min_cart_value: null,
+    max_uses: null,
+    max_uses_per_customer: null,
+    product_id: null,
+    category_id: null,
+    valid_from: '2026-03-01 00:00:00',
+    valid_to: '2026-06-01 00:00:00',
+    active: 1,
+    ...fields,
+  });
+  // A bike (category 1) and a pair of skis (category 2)
+  const items = [
+    { id: 1, product_id: 1, category_id: 1, amount: 30000 },
+    { id: 2, product_id: 3, category_id: 2, amount: 10000 },
+  ];
+  const cart = (fields) => ({
+    items,
+    currency: 'EUR',
+    minimum: null,
+    now: '2026-04-15 12:00:00',
+    uses: 0,
+    customerUses: 0,
+    ...fields,
+  });
+
+  it('finds codes in any case', () => {
+    expect(normalizeCouponCode(' spring10 ')).toBe('SPRING10');
+  });
+
+  it('can only be used within its window', () => {
+    expect(couponProblem(coupon(), cart())).toBeNull();
+    expect(couponProblem(coupon(), cart({ now: '2026-02-28 23:59:59' }))).toBe(
+      'Coupon SPRING10 is not valid yet'
+    );
+    expect(couponProblem(coupon(), cart({ now: '2026-06-01 00:00:00' }))).toBe(
+      'Coupon SPRING10 has expired'
+    );
+  });
+
+  it('is limited in uses, in total and per customer', () => {
+    expect(couponProblem(coupon({ max_uses: 100 }), cart({ uses: 100 }))).toBe(
+      'Coupon SPRING10 has been used up'
+    );
+    expect(
+      couponProblem(
+        coupon({ max_uses_per_customer: 1 }),
+        cart({ uses: 5, customerUses: 1 })
+      )
+    ).toBe('You have already used coupon SPRING10');
+  });
+
+  it('needs a minimum cart value before the discount', () => {
+    expect(couponProblem(coupon(), cart({ minimum: 40000 }))).toBeNull();
+    expect(couponProblem(coupon(), cart({ minimum: 40001 }))).toBe(
+      'Coupon SPRING10 needs a cart of at least €400.01'
+    );
+  });
+
+  it('only discounts the items in its scope', () => {
+    expect(couponDiscounts(coupon({ category_id: 2 }), items)).toEqual(
+      new Map([[2, 1000]])
+    );
+    expect(couponProblem(coupon({ product_id: 2 }), cart())).toBe(
+      'Coupon SPRING10 does not apply to any item in the cart'
+    );
+  });
+
+  it('splits a fixed discount between items, up to their amount', () => {
+    const fixed = coupon({ discount_type: 'fixed', discount_value: 2000 });
+
+    expect(couponDiscounts(fixed, items, 2000)).toEqual(
+      new Map([
+        [1, 1500],
+        [2, 500],
+      ])
+    );
+    expect(couponDiscounts({ ...fixed, category_id: 2 }, items, 50000)).toEqual(
+      new Map([[2, 10000]])
+    );
+  });
+
+  it('makes the dearest option of a part type free on one item', () => {
+    const voucher = coupon({
+      discount_type: 'free_option',
+      discount_value: null,
+      free_part_type_id: 6,
+    });
+    const withOptions = [
+      { ...items[0], freeOptionPrice: 4500 },
+      { ...items[1], freeOptionPrice: null },
+      {
+        id: 3,
+        product_id: 1,
+        category_id: 1,
+        amount: 200,
+        freeOptionPrice: 900,
+      },
+    ];
+
+    expect(couponDiscounts(voucher, withOptions)).toEqual(new Map([[1, 4500]]));
+    expect(couponProblem(voucher, cart({ items }))).toBe(
+      'Coupon SPRING10 does not apply to any item in the cart'
+    );
+  });
+});
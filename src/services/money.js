@@ -0,0 +1,106 @@
+/**
+ * Money
+ *
+ * Amounts are stored and computed as integers in the minor unit of their
+ * currency (cents for EUR), so adding them up is exact. Catalogue prices
+ * (products, part options and fixed pricing rule adjustments) are in the shop
+ * currency; orders record the currency they were placed in.
+ *
+ * Only percentages can produce a fraction of a minor unit. Each percentage
+ * adjustment is rounded once, when it is computed, to the nearest minor unit
+ * with halves rounded away from zero, so the adjustments shown to the customer
+ * always add up to the total they pay.
+ */
+const SHOP_CURRENCY = 'EUR';
+
+// Percentages are exact to a hundredth of a percent
+const PERCENT_SCALE = 100;
+
+/**
+ * Number of decimals of the minor unit of an ISO 4217 currency (2 for EUR, 0
+ * for JPY)
+ */
+function minorUnitDigits(currency = SHOP_CURRENCY) {
+  return new Intl.NumberFormat('en', {
+    style: 'currency',
+    currency,
+  }).resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Rounds a fractional amount of minor units to a whole one, halves away from
+ * zero
+ */
+function roundMinorUnits(value) {
+  return Math.sign(value) * Math.round(Math.abs(value)) || 0;
+}
+
+/**
+ * Converts an amount in major units (e.g. 129.99) to minor units (12999)
+ */
+function toMinorUnits(amount, currency = SHOP_CURRENCY) {
+  // Dropping the float noise first keeps 1.005 * 100 = 100.49999... at 100.5
+  const scaled = Number(
+    (Number(amount) * 10 ** minorUnitDigits(currency)).toPrecision(15)
+  );
+
+  return roundMinorUnits(scaled);
+}
+
+/**
+ * Converts an amount in minor units back to major units
+ */
+function fromMinorUnits(amount, currency = SHOP_CURRENCY) {
+  return amount / 10 ** minorUnitDigits(currency);
+}
+
+/**
+ * Converts an amount in minor units to another currency at an exchange rate
+ * (units of `toCurrency` per unit of `fromCurrency`), rounded to the nearest
+ * multiple of `step` minor units of the target currency (e.g. 5 for Swiss
+ * prices ending in 0.05), halves away from zero
+ */
+function convertMinorUnits(amount, rate, fromCurrency, toCurrency, step = 1) {
+  const converted =
+    fromMinorUnits(amount, fromCurrency) *
+    rate *
+    10 ** minorUnitDigits(toCurrency);
+
+  return roundMinorUnits(Number((converted / step).toPrecision(15))) * step;
+}
+
+/**
+ * Takes a percentage of an amount in minor units, rounded to a whole minor
+ * unit
+ */
+function percentageOf(amount, percent) {
+  // Integer arithmetic, so 50.5 cents rounds up however the floats fall
+  const scaled = amount * Math.round(percent * PERCENT_SCALE);
+  const divisor = 100 * PERCENT_SCALE;
+  const quotient = Math.floor(Math.abs(scaled) / divisor);
+  const remainder = Math.abs(scaled) % divisor;
+
+  return (
+    Math.sign(scaled) * (quotient + (remainder * 2 >= divisor ? 1 : 0)) || 0
+  );
+}
+
+/**
+ * Formats an amount in minor units for display, e.g. "€129.99"
+ */
+function formatMoney(amount, currency = SHOP_CURRENCY) {
+  return new Intl.NumberFormat('en', { style: 'currency', currency }).format(
+    fromMinorUnits(amount, currency)
+  );
+}
+
+module.exports = {
+  SHOP_CURRENCY,
+  minorUnitDigits,
+  roundMinorUnits,
+  toMinorUnits,
+  fromMinorUnits,
+  convertMinorUnits,
+  percentageOf,
+  formatMoney,
+};
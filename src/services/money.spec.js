@@ -0,0 +1,42 @@
+const {
+  toMinorUnits,
+  fromMinorUnits,
+  convertMinorUnits,
+  percentageOf,
+  roundMinorUnits,
+  formatMoney,
+} = require('./money');
+
+describe('money', () => {
+  it('converts major units to minor units without float errors', () => {
+    expect(toMinorUnits(129.99)).toBe(12999);
+    expect(toMinorUnits('1.005')).toBe(101);
+    expect(toMinorUnits(1.0049)).toBe(100);
+    expect(toMinorUnits(-2.675)).toBe(-268);
+    expect(toMinorUnits(1500, 'JPY')).toBe(1500);
+    expect(fromMinorUnits(12999)).toBe(129.99);
+  });
+
+  it('rounds percentages to the nearest minor unit, halves away from zero', () => {
+    expect(percentageOf(1001, 5)).toBe(50); // 50.05
+    expect(percentageOf(1010, 5)).toBe(51); // 50.5
+    expect(percentageOf(1010, -5)).toBe(-51);
+    expect(percentageOf(12345, 12.5)).toBe(1543); // 1543.125
+    expect(percentageOf(30300, -10)).toBe(-3030);
+    expect(roundMinorUnits(175.5)).toBe(176);
+    expect(roundMinorUnits(-0.5)).toBe(-1);
+  });
+
+  it('converts amounts to another currency, rounded to a step', () => {
+    expect(convertMinorUnits(12000, 0.94, 'EUR', 'CHF', 5)).toBe(11280);
+    expect(convertMinorUnits(3550, 0.94, 'EUR', 'CHF', 5)).toBe(3335); // 33.37
+    expect(convertMinorUnits(12000, 0.85, 'EUR', 'GBP', 100)).toBe(10200);
+    expect(convertMinorUnits(-500, 0.85, 'EUR', 'GBP', 100)).toBe(-400); // -4.25
+    expect(convertMinorUnits(1000, 160.5, 'EUR', 'JPY')).toBe(1605);
+  });
+
+  it('formats amounts in their currency', () => {
+    expect(formatMoney(12999)).toBe('€129.99');
+    expect(formatMoney(-500, 'GBP')).toBe('-£5.00');
+  });
+});
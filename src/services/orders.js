@@ -4,11 +4,31 @@
  * Handles cart, checkout, and order management functionality
  */
 const ProductConfigurationService = require('./product_configuration');
+const { encodeBuildCode } = require('./build_codes');
+const { SHOP_CURRENCY, convertMinorUnits } = require('./money');
+const { toTimestamp } = require('./pricing');
+const { reapportionTax } = require('./tax');
+const {
+  normalizeCouponCode,
+  couponProblem,
+  couponDiscounts,
+} = require('./coupons');
+const { volumeDiscounts } = require('./volume_discounts');
+
+const COUPON_COLUMNS = `id, code, description, discount_type, discount_value,
+  free_part_type_id, min_cart_value, max_uses, max_uses_per_customer,
+  product_id, category_id, valid_from, valid_to, active`;
 
 class OrderService {
-  constructor(database) {
+  /**
+   * @param {Object} database - The database
+   * @param {Object} options - The `clock` cart prices are worked out at
+   */
+  constructor(database, { clock } = {}) {
     this.database = database;
-    this.productConfigService = new ProductConfigurationService(database);
+    this.productConfigService = new ProductConfigurationService(database, {
+      clock,
+    });
   }
 
   /**
@@ -16,11 +36,20 @@ class OrderService {
    *
    * @param {number} customerId - The customer ID
    * @param {number} productId - The product being added
-   * @param {Array} selectedOptions - Selected part options
+   * @param {Array} selectedOptions - Selected part options, plus
+   *   `{ partTypeId, none: true }` for optional part types left empty
    * @param {number} quantity - Number of items to add
+   * @param {Object} options - The `priceListId` of a new cart; an existing
+   *   cart keeps the price list it was started in
    * @returns {Object} Result of the operation
    */
-  async addToCart(customerId, productId, selectedOptions, quantity = 1) {
+  async addToCart(
+    customerId,
+    productId,
+    selectedOptions,
+    quantity = 1,
+    { priceListId = null } = {}
+  ) {
     // 1. Validate the configuration first
     const validationResult =
       await this.productConfigService.validateConfiguration(
@@ -36,32 +65,68 @@ class OrderService {
       };
     }
 
-    // 2. Calculate the price for this configuration
+    // 2. Get or create cart for this customer
+    let cart = await this.getOrCreateCart(customerId, { priceListId });
+
+    // 3. Calculate the price for this configuration in the cart's price list,
+    // so every item of an order is in the same currency, with the prices of
+    // the customer's groups
     const pricing = await this.productConfigService.calculateTotalPrice(
       productId,
-      selectedOptions
+      selectedOptions,
+      { priceListId: cart.price_list_id || null, customerId }
     );
 
-    // 3. Get or create cart for this customer
-    let cart = await this.getOrCreateCart(customerId);
-
-    // 4. Add item to cart
+    // 4. Add item to cart, with the build code staff can reproduce it from,
+    // and a snapshot of the product name and the breakdown of the price the
+    // customer agreed to
     const [cartItem] = await this.database.query(
       `INSERT INTO OrderItems 
-         (order_id, product_id, quantity, price) 
-       VALUES (?, ?, ?, ?)
+         (order_id, product_id, product_name, quantity, price, build_code,
+          price_breakdown) 
+       VALUES (?, ?, ?, ?, ?, ?, ?)
        RETURNING id`,
-      [cart.id, productId, quantity, pricing.totalPrice]
+      [
+        cart.id,
+        productId,
+        pricing.breakdown.product.name,
+        quantity,
+        pricing.totalPrice,
+        encodeBuildCode(productId, selectedOptions),
+        JSON.stringify(pricing.breakdown),
+      ]
     );
 
-    // 5. Save the configuration for this cart item
+    // 5. Save the configuration for this cart item, with the names and unit
+    // prices of its options as priced, and "none" choices as rows without a
+    // part option
     for (const option of selectedOptions) {
-      await this.database.query(
-        `INSERT INTO OrderItemConfiguration
-           (order_item_id, part_option_id)
-         VALUES (?, ?)`,
-        [cartItem.id, option.partOptionId]
-      );
+      if (option.none) {
+        await this.database.query(
+          `INSERT INTO OrderItemConfiguration
+             (order_item_id, part_type_id, part_option_id, part_type_name)
+           SELECT ?, id, NULL, name FROM PartTypes WHERE id = ?`,
+          [cartItem.id, option.partTypeId]
+        );
+      } else {
+        const line = pricing.breakdown.options.find(
+          (optionLine) => optionLine.partOptionId === option.partOptionId
+        );
+        await this.database.query(
+          `INSERT INTO OrderItemConfiguration
+             (order_item_id, part_type_id, part_option_id, part_type_name,
+              option_name, option_price)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            cartItem.id,
+            line.partTypeId,
+            line.partOptionId,
+            line.partTypeName,
+            line.name,
+            line.price,
+          ]
+        );
+      }
     }
 
     // 6. Update cart total
@@ -75,12 +140,13 @@ class OrderService {
   }
 
   /**
-   * Gets the current cart for a customer or creates a new one
+   * Gets the current cart for a customer or creates a new one, priced in the
+   * given price list (or in the shop currency without one)
    */
-  async getOrCreateCart(customerId) {
+  async getOrCreateCart(customerId, { priceListId = null } = {}) {
     // Look for an existing cart (order with 'cart' status)
-    const existingCart = await this.database.query(
-      `SELECT id FROM Orders 
+    const [existingCart] = await this.database.query(
+      `SELECT id, price_list_id, currency FROM Orders 
        WHERE customer_id = ? AND status = 'cart'
        LIMIT 1`,
       [customerId]
@@ -90,74 +156,413 @@ class OrderService {
       return existingCart;
     }
 
-    // Create a new cart
-    const newCart = await this.database.query(
+    // An unknown or inactive price list falls back to the shop currency, as
+    // calculateTotalPrice does
+    const priceList =
+      await this.productConfigService.loadPriceList(priceListId);
+
+    const [newCart] = await this.database.query(
       `INSERT INTO Orders
-         (customer_id, status, total_price)
-       VALUES (?, 'cart', 0)
-       RETURNING id`,
-      [customerId]
+         (customer_id, status, total_price, currency, price_list_id)
+       VALUES (?, 'cart', 0, ?, ?)
+       RETURNING id, price_list_id, currency`,
+      [
+        customerId,
+        priceList ? priceList.currency : SHOP_CURRENCY,
+        priceList ? priceList.id : null,
+      ]
     );
 
     return newCart;
   }
 
   /**
-   * Updates the total price of a cart
+   * Updates the total price of a cart, less its discounts, which are worked
+   * out again for the items now in the cart and itemised in
+   * OrderItemDiscounts: the volume discounts the quantities qualify for (see
+   * volume_discounts.js), then the coupon on what is left. A coupon that no
+   * longer applies stays on the cart without a discount, and getCart says
+   * why. Item prices are integer minor units, so the sum is exact
    */
   async updateCartTotal(cartId) {
+    const [cart] = await this.database.query(
+      `SELECT id, customer_id, price_list_id, currency, coupon_id
+       FROM Orders WHERE id = ?`,
+      [cartId]
+    );
+    const items = await this.database.query(
+      `SELECT oi.id, oi.product_id, p.category_id, oi.quantity,
+              oi.price * oi.quantity AS amount
+       FROM OrderItems oi
+       JOIN Products p ON oi.product_id = p.id
+       WHERE oi.order_id = ?`,
+      [cartId]
+    );
+    const tiers = await this.database.query(
+      `SELECT id, name, basis, min_quantity, discount_percent, product_id,
+              category_id
+       FROM VolumeDiscounts WHERE active = TRUE`
+    );
+
+    await this.database.query(
+      `DELETE FROM OrderItemDiscounts
+       WHERE order_item_id IN (SELECT id FROM OrderItems WHERE order_id = ?)`,
+      [cartId]
+    );
+    for (const discount of volumeDiscounts(tiers, items)) {
+      await this.database.query(
+        `INSERT INTO OrderItemDiscounts
+           (order_item_id, kind, volume_discount_id, description, amount)
+         VALUES (?, 'volume', ?, ?, ?)`,
+        [
+          discount.orderItemId,
+          discount.volumeDiscountId,
+          discount.description,
+          discount.amount,
+        ]
+      );
+    }
+
+    // The coupon is worked out on the amounts left by the volume discounts
+    const coupon =
+      cart && cart.coupon_id ? await this.evaluateCartCoupon(cart) : null;
+    if (coupon) {
+      for (const [orderItemId, amount] of coupon.discounts) {
+        await this.database.query(
+          `INSERT INTO OrderItemDiscounts
+             (order_item_id, kind, coupon_id, description, amount)
+           VALUES (?, 'coupon', ?, ?, ?)`,
+          [
+            orderItemId,
+            coupon.coupon.id,
+            `Coupon ${coupon.coupon.code}`,
+            amount,
+          ]
+        );
+      }
+    }
+
+    await this.database.query(
+      `UPDATE OrderItems
+       SET discount_amount = (
+         SELECT COALESCE(SUM(amount), 0)
+         FROM OrderItemDiscounts
+         WHERE order_item_id = OrderItems.id
+       )
+       WHERE order_id = ?`,
+      [cartId]
+    );
     await this.database.query(
       `UPDATE Orders
        SET total_price = (
-         SELECT SUM(price * quantity)
+         SELECT COALESCE(SUM(price * quantity - discount_amount), 0)
+         FROM OrderItems
+         WHERE order_id = ?
+       ),
+       discount_total = (
+         SELECT COALESCE(SUM(discount_amount), 0)
          FROM OrderItems
          WHERE order_id = ?
        )
        WHERE id = ?`,
-      [cartId, cartId]
+      [cartId, cartId, cartId]
     );
   }
 
   /**
-   * Gets the current cart contents for a customer
+   * Applies a coupon to a customer's cart, replacing the coupon it had
    *
    * @param {number} customerId - The customer ID
-   * @returns {Object} Cart details with items
+   * @param {string} code - The coupon code, in any case
+   * @returns {Object} Result of the operation, with the `discount` in minor
+   *   units of the cart currency
    */
-  async getCart(customerId) {
-    const cart = await this.database.query(
-      `SELECT id, date_created, status, total_price
-       FROM Orders
+  async applyCoupon(customerId, code) {
+    const [cart] = await this.database.query(
+      `SELECT id, customer_id, price_list_id, currency FROM Orders
        WHERE customer_id = ? AND status = 'cart'
        LIMIT 1`,
       [customerId]
     );
 
     if (!cart) {
-      return { items: [], total: 0 };
+      return {
+        success: false,
+        message: 'Your cart is empty',
+      };
     }
 
+    const [coupon] = await this.database.query(
+      `SELECT ${COUPON_COLUMNS} FROM Coupons WHERE code = ?`,
+      [normalizeCouponCode(code)]
+    );
+
+    if (!coupon) {
+      return {
+        success: false,
+        message: `Coupon ${normalizeCouponCode(code)} is not valid`,
+      };
+    }
+
+    const { problem, discountTotal } = await this.evaluateCoupon(cart, coupon);
+
+    if (problem) {
+      return {
+        success: false,
+        message: problem,
+      };
+    }
+
+    await this.database.query('UPDATE Orders SET coupon_id = ? WHERE id = ?', [
+      coupon.id,
+      cart.id,
+    ]);
+    await this.updateCartTotal(cart.id);
+
+    return {
+      success: true,
+      message: `Coupon ${coupon.code} applied`,
+      discount: discountTotal,
+    };
+  }
+
+  /**
+   * Removes the coupon from a customer's cart
+   *
+   * @param {number} customerId - The customer ID
+   * @returns {Object} Result of the operation
+   */
+  async removeCoupon(customerId) {
+    const [cart] = await this.database.query(
+      `UPDATE Orders SET coupon_id = NULL
+       WHERE customer_id = ? AND status = 'cart'
+       RETURNING id`,
+      [customerId]
+    );
+
+    if (!cart) {
+      return {
+        success: false,
+        message: 'Your cart is empty',
+      };
+    }
+
+    await this.updateCartTotal(cart.id);
+
+    return {
+      success: true,
+      message: 'Coupon removed',
+    };
+  }
+
+  /**
+   * Checks the coupon of a cart, as evaluateCoupon does
+   *
+   * @param {Object} cart - The cart, with its `coupon_id`
+   * @returns {Object} The evaluation, with the `coupon` itself
+   */
+  async evaluateCartCoupon(cart) {
+    const [coupon] = await this.database.query(
+      `SELECT ${COUPON_COLUMNS} FROM Coupons WHERE id = ?`,
+      [cart.coupon_id]
+    );
+
+    return { coupon, ...(await this.evaluateCoupon(cart, coupon)) };
+  }
+
+  /**
+   * Checks whether a coupon can be used on a cart now, and works out the
+   * discount it takes off each item (see coupons.js). Amounts of the coupon
+   * are in the shop currency, and converted like catalogue prices for a
+   * cart in a price list.
+   *
+   * @param {Object} cart - The cart, with its `id`, `customer_id`,
+   *   `price_list_id` and `currency`
+   * @param {Object} coupon - The coupon
+   * @returns {Object} The `problem` preventing its use (null if none), and
+   *   the `discounts` (keyed by order item ID) and `discountTotal`
+   */
+  async evaluateCoupon(cart, coupon) {
     const items = await this.database.query(
-      `SELECT oi.id, oi.product_id, p.name as product_name, 
-              oi.quantity, oi.price
+      `SELECT oi.id, oi.product_id, p.category_id,
+              oi.price * oi.quantity - (
+                SELECT COALESCE(SUM(d.amount), 0) FROM OrderItemDiscounts d
+                WHERE d.order_item_id = oi.id AND d.kind = 'volume'
+              ) AS amount
        FROM OrderItems oi
        JOIN Products p ON oi.product_id = p.id
        WHERE oi.order_id = ?`,
       [cart.id]
     );
+    const [usage] = await this.database.query(
+      `SELECT COUNT(*) AS uses, COALESCE(SUM(customer_id = ?), 0) AS customer_uses
+       FROM Orders
+       WHERE coupon_id = ? AND status != 'cart'`,
+      [cart.customer_id, coupon.id]
+    );
 
-    // Get configuration details for each item
+    const priceList = await this.productConfigService.loadPriceList(
+      cart.price_list_id || null
+    );
+    const inCartCurrency = (amount) =>
+      priceList
+        ? convertMinorUnits(
+            amount,
+            priceList.exchange_rate,
+            SHOP_CURRENCY,
+            priceList.currency,
+            priceList.rounding_step
+          )
+        : amount;
+
+    // A free option is priced as the item's configuration is priced now
+    if (coupon.discount_type === 'free_option') {
+      for (const item of items) {
+        const pricing = await this.productConfigService.calculateTotalPrice(
+          item.product_id,
+          await this.getItemSelections(item.id),
+          {
+            priceListId: cart.price_list_id || null,
+            customerId: cart.customer_id,
+          }
+        );
+        const prices = pricing.lines
+          .filter((line) => line.partTypeId === coupon.free_part_type_id)
+          .map((line) => line.finalPrice);
+
+        item.freeOptionPrice = prices.length > 0 ? Math.max(...prices) : null;
+      }
+    }
+
+    const problem = couponProblem(coupon, {
+      items,
+      currency: cart.currency,
+      minimum: coupon.min_cart_value
+        ? inCartCurrency(coupon.min_cart_value)
+        : null,
+      now: toTimestamp(this.productConfigService.clock()),
+      uses: usage.uses,
+      customerUses: usage.customer_uses,
+    });
+    const discounts = problem
+      ? new Map()
+      : couponDiscounts(
+          coupon,
+          items,
+          coupon.discount_type === 'fixed'
+            ? inCartCurrency(coupon.discount_value)
+            : null
+        );
+
+    return {
+      problem,
+      discounts,
+      discountTotal: [...discounts.values()].reduce(
+        (sum, discount) => sum + discount,
+        0
+      ),
+    };
+  }
+
+  /**
+   * Gets the current cart contents for a customer
+   *
+   * @param {number} customerId - The customer ID
+   * @returns {Object} Cart details with items, their `price_breakdown` and
+   *   `discounts`, prices in minor units of the cart `currency`, the
+   *   `priceListId` it is priced in, the `discounts` taken off the total,
+   *   summed per volume discount and coupon, and its `coupon` with its
+   *   `discount`, or the `problem` preventing its use
+   */
+  async getCart(customerId) {
+    const [cart] = await this.database.query(
+      `SELECT id, customer_id, date_created, status, total_price, currency,
+              price_list_id, coupon_id, discount_total
+       FROM Orders
+       WHERE customer_id = ? AND status = 'cart'
+       LIMIT 1`,
+      [customerId]
+    );
+
+    if (!cart) {
+      return {
+        items: [],
+        total: 0,
+        currency: SHOP_CURRENCY,
+        priceListId: null,
+        discounts: [],
+        discountTotal: 0,
+        coupon: null,
+      };
+    }
+
+    // Items are shown as they were when added, whatever changed in the
+    // catalogue since
+    const items = await this.database.query(
+      `SELECT id, product_id, product_name, quantity, price, discount_amount,
+              build_code, price_breakdown
+       FROM OrderItems
+       WHERE order_id = ?`,
+      [cart.id]
+    );
+
+    // Get configuration details for each item, and the breakdown of its price
     for (const item of items) {
-      const configuration = await this.database.query(
-        `SELECT oic.part_option_id, po.name as option_name, pt.name as part_type
-         FROM OrderItemConfiguration oic
-         JOIN PartOptions po ON oic.part_option_id = po.id
-         JOIN PartTypes pt ON po.part_type_id = pt.id
-         WHERE oic.order_item_id = ?`,
+      item.price_breakdown = item.price_breakdown
+        ? JSON.parse(item.price_breakdown)
+        : null;
+      item.configuration = await this.database.query(
+        `SELECT part_type_id, part_option_id, part_type_name AS part_type,
+                option_name, option_price
+         FROM OrderItemConfiguration
+         WHERE order_item_id = ?
+         ORDER BY id`,
         [item.id]
       );
+    }
+
+    // Itemise the discounts on each item, and in total on the cart
+    const itemDiscounts = await this.database.query(
+      `SELECT d.order_item_id, d.kind, d.description, d.amount
+       FROM OrderItemDiscounts d
+       JOIN OrderItems oi ON d.order_item_id = oi.id
+       WHERE oi.order_id = ?
+       ORDER BY d.id`,
+      [cart.id]
+    );
+    const discounts = [];
+    for (const item of items) {
+      item.discounts = itemDiscounts
+        .filter((discount) => discount.order_item_id === item.id)
+        .map(({ kind, description, amount }) => ({
+          kind,
+          description,
+          amount,
+        }));
+    }
+    for (const { kind, description, amount } of itemDiscounts) {
+      const total = discounts.find(
+        (discount) =>
+          discount.kind === kind && discount.description === description
+      );
+      if (total) {
+        total.amount += amount;
+      } else {
+        discounts.push({ kind, description, amount });
+      }
+    }
 
-      item.configuration = configuration;
+    let coupon = null;
+    if (cart.coupon_id) {
+      const evaluation = await this.evaluateCartCoupon(cart);
+      coupon = {
+        code: evaluation.coupon.code,
+        description: evaluation.coupon.description,
+        discount: discounts
+          .filter((discount) => discount.kind === 'coupon')
+          .reduce((sum, discount) => sum + discount.amount, 0),
+        problem: evaluation.problem,
+      };
     }
 
     return {
@@ -165,21 +570,32 @@ class OrderService {
       dateCreated: cart.date_created,
       items,
       total: cart.total_price,
+      currency: cart.currency,
+      priceListId: cart.price_list_id,
+      discounts,
+      discountTotal: cart.discount_total,
+      coupon,
     };
   }
 
   /**
-   * Processes checkout from cart to order
+   * Processes checkout from cart to order. Item prices are net: the tax of
+   * the shipping `country` is worked out for each item, recorded on it, and
+   * charged on top of the cart total. The total is worked out again first,
+   * so only the discounts still running are taken off. The coupon of the
+   * cart must still be usable, and stays recorded on the order with its
+   * discount.
    *
    * @param {number} cartId - The cart ID
-   * @param {Object} shippingDetails - Shipping information
+   * @param {Object} shippingDetails - Shipping information, with the ISO
+   *   3166 alpha-2 `country`
    * @param {Object} paymentDetails - Payment information
    * @returns {Object} Result of the checkout operation
    */
   async checkout(cartId, shippingDetails, paymentDetails) {
     // Verify cart exists and has items
-    const cart = await this.database.query(
-      `SELECT id, customer_id, total_price
+    const [cart] = await this.database.query(
+      `SELECT id, customer_id, currency, price_list_id, coupon_id
        FROM Orders
        WHERE id = ? AND status = 'cart'`,
       [cartId]
@@ -215,9 +631,48 @@ class OrderService {
       };
     }
 
+    // Work the discounts out again, as a volume discount or the coupon may
+    // have ended since the cart was last priced
+    await this.updateCartTotal(cartId);
+    const [{ total_price: totalPrice }] = await this.database.query(
+      'SELECT total_price FROM Orders WHERE id = ?',
+      [cartId]
+    );
+
+    // Re-check the coupon, which may have expired or been used up since it
+    // was applied
+    if (cart.coupon_id) {
+      const { problem } = await this.evaluateCartCoupon(cart);
+
+      if (problem) {
+        return {
+          success: false,
+          message: problem,
+        };
+      }
+    }
+
+    // Work out the tax for the destination
+    if (!shippingDetails || !shippingDetails.country) {
+      return {
+        success: false,
+        message: 'A shipping country is required',
+      };
+    }
+
+    const tax = await this.calculateCartTax(cart, shippingDetails.country);
+
+    if (!tax) {
+      return {
+        success: false,
+        message: `We do not ship to ${shippingDetails.country}`,
+      };
+    }
+
     // Process payment (simplified)
     const paymentResult = await this.processPayment(
-      cart.total_price,
+      totalPrice + tax.taxTotal,
+      cart.currency,
       paymentDetails
     );
 
@@ -229,14 +684,29 @@ class OrderService {
       };
     }
 
-    // Update order status
+    // Record the tax, and update order status
+    for (const [orderItemId, taxAmount] of tax.itemTaxes) {
+      await this.database.query(
+        'UPDATE OrderItems SET tax_amount = ? WHERE id = ?',
+        [taxAmount, orderItemId]
+      );
+    }
+
     await this.database.query(
       `UPDATE Orders
        SET status = 'pending',
            shipping_address = ?,
-           payment_reference = ?
+           payment_reference = ?,
+           tax_country = ?,
+           tax_total = ?
        WHERE id = ?`,
-      [JSON.stringify(shippingDetails), paymentResult.reference, cartId]
+      [
+        JSON.stringify(shippingDetails),
+        paymentResult.reference,
+        shippingDetails.country,
+        tax.taxTotal,
+        cartId,
+      ]
     );
 
     return {
@@ -244,9 +714,78 @@ class OrderService {
       message: 'Order placed successfully',
       orderId: cartId,
       paymentReference: paymentResult.reference,
+      taxTotal: tax.taxTotal,
     };
   }
 
+  /**
+   * Works out the tax of each item of a cart for a destination country. An
+   * item is taxed on its price times its quantity less its share of the
+   * coupon discount, split between tax categories like its configuration is
+   * priced now (see tax.js).
+   *
+   * @param {Object} cart - The cart, with its `id`, `customer_id` and
+   *   `price_list_id`
+   * @param {string} country - ISO 3166 alpha-2 country code
+   * @returns {Object|null} The `taxTotal` and the tax of each item
+   *   (`itemTaxes`, keyed by order item ID), or null when the shop has no tax
+   *   rates for the country
+   */
+  async calculateCartTax(cart, country) {
+    const rates = await this.productConfigService.loadTaxRates(country);
+    if (rates.size === 0) {
+      return null;
+    }
+
+    const items = await this.database.query(
+      `SELECT id, product_id, quantity, price, discount_amount
+       FROM OrderItems
+       WHERE order_id = ?`,
+      [cart.id]
+    );
+
+    const itemTaxes = new Map();
+    let taxTotal = 0;
+    for (const item of items) {
+      const pricing = await this.productConfigService.calculateTotalPrice(
+        item.product_id,
+        await this.getItemSelections(item.id),
+        {
+          priceListId: cart.price_list_id || null,
+          country,
+          customerId: cart.customer_id,
+        }
+      );
+      const { taxTotal: taxAmount } = reapportionTax(
+        item.price * item.quantity - item.discount_amount,
+        pricing.tax
+      );
+
+      itemTaxes.set(item.id, taxAmount);
+      taxTotal += taxAmount;
+    }
+
+    return { taxTotal, itemTaxes };
+  }
+
+  /**
+   * Loads the selections of a cart item, in the validateConfiguration format
+   */
+  async getItemSelections(orderItemId) {
+    const configuration = await this.database.query(
+      `SELECT part_type_id, part_option_id
+       FROM OrderItemConfiguration
+       WHERE order_item_id = ?`,
+      [orderItemId]
+    );
+
+    return configuration.map((row) =>
+      row.part_option_id === null
+        ? { partTypeId: row.part_type_id, none: true }
+        : { partOptionId: row.part_option_id }
+    );
+  }
+
   /**
    * Verifies inventory availability for all items in a cart
    */
@@ -265,12 +804,12 @@ class OrderService {
       const configurations = await this.database.query(
         `SELECT oic.part_option_id
          FROM OrderItemConfiguration oic
-         WHERE oic.order_item_id = ?`,
+         WHERE oic.order_item_id = ? AND oic.part_option_id IS NOT NULL`,
         [item.id]
       );
 
       for (const config of configurations) {
-        const inventory = await this.database.query(
+        const [inventory] = await this.database.query(
           `SELECT in_stock, quantity
            FROM Inventory
            WHERE part_option_id = ?`,
@@ -314,7 +853,7 @@ class OrderService {
       const configurations = await this.database.query(
         `SELECT oic.part_option_id
          FROM OrderItemConfiguration oic
-         WHERE oic.order_item_id = ?`,
+         WHERE oic.order_item_id = ? AND oic.part_option_id IS NOT NULL`,
         [item.id]
       );
 
@@ -339,15 +878,17 @@ class OrderService {
   }
 
   /**
-   * Processes a payment (simplified mock)
+   * Processes a payment of an amount in minor units (simplified mock)
    */
-  async processPayment(amount, paymentDetails) {
+  async processPayment(amount, currency, paymentDetails) {
     // This would call a payment gateway
 
-    // Mock implementation
+    // Mock implementation, echoing the amount charged like a gateway would
     return {
       success: true,
       reference: `PAY-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+      amount,
+      currency,
     };
   }
 }
@@ -1,5 +1,6 @@
 const OrderService = require('./orders');
 const database = require('../../tests/mock_database');
+const { encodeBuildCode } = require('./build_codes');
 
 describe('OrderService.checkout', () => {
   let orderService;
@@ -7,10 +8,11 @@ describe('OrderService.checkout', () => {
   beforeEach(() => {
     database.reset();
     orderService = new OrderService(database);
+    jest.spyOn(orderService, 'updateCartTotal').mockResolvedValue();
   });
 
   it('returns failure if cart not found', async () => {
-    database.query.mockResolvedValueOnce(null);
+    database.query.mockResolvedValueOnce([]);
 
     const result = await orderService.checkout(1, {}, {});
 
@@ -19,14 +21,14 @@ describe('OrderService.checkout', () => {
       message: 'Cart not found',
     });
     expect(database.query).toHaveBeenCalledWith(
-      expect.stringContaining('SELECT id, customer_id, total_price'),
+      expect.stringContaining('SELECT id, customer_id, currency'),
       [1]
     );
   });
 
   it('returns failure if cart is empty', async () => {
     database.query
-      .mockResolvedValueOnce({ id: 1, customer_id: 2, total_price: 100 }) // cart found
+      .mockResolvedValueOnce([{ id: 1, customer_id: 2 }]) // cart found
       .mockResolvedValueOnce([]); // no items
 
     const result = await orderService.checkout(1, {}, {});
@@ -40,38 +42,79 @@ describe('OrderService.checkout', () => {
 
   it('returns failure if payment fails', async () => {
     database.query
-      .mockResolvedValueOnce({ id: 1, customer_id: 2, total_price: 100 }) // cart found
+      .mockResolvedValueOnce([{ id: 1, customer_id: 2, currency: 'EUR' }]) // cart found
       .mockResolvedValueOnce([{ id: 10 }]) // items found
-      .mockResolvedValueOnce([]); // inventory check
+      .mockResolvedValueOnce([]) // inventory check
+      .mockResolvedValueOnce([{ total_price: 100 }]); // total worked out again
 
+    jest
+      .spyOn(orderService, 'calculateCartTax')
+      .mockResolvedValueOnce({ taxTotal: 21, itemTaxes: new Map([[10, 21]]) });
     jest.spyOn(orderService, 'processPayment').mockResolvedValueOnce({
       success: false,
       details: 'Card declined',
     });
 
-    const result = await orderService.checkout(1, {}, {});
+    const result = await orderService.checkout(1, { country: 'ES' }, {});
 
     expect(result).toEqual({
       success: false,
       message: 'Payment failed',
       details: 'Card declined',
     });
-    expect(orderService.processPayment).toHaveBeenCalledWith(100, {});
+    // The net total plus tax
+    expect(orderService.processPayment).toHaveBeenCalledWith(121, 'EUR', {});
+  });
+
+  it('returns failure without a shipping country', async () => {
+    database.query
+      .mockResolvedValueOnce([{ id: 1, customer_id: 2 }]) // cart found
+      .mockResolvedValueOnce([{ id: 10 }]) // items found
+      .mockResolvedValueOnce([]) // inventory check
+      .mockResolvedValueOnce([{ total_price: 100 }]); // total worked out again
+
+    const result = await orderService.checkout(1, { address: 'Main St' }, {});
+
+    expect(result).toEqual({
+      success: false,
+      message: 'A shipping country is required',
+    });
+  });
+
+  it('returns failure for a country without tax rates', async () => {
+    database.query
+      .mockResolvedValueOnce([{ id: 1, customer_id: 2 }]) // cart found
+      .mockResolvedValueOnce([{ id: 10 }]) // items found
+      .mockResolvedValueOnce([]) // inventory check
+      .mockResolvedValueOnce([{ total_price: 100 }]) // total worked out again
+      .mockResolvedValueOnce([]); // tax rates
+
+    const result = await orderService.checkout(1, { country: 'US' }, {});
+
+    expect(result).toEqual({
+      success: false,
+      message: 'We do not ship to US',
+    });
   });
 
   it('updates order and returns success if payment succeeds', async () => {
     database.query
-      .mockResolvedValueOnce({ id: 1, customer_id: 2, total_price: 100 }) // cart found
+      .mockResolvedValueOnce([{ id: 1, customer_id: 2, currency: 'EUR' }]) // cart found
       .mockResolvedValueOnce([{ id: 10 }]) // items found
       .mockResolvedValueOnce([]) // inventory check
+      .mockResolvedValueOnce([{ total_price: 100 }]) // total worked out again
+      .mockResolvedValueOnce({}) // item tax update
       .mockResolvedValueOnce({}); // update query
 
+    jest
+      .spyOn(orderService, 'calculateCartTax')
+      .mockResolvedValueOnce({ taxTotal: 21, itemTaxes: new Map([[10, 21]]) });
     jest.spyOn(orderService, 'processPayment').mockResolvedValueOnce({
       success: true,
       reference: 'PAY-123',
     });
 
-    const shippingDetails = { address: '123 Main St' };
+    const shippingDetails = { address: '123 Main St', country: 'ES' };
     const paymentDetails = { card: '****' };
 
     const result = await orderService.checkout(
@@ -85,15 +128,246 @@ describe('OrderService.checkout', () => {
       message: 'Order placed successfully',
       orderId: 1,
       paymentReference: 'PAY-123',
+      taxTotal: 21,
     });
 
+    // The discounts are worked out again before the total is charged
+    expect(orderService.updateCartTotal).toHaveBeenCalledWith(1);
+    expect(orderService.processPayment).toHaveBeenCalledWith(
+      121,
+      'EUR',
+      paymentDetails
+    );
+    expect(database.query).toHaveBeenCalledWith(
+      expect.stringContaining('UPDATE OrderItems SET tax_amount'),
+      [21, 10]
+    );
     expect(database.query).toHaveBeenCalledWith(
       expect.stringContaining('UPDATE Orders'),
-      [JSON.stringify(shippingDetails), 'PAY-123', 1]
+      [JSON.stringify(shippingDetails), 'PAY-123', 'ES', 21, 1]
     );
   });
 });
 
+describe('OrderService coupons', () => {
+  const clock = () => new Date('2026-04-15T12:00:00Z');
+  const cart = { id: 5, customer_id: 2, price_list_id: null, currency: 'EUR' };
+  const spring = {
+    id: 3,
+    code: 'SPRING10',
+    discount_type: 'percentage',
+    discount_value: 10,
+    min_cart_value: 20000,
+    max_uses: 100,
+    max_uses_per_customer: 1,
+    product_id: null,
+    category_id: null,
+    valid_from: '2026-03-01 00:00:00',
+    valid_to: '2026-06-01 00:00:00',
+    active: 1,
+  };
+  const items = [{ id: 10, product_id: 1, category_id: 1, amount: 30000 }];
+
+  let orderService;
+
+  beforeEach(() => {
+    database.reset();
+    orderService = new OrderService(database, { clock });
+  });
+
+  it('applies a coupon to the cart', async () => {
+    database.query
+      .mockResolvedValueOnce([cart]) // cart
+      .mockResolvedValueOnce([spring]) // coupon
+      .mockResolvedValueOnce(items) // items
+      .mockResolvedValueOnce([{ uses: 12, customer_uses: 0 }]) // usage
+      .mockResolvedValueOnce({}); // coupon update
+    jest.spyOn(orderService, 'updateCartTotal').mockResolvedValueOnce();
+
+    const result = await orderService.applyCoupon(2, ' spring10');
+
+    expect(database.query).toHaveBeenCalledWith(
+      expect.stringContaining('FROM Coupons WHERE code = ?'),
+      ['SPRING10']
+    );
+    expect(database.query).toHaveBeenCalledWith(
+      expect.stringContaining('WHERE coupon_id = ? AND status != '),
+      [2, 3]
+    );
+    expect(orderService.updateCartTotal).toHaveBeenCalledWith(5);
+    expect(result).toEqual({
+      success: true,
+      message: 'Coupon SPRING10 applied',
+      discount: 3000,
+    });
+  });
+
+  it('rejects an unknown code', async () => {
+    database.query.mockResolvedValueOnce([cart]).mockResolvedValueOnce([]);
+
+    const result = await orderService.applyCoupon(2, 'nope');
+
+    expect(result).toEqual({
+      success: false,
+      message: 'Coupon NOPE is not valid',
+    });
+  });
+
+  it('rejects a coupon the customer has already used', async () => {
+    database.query
+      .mockResolvedValueOnce([cart]) // cart
+      .mockResolvedValueOnce([spring]) // coupon
+      .mockResolvedValueOnce(items) // items
+      .mockResolvedValueOnce([{ uses: 12, customer_uses: 1 }]); // usage
+
+    const result = await orderService.applyCoupon(2, 'SPRING10');
+
+    expect(result).toEqual({
+      success: false,
+      message: 'You have already used coupon SPRING10',
+    });
+    expect(database.query).not.toHaveBeenCalledWith(
+      expect.stringContaining('SET coupon_id'),
+      expect.anything()
+    );
+  });
+
+  it('converts fixed amounts to the currency of the cart', async () => {
+    database.query
+      .mockResolvedValueOnce(items) // items
+      .mockResolvedValueOnce([{ uses: 0, customer_uses: 0 }]) // usage
+      .mockResolvedValueOnce([
+        { id: 1, currency: 'CHF', exchange_rate: 0.94, rounding_step: 5 },
+      ]) // price list
+      .mockResolvedValueOnce([]); // price list prices
+
+    const result = await orderService.evaluateCoupon(
+      { ...cart, price_list_id: 1, currency: 'CHF' },
+      {
+        ...spring,
+        discount_type: 'fixed',
+        discount_value: 2599,
+        min_cart_value: null,
+      }
+    );
+
+    // 25.99 euros at 0.94, to 5 centimes
+    expect(result.discountTotal).toBe(2445);
+  });
+
+  it('itemises volume and coupon discounts when the total is updated', async () => {
+    database.query
+      .mockResolvedValueOnce([{ ...cart, coupon_id: 3 }]) // cart
+      .mockResolvedValueOnce([
+        { id: 10, product_id: 1, category_id: 1, quantity: 5, amount: 150000 },
+      ]) // items
+      .mockResolvedValueOnce([
+        {
+          id: 1,
+          name: '5+ bikes',
+          basis: 'item',
+          min_quantity: 5,
+          discount_percent: 8,
+          product_id: null,
+          category_id: 1,
+        },
+      ]); // volume discounts
+    jest.spyOn(orderService, 'evaluateCartCoupon').mockResolvedValueOnce({
+      coupon: spring,
+      problem: null,
+      discounts: new Map([[10, 13800]]),
+      discountTotal: 13800,
+    });
+
+    await orderService.updateCartTotal(5);
+
+    expect(database.query).toHaveBeenCalledWith(
+      expect.stringContaining('DELETE FROM OrderItemDiscounts'),
+      [5]
+    );
+    expect(database.query).toHaveBeenCalledWith(
+      expect.stringContaining("VALUES (?, 'volume', ?, ?, ?)"),
+      [10, 1, '5+ bikes', 12000]
+    );
+    expect(database.query).toHaveBeenCalledWith(
+      expect.stringContaining("VALUES (?, 'coupon', ?, ?, ?)"),
+      [10, 3, 'Coupon SPRING10', 13800]
+    );
+    expect(database.query).toHaveBeenLastCalledWith(
+      expect.stringContaining('SUM(price * quantity - discount_amount)'),
+      [5, 5, 5]
+    );
+  });
+
+  it('fails checkout when the coupon can no longer be used', async () => {
+    database.query
+      .mockResolvedValueOnce([{ ...cart, coupon_id: 3 }]) // cart
+      .mockResolvedValueOnce([{ id: 10 }]) // items found
+      .mockResolvedValueOnce([]) // inventory check
+      .mockResolvedValueOnce([{ total_price: 30000 }]) // total worked out again
+      .mockResolvedValueOnce([{ ...spring, valid_to: '2026-04-01 00:00:00' }]) // coupon
+      .mockResolvedValueOnce(items) // items
+      .mockResolvedValueOnce([{ uses: 12, customer_uses: 0 }]); // usage
+    jest.spyOn(orderService, 'updateCartTotal').mockResolvedValue();
+    jest.spyOn(orderService, 'processPayment');
+
+    const result = await orderService.checkout(5, { country: 'ES' }, {});
+
+    expect(result).toEqual({
+      success: false,
+      message: 'Coupon SPRING10 has expired',
+    });
+    expect(orderService.processPayment).not.toHaveBeenCalled();
+  });
+});
+
+describe('OrderService.calculateCartTax', () => {
+  let orderService;
+
+  beforeEach(() => {
+    database.reset();
+    orderService = new OrderService(database);
+  });
+
+  it('taxes each item on its price times its quantity', async () => {
+    database.query
+      .mockResolvedValueOnce([{ tax_category_id: 1, rate: 21 }]) // tax rates
+      .mockResolvedValueOnce([
+        { id: 10, product_id: 1, quantity: 2, price: 1000, discount_amount: 0 },
+      ]) // items
+      .mockResolvedValueOnce([
+        { part_type_id: 1, part_option_id: 4 },
+        { part_type_id: 6, part_option_id: null },
+      ]); // configuration
+    jest
+      .spyOn(orderService.productConfigService, 'calculateTotalPrice')
+      .mockResolvedValueOnce({
+        tax: {
+          lines: [
+            { taxCategoryId: 1, rate: 21, netAmount: 750 },
+            { taxCategoryId: 2, rate: 10, netAmount: 250 },
+          ],
+        },
+      });
+
+    const result = await orderService.calculateCartTax(
+      { id: 5, customer_id: 3, price_list_id: 2 },
+      'ES'
+    );
+
+    expect(
+      orderService.productConfigService.calculateTotalPrice
+    ).toHaveBeenCalledWith(
+      1,
+      [{ partOptionId: 4 }, { partTypeId: 6, none: true }],
+      { priceListId: 2, country: 'ES', customerId: 3 }
+    );
+    // 21% of 1500 and 10% of 500
+    expect(result.taxTotal).toBe(365);
+    expect(result.itemTaxes).toEqual(new Map([[10, 365]]));
+  });
+});
+
 describe('OrderService.addToCart', () => {
   // Mock data
   const cart = { id: 5, customer: 1 };
@@ -102,6 +376,14 @@ describe('OrderService.addToCart', () => {
   const totalPrice = 123;
   const order = { id: 42 };
   const orderItemConf = { partOptionId: 7 };
+  const product = { id: productId, name: 'Bike', base_price: totalPrice };
+  const option = (id) => ({
+    id,
+    name: `Option ${id}`,
+    part_type_id: id,
+    part_type_name: `Part ${id}`,
+    base_price: 0,
+  });
 
   let orderService;
 
@@ -113,17 +395,24 @@ describe('OrderService.addToCart', () => {
   it('adds item to existing cart and updates total', async () => {
     // Mock validateConfiguration DB calls
     database.query
-      .mockResolvedValueOnce([{ id: 7, name: 'Part' }]) // requiredPartTypes
-      .mockResolvedValueOnce([{ part_type_id: 7 }]) // selectedOptions
+      .mockResolvedValueOnce([
+        { id: 7, name: 'Part', min_selections: 1, max_selections: 1 },
+      ]) // partTypes
+      .mockResolvedValueOnce([{ part_type_id: 7, offered: 1, active: 1 }]) // selectedOptions
+      .mockResolvedValueOnce([]) // unmetRequirements
+      .mockResolvedValueOnce([]) // violatedConditionSets
       .mockResolvedValueOnce([{ in_stock: true, quantity: 5 }]) // checkInventory
-      .mockResolvedValueOnce([{ base_price: totalPrice }]) // calculateTotalPrice
-      .mockResolvedValueOnce([{ id: productId, base_price: 0 }]); // getProductPrice
+      .mockResolvedValueOnce([product]) // calculateTotalPrice
+      .mockResolvedValueOnce([option(7)]) // option prices
+      .mockResolvedValueOnce([]); // getPriceAdjustments
     // Mock getOrCreateCart to return existing cart
     orderService.getOrCreateCart = jest.fn().mockResolvedValue(cart);
     database.query
       .mockResolvedValueOnce([order]) // insert OrderItems
       .mockResolvedValueOnce([{}]) // insert OrderItemConfiguration
-      .mockResolvedValueOnce([{}]); // updateCartTotal
+      .mockResolvedValueOnce([{ id: cart.id, coupon_id: null }]) // updateCartTotal
+      .mockResolvedValueOnce([]) // cart items
+      .mockResolvedValueOnce([]); // volume discounts
 
     const result = await orderService.addToCart(
       cart.customer,
@@ -132,18 +421,28 @@ describe('OrderService.addToCart', () => {
       quantity
     );
 
-    expect(orderService.getOrCreateCart).toHaveBeenCalledWith(1);
+    expect(orderService.getOrCreateCart).toHaveBeenCalledWith(1, {
+      priceListId: null,
+    });
     expect(database.query).toHaveBeenCalledWith(
       expect.stringContaining('INSERT INTO OrderItems'),
-      [cart.id, productId, quantity, totalPrice]
+      [
+        cart.id,
+        productId,
+        'Bike',
+        quantity,
+        totalPrice,
+        encodeBuildCode(productId, [orderItemConf]),
+        expect.any(String),
+      ]
     );
     expect(database.query).toHaveBeenCalledWith(
       expect.stringContaining('INSERT INTO OrderItemConfiguration'),
-      [order.id, orderItemConf.partOptionId]
+      [order.id, 7, 7, 'Part 7', 'Option 7', 0]
     );
     expect(database.query).toHaveBeenCalledWith(
       expect.stringContaining('UPDATE Orders'),
-      [5, 5]
+      [5, 5, 5]
     );
     expect(result).toEqual({
       success: true,
@@ -155,17 +454,25 @@ describe('OrderService.addToCart', () => {
   it('creates a new cart if none exists', async () => {
     // Mock validateConfiguration DB calls
     database.query
-      .mockResolvedValueOnce([{ id: 7, name: 'Part' }]) // requiredPartTypes
-      .mockResolvedValueOnce([{ part_type_id: 7 }]) // selectedOptions
+      .mockResolvedValueOnce([
+        { id: 7, name: 'Part', min_selections: 1, max_selections: 1 },
+      ]) // partTypes
+      .mockResolvedValueOnce([{ part_type_id: 7, offered: 1, active: 1 }]) // selectedOptions
+      .mockResolvedValueOnce([]) // unmetRequirements
+      .mockResolvedValueOnce([]) // violatedConditionSets
       .mockResolvedValueOnce([{ in_stock: true, quantity: 5 }]) // checkInventory
-      .mockResolvedValueOnce([{ base_price: totalPrice }]) // calculateTotalPrice
-      .mockResolvedValueOnce([{ id: productId, base_price: 0 }]); // getProductPrice
+      .mockResolvedValueOnce([product]) // calculateTotalPrice
+      .mockResolvedValueOnce([option(7)]) // option prices
+      .mockResolvedValueOnce([]); // getPriceAdjustments
 
     const newCart = { id: 99, customer: 98 };
     orderService.getOrCreateCart = jest.fn().mockResolvedValue(newCart);
     database.query
       .mockResolvedValueOnce([{ id: 77 }]) // insert OrderItems
-      .mockResolvedValueOnce([{}]); // updateCartTotal
+      .mockResolvedValueOnce([{}]) // insert OrderItemConfiguration
+      .mockResolvedValueOnce([{ id: newCart.id, coupon_id: null }]) // updateCartTotal
+      .mockResolvedValueOnce([]) // cart items
+      .mockResolvedValueOnce([]); // volume discounts
 
     const result = await orderService.addToCart(
       newCart.customer,
@@ -174,10 +481,20 @@ describe('OrderService.addToCart', () => {
       quantity
     );
 
-    expect(orderService.getOrCreateCart).toHaveBeenCalledWith(98);
+    expect(orderService.getOrCreateCart).toHaveBeenCalledWith(98, {
+      priceListId: null,
+    });
     expect(database.query).toHaveBeenCalledWith(
       expect.stringContaining('INSERT INTO OrderItems'),
-      [newCart.id, productId, quantity, totalPrice]
+      [
+        newCart.id,
+        productId,
+        'Bike',
+        quantity,
+        totalPrice,
+        expect.any(String),
+        expect.any(String),
+      ]
     );
     expect(result.cartItemId).toBe(77);
   });
@@ -185,14 +502,19 @@ describe('OrderService.addToCart', () => {
   it('handles empty selectedOptions array', async () => {
     // Mock validateConfiguration DB calls
     database.query
-      .mockResolvedValueOnce([]) // requiredPartTypes
-      .mockResolvedValueOnce([{ base_price: totalPrice }]) // calculateTotalPrice
-      .mockResolvedValueOnce([]); // optionPrices
+      .mockResolvedValueOnce([]) // partTypes
+      .mockResolvedValueOnce([]) // unmetRequirements
+      .mockResolvedValueOnce([]) // violatedConditionSets
+      .mockResolvedValueOnce([product]) // calculateTotalPrice
+      .mockResolvedValueOnce([]) // optionPrices
+      .mockResolvedValueOnce([]); // pricingRules
 
     orderService.getOrCreateCart = jest.fn().mockResolvedValue(cart);
     database.query
       .mockResolvedValueOnce([order]) // insert OrderItems
-      .mockResolvedValueOnce([{}]); // updateCartTotal
+      .mockResolvedValueOnce([{}]) // updateCartTotal
+      .mockResolvedValueOnce([]) // cart items
+      .mockResolvedValueOnce([]); // volume discounts
 
     const result = await orderService.addToCart(
       cart.customer,
@@ -203,7 +525,15 @@ describe('OrderService.addToCart', () => {
 
     expect(database.query).toHaveBeenCalledWith(
       expect.stringContaining('INSERT INTO OrderItems'),
-      [cart.id, productId, quantity, totalPrice]
+      [
+        cart.id,
+        productId,
+        'Bike',
+        quantity,
+        totalPrice,
+        encodeBuildCode(productId, []),
+        expect.any(String),
+      ]
     );
     // Should not call INSERT INTO OrderItemConfiguration
     expect(database.query).not.toHaveBeenCalledWith(
@@ -215,9 +545,15 @@ describe('OrderService.addToCart', () => {
   });
 
   it('throws if database.query for OrderItems fails', async () => {
-    database.query
-      .mockResolvedValueOnce([{ valid: true, message: 'ok' }]) // validateConfiguration
-      .mockResolvedValueOnce([{ totalPrice }]); // calculateTotalPrice
+    jest
+      .spyOn(orderService.productConfigService, 'validateConfiguration')
+      .mockResolvedValueOnce({ valid: true, message: 'ok' });
+    jest
+      .spyOn(orderService.productConfigService, 'calculateTotalPrice')
+      .mockResolvedValueOnce({
+        totalPrice,
+        breakdown: { product: { name: 'Bike' }, options: [] },
+      });
     orderService.getOrCreateCart = jest.fn().mockResolvedValue(cart);
     database.query.mockRejectedValueOnce(new Error('DB error'));
 
@@ -234,16 +570,18 @@ describe('OrderService.addToCart', () => {
   it('adds multiple selectedOptions', async () => {
     database.query
       .mockResolvedValueOnce([
-        { id: 7, name: 'Part 1' },
-        { id: 8, name: 'Part 2' },
-      ]) // requiredPartTypes
-      .mockResolvedValueOnce([{ part_type_id: 7 }]) // selectedOptions
-      .mockResolvedValueOnce([{ part_type_id: 8 }]) // selectedOptions
+        { id: 7, name: 'Part 1', min_selections: 1, max_selections: 1 },
+        { id: 8, name: 'Part 2', min_selections: 1, max_selections: 1 },
+      ]) // partTypes
+      .mockResolvedValueOnce([{ part_type_id: 7, offered: 1, active: 1 }]) // selectedOptions
+      .mockResolvedValueOnce([{ part_type_id: 8, offered: 1, active: 1 }]) // selectedOptions
       .mockResolvedValueOnce(0) // checkConflict
+      .mockResolvedValueOnce([]) // unmetRequirements
+      .mockResolvedValueOnce([]) // violatedConditionSets
       .mockResolvedValueOnce([{ in_stock: true, quantity: 5 }]) // checkInventory
       .mockResolvedValueOnce([{ in_stock: true, quantity: 5 }]) // checkInventory
-      .mockResolvedValueOnce([{ base_price: totalPrice }]) // calculateTotalPrice
-      .mockResolvedValueOnce([{ id: productId, base_price: 0 }]) // getProductPrice
+      .mockResolvedValueOnce([product]) // calculateTotalPrice
+      .mockResolvedValueOnce([option(7), option(8)]) // option prices
       .mockResolvedValueOnce([]); // priceAdjustments
 
     orderService.getOrCreateCart = jest.fn().mockResolvedValue(cart);
@@ -251,7 +589,9 @@ describe('OrderService.addToCart', () => {
       .mockResolvedValueOnce([order]) // insert OrderItems
       .mockResolvedValueOnce([{ id: 77 }]) // insert OrderItemConfiguration for first option
       .mockResolvedValueOnce([{ id: 78 }]) // insert OrderItemConfiguration for second option
-      .mockResolvedValueOnce([{}]); // updateCartTotal
+      .mockResolvedValueOnce([{}]) // updateCartTotal
+      .mockResolvedValueOnce([]) // cart items
+      .mockResolvedValueOnce([]); // volume discounts
 
     const options = [{ partOptionId: 7 }, { partOptionId: 8 }];
 
@@ -264,17 +604,128 @@ describe('OrderService.addToCart', () => {
 
     expect(database.query).toHaveBeenCalledWith(
       expect.stringContaining('INSERT INTO OrderItemConfiguration'),
-      [order.id, 7]
+      [order.id, 7, 7, 'Part 7', 'Option 7', 0]
     );
     expect(database.query).toHaveBeenCalledWith(
       expect.stringContaining('INSERT INTO OrderItemConfiguration'),
-      [order.id, 8]
+      [order.id, 8, 8, 'Part 8', 'Option 8', 0]
     );
     expect(result.success).toBe(true);
     expect(result.cartItemId).toBe(order.id);
   });
 });
 
+describe('OrderService.getOrCreateCart', () => {
+  let orderService;
+
+  beforeEach(() => {
+    database.reset();
+    orderService = new OrderService(database);
+  });
+
+  it('returns the existing cart with its price list', async () => {
+    const cart = { id: 5, price_list_id: 1, currency: 'CHF' };
+    database.query.mockResolvedValueOnce([cart]);
+
+    const result = await orderService.getOrCreateCart(1, { priceListId: 2 });
+
+    expect(result).toEqual(cart);
+    expect(database.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('creates a cart in the currency of its price list', async () => {
+    database.query
+      .mockResolvedValueOnce([]) // no cart
+      .mockResolvedValueOnce([
+        {
+          id: 2,
+          name: 'United Kingdom',
+          currency: 'GBP',
+          exchange_rate: 0.85,
+          rounding_step: 100,
+        },
+      ]) // price list
+      .mockResolvedValueOnce([]) // price list prices
+      .mockResolvedValueOnce([{ id: 6, price_list_id: 2, currency: 'GBP' }]);
+
+    const result = await orderService.getOrCreateCart(1, { priceListId: 2 });
+
+    expect(database.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO Orders'),
+      [1, 'GBP', 2]
+    );
+    expect(result).toEqual({ id: 6, price_list_id: 2, currency: 'GBP' });
+  });
+
+  it('creates a cart in the shop currency without a price list', async () => {
+    database.query
+      .mockResolvedValueOnce([]) // no cart
+      .mockResolvedValueOnce([{ id: 7, price_list_id: null, currency: 'EUR' }]);
+
+    await orderService.getOrCreateCart(1);
+
+    expect(database.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO Orders'),
+      [1, 'EUR', null]
+    );
+  });
+});
+
+describe('OrderService.addToCart with part types left empty', () => {
+  let orderService;
+
+  beforeEach(() => {
+    database.reset();
+    orderService = new OrderService(database);
+  });
+
+  it('saves "none" as a configuration row without a part option', async () => {
+    jest
+      .spyOn(orderService.productConfigService, 'validateConfiguration')
+      .mockResolvedValue({ valid: true });
+    jest
+      .spyOn(orderService.productConfigService, 'calculateTotalPrice')
+      .mockResolvedValue({
+        totalPrice: 250,
+        breakdown: {
+          product: { name: 'City Cruiser' },
+          options: [
+            {
+              partTypeId: 1,
+              partTypeName: 'Frame Type',
+              partOptionId: 7,
+              name: 'Step-through',
+              price: 11000,
+            },
+          ],
+        },
+      });
+    orderService.getOrCreateCart = jest.fn().mockResolvedValue({ id: 1 });
+    database.query
+      .mockResolvedValueOnce([{ id: 42 }]) // insert OrderItems
+      .mockResolvedValueOnce([]) // insert OrderItemConfiguration for option 7
+      .mockResolvedValueOnce([]) // insert OrderItemConfiguration for "none"
+      .mockResolvedValueOnce([]) // updateCartTotal
+      .mockResolvedValueOnce([]) // cart items
+      .mockResolvedValueOnce([]); // volume discounts
+
+    const result = await orderService.addToCart(1, 2, [
+      { partOptionId: 7 },
+      { partTypeId: 6, none: true },
+    ]);
+
+    expect(result.success).toBe(true);
+    expect(database.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO OrderItemConfiguration'),
+      [42, 1, 7, 'Frame Type', 'Step-through', 11000]
+    );
+    expect(database.query).toHaveBeenCalledWith(
+      expect.stringContaining('SELECT ?, id, NULL, name FROM PartTypes'),
+      [42, 6]
+    );
+  });
+});
+
 describe('OrderService.verifyInventoryForCart', () => {
   let orderService;
 
@@ -288,10 +739,7 @@ describe('OrderService.verifyInventoryForCart', () => {
     database.query
       .mockResolvedValueOnce([{ id: 1, product_id: 2, quantity: 2 }]) // OrderItems
       .mockResolvedValueOnce([{ part_option_id: 10 }]) // Configurations for item 1
-      .mockResolvedValueOnce({
-        in_stock: true,
-        quantity: 5,
-      }); // Inventory for part_option_id 10
+      .mockResolvedValueOnce([{ in_stock: true, quantity: 5 }]); // Inventory for part_option_id 10
 
     const result = await orderService.verifyInventoryForCart(123);
 
@@ -303,10 +751,7 @@ describe('OrderService.verifyInventoryForCart', () => {
     database.query
       .mockResolvedValueOnce([{ id: 1, product_id: 2, quantity: 3 }]) // OrderItems
       .mockResolvedValueOnce([{ part_option_id: 10 }]) // Configurations for item 1
-      .mockResolvedValueOnce({
-        in_stock: true,
-        quantity: 2,
-      }); // Inventory for part_option_id 10
+      .mockResolvedValueOnce([{ in_stock: true, quantity: 2 }]); // Inventory for part_option_id 10
 
     const result = await orderService.verifyInventoryForCart(123);
 
@@ -324,10 +769,7 @@ describe('OrderService.verifyInventoryForCart', () => {
     database.query
       .mockResolvedValueOnce([{ id: 1, product_id: 2, quantity: 1 }]) // OrderItems
       .mockResolvedValueOnce([{ part_option_id: 11 }]) // Configurations for item 1
-      .mockResolvedValueOnce({
-        in_stock: false,
-        quantity: 0,
-      }); // Inventory for part_option_id 11
+      .mockResolvedValueOnce([{ in_stock: false, quantity: 0 }]); // Inventory for part_option_id 11
 
     const result = await orderService.verifyInventoryForCart(123);
 
@@ -339,7 +781,7 @@ describe('OrderService.verifyInventoryForCart', () => {
     database.query
       .mockResolvedValueOnce([{ id: 1, product_id: 2, quantity: 1 }]) // OrderItems
       .mockResolvedValueOnce([{ part_option_id: 12 }]) // Configurations for item 1
-      .mockResolvedValueOnce(null); // Inventory missing
+      .mockResolvedValueOnce([]); // Inventory missing
 
     const result = await orderService.verifyInventoryForCart(123);
 
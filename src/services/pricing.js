@@ -0,0 +1,334 @@
+/**
+ * Pricing engine
+ *
+ * Prices a configuration from its product base price, its selected options
+ * and the pricing rules loaded by ProductConfigurationService. Every place
+ * that shows a price (product page, configurator, cart) goes through
+ * priceConfiguration, so they always agree.
+ *
+ * Each rule has a target: a single option (`option`), the subtotal of the
+ * options of a part type (`part_type`) or the whole configuration including
+ * the product base price (`configuration`). Matching rules are applied one
+ * at a time in priority order (lowest first, then by rule ID), and a
+ * percentage is taken of its target's price at that point. Prices are in
+ * minor units, and percentages are rounded as they are applied (see
+ * money.js).
+ *
+ * The stacking mode decides which matching rules are applied together:
+ * - `stack` rules are all applied
+ * - an `exclusive` rule is applied alone: the first one in priority order
+ *   overrides every other rule
+ * - of the `best_of` rules, only the one giving the lowest total is applied,
+ *   on top of the `stack` rules
+ *
+ * Prices are in the shop currency unless a price list is applied first with
+ * applyPriceList, after the price overrides of running campaigns and customer
+ * groups (applyPriceOverrides), which win over the prices set on the list.
+ */
+const { SHOP_CURRENCY, convertMinorUnits, percentageOf } = require('./money');
+
+// The key and amount column of the rows a price list can price
+const PRICE_LIST_COLUMNS = {
+  product: ['product_id', 'base_price'],
+  option: ['part_option_id', 'base_price'],
+  rule: ['pricing_rule_id', 'price_adjustment'],
+};
+
+const PRICING_RULE_TARGETS = ['option', 'part_type', 'configuration'];
+
+const STACKING_MODES = ['stack', 'exclusive', 'best_of'];
+
+// The UTC timestamp ('YYYY-MM-DD HH:MM:SS') pricing rule, price override and
+// campaign windows are stored and compared as
+function toTimestamp(date) {
+  return new Date(date).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Whether the selected option IDs satisfy the conditions of a pricing rule:
+// every group must hold, and a group holds when any of its conditions does. A
+// condition holds when one of its options is selected, or none if negated
+function matchesConditions(rule, selectionIds) {
+  return rule.conditionGroups.every((group) =>
+    group.some(
+      (condition) =>
+        condition.partOptionIds.some((id) => selectionIds.includes(id)) !==
+        Boolean(condition.negated)
+    )
+  );
+}
+
+function targetOf(rule) {
+  return rule.target || 'configuration';
+}
+
+function stackingOf(rule) {
+  return rule.stacking || 'stack';
+}
+
+function byPriority(a, b) {
+  return (a.priority || 0) - (b.priority || 0) || a.id - b.id;
+}
+
+/**
+ * Describes a pricing rule as an adjustment, without its conditions
+ */
+function describeRule(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    price_adjustment: rule.price_adjustment,
+    is_percentage: rule.is_percentage,
+    priority: rule.priority,
+    target: rule.target,
+    target_part_option_id: rule.target_part_option_id,
+    target_part_type_id: rule.target_part_type_id,
+    stacking: rule.stacking,
+  };
+}
+
+/**
+ * Picks the pricing rules whose conditions hold for the selected option IDs,
+ * in priority order
+ */
+function matchPricingRules(pricingRules, selectionIds) {
+  return pricingRules
+    .filter((rule) => matchesConditions(rule, selectionIds))
+    .sort(byPriority);
+}
+
+/**
+ * Reprices catalogue rows in a price list: a price set on the list for a row
+ * wins, otherwise its catalogue amount is converted at the list's exchange
+ * rate and rounding step. An option with a price override (a sale or customer
+ * group price) has its override converted instead, whatever the list says.
+ * Percentage rules are the same in every currency.
+ *
+ * @param {Object|null} priceList - The price list, with its `prices`, as
+ *   loaded by loadPriceList; null keeps the catalogue prices
+ * @param {string} kind - `product`, `option` or `rule`
+ * @param {Array} rows - The products, part options or pricing rules
+ * @returns {Array} The rows with their amounts in the list currency
+ */
+function applyPriceList(priceList, kind, rows) {
+  if (!priceList) {
+    return rows;
+  }
+
+  const [key, column] = PRICE_LIST_COLUMNS[kind];
+
+  return rows.map((row) => {
+    if (kind === 'rule' && row.is_percentage) {
+      return row;
+    }
+
+    const overridden =
+      row.override_price !== null && row.override_price !== undefined;
+    const entry =
+      !overridden && priceList.prices.find((price) => price[key] === row.id);
+
+    return {
+      ...row,
+      [column]: entry
+        ? entry.price
+        : convertMinorUnits(
+            row[column],
+            priceList.exchange_rate,
+            SHOP_CURRENCY,
+            priceList.currency,
+            priceList.rounding_step
+          ),
+    };
+  });
+}
+
+/**
+ * Replaces the base price of part options loaded with an `override_price`
+ * (the price override in effect, see PartOptionPriceOverrides) by that price
+ */
+function applyPriceOverrides(options) {
+  return options.map((option) =>
+    option.override_price === null || option.override_price === undefined
+      ? option
+      : { ...option, base_price: option.override_price }
+  );
+}
+
+// Applies rules in priority order to the lines of a configuration
+function applyRules(basePrice, lines, rules) {
+  const pricedLines = lines.map((line) => ({
+    ...line,
+    finalPrice: line.basePrice,
+  }));
+  const partTypeAdjustments = new Map();
+  let configurationAdjustment = 0;
+  const adjustments = [];
+
+  const sumOf = (values) => values.reduce((sum, value) => sum + value, 0);
+  const partTypeSubtotal = (partTypeId) =>
+    sumOf(
+      pricedLines
+        .filter((line) => line.partTypeId === partTypeId)
+        .map((line) => line.finalPrice)
+    ) + (partTypeAdjustments.get(partTypeId) || 0);
+  const total = () =>
+    basePrice +
+    sumOf(pricedLines.map((line) => line.finalPrice)) +
+    sumOf([...partTypeAdjustments.values()]) +
+    configurationAdjustment;
+
+  for (const rule of rules) {
+    const target = targetOf(rule);
+    const amountOf = (price) =>
+      rule.is_percentage
+        ? percentageOf(price, rule.price_adjustment)
+        : rule.price_adjustment;
+
+    let amount;
+    if (target === 'option') {
+      const line = pricedLines.find(
+        (pricedLine) => pricedLine.partOptionId === rule.target_part_option_id
+      );
+      amount = amountOf(line.finalPrice);
+      line.finalPrice += amount;
+    } else if (target === 'part_type') {
+      amount = amountOf(partTypeSubtotal(rule.target_part_type_id));
+      partTypeAdjustments.set(
+        rule.target_part_type_id,
+        (partTypeAdjustments.get(rule.target_part_type_id) || 0) + amount
+      );
+    } else {
+      amount = amountOf(total());
+      configurationAdjustment += amount;
+    }
+
+    adjustments.push({ ...describeRule(rule), amount });
+  }
+
+  return { lines: pricedLines, adjustments, totalPrice: total() };
+}
+
+/**
+ * Prices a configuration
+ *
+ * @param {number} basePrice - The product base price
+ * @param {Array} options - The selected options, with their `id`,
+ *   `part_type_id` and `base_price`
+ * @param {Array} pricingRules - The rules applying to the product, as loaded
+ *   by loadPricingRules
+ * @returns {Object} The `basePrice`, `optionPriceSum`, one line per option
+ *   with its `basePrice` and `finalPrice` after the rules targeting it, the
+ *   applied `adjustments` with the `amount` each one made, and the
+ *   `totalPrice`
+ */
+function priceConfiguration(basePrice, options, pricingRules) {
+  const lines = options.map((option) => ({
+    partOptionId: option.id,
+    partTypeId: option.part_type_id,
+    basePrice: option.base_price,
+  }));
+  const selectionIds = lines.map((line) => line.partOptionId);
+
+  // A rule targeting an option or part type that is not selected has nothing
+  // to adjust
+  const matched = matchPricingRules(pricingRules, selectionIds).filter(
+    (rule) =>
+      (targetOf(rule) !== 'option' ||
+        selectionIds.includes(rule.target_part_option_id)) &&
+      (targetOf(rule) !== 'part_type' ||
+        lines.some((line) => line.partTypeId === rule.target_part_type_id))
+  );
+
+  const exclusive = matched.find((rule) => stackingOf(rule) === 'exclusive');
+  const stacked = matched.filter((rule) => stackingOf(rule) === 'stack');
+  const bestOf = matched.filter((rule) => stackingOf(rule) === 'best_of');
+
+  let candidates;
+  if (exclusive) {
+    candidates = [[exclusive]];
+  } else if (bestOf.length > 0) {
+    candidates = bestOf.map((rule) => [...stacked, rule].sort(byPriority));
+  } else {
+    candidates = [stacked];
+  }
+
+  // On a tie, the best-of rule first in priority order wins
+  const best = candidates
+    .map((rules) => applyRules(basePrice, lines, rules))
+    .reduce((lowest, pricing) =>
+      pricing.totalPrice < lowest.totalPrice ? pricing : lowest
+    );
+
+  return {
+    basePrice,
+    optionPriceSum: lines.reduce((sum, line) => sum + line.basePrice, 0),
+    ...best,
+  };
+}
+
+/**
+ * Itemises a priced configuration, for the product page and cart to show and
+ * for order items to keep: the product, one line per selected option with
+ * its part type and base price, and one line per applied pricing rule with
+ * the amount it made, e.g. "Matte finish on full-suspension +50 EUR". The
+ * subtotal and the adjustment amounts add up to the total.
+ *
+ * @param {Object} product - The product, with its `id` and `name`
+ * @param {Array} options - The selected options, with their `id`, `name`,
+ *   `part_type_id` and `part_type_name`, in the order to list them
+ * @param {Object} pricing - The configuration as priced by
+ *   priceConfiguration from the same options
+ * @param {string} currency - The currency of the prices
+ * @returns {Object} The `currency`, the `product` and `options` lines, their
+ *   `subtotal`, the `adjustments` lines, their `adjustmentTotal` and the
+ *   `total`, in minor units
+ */
+function priceBreakdown(product, options, pricing, currency) {
+  const basePrices = new Map(
+    pricing.lines.map((line) => [line.partOptionId, line.basePrice])
+  );
+  const adjustments = pricing.adjustments.map((adjustment) => ({
+    pricingRuleId: adjustment.id,
+    name: adjustment.name,
+    target: targetOf(adjustment),
+    targetPartOptionId: adjustment.target_part_option_id || null,
+    targetPartTypeId: adjustment.target_part_type_id || null,
+    percentage: adjustment.is_percentage ? adjustment.price_adjustment : null,
+    amount: adjustment.amount,
+  }));
+
+  return {
+    currency,
+    product: {
+      productId: product.id,
+      name: product.name,
+      price: pricing.basePrice,
+    },
+    options: options.map((option) => ({
+      partTypeId: option.part_type_id,
+      partTypeName: option.part_type_name,
+      partOptionId: option.id,
+      name: option.name,
+      price: basePrices.get(option.id),
+    })),
+    subtotal: pricing.basePrice + pricing.optionPriceSum,
+    adjustments,
+    adjustmentTotal: adjustments.reduce(
+      (sum, adjustment) => sum + adjustment.amount,
+      0
+    ),
+    total: pricing.totalPrice,
+  };
+}
+
+module.exports = {
+  PRICING_RULE_TARGETS,
+  STACKING_MODES,
+  toTimestamp,
+  matchesConditions,
+  matchPricingRules,
+  describeRule,
+  applyPriceList,
+  applyPriceOverrides,
+  priceConfiguration,
+  priceBreakdown,
+};
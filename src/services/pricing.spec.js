@@ -0,0 +1,261 @@
+const {
+  matchPricingRules,
+  applyPriceList,
+  applyPriceOverrides,
+  priceConfiguration,
+  priceBreakdown,
+} = require('./pricing');
+
+describe('pricing engine', () => {
+  // A 1000 product with a frame (10) and two accessories (20, 21)
+  const options = [
+    { id: 10, part_type_id: 1, base_price: 200 },
+    { id: 20, part_type_id: 2, base_price: 40 },
+    { id: 21, part_type_id: 2, base_price: 60 },
+  ];
+  const rule = (id, fields) => ({
+    id,
+    name: `Rule ${id}`,
+    is_percentage: 0,
+    conditionGroups: [[{ partOptionIds: [10] }]],
+    ...fields,
+  });
+
+  it('applies rules in priority order, then by ID', () => {
+    const rules = [
+      rule(1, { price_adjustment: -10, is_percentage: 1, priority: 5 }),
+      rule(2, { price_adjustment: 100, priority: 1 }),
+      rule(3, { price_adjustment: 50, priority: 5 }),
+    ];
+
+    const pricing = priceConfiguration(1000, options, rules);
+
+    // (1300 + 100) * 0.9 + 50, whatever the order the rules came in
+    expect(pricing.adjustments.map((adjustment) => adjustment.id)).toEqual([
+      2, 1, 3,
+    ]);
+    expect(pricing.totalPrice).toBeCloseTo(1310);
+    expect(priceConfiguration(1000, options, [...rules].reverse())).toEqual(
+      pricing
+    );
+    expect(matchPricingRules(rules, [10]).map((r) => r.id)).toEqual([2, 1, 3]);
+  });
+
+  it('takes percentages of the option, part type subtotal or configuration', () => {
+    const pricing = priceConfiguration(1000, options, [
+      rule(1, {
+        price_adjustment: -50,
+        is_percentage: 1,
+        target: 'option',
+        target_part_option_id: 10,
+      }),
+      rule(2, {
+        price_adjustment: -10,
+        is_percentage: 1,
+        target: 'part_type',
+        target_part_type_id: 2,
+      }),
+      rule(3, { price_adjustment: 10, is_percentage: 1 }),
+    ]);
+
+    expect(pricing.adjustments.map((adjustment) => adjustment.amount)).toEqual([
+      -100, -10, 119,
+    ]);
+    expect(pricing.lines[0]).toEqual({
+      partOptionId: 10,
+      partTypeId: 1,
+      basePrice: 200,
+      finalPrice: 100,
+    });
+    expect(pricing.optionPriceSum).toBe(300);
+    expect(pricing.totalPrice).toBeCloseTo(1309);
+  });
+
+  it('rounds each percentage adjustment to a whole cent', () => {
+    const pricing = priceConfiguration(999, options.slice(0, 1), [
+      rule(1, { price_adjustment: -15, is_percentage: 1 }),
+      rule(2, { price_adjustment: 2.5, is_percentage: 1 }),
+    ]);
+
+    // 15% of 1199 is 179.85, and 2.5% of the 1019 left is 25.475
+    expect(pricing.adjustments.map((adjustment) => adjustment.amount)).toEqual([
+      -180, 25,
+    ]);
+    expect(pricing.totalPrice).toBe(1044);
+  });
+
+  it('skips rules targeting an option or part type that is not selected', () => {
+    const pricing = priceConfiguration(1000, options.slice(0, 1), [
+      rule(1, {
+        price_adjustment: 5,
+        target: 'option',
+        target_part_option_id: 20,
+      }),
+      rule(2, {
+        price_adjustment: 5,
+        target: 'part_type',
+        target_part_type_id: 2,
+      }),
+    ]);
+
+    expect(pricing.adjustments).toEqual([]);
+    expect(pricing.totalPrice).toBe(1200);
+  });
+
+  it('applies the first exclusive rule alone', () => {
+    const pricing = priceConfiguration(1000, options, [
+      rule(1, { price_adjustment: -200 }),
+      rule(2, { price_adjustment: -50, stacking: 'exclusive', priority: 2 }),
+      rule(3, { price_adjustment: -80, stacking: 'exclusive', priority: 1 }),
+      rule(4, { price_adjustment: -100, stacking: 'best_of' }),
+    ]);
+
+    expect(pricing.adjustments.map((adjustment) => adjustment.id)).toEqual([3]);
+    expect(pricing.totalPrice).toBe(1220);
+  });
+
+  it('applies only the best-of rule giving the lowest total', () => {
+    const pricing = priceConfiguration(1000, options, [
+      rule(1, { price_adjustment: 20 }),
+      rule(2, { price_adjustment: -100, stacking: 'best_of' }),
+      rule(3, { price_adjustment: -10, is_percentage: 1, stacking: 'best_of' }),
+      rule(4, {
+        price_adjustment: -50,
+        stacking: 'best_of',
+        conditionGroups: [[{ partOptionIds: [99] }]],
+      }),
+    ]);
+
+    // 10% of 1320 beats 100 off
+    expect(pricing.adjustments.map((adjustment) => adjustment.id)).toEqual([
+      1, 3,
+    ]);
+    expect(pricing.totalPrice).toBeCloseTo(1188);
+  });
+
+  it('itemises the options and the amount each applied rule made', () => {
+    const named = [
+      { ...options[0], name: 'Shiny frame', part_type_name: 'Frame' },
+      { ...options[1], name: 'Bell', part_type_name: 'Accessories' },
+    ];
+    const pricing = priceConfiguration(1000, named, [
+      rule(1, {
+        price_adjustment: 50,
+        target: 'option',
+        target_part_option_id: 10,
+      }),
+      rule(2, { price_adjustment: -10, is_percentage: 1, priority: 1 }),
+    ]);
+
+    const breakdown = priceBreakdown(
+      { id: 1, name: 'Adventure Bike' },
+      named,
+      pricing,
+      'EUR'
+    );
+
+    expect(breakdown).toEqual({
+      currency: 'EUR',
+      product: { productId: 1, name: 'Adventure Bike', price: 1000 },
+      options: [
+        {
+          partTypeId: 1,
+          partTypeName: 'Frame',
+          partOptionId: 10,
+          name: 'Shiny frame',
+          price: 200,
+        },
+        {
+          partTypeId: 2,
+          partTypeName: 'Accessories',
+          partOptionId: 20,
+          name: 'Bell',
+          price: 40,
+        },
+      ],
+      subtotal: 1240,
+      adjustments: [
+        {
+          pricingRuleId: 1,
+          name: 'Rule 1',
+          target: 'option',
+          targetPartOptionId: 10,
+          targetPartTypeId: null,
+          percentage: null,
+          amount: 50,
+        },
+        {
+          pricingRuleId: 2,
+          name: 'Rule 2',
+          target: 'configuration',
+          targetPartOptionId: null,
+          targetPartTypeId: null,
+          percentage: -10,
+          amount: -129,
+        },
+      ],
+      adjustmentTotal: -79,
+      total: 1161,
+    });
+  });
+
+  describe('applyPriceList', () => {
+    const priceList = {
+      id: 1,
+      currency: 'CHF',
+      exchange_rate: 0.94,
+      rounding_step: 5,
+      prices: [
+        {
+          product_id: null,
+          part_option_id: 20,
+          pricing_rule_id: null,
+          price: 50,
+        },
+        {
+          product_id: null,
+          part_option_id: null,
+          pricing_rule_id: 2,
+          price: 90,
+        },
+      ],
+    };
+
+    it('uses the list price, or converts the catalogue price', () => {
+      expect(
+        applyPriceList(priceList, 'option', options).map(
+          (option) => option.base_price
+        )
+      ).toEqual([190, 50, 55]);
+      expect(
+        applyPriceList(priceList, 'product', [{ id: 1, base_price: 1000 }])
+      ).toEqual([{ id: 1, base_price: 940 }]);
+    });
+
+    it('converts a price override rather than using the list price', () => {
+      const [onSale] = applyPriceList(
+        priceList,
+        'option',
+        applyPriceOverrides([
+          { id: 20, base_price: 1200, override_price: 1000 },
+        ])
+      );
+
+      expect(onSale.base_price).toBe(940);
+    });
+
+    it('leaves percentage rules as they are', () => {
+      const rules = applyPriceList(priceList, 'rule', [
+        rule(1, { price_adjustment: -10, is_percentage: 1 }),
+        rule(2, { price_adjustment: 100 }),
+        rule(3, { price_adjustment: 100 }),
+      ]);
+
+      expect(rules.map((r) => r.price_adjustment)).toEqual([-10, 90, 95]);
+    });
+
+    it('keeps catalogue prices without a price list', () => {
+      expect(applyPriceList(null, 'option', options)).toBe(options);
+    });
+  });
+});
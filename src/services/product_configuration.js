@@ -4,74 +4,1378 @@
  * Handles logic for product configuration, checking compatibility,
  * and calculating prices based on selected options
  */
+const {
+  domainOf,
+  findDeadEnds,
+  findBlockingRules,
+  enumerateCompletions,
+  findUnsatisfiablePartTypes,
+  findRepairs,
+} = require('./constraints');
+const { encodeBuildCode, decodeBuildCode } = require('./build_codes');
+const {
+  toTimestamp,
+  matchPricingRules,
+  describeRule,
+  applyPriceList,
+  applyPriceOverrides,
+  priceConfiguration,
+  priceBreakdown,
+} = require('./pricing');
+const { SHOP_CURRENCY, percentageOf, roundMinorUnits } = require('./money');
+const {
+  taxCategoryOf,
+  netByTaxCategory,
+  applyTaxRates,
+  grossPrice,
+} = require('./tax');
+
+// Part options offered on a product (binds the product ID): the options of its
+// part types, narrowed down to the ones assigned in ProductPartOptions for the
+// part types that have any assignment on the product
+const OFFERED_OPTIONS = `
+  SELECT po.* FROM PartOptions po
+  JOIN ProductPartTypes ppt ON ppt.part_type_id = po.part_type_id
+  WHERE ppt.product_id = ?
+    AND (
+      po.id IN (SELECT part_option_id FROM ProductPartOptions
+                WHERE product_id = ppt.product_id)
+      OR NOT EXISTS (
+        SELECT 1 FROM ProductPartOptions ppo
+        JOIN PartOptions assigned ON assigned.id = ppo.part_option_id
+        WHERE ppo.product_id = ppt.product_id
+          AND assigned.part_type_id = po.part_type_id
+      )
+    )`;
+
+// Active incompatibility rules applying to a product (binds the product ID
+// twice): global rules plus the ones scoped to the product or its category
+const SCOPED_RULES = `
+  SELECT ir.* FROM IncompatibilityRules ir
+  WHERE ir.active = TRUE
+    AND (ir.product_id IS NULL OR ir.product_id = ?)
+    AND (ir.category_id IS NULL
+      OR ir.category_id = (SELECT category_id FROM Products WHERE id = ?))`;
+
+// Attribute values of the part option aliased `po`, as a JSON array
+const OPTION_ATTRIBUTES = `(
+  SELECT json_group_array(json_object(
+    'attributeId', a.id, 'name', a.name, 'dataType', a.data_type,
+    'unit', a.unit, 'value', pov.value))
+  FROM PartOptionAttributes pov
+  JOIN PartTypeAttributes a ON a.id = pov.attribute_id
+  WHERE pov.part_option_id = po.id)`;
+
+// Whether the pricing rule or price override aliased `alias` is in effect at
+// a point in time for a customer (binds the time four times, then the
+// customer ID): within its own window and, if it belongs to a campaign,
+// within the window of the campaign, which must be active. One restricted to
+// a customer group also needs the customer to be a member of the group, and
+// the group to be active, so it never applies without a customer. Windows
+// include valid_from and end before valid_to
+function inEffect(alias) {
+  return `(${alias}.valid_from IS NULL OR ${alias}.valid_from <= ?)
+    AND (${alias}.valid_to IS NULL OR ${alias}.valid_to > ?)
+    AND (${alias}.campaign_id IS NULL OR EXISTS (
+      SELECT 1 FROM Campaigns c
+      WHERE c.id = ${alias}.campaign_id AND c.active = TRUE
+        AND (c.valid_from IS NULL OR c.valid_from <= ?)
+        AND (c.valid_to IS NULL OR c.valid_to > ?)))
+    AND (${alias}.customer_group_id IS NULL OR EXISTS (
+      SELECT 1 FROM CustomerGroupMembers cgm
+      JOIN CustomerGroups cg ON cg.id = cgm.customer_group_id
+      WHERE cgm.customer_group_id = ${alias}.customer_group_id
+        AND cgm.customer_id = ? AND cg.active = TRUE))`;
+}
+
+// The lowest price override of the part option aliased `po` in effect at a
+// point in time for a customer, or NULL (binds what inEffect does)
+const PRICE_OVERRIDE = `(
+  SELECT MIN(ppo.price) FROM PartOptionPriceOverrides ppo
+  WHERE ppo.part_option_id = po.id AND ${inEffect('ppo')})`;
+
+// Pairwise conditions of every incompatibility rule: the explicit
+// RuleConditions, plus the option pairs whose attribute values break a
+// RuleAttributeConditions comparison. Numbers compare numerically, the other
+// data types as text
+const PAIR_CONDITIONS = `
+  SELECT rule_id, part_option_id, incompatible_with_part_option_id
+  FROM RuleConditions
+  UNION ALL
+  SELECT rule_id, part_option_id, incompatible_with_part_option_id
+  FROM (
+    SELECT rac.rule_id, rac.operator, lv.part_option_id,
+           rv.part_option_id AS incompatible_with_part_option_id,
+           CASE WHEN la.data_type = 'number'
+             THEN (CAST(lv.value AS REAL) > CAST(rv.value AS REAL))
+                - (CAST(lv.value AS REAL) < CAST(rv.value AS REAL))
+             ELSE (lv.value > rv.value) - (lv.value < rv.value)
+           END AS comparison
+    FROM RuleAttributeConditions rac
+    JOIN PartTypeAttributes la ON la.id = rac.left_attribute_id
+    JOIN PartOptionAttributes lv ON lv.attribute_id = rac.left_attribute_id
+    JOIN PartOptionAttributes rv ON rv.attribute_id = rac.right_attribute_id
+  )
+  WHERE NOT CASE operator
+    WHEN '<' THEN comparison < 0
+    WHEN '<=' THEN comparison <= 0
+    WHEN '=' THEN comparison = 0
+    WHEN '!=' THEN comparison != 0
+    WHEN '>=' THEN comparison >= 0
+    WHEN '>' THEN comparison > 0
+  END`;
+
+// Selections are `{ partOptionId }` for a picked option, or
+// `{ partTypeId, none: true }` for an optional part type explicitly left empty
+function getSelectedOptionIds(selections) {
+  return selections
+    .filter((selection) => !selection.none)
+    .map((selection) => selection.partOptionId);
+}
+
+function getNonePartTypeIds(selections) {
+  return selections
+    .filter((selection) => selection.none)
+    .map((selection) => selection.partTypeId);
+}
+
+// Why a configuration is invalid when these part types have more options
+// selected than their `max_selections`
+function tooManySelectionsMessage(partTypes) {
+  return `Too many selections: ${partTypes.map((pt) => `${pt.name} (at most ${pt.max_selections})`).join(', ')}`;
+}
+
+// Parses the attributes of an option row, with numbers as numbers
+function parseAttributes(option) {
+  const attributes = option.attributes ? JSON.parse(option.attributes) : [];
+  return {
+    ...option,
+    attributes: attributes.map((attribute) => ({
+      ...attribute,
+      value:
+        attribute.dataType === 'number'
+          ? Number(attribute.value)
+          : attribute.value,
+    })),
+  };
+}
 
 class ProductConfigurationService {
-  constructor(database) {
+  /**
+   * @param {Object} database - The database
+   * @param {Object} options - The `clock` time-bound prices are worked out
+   *   at, a function returning the current Date
+   */
+  constructor(database, { clock = () => new Date() } = {}) {
     this.database = database;
+    this.clock = clock;
   }
 
   /**
-   * Retrieves available options for a given part type, taking into account
-   * current selections and inventory status
+   * Retrieves every option for a given part type with its availability,
+   * taking into account current selections and inventory status.
+   *
+   * Each option carries its typed `attributes`, a `status` (`available`,
+   * `incompatible`, `out_of_stock`, `inactive` or `dead_end`), the
+   * `blockingRules` that make it incompatible with the current selections,
+   * the required part types it would leave impossible to fill, and the
+   * expected restock date when it is out of stock, so the storefront can
+   * explain why an option cannot be picked instead of hiding it.
    *
    * @param {number} productId - The product being configured
    * @param {number} partTypeId - The part type to get options for
    * @param {Array} currentSelections - Current part options selected by user
-   * @returns {Array} Available options with pricing and stock information
+   * @param {Object} pricingOptions - The `priceListId` to price the options
+   *   in, the destination `country` and `priceDisplay` (`net` or `gross`) of
+   *   their `displayPrice`, an `asOf` date to preview prices at, and the
+   *   `customerId` of a logged-in customer, who gets the prices of their
+   *   customer groups
+   * @returns {Array} Options with availability, pricing and stock information
    */
-  async getAvailableOptions(productId, partTypeId, currentSelections = []) {
-    // 1. Get all options for this part type
-    const options = await this.database.query(
-      'SELECT * FROM PartOptions WHERE part_type_id = ? AND active = TRUE',
-      [partTypeId]
+  async getAvailableOptions(
+    productId,
+    partTypeId,
+    currentSelections = [],
+    pricingOptions = {}
+  ) {
+    // 1. Get all options of this part type offered on the product, including
+    // inactive ones
+    const options = applyPriceOverrides(
+      (
+        await this.database.query(
+          `WITH OfferedOptions AS (${OFFERED_OPTIONS})
+           SELECT po.*, ${OPTION_ATTRIBUTES} AS attributes,
+                  ${PRICE_OVERRIDE} AS override_price
+           FROM OfferedOptions po WHERE po.part_type_id = ?`,
+          [
+            productId,
+            ...this.pricingParams(
+              pricingOptions.asOf,
+              pricingOptions.customerId
+            ),
+            partTypeId,
+          ]
+        )
+      ).map(parseAttributes)
     );
 
-    // 2. Filter out incompatible options based on current selections
-    const compatibleOptions = await this.filterIncompatibleOptions(
+    // 2. Find the rules blocking each option based on current selections
+    const blockingRules = await this.getBlockingRules(
       options,
-      currentSelections
+      currentSelections,
+      productId
+    );
+
+    // 3. Get inventory status for all options
+    const optionsWithInventory = await this.addInventoryStatus(options);
+
+    // 4. Find options that would leave a required part type impossible to fill
+    const deadEnds = await this.findDeadEndOptions(
+      productId,
+      currentSelections,
+      options.map((option) => option.id)
     );
 
-    // 3. Get inventory status for remaining options
-    const optionsWithInventory =
-      await this.addInventoryStatus(compatibleOptions);
+    // 5. Work out the availability status of each option
+    const optionsWithStatus = optionsWithInventory.map((option) => {
+      const rules = blockingRules.get(option.id) || [];
+      const unfillablePartTypes = deadEnds.get(option.id) || [];
+      const status = this.getOptionStatus(option, rules, unfillablePartTypes);
 
-    // 4. Calculate adjusted prices based on current selections
+      return {
+        ...option,
+        status,
+        blockingRules: rules,
+        unfillablePartTypes: status === 'dead_end' ? unfillablePartTypes : [],
+        expectedRestockDate:
+          status === 'out_of_stock'
+            ? option.inventory.expected_restock_date || null
+            : null,
+      };
+    });
+
+    // 6. Calculate adjusted prices based on current selections
     const optionsWithPricing = await this.calculateOptionPrices(
-      optionsWithInventory,
+      optionsWithStatus,
       productId,
-      currentSelections
+      currentSelections,
+      pricingOptions
     );
 
     return optionsWithPricing;
   }
 
+  /**
+   * Builds everything a product page needs in a single call: the product, its
+   * part types in display order with every offered option (availability,
+   * blocking rules and adjusted price, as in getAvailableOptions), the
+   * running total and the part types still missing a selection. Each part
+   * type lists the options selected for it, and whether it was explicitly
+   * left empty ("none").
+   *
+   * Rules, inventory and pricing are loaded once and evaluated in memory, so
+   * the number of queries does not grow with the number of part types.
+   *
+   * Passing a `presetId` starts from the selections of that preset instead,
+   * re-validated with validateConfiguration so the page can warn when the
+   * preset can no longer be bought as defined. `presetFound` is false when
+   * there is no active preset of the product with that ID, and the given
+   * selections are kept.
+   *
+   * Passing a `priceListId` prices the page in that price list, and a
+   * destination `country` with the `gross` price display shows prices with
+   * the tax of that country. An `asOf` date previews the prices of that time,
+   * e.g. during a sale campaign, and the `customerId` of a logged-in customer
+   * shows the prices of their customer groups.
+   *
+   * @param {number} productId - The product being configured
+   * @param {Array} selections - Current part options selected by user
+   * @param {Object} options - The `presetId` to load, the `priceListId` to
+   *   price in, the `country` and `priceDisplay` (`net` or `gross`), the
+   *   `asOf` date and the `customerId`
+   * @returns {Object|null} The configurator payload, or null if the product
+   *   does not exist
+   */
+  async getProductConfigurator(
+    productId,
+    selections = [],
+    {
+      presetId = null,
+      priceListId = null,
+      country = null,
+      priceDisplay = 'net',
+      asOf = null,
+      customerId = null,
+    } = {}
+  ) {
+    const [product] = await this.database.query(
+      `SELECT id, category_id, name, description, base_price, active,
+              tax_category_id
+       FROM Products WHERE id = ?`,
+      [productId]
+    );
+
+    if (!product) {
+      return null;
+    }
+
+    let preset = null;
+    if (presetId !== null) {
+      [preset = null] = await this.getProductPresets(productId, { presetId });
+      if (preset) {
+        selections = preset.selections;
+      }
+    }
+
+    const model = await this.loadProductConstraints(productId, {
+      asOf,
+      customerId,
+    });
+    const priceList = await this.loadPriceList(priceListId);
+    const pricingRules = applyPriceList(
+      priceList,
+      'rule',
+      await this.loadPricingRules(productId, asOf, customerId)
+    );
+    const pricing = await this.calculateTotalPrice(productId, selections, {
+      priceListId,
+      country,
+      priceDisplay,
+      asOf,
+      customerId,
+    });
+    const taxRates = country !== null ? await this.loadTaxRates(country) : null;
+    const [pricedProduct] = applyPriceList(priceList, 'product', [product]);
+    const pricedOptions = new Map(
+      applyPriceList(priceList, 'option', [...model.options.values()]).map(
+        (option) => [option.id, option]
+      )
+    );
+
+    const selectionIds = getSelectedOptionIds(selections);
+    const nonePartTypeIds = getNonePartTypeIds(selections);
+    const blockingRules = findBlockingRules(model, selectionIds);
+    const deadEnds = this.describeDeadEnds(
+      model,
+      findDeadEnds(model, selectionIds, null, { nonePartTypeIds })
+    );
+
+    const partTypes = model.partTypes.map((partType) => {
+      const options = partType.optionIds.map((partOptionId) => {
+        const {
+          quantity,
+          in_stock: inStock,
+          expected_restock_date: expectedRestockDate,
+          ...option
+        } = pricedOptions.get(partOptionId);
+        const inventory = {
+          quantity: quantity || 0,
+          in_stock: Boolean(inStock),
+          expected_restock_date: expectedRestockDate || null,
+        };
+
+        const rules = (blockingRules.get(partOptionId) || []).map((rule) => ({
+          ...rule,
+          ...model.rules.get(rule.ruleId),
+        }));
+        const unfillablePartTypes = deadEnds.get(partOptionId) || [];
+        const status = this.getOptionStatus(
+          { ...option, inventory },
+          rules,
+          unfillablePartTypes
+        );
+
+        const optionPricing = this.priceSelections(
+          pricedProduct,
+          { ...model, options: pricedOptions },
+          pricingRules,
+          [...new Set([...selectionIds, partOptionId])]
+        );
+        const { finalPrice } = optionPricing.lines.find(
+          (line) => line.partOptionId === partOptionId
+        );
+
+        return {
+          ...option,
+          inventory,
+          status,
+          blockingRules: rules,
+          unfillablePartTypes: status === 'dead_end' ? unfillablePartTypes : [],
+          expectedRestockDate:
+            status === 'out_of_stock' ? inventory.expected_restock_date : null,
+          basePrice: option.base_price,
+          finalPrice,
+          displayPrice: this.displayPrice(
+            finalPrice,
+            taxCategoryOf(option, product.tax_category_id),
+            taxRates,
+            priceDisplay
+          ),
+          priceAdjustments: optionPricing.adjustments,
+        };
+      });
+
+      return {
+        id: partType.id,
+        name: partType.name,
+        required: partType.required,
+        min_selections: partType.min_selections,
+        max_selections: partType.max_selections,
+        display_order: partType.display_order,
+        default_part_option_id: partType.default_part_option_id || null,
+        selectedOptionIds: partType.optionIds.filter((id) =>
+          selectionIds.includes(id)
+        ),
+        none: nonePartTypeIds.includes(partType.id),
+        options,
+      };
+    });
+
+    const missingPartTypes = partTypes
+      .filter(
+        (partType) =>
+          partType.selectedOptionIds.length < partType.min_selections
+      )
+      .map((partType) => ({ id: partType.id, name: partType.name }));
+
+    return {
+      product,
+      preset,
+      presetFound: presetId === null || preset !== null,
+      selections,
+      partTypes,
+      pricing,
+      missingPartTypes,
+    };
+  }
+
+  /**
+   * Lists the active presets of a product in display order, each with its
+   * selections and the result of validateConfiguration against the current
+   * rules and stock. A preset is only as good as the rules it was made
+   * under, so `valid` is false once a rule change, or a missing or
+   * deactivated option breaks it.
+   *
+   * @param {number} productId - The product ID
+   * @param {Object} options - A `presetId` to only list that preset, and
+   *   `includeInactive` to list inactive presets too
+   * @returns {Array} The presets with their `selections`, `valid` flag and
+   *   `validation`
+   */
+  async getProductPresets(
+    productId,
+    { presetId = null, includeInactive = false } = {}
+  ) {
+    const rows = await this.database.query(
+      `SELECT pp.id, pp.name, pp.description, pp.display_order, pp.active,
+              ppo.part_type_id, ppo.part_option_id
+       FROM ProductPresets pp
+       LEFT JOIN ProductPresetOptions ppo ON ppo.preset_id = pp.id
+       WHERE pp.product_id = ?
+         AND (? IS NULL OR pp.id = ?)
+         AND (pp.active = TRUE OR ?)
+       ORDER BY pp.display_order, pp.id, ppo.id`,
+      [productId, presetId, presetId, Number(includeInactive)]
+    );
+
+    // Group the option rows into one preset each, in the selections format
+    const presets = new Map();
+    for (const row of rows) {
+      if (!presets.has(row.id)) {
+        presets.set(row.id, {
+          id: row.id,
+          name: row.name,
+          description: row.description,
+          display_order: row.display_order,
+          active: row.active,
+          selections: [],
+        });
+      }
+      if (row.part_option_id !== null) {
+        presets
+          .get(row.id)
+          .selections.push({ partOptionId: row.part_option_id });
+      } else if (row.part_type_id !== null) {
+        presets
+          .get(row.id)
+          .selections.push({ partTypeId: row.part_type_id, none: true });
+      }
+    }
+
+    const result = [];
+    for (const preset of presets.values()) {
+      const validation = await this.validateConfiguration(
+        productId,
+        preset.selections
+      );
+      result.push({ ...preset, valid: validation.valid, validation });
+    }
+
+    return result;
+  }
+
+  /**
+   * Encodes a configuration as a compact, URL-safe build code, e.g. for
+   * "share your build" links or to read out to phone support
+   *
+   * @param {number} productId - The product being configured
+   * @param {Array} selections - The selected part options and "none" choices
+   * @returns {string} The build code
+   */
+  getBuildCode(productId, selections) {
+    return encodeBuildCode(productId, selections);
+  }
+
+  /**
+   * Restores the selections of a build code and validates them against the
+   * current rules and stock. Codes refer to options by ID, so renamed options
+   * are restored as they are now; selections that are no longer offered
+   * (deleted or inactive options, part types removed from the product) are
+   * left out and reported.
+   *
+   * @param {string} code - The build code
+   * @returns {Object} The product, the restored selections, the
+   *   `removedSelections` and the `validation` of what was restored
+   */
+  async restoreBuildCode(code) {
+    const decoded = decodeBuildCode(code);
+    if (!decoded) {
+      return { success: false, message: 'Invalid build code' };
+    }
+
+    const { productId } = decoded;
+    const [product] = await this.database.query(
+      'SELECT id, name, active FROM Products WHERE id = ?',
+      [productId]
+    );
+    if (!product) {
+      return { success: false, message: 'Product not found', productId };
+    }
+
+    // Use separate placeholders for each ID to avoid the IN clause array issue
+    const optionIds = getSelectedOptionIds(decoded.selections);
+    const activeOptionIds = new Set();
+    if (optionIds.length > 0) {
+      const placeholders = optionIds.map(() => '?').join(',');
+      const options = await this.database.query(
+        `SELECT id FROM PartOptions
+         WHERE id IN (${placeholders}) AND active = TRUE`,
+        optionIds
+      );
+      options.forEach((option) => activeOptionIds.add(option.id));
+    }
+
+    const productPartTypeIds = new Set();
+    if (getNonePartTypeIds(decoded.selections).length > 0) {
+      const partTypes = await this.database.query(
+        'SELECT part_type_id FROM ProductPartTypes WHERE product_id = ?',
+        [productId]
+      );
+      partTypes.forEach((pt) => productPartTypeIds.add(pt.part_type_id));
+    }
+
+    const isOffered = (selection) =>
+      selection.none
+        ? productPartTypeIds.has(selection.partTypeId)
+        : activeOptionIds.has(selection.partOptionId);
+    const selections = decoded.selections.filter(isOffered);
+    const removedSelections = decoded.selections.filter(
+      (selection) => !isOffered(selection)
+    );
+
+    return {
+      success: true,
+      message:
+        removedSelections.length > 0
+          ? `Build restored without ${removedSelections.length} selections that are no longer offered`
+          : 'Build restored',
+      product,
+      selections,
+      removedSelections,
+      validation: await this.validateConfiguration(productId, selections),
+    };
+  }
+
+  /**
+   * Completes a partial configuration with a valid build: every required part
+   * type filled, no incompatibility rule broken and every option in stock.
+   *
+   * With the `cheapest` strategy the build with the lowest total price is
+   * returned, found with a branch-and-bound search over the pricing rules
+   * evaluated in memory. With the `default` strategy the admin-defined default
+   * options are preferred, followed by the cheapest options.
+   *
+   * @param {number} productId - The product being configured
+   * @param {Array} selections - Part options already selected by the user
+   * @param {Object} options - The `strategy` (`cheapest` or `default`)
+   * @returns {Object} The completed selections with their price breakdown,
+   *   or the part types that cannot be satisfied
+   */
+  async autocompleteConfiguration(
+    productId,
+    selections = [],
+    { strategy = 'cheapest' } = {}
+  ) {
+    const [product] = await this.database.query(
+      'SELECT base_price FROM Products WHERE id = ?',
+      [productId]
+    );
+
+    if (!product) {
+      return { success: false, message: 'Product not found' };
+    }
+
+    const model = await this.loadProductConstraints(productId);
+    const pricingRules = await this.loadPricingRules(productId);
+    const selectionIds = getSelectedOptionIds(selections);
+    const nonePartTypeIds = getNonePartTypeIds(selections);
+
+    const notOfferedOptions = selectionIds.filter(
+      (id) => !model.options.has(id)
+    );
+    if (notOfferedOptions.length > 0) {
+      return {
+        success: false,
+        message: 'Some selected options are not offered on this product',
+        notOfferedOptions,
+      };
+    }
+
+    // Rejected like in validateConfiguration, rather than completed with
+    // only some of the options selected for a part type
+    const tooManyPartTypes = model.partTypes.filter(
+      (partType) =>
+        selectionIds.filter((id) => partType.optionIds.includes(id)).length >
+        partType.max_selections
+    );
+    if (tooManyPartTypes.length > 0) {
+      return {
+        success: false,
+        message: tooManySelectionsMessage(tooManyPartTypes),
+      };
+    }
+
+    const priceOf = (partOptionId) =>
+      partOptionId === null ? 0 : model.options.get(partOptionId).base_price;
+    const byPrice = (a, b) => priceOf(a) - priceOf(b) || a - b;
+
+    // Lowest total any completion of the domains could reach, applying only
+    // the discounts whose conditions can all still be selected
+    const lowerBound = (domains) => {
+      let total = product.base_price;
+      for (const domain of domains.values()) {
+        if (domain.size > 0) {
+          total += Math.min(...[...domain].map(priceOf));
+        }
+      }
+
+      // Negated conditions are assumed to hold, so the bound counts every
+      // discount that might still apply. Percentages are taken of the whole
+      // total before the fixed discounts, which no target or priority can
+      // beat
+      const isPossible = (condition) =>
+        condition.negated ||
+        condition.partOptionIds.some((partOptionId) => {
+          const domain = domainOf(model, domains, partOptionId);
+          return Boolean(domain && domain.has(partOptionId));
+        });
+      const discounts = pricingRules.filter(
+        (rule) =>
+          rule.price_adjustment < 0 &&
+          rule.conditionGroups.every((group) => group.some(isPossible))
+      );
+
+      return discounts
+        .filter((rule) => !rule.is_percentage)
+        .reduce(
+          (price, rule) => price + rule.price_adjustment,
+          discounts
+            .filter((rule) => rule.is_percentage)
+            .reduce(
+              (price, rule) =>
+                price + percentageOf(price, rule.price_adjustment),
+              total
+            )
+        );
+    };
+
+    let best = null;
+    const search =
+      strategy === 'default'
+        ? {
+            nonePartTypeIds,
+            orderOptions: (partType, optionIds) =>
+              optionIds.sort(
+                (a, b) =>
+                  (b === partType.default_part_option_id) -
+                    (a === partType.default_part_option_id) || byPrice(a, b)
+              ),
+          }
+        : {
+            nonePartTypeIds,
+            orderOptions: (partType, optionIds) => optionIds.sort(byPrice),
+            prune: (domains) =>
+              best !== null && lowerBound(domains) >= best.total,
+          };
+
+    for (const completionIds of enumerateCompletions(
+      model,
+      selectionIds,
+      search
+    )) {
+      const total = this.priceSelections(
+        product,
+        model,
+        pricingRules,
+        completionIds
+      ).totalPrice;
+
+      if (best === null || total < best.total) {
+        best = { completionIds, total };
+      }
+      if (strategy === 'default') {
+        break;
+      }
+    }
+
+    if (best === null) {
+      const partTypeIds = findUnsatisfiablePartTypes(model, selectionIds, {
+        nonePartTypeIds,
+      });
+      const unsatisfiablePartTypes = model.partTypes
+        .filter((partType) => partTypeIds.includes(partType.id))
+        .map((partType) => ({ id: partType.id, name: partType.name }));
+
+      return {
+        success: false,
+        message: `No valid configuration can be completed: ${unsatisfiablePartTypes.map((pt) => pt.name).join(', ')}`,
+        unsatisfiablePartTypes,
+      };
+    }
+
+    const completedSelections = [
+      ...best.completionIds.map((partOptionId) => ({ partOptionId })),
+      ...selections.filter((selection) => selection.none),
+    ];
+
+    return {
+      success: true,
+      message: 'Configuration completed',
+      selections: completedSelections,
+      pricing: await this.calculateTotalPrice(productId, completedSelections),
+    };
+  }
+
+  /**
+   * Suggests how to get back to a valid configuration after a change broke
+   * it, e.g. switching the frame to full-suspension after picking mountain
+   * wheels on a diamond frame. The options the customer just picked (in
+   * `selections` but not in `previousSelections`) are kept; the suggestions
+   * swap or drop as few of the other selections as possible so the
+   * configuration can be completed again with the rules and stock as they
+   * are. Suggestions are sorted by the price difference they make.
+   *
+   * @param {number} productId - The product being configured
+   * @param {Array} previousSelections - The selections before the change
+   * @param {Array} selections - The selections after the change
+   * @param {Object} options - `maxChanges` per suggestion and the `limit` of
+   *   suggestions returned
+   * @returns {Object} The suggestions, each with its `changes`, the repaired
+   *   `selections`, its `totalPrice` and `priceDelta`
+   */
+  async suggestRepairs(
+    productId,
+    previousSelections,
+    selections,
+    { maxChanges = 3, limit = 5 } = {}
+  ) {
+    const [product] = await this.database.query(
+      'SELECT base_price FROM Products WHERE id = ?',
+      [productId]
+    );
+
+    if (!product) {
+      return { success: false, message: 'Product not found' };
+    }
+
+    const model = await this.loadProductConstraints(productId);
+    const pricingRules = await this.loadPricingRules(productId);
+    const selectionIds = getSelectedOptionIds(selections);
+    const noneSelections = selections.filter((selection) => selection.none);
+
+    const notOfferedOptions = selectionIds.filter(
+      (id) => !model.options.has(id)
+    );
+    if (notOfferedOptions.length > 0) {
+      return {
+        success: false,
+        message: 'Some selected options are not offered on this product',
+        notOfferedOptions,
+      };
+    }
+
+    const previousIds = getSelectedOptionIds(previousSelections);
+    const pinnedIds = selectionIds.filter((id) => !previousIds.includes(id));
+    const repairs = findRepairs(model, selectionIds, pinnedIds, {
+      nonePartTypeIds: getNonePartTypeIds(selections),
+      maxChanges,
+    });
+
+    if (repairs.length === 0) {
+      return {
+        success: false,
+        message: `No change of up to ${maxChanges} other selections makes this configuration valid`,
+        suggestions: [],
+      };
+    }
+    if (repairs[0].changes.length === 0) {
+      return {
+        success: true,
+        message: 'Configuration is already valid',
+        suggestions: [],
+      };
+    }
+
+    const currentTotal = this.priceSelections(
+      product,
+      model,
+      pricingRules,
+      selectionIds
+    ).totalPrice;
+    const describeOption = (partOptionId) =>
+      partOptionId === null
+        ? null
+        : { id: partOptionId, name: model.options.get(partOptionId).name };
+
+    const suggestions = repairs
+      .map((repair) => {
+        const { totalPrice } = this.priceSelections(
+          product,
+          model,
+          pricingRules,
+          repair.selectionIds
+        );
+
+        return {
+          changes: repair.changes.map((change) => ({
+            action: change.to === null ? 'drop' : 'swap',
+            partTypeId: change.partTypeId,
+            partTypeName: model.partTypes.find(
+              (partType) => partType.id === change.partTypeId
+            ).name,
+            from: describeOption(change.from),
+            to: describeOption(change.to),
+          })),
+          selections: [
+            ...repair.selectionIds.map((partOptionId) => ({ partOptionId })),
+            ...noneSelections,
+          ],
+          totalPrice,
+          priceDelta: totalPrice - currentTotal,
+        };
+      })
+      .sort((a, b) => a.priceDelta - b.priceDelta)
+      .slice(0, limit);
+
+    return {
+      success: true,
+      message: 'The configuration can be made valid again',
+      suggestions,
+    };
+  }
+
+  /**
+   * Lists the complete configurations of a product that pass the same rules
+   * as validateConfiguration, a page at a time, with their total price.
+   * Configurations are enumerated lazily in a stable order (part types in
+   * display order, options by ID), so pages stay consistent while the rules
+   * and stock do not change.
+   *
+   * @param {number} productId - The product to enumerate
+   * @param {Object} options - `offset` and `limit` of the page, and
+   *   `ignoreStock` to include options that are out of stock
+   * @returns {Object|null} The page of configurations and whether more
+   *   follow, or null if the product does not exist
+   */
+  async getValidConfigurations(
+    productId,
+    { offset = 0, limit = 50, ignoreStock = false } = {}
+  ) {
+    const [product] = await this.database.query(
+      'SELECT base_price FROM Products WHERE id = ?',
+      [productId]
+    );
+
+    if (!product) {
+      return null;
+    }
+
+    const model = await this.loadProductConstraints(productId);
+    const pricingRules = await this.loadPricingRules(productId);
+
+    const configurations = [];
+    let index = 0;
+    let hasMore = false;
+
+    for (const selectionIds of enumerateCompletions(model, [], {
+      ignoreStock,
+    })) {
+      if (index >= offset + limit) {
+        hasMore = true;
+        break;
+      }
+      if (index >= offset) {
+        configurations.push({
+          selections: selectionIds.map((partOptionId) => ({ partOptionId })),
+          totalPrice: this.priceSelections(
+            product,
+            model,
+            pricingRules,
+            selectionIds
+          ).totalPrice,
+        });
+      }
+      index++;
+    }
+
+    return { configurations, offset, limit, hasMore };
+  }
+
+  /**
+   * Counts the complete configurations of a product that pass the same rules
+   * as validateConfiguration, with their lowest, highest and average price.
+   * Every configuration is enumerated and priced, and their number grows
+   * exponentially with the part types, so counting stops after `limit`
+   * configurations: `truncated` is then true, the count is a lower bound and
+   * the prices are those of the configurations counted.
+   *
+   * @param {number} productId - The product to count
+   * @param {Object} options - `ignoreStock` to include options that are out
+   *   of stock, and the `limit` of configurations to count
+   * @returns {Object|null} The count, whether it was truncated, and price
+   *   statistics (null prices when there are no valid configurations), or
+   *   null if the product does not exist
+   */
+  async countValidConfigurations(
+    productId,
+    { ignoreStock = false, limit = 10000 } = {}
+  ) {
+    const [product] = await this.database.query(
+      'SELECT base_price FROM Products WHERE id = ?',
+      [productId]
+    );
+
+    if (!product) {
+      return null;
+    }
+
+    const model = await this.loadProductConstraints(productId);
+    const pricingRules = await this.loadPricingRules(productId);
+
+    let count = 0;
+    let truncated = false;
+    let minPrice = null;
+    let maxPrice = null;
+    let priceSum = 0;
+
+    for (const selectionIds of enumerateCompletions(model, [], {
+      ignoreStock,
+    })) {
+      if (count >= limit) {
+        truncated = true;
+        break;
+      }
+
+      const { totalPrice } = this.priceSelections(
+        product,
+        model,
+        pricingRules,
+        selectionIds
+      );
+
+      count++;
+      priceSum += totalPrice;
+      minPrice =
+        minPrice === null ? totalPrice : Math.min(minPrice, totalPrice);
+      maxPrice =
+        maxPrice === null ? totalPrice : Math.max(maxPrice, totalPrice);
+    }
+
+    return {
+      count,
+      truncated,
+      minPrice,
+      maxPrice,
+      averagePrice: count > 0 ? roundMinorUnits(priceSum / count) : null,
+    };
+  }
+
+  /**
+   * Checks which active options of a product can be part of at least one
+   * valid configuration under its rules, regardless of stock
+   *
+   * @param {number} productId - The product to check
+   * @returns {Map} Whether each active option can be selected, by option ID
+   */
+  async getOptionSelectability(productId) {
+    const model = await this.loadProductConstraints(productId);
+    const selectability = new Map();
+
+    for (const option of model.options.values()) {
+      if (option.active) {
+        const completions = enumerateCompletions(model, [option.id], {
+          ignoreStock: true,
+        });
+        selectability.set(option.id, !completions.next().done);
+      }
+    }
+
+    return selectability;
+  }
+
+  /**
+   * Prices a configuration in memory, the same way calculateTotalPrice does,
+   * from a loaded product model and pricing rules
+   */
+  priceSelections(product, model, pricingRules, selectionIds) {
+    return priceConfiguration(
+      product.base_price,
+      selectionIds.map((id) => model.options.get(id)),
+      pricingRules
+    );
+  }
+
+  /**
+   * Determines the availability status of an option. Inactive options take
+   * precedence over incompatibilities, which take precedence over stock and
+   * finally over dead ends.
+   */
+  getOptionStatus(option, blockingRules, unfillablePartTypes = []) {
+    if (!option.active) {
+      return 'inactive';
+    }
+
+    if (blockingRules.length > 0) {
+      return 'incompatible';
+    }
+
+    if (!option.inventory.in_stock || option.inventory.quantity <= 0) {
+      return 'out_of_stock';
+    }
+
+    if (unfillablePartTypes.length > 0) {
+      return 'dead_end';
+    }
+
+    return 'available';
+  }
+
+  /**
+   * Finds the options that pass the direct compatibility checks but would
+   * make it impossible to complete the configuration, by propagating the
+   * incompatibility rules and stock across all part types of the product
+   *
+   * @param {number} productId - The product being configured
+   * @param {Array} currentSelections - Current part options selected by user
+   * @param {Array} candidateIds - Option IDs to check (all when omitted)
+   * @returns {Map} Required part types (id and name) that could no longer be
+   *   filled, keyed by option ID
+   */
+  async findDeadEndOptions(productId, currentSelections, candidateIds = null) {
+    if (candidateIds && candidateIds.length === 0) {
+      return new Map();
+    }
+
+    const model = await this.loadProductConstraints(productId);
+    const deadEnds = findDeadEnds(
+      model,
+      getSelectedOptionIds(currentSelections),
+      candidateIds,
+      { nonePartTypeIds: getNonePartTypeIds(currentSelections) }
+    );
+
+    return this.describeDeadEnds(model, deadEnds);
+  }
+
+  /**
+   * Replaces the part type IDs of dead ends with their ID and name
+   */
+  describeDeadEnds(model, deadEnds) {
+    const partTypeNames = new Map(
+      model.partTypes.map((partType) => [partType.id, partType.name])
+    );
+    const result = new Map();
+    for (const [partOptionId, partTypeIds] of deadEnds) {
+      result.set(
+        partOptionId,
+        partTypeIds.map((id) => ({ id, name: partTypeNames.get(id) }))
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Loads everything needed to reason about a product's configurations in
+   * memory: its part types, the options it offers with inventory and
+   * attributes, and the active incompatibility rules applying to it
+   * (attribute rules expanded into the option pairs they exclude). Uses a
+   * fixed number of queries regardless of how many part types the product
+   * has. Option base prices are the ones in effect at the `asOf` date or now,
+   * for the customer groups of the `customerId`, if any.
+   *
+   * @param {number} productId - The product being configured
+   * @param {Object} options - The `asOf` date and the `customerId`
+   * @returns {Object} Part types, options by ID, exclusions, requirements and
+   *   the name and description of the rules by ID
+   */
+  async loadProductConstraints(
+    productId,
+    { asOf = null, customerId = null } = {}
+  ) {
+    const partTypes = await this.database.query(
+      `SELECT pt.id, pt.name, pt.required, pt.min_selections,
+              pt.max_selections, ppt.display_order, ppt.default_part_option_id
+       FROM ProductPartTypes ppt
+       JOIN PartTypes pt ON pt.id = ppt.part_type_id
+       WHERE ppt.product_id = ?
+       ORDER BY ppt.display_order`,
+      [productId]
+    );
+
+    const options = applyPriceOverrides(
+      (
+        await this.database.query(
+          `WITH OfferedOptions AS (${OFFERED_OPTIONS})
+           SELECT po.*, i.quantity, i.in_stock, i.expected_restock_date,
+                  ${OPTION_ATTRIBUTES} AS attributes,
+                  ${PRICE_OVERRIDE} AS override_price
+           FROM OfferedOptions po
+           LEFT JOIN Inventory i ON i.part_option_id = po.id
+           ORDER BY po.id`,
+          [productId, ...this.pricingParams(asOf, customerId)]
+        )
+      ).map(parseAttributes)
+    );
+
+    const conditions = await this.database.query(
+      `WITH ScopedRules AS (${SCOPED_RULES}),
+            PairConditions AS (${PAIR_CONDITIONS})
+       SELECT rc.rule_id, rc.part_option_id, rc.incompatible_with_part_option_id,
+              ir.name, ir.description
+       FROM PairConditions rc
+       JOIN ScopedRules ir ON rc.rule_id = ir.id`,
+      [productId, productId]
+    );
+
+    const conditionSets = await this.database.query(
+      `WITH ScopedRules AS (${SCOPED_RULES})
+       SELECT rcs.rule_id, rcs.set_number, rcs.part_option_id,
+              ir.name, ir.description
+       FROM RuleConditionSets rcs
+       JOIN ScopedRules ir ON rcs.rule_id = ir.id`,
+      [productId, productId]
+    );
+
+    const requirements = await this.database.query(
+      `WITH ScopedRules AS (${SCOPED_RULES})
+       SELECT rr.rule_id, rr.part_option_id, rr.required_part_type_id,
+              rr.allowed_part_option_id, ir.name, ir.description
+       FROM RuleRequirements rr
+       JOIN ScopedRules ir ON rr.rule_id = ir.id`,
+      [productId, productId]
+    );
+
+    // Pairwise conditions are the two-member case of condition sets
+    const exclusions = conditions.map((condition) => ({
+      ruleId: condition.rule_id,
+      partOptionIds: [
+        condition.part_option_id,
+        condition.incompatible_with_part_option_id,
+      ],
+    }));
+    const setsByKey = new Map();
+    for (const member of conditionSets) {
+      const key = `${member.rule_id}:${member.set_number}`;
+      if (!setsByKey.has(key)) {
+        setsByKey.set(key, { ruleId: member.rule_id, partOptionIds: [] });
+        exclusions.push(setsByKey.get(key));
+      }
+      setsByKey.get(key).partOptionIds.push(member.part_option_id);
+    }
+
+    // Group requirement rows into one entry per rule, option and part type
+    const requirementsByKey = new Map();
+    for (const row of requirements) {
+      const key = `${row.rule_id}:${row.part_option_id}:${row.required_part_type_id}`;
+      if (!requirementsByKey.has(key)) {
+        requirementsByKey.set(key, {
+          ruleId: row.rule_id,
+          partOptionId: row.part_option_id,
+          requiredPartTypeId: row.required_part_type_id,
+          allowedPartOptionIds: new Set(),
+        });
+      }
+      requirementsByKey
+        .get(key)
+        .allowedPartOptionIds.add(row.allowed_part_option_id);
+    }
+
+    const rules = new Map(
+      [...conditions, ...conditionSets, ...requirements].map((row) => [
+        row.rule_id,
+        { name: row.name, description: row.description },
+      ])
+    );
+
+    return {
+      partTypes: partTypes.map((partType) => ({
+        ...partType,
+        optionIds: options
+          .filter((option) => option.part_type_id === partType.id)
+          .map((option) => option.id),
+      })),
+      options: new Map(options.map((option) => [option.id, option])),
+      exclusions,
+      requirements: [...requirementsByKey.values()],
+      rules,
+    };
+  }
+
   /**
    * Filters out options that are incompatible with current selections
    */
-  async filterIncompatibleOptions(options, currentSelections) {
-    if (currentSelections.length === 0 || options.length === 0) {
-      return options;
+  async filterIncompatibleOptions(options, currentSelections, productId) {
+    const blockingRules = await this.getBlockingRules(
+      options,
+      currentSelections,
+      productId
+    );
+
+    return options.filter((option) => !blockingRules.has(option.id));
+  }
+
+  /**
+   * Finds the active incompatibility rules that block each option given the
+   * current selections. Pairwise conditions apply in both directions and
+   * "requires" rules on single-choice part types are checked from either
+   * side, while an option belonging to a condition set is only blocked when
+   * it is the last member of the set that is not selected yet. Only global
+   * rules apply when no product is given.
+   *
+   * @param {Array} options - Candidate part options
+   * @param {Array} currentSelections - Current part options selected by user
+   * @param {number} productId - The product being configured
+   * @returns {Map} Blocking rules keyed by option ID, each with the rule
+   *   name, description and the selected option IDs that triggered it
+   */
+  async getBlockingRules(options, currentSelections, productId = null) {
+    const blockingRules = new Map();
+    const selectionIds = getSelectedOptionIds(currentSelections);
+
+    if (selectionIds.length === 0 || options.length === 0) {
+      return blockingRules;
     }
 
-    // Gather all option IDs and current selection IDs
+    const optionIds = options.map((o) => o.id);
+
+    // Use separate placeholders for each ID to avoid the IN clause array issue
+    const optionPlaceholders = optionIds.map(() => '?').join(',');
+    const selectionPlaceholders = selectionIds.map(() => '?').join(',');
+
     const conflicts = await this.database.query(
-      `SELECT rc.part_option_id, rc.incompatible_with_part_option_id
-       FROM RuleConditions rc
-       JOIN IncompatibilityRules ir ON rc.rule_id = ir.id
-       WHERE rc.part_option_id IN (?)
-         AND rc.incompatible_with_part_option_id IN (?)
-         AND ir.active = TRUE`,
-      [options.map((o) => o.id), currentSelections.map((s) => s.partOptionId)]
+      `WITH ScopedRules AS (${SCOPED_RULES}),
+            PairConditions AS (${PAIR_CONDITIONS})
+       SELECT rc.part_option_id, ir.id AS rule_id, ir.name, ir.description,
+              CAST(rc.incompatible_with_part_option_id AS TEXT) AS triggered_by
+       FROM PairConditions rc
+       JOIN ScopedRules ir ON rc.rule_id = ir.id
+       WHERE rc.part_option_id IN (${optionPlaceholders})
+         AND rc.incompatible_with_part_option_id IN (${selectionPlaceholders})
+       UNION
+       SELECT rc.incompatible_with_part_option_id, ir.id, ir.name, ir.description,
+              CAST(rc.part_option_id AS TEXT)
+       FROM PairConditions rc
+       JOIN ScopedRules ir ON rc.rule_id = ir.id
+       WHERE rc.incompatible_with_part_option_id IN (${optionPlaceholders})
+         AND rc.part_option_id IN (${selectionPlaceholders})
+       UNION
+       SELECT po.id, ir.id, ir.name, ir.description,
+              CAST(rr.part_option_id AS TEXT)
+       FROM RuleRequirements rr
+       JOIN ScopedRules ir ON rr.rule_id = ir.id
+       JOIN PartTypes rpt
+         ON rpt.id = rr.required_part_type_id AND rpt.max_selections = 1
+       JOIN PartOptions po ON po.part_type_id = rr.required_part_type_id
+       WHERE rr.part_option_id IN (${selectionPlaceholders})
+         AND po.id IN (${optionPlaceholders})
+       GROUP BY rr.rule_id, rr.part_option_id, po.id
+       HAVING SUM(rr.allowed_part_option_id = po.id) = 0
+       UNION
+       SELECT rr.part_option_id, ir.id, ir.name, ir.description,
+              CAST(po.id AS TEXT)
+       FROM RuleRequirements rr
+       JOIN ScopedRules ir ON rr.rule_id = ir.id
+       JOIN PartTypes rpt
+         ON rpt.id = rr.required_part_type_id AND rpt.max_selections = 1
+       JOIN PartOptions po ON po.part_type_id = rr.required_part_type_id
+       WHERE rr.part_option_id IN (${optionPlaceholders})
+         AND po.id IN (${selectionPlaceholders})
+       GROUP BY rr.rule_id, rr.part_option_id, po.id
+       HAVING SUM(rr.allowed_part_option_id = po.id) = 0
+       UNION
+       SELECT rcs.part_option_id, ir.id, ir.name, ir.description,
+              GROUP_CONCAT(other.part_option_id)
+       FROM RuleConditionSets rcs
+       JOIN ScopedRules ir ON rcs.rule_id = ir.id
+       JOIN RuleConditionSets other
+         ON other.rule_id = rcs.rule_id
+         AND other.set_number = rcs.set_number
+         AND other.part_option_id != rcs.part_option_id
+       WHERE rcs.part_option_id IN (${optionPlaceholders})
+       GROUP BY rcs.rule_id, rcs.set_number, rcs.part_option_id
+       HAVING SUM(other.part_option_id IN (${selectionPlaceholders})) = COUNT(*)`,
+      [
+        productId,
+        productId,
+        ...optionIds,
+        ...selectionIds,
+        ...optionIds,
+        ...selectionIds,
+        ...selectionIds,
+        ...optionIds,
+        ...optionIds,
+        ...selectionIds,
+        ...optionIds,
+        ...selectionIds,
+      ]
     );
 
-    // Build a Set of option IDs that are incompatible with current selections
-    const incompatibleOptionIds = new Set(
-      conflicts.map((c) => c.part_option_id)
-    );
+    // Group conflicts per option and rule, merging the triggering selections
+    for (const conflict of conflicts) {
+      const rules = blockingRules.get(conflict.part_option_id) || [];
+      const triggeredBy = conflict.triggered_by.split(',').map(Number);
+      const existing = rules.find((rule) => rule.ruleId === conflict.rule_id);
 
-    // Filter out incompatible options
-    return options.filter((option) => !incompatibleOptionIds.has(option.id));
+      if (existing) {
+        for (const partOptionId of triggeredBy) {
+          if (!existing.triggeredBy.includes(partOptionId)) {
+            existing.triggeredBy.push(partOptionId);
+          }
+        }
+      } else {
+        rules.push({
+          ruleId: conflict.rule_id,
+          name: conflict.name,
+          description: conflict.description,
+          triggeredBy,
+        });
+      }
+
+      blockingRules.set(conflict.part_option_id, rules);
+    }
+
+    return blockingRules;
   }
 
   /**
@@ -106,159 +1410,490 @@ class ProductConfigurationService {
   }
 
   /**
-   * Calculates adjusted prices for options based on current selections
+   * Calculates adjusted prices for options based on current selections. Each
+   * option is priced as part of the current selections, so its final price
+   * includes the rules targeting it, and its adjustments are every rule the
+   * configuration would get with it, with their amounts. Prices are in the
+   * given price list, if any, and the `displayPrice` is the final price with
+   * the tax of the destination country in the `gross` price display.
    */
-  async calculateOptionPrices(options, productId, currentSelections) {
-    return Promise.all(
-      options.map(async (option) => {
-        const basePrice = option.base_price;
-
-        // Get pricing rules that apply when this option is selected with current selections
-        const adjustments = await this.getPriceAdjustments(productId, [
-          ...currentSelections,
-          { partOptionId: option.id },
-        ]);
-
-        // Apply all adjustments to get final price
-        const finalPrice = adjustments.reduce((price, adjustment) => {
-          if (adjustment.is_percentage) {
-            return price * (1 + adjustment.price_adjustment / 100);
-          } else {
-            return price + adjustment.price_adjustment;
-          }
-        }, basePrice);
+  async calculateOptionPrices(
+    options,
+    productId,
+    currentSelections,
+    {
+      priceListId = null,
+      country = null,
+      priceDisplay = 'net',
+      asOf = null,
+      customerId = null,
+    } = {}
+  ) {
+    const selectionIds = getSelectedOptionIds(currentSelections);
+    const context = await this.loadPricingContext(productId, selectionIds, {
+      priceListId,
+      asOf,
+      customerId,
+    });
+    const taxRates = country !== null ? await this.loadTaxRates(country) : null;
+
+    return applyPriceList(context.priceList, 'option', options).map(
+      (option) => {
+        const pricing = priceConfiguration(
+          context.basePrice,
+          [
+            ...context.options.filter((selected) => selected.id !== option.id),
+            option,
+          ],
+          context.pricingRules
+        );
+
+        const { finalPrice } = pricing.lines.find(
+          (line) => line.partOptionId === option.id
+        );
 
         return {
           ...option,
-          basePrice,
+          basePrice: option.base_price,
           finalPrice,
-          priceAdjustments: adjustments,
+          displayPrice: this.displayPrice(
+            finalPrice,
+            taxCategoryOf(option, context.taxCategoryId),
+            taxRates,
+            priceDisplay
+          ),
+          priceAdjustments: pricing.adjustments,
         };
-      })
+      }
     );
   }
 
   /**
-   * Gets price adjustments based on selected options
+   * Gets the pricing rules whose conditions hold for the selected options, in
+   * priority order. Whether they are applied depends on their target and
+   * stacking mode, see calculateTotalPrice.
    */
   async getPriceAdjustments(productId, selections) {
-    if (selections.length <= 1) {
+    const selectionIds = getSelectedOptionIds(selections);
+    if (selectionIds.length === 0) {
       return [];
     }
 
-    const selectionIds = selections.map((s) => s.partOptionId);
-
-    // Use separate placeholders for each ID to avoid the IN clause array issue
-    const placeholders = selectionIds.map(() => '?').join(',');
-
-    // Find pricing rules that match the current selection combination
-    const pricingRules = await this.database.query(
-      `SELECT pr.id, pr.name, pr.price_adjustment, pr.is_percentage 
-       FROM PricingRules pr
-       JOIN PricingRuleConditions prc ON pr.id = prc.pricing_rule_id
-       WHERE pr.active = TRUE
-       AND prc.part_option_id IN (${placeholders})
-       GROUP BY pr.id
-       HAVING COUNT(DISTINCT prc.part_option_id) = COUNT(*)`,
-      selectionIds
-    );
+    const pricingRules = await this.loadPricingRules(productId);
 
-    return pricingRules;
+    return matchPricingRules(pricingRules, selectionIds).map(describeRule);
   }
 
   /**
-   * Calculates total price for a configured product
+   * Loads what pricing a configuration takes: the product base price, the
+   * price and part type of the selected options, and the pricing rules, all
+   * in the price list when one is given, as they are at the `asOf` date or
+   * now for the customer with the `customerId`, if any. Options come in the
+   * display order of their part types, with the names a price breakdown
+   * lists them by.
    *
    * @param {number} productId - The product being configured
-   * @param {Array} selectedOptions - All selected part options
-   * @returns {Object} Price details including base price, adjustments, and total
+   * @param {Array} optionIds - The selected part option IDs
+   * @param {Object} options - The `priceListId` to price in, the `asOf`
+   *   date and the `customerId`
+   * @returns {Object} The `product`, its `basePrice` and `taxCategoryId`,
+   *   the `options` and `pricingRules`, with the `priceList` they are in
+   *   (null for the catalogue prices) and its `currency`
    */
-  async calculateTotalPrice(productId, selectedOptions) {
-    // Get product base price
+  async loadPricingContext(
+    productId,
+    optionIds,
+    { priceListId = null, asOf = null, customerId = null } = {}
+  ) {
+    const priceList = await this.loadPriceList(priceListId);
     const [product] = await this.database.query(
-      'SELECT base_price FROM Products WHERE id = ?',
+      'SELECT id, name, base_price, tax_category_id FROM Products WHERE id = ?',
       [productId]
     );
 
-    const basePrice = product.base_price;
-
-    // Get all selected options with their base prices
-    const optionIds = selectedOptions.map((option) => option.partOptionId);
-
     // Use separate placeholders for each ID
     const placeholders = optionIds.map(() => '?').join(',');
-    const optionPrices = await this.database.query(
-      `SELECT id, base_price FROM PartOptions WHERE id IN (${placeholders})`,
-      optionIds
+    const options = applyPriceOverrides(
+      await this.database.query(
+        `SELECT po.id, po.name, po.part_type_id, pt.name AS part_type_name,
+                po.base_price, po.tax_category_id,
+                ${PRICE_OVERRIDE} AS override_price
+         FROM PartOptions po
+         JOIN PartTypes pt ON pt.id = po.part_type_id
+         LEFT JOIN ProductPartTypes ppt
+           ON ppt.part_type_id = po.part_type_id AND ppt.product_id = ?
+         WHERE po.id IN (${placeholders})
+         ORDER BY ppt.display_order, po.id`,
+        [...this.pricingParams(asOf, customerId), productId, ...optionIds]
+      )
     );
 
-    // Calculate sum of option base prices
-    const optionPriceSum = optionPrices.reduce((sum, option) => {
-      return sum + option.base_price;
-    }, 0);
+    const [pricedProduct] = applyPriceList(priceList, 'product', [product]);
 
-    // Get price adjustments for the combination
-    const adjustments = await this.getPriceAdjustments(
-      productId,
-      selectedOptions
+    return {
+      product: pricedProduct,
+      basePrice: pricedProduct.base_price,
+      taxCategoryId: product.tax_category_id || null,
+      options: applyPriceList(priceList, 'option', options),
+      pricingRules: applyPriceList(
+        priceList,
+        'rule',
+        await this.loadPricingRules(productId, asOf, customerId)
+      ),
+      priceList,
+      currency: priceList ? priceList.currency : SHOP_CURRENCY,
+    };
+  }
+
+  /**
+   * Loads an active price list with the prices set on it. Without a price
+   * list, or with one that does not exist or is inactive, prices stay in the
+   * catalogue currency.
+   *
+   * @param {number|null} priceListId - The price list ID
+   * @returns {Object|null} The price list with its `prices`, or null
+   */
+  async loadPriceList(priceListId) {
+    if (priceListId === null || priceListId === undefined) {
+      return null;
+    }
+
+    const [priceList] = await this.database.query(
+      `SELECT id, name, currency, exchange_rate, rounding_step
+       FROM PriceLists WHERE id = ? AND active = TRUE`,
+      [priceListId]
     );
 
-    // Calculate adjusted total
-    let totalPrice = basePrice + optionPriceSum;
+    if (!priceList) {
+      return null;
+    }
 
-    // Apply all price adjustments
-    adjustments.forEach((adjustment) => {
-      if (adjustment.is_percentage) {
-        totalPrice = totalPrice * (1 + adjustment.price_adjustment / 100);
-      } else {
-        totalPrice = totalPrice + adjustment.price_adjustment;
+    const prices = await this.database.query(
+      `SELECT product_id, part_option_id, pricing_rule_id, price
+       FROM PriceListPrices WHERE price_list_id = ?`,
+      [priceListId]
+    );
+
+    return { ...priceList, prices };
+  }
+
+  /**
+   * Loads the tax rates of a destination country
+   *
+   * @param {string} country - ISO 3166 alpha-2 country code
+   * @returns {Map} The rate (percent) keyed by tax category ID; empty when
+   *   the shop has no rates for the country
+   */
+  async loadTaxRates(country) {
+    const rates = await this.database.query(
+      'SELECT tax_category_id, rate FROM TaxRates WHERE country = ?',
+      [country]
+    );
+
+    return new Map(rates.map((rate) => [rate.tax_category_id, rate.rate]));
+  }
+
+  /**
+   * The price to show for a net price: with the tax of its category in the
+   * `gross` price display, when the tax rates are known, or as it is
+   */
+  displayPrice(netPrice, taxCategoryId, taxRates, priceDisplay) {
+    if (priceDisplay !== 'gross' || !taxRates) {
+      return netPrice;
+    }
+
+    return grossPrice(netPrice, taxRates.get(taxCategoryId));
+  }
+
+  /**
+   * The parameters inEffect binds: the time prices are worked out at, which
+   * is the `asOf` date of a preview or else now by the service clock, as a
+   * UTC timestamp, and the ID of the customer they are for (null for a
+   * visitor)
+   */
+  pricingParams(asOf = null, customerId = null) {
+    const timestamp = toTimestamp(
+      asOf !== null && asOf !== undefined ? asOf : this.clock()
+    );
+
+    return [
+      timestamp,
+      timestamp,
+      timestamp,
+      timestamp,
+      customerId !== undefined ? customerId : null,
+    ];
+  }
+
+  /**
+   * Loads the active pricing rules applying to a product and in effect at
+   * the `asOf` date or now, with their condition groups. Rules restricted to
+   * a customer group are only loaded for its members. Conditions on a
+   * part type are expanded into the IDs of its options, so every condition
+   * is a list of part options of which one has to be selected (or none, if
+   * negated).
+   *
+   * @param {number} productId - The product being configured
+   * @param {Date|string|null} asOf - The date to preview the rules at
+   * @param {number|null} customerId - The customer the rules are for
+   * @returns {Array} Pricing rules with their `conditionGroups`
+   */
+  async loadPricingRules(productId, asOf = null, customerId = null) {
+    const rows = await this.database.query(
+      `SELECT pr.id, pr.name, pr.price_adjustment, pr.is_percentage,
+              pr.priority, pr.target, pr.target_part_option_id,
+              pr.target_part_type_id, pr.stacking, prc.id AS condition_id, prc.group_number, prc.negated,
+              COALESCE(prc.part_option_id, po.id) AS part_option_id
+       FROM PricingRules pr
+       JOIN PricingRuleConditions prc ON pr.id = prc.pricing_rule_id
+       LEFT JOIN PartOptions po ON po.part_type_id = prc.part_type_id
+       WHERE pr.active = TRUE
+       AND (pr.product_id IS NULL OR pr.product_id = ?)
+       AND (pr.category_id IS NULL
+         OR pr.category_id = (SELECT category_id FROM Products WHERE id = ?))
+       AND ${inEffect('pr')}
+       ORDER BY pr.id, prc.group_number, prc.id`,
+      [productId, productId, ...this.pricingParams(asOf, customerId)]
+    );
+
+    const rulesById = new Map();
+    const groupsByKey = new Map();
+    const conditionsById = new Map();
+    for (const row of rows) {
+      if (!rulesById.has(row.id)) {
+        rulesById.set(row.id, {
+          id: row.id,
+          name: row.name,
+          price_adjustment: row.price_adjustment,
+          is_percentage: row.is_percentage,
+          priority: row.priority,
+          target: row.target,
+          target_part_option_id: row.target_part_option_id,
+          target_part_type_id: row.target_part_type_id,
+          stacking: row.stacking,
+          conditionGroups: [],
+        });
+      }
+
+      const groupKey = `${row.id}:${row.group_number}`;
+      if (!groupsByKey.has(groupKey)) {
+        groupsByKey.set(groupKey, []);
+        rulesById.get(row.id).conditionGroups.push(groupsByKey.get(groupKey));
       }
+
+      if (!conditionsById.has(row.condition_id)) {
+        conditionsById.set(row.condition_id, {
+          negated: Boolean(row.negated),
+          partOptionIds: [],
+        });
+        groupsByKey.get(groupKey).push(conditionsById.get(row.condition_id));
+      }
+      // A part type without options leaves its condition without IDs
+      if (row.part_option_id !== null) {
+        conditionsById
+          .get(row.condition_id)
+          .partOptionIds.push(row.part_option_id);
+      }
+    }
+
+    return [...rulesById.values()];
+  }
+
+  /**
+   * Calculates total price for a configured product, applying the matching
+   * pricing rules by priority, target and stacking mode (see pricing.js).
+   * Prices are net of tax. Given a destination `country`, the result also
+   * has the `tax` of the configuration per tax category (see tax.js), and
+   * the `displayTotal` is gross in the `gross` price display.
+   *
+   * @param {number} productId - The product being configured
+   * @param {Array} selectedOptions - All selected part options
+   * @param {Object} options - The `priceListId` to price in, the destination
+   *   `country`, the `priceDisplay` (`net` or `gross`), an `asOf` date to
+   *   preview the price at (now by default), and the `customerId` whose
+   *   customer group prices apply
+   * @returns {Object} Price details including base price, the price of each
+   *   option line, the applied adjustments with their amounts, and total, in
+   *   minor units of the `currency`, with the `priceListId` used (null for
+   *   the catalogue prices), the `tax` (null without a country), the
+   *   `displayTotal` and the itemised `breakdown` (see priceBreakdown)
+   */
+  async calculateTotalPrice(
+    productId,
+    selectedOptions,
+    {
+      priceListId = null,
+      country = null,
+      priceDisplay = 'net',
+      asOf = null,
+      customerId = null,
+    } = {}
+  ) {
+    // "None" selections add nothing to the price
+    const optionIds = getSelectedOptionIds(selectedOptions);
+    const context = await this.loadPricingContext(productId, optionIds, {
+      priceListId,
+      asOf,
+      customerId,
     });
 
+    const pricing = priceConfiguration(
+      context.basePrice,
+      context.options,
+      context.pricingRules
+    );
+
+    let tax = null;
+    if (country !== null) {
+      const rates = await this.loadTaxRates(country);
+      tax = {
+        country,
+        ...applyTaxRates(
+          netByTaxCategory(pricing, context.taxCategoryId, context.options),
+          rates
+        ),
+      };
+    }
+
     return {
-      basePrice,
-      optionPriceSum,
-      adjustments,
-      totalPrice,
+      ...pricing,
+      currency: context.currency,
+      priceListId: context.priceList ? context.priceList.id : null,
+      tax,
+      displayTotal:
+        tax && priceDisplay === 'gross' ? tax.grossTotal : pricing.totalPrice,
+      breakdown: priceBreakdown(
+        context.product,
+        context.options,
+        pricing,
+        context.currency
+      ),
     };
   }
 
   /**
-   * Validates a complete product configuration
+   * Validates a complete product configuration: every option must be offered
+   * on the product and still sold (active), every part type of the product
+   * must have between its minimum and maximum number of options selected,
+   * and "none" can only be chosen for optional part types
    *
    * @param {number} productId - The product being configured
-   * @param {Array} selectedOptions - All selected part options
+   * @param {Array} selectedOptions - All selected part options, plus
+   *   `{ partTypeId, none: true }` for optional part types left empty
    * @returns {Object} Validation result
    */
   async validateConfiguration(productId, selectedOptions) {
-    // Get all required part types for this product
-    const requiredPartTypes = await this.database.query(
-      `SELECT pt.id, pt.name 
+    // Get all part types of this product with their selection limits
+    const partTypes = await this.database.query(
+      `SELECT pt.id, pt.name, pt.min_selections, pt.max_selections
      FROM PartTypes pt
      JOIN ProductPartTypes ppt ON pt.id = ppt.part_type_id
-     WHERE ppt.product_id = ? AND pt.required = TRUE`,
+     WHERE ppt.product_id = ?`,
       [productId]
     );
 
-    // Check if all required part types are selected
-    const selectedPartTypes = new Set();
-    const selectedPartOptions = new Map();
+    // Count the options selected for each part type, checking that they are
+    // offered on this product and still sold
+    const selectionCounts = new Map();
+    const notOfferedOptions = [];
+    const inactiveOptions = [];
+    const optionSelections = selectedOptions.filter((option) => !option.none);
 
-    for (const option of selectedOptions) {
+    for (const option of optionSelections) {
       const partOptionResults = await this.database.query(
-        'SELECT part_type_id FROM PartOptions WHERE id = ?',
-        [option.partOptionId]
+        `WITH OfferedOptions AS (${OFFERED_OPTIONS})
+         SELECT po.part_type_id, po.active,
+                po.id IN (SELECT id FROM OfferedOptions) AS offered
+         FROM PartOptions po WHERE po.id = ?`,
+        [productId, option.partOptionId]
       );
 
       if (partOptionResults.length) {
         const partOption = partOptionResults.shift();
-        selectedPartTypes.add(partOption.part_type_id);
-        selectedPartOptions.set(partOption.part_type_id, option.partOptionId);
+        if (!partOption.offered) {
+          notOfferedOptions.push(option.partOptionId);
+          continue;
+        }
+        if (!partOption.active) {
+          inactiveOptions.push(option.partOptionId);
+        }
+        selectionCounts.set(
+          partOption.part_type_id,
+          (selectionCounts.get(partOption.part_type_id) || 0) + 1
+        );
+      }
+    }
+
+    if (notOfferedOptions.length > 0) {
+      return {
+        valid: false,
+        message: 'Some selected options are not offered on this product',
+        notOfferedOptions,
+      };
+    }
+
+    if (inactiveOptions.length > 0) {
+      return {
+        valid: false,
+        message: 'Some selected options are no longer sold',
+        inactiveOptions,
+      };
+    }
+
+    const selectedIds = getSelectedOptionIds(selectedOptions);
+    const duplicateOptions = selectedIds.filter(
+      (id, index) => selectedIds.indexOf(id) !== index
+    );
+
+    if (duplicateOptions.length > 0) {
+      return {
+        valid: false,
+        message: 'Some options are selected more than once',
+        duplicateOptions: [...new Set(duplicateOptions)],
+      };
+    }
+
+    // "None" is only a choice for optional part types of this product, and
+    // cannot be combined with options of the same part type
+    const invalidNonePartTypeIds = getNonePartTypeIds(selectedOptions).filter(
+      (partTypeId) => {
+        const partType = partTypes.find((pt) => pt.id === partTypeId);
+        return (
+          !partType ||
+          partType.min_selections > 0 ||
+          selectionCounts.has(partTypeId)
+        );
       }
+    );
+
+    if (invalidNonePartTypeIds.length > 0) {
+      const names = invalidNonePartTypeIds.map((id) => {
+        const partType = partTypes.find((pt) => pt.id === id);
+        return partType ? partType.name : `part type ${id}`;
+      });
+
+      return {
+        valid: false,
+        message: `"None" cannot be selected for: ${names.join(', ')}`,
+        invalidNonePartTypeIds,
+      };
+    }
+
+    const tooManyPartTypes = partTypes.filter(
+      (partType) =>
+        (selectionCounts.get(partType.id) || 0) > partType.max_selections
+    );
+
+    if (tooManyPartTypes.length > 0) {
+      return {
+        valid: false,
+        message: tooManySelectionsMessage(tooManyPartTypes),
+      };
     }
 
-    const missingPartTypes = requiredPartTypes.filter(
-      (partType) => !selectedPartTypes.has(partType.id)
+    const missingPartTypes = partTypes.filter(
+      (partType) =>
+        (selectionCounts.get(partType.id) || 0) < partType.min_selections
     );
 
     if (missingPartTypes.length > 0) {
@@ -271,40 +1906,89 @@ class ProductConfigurationService {
     // Check if selected options are compatible with each other
     const incompatibilities = [];
 
-    for (let i = 0; i < selectedOptions.length; i++) {
-      for (let j = i + 1; j < selectedOptions.length; j++) {
-        const optionA = selectedOptions[i].partOptionId;
-        const optionB = selectedOptions[j].partOptionId;
+    for (let i = 0; i < selectedIds.length; i++) {
+      for (let j = i + 1; j < selectedIds.length; j++) {
+        const optionA = selectedIds[i];
+        const optionB = selectedIds[j];
 
         const conflict = await this.database.query(
-          `SELECT 1
-         FROM RuleConditions rc
-         JOIN IncompatibilityRules ir ON rc.rule_id = ir.id
+          `WITH ScopedRules AS (${SCOPED_RULES}),
+              PairConditions AS (${PAIR_CONDITIONS})
+         SELECT 1
+         FROM PairConditions rc
+         JOIN ScopedRules ir ON rc.rule_id = ir.id
          WHERE (rc.part_option_id = ? AND rc.incompatible_with_part_option_id = ?)
          OR (rc.part_option_id = ? AND rc.incompatible_with_part_option_id = ?)
-         AND ir.active = TRUE
          LIMIT 1`,
-          [optionA, optionB, optionB, optionA]
+          [productId, productId, optionA, optionB, optionB, optionA]
         );
 
         if (conflict.length) {
-          incompatibilities.push({ optionA, optionB });
+          incompatibilities.push({
+            optionA,
+            optionB,
+            partOptionIds: [optionA, optionB],
+          });
         }
       }
     }
 
-    if (incompatibilities.length > 0) {
+    // Check "requires" rules: every requirement of a selected option must be
+    // satisfied by one of its allowed options being selected as well
+    const placeholders = selectedIds.map(() => '?').join(',');
+    const unmetRequirements = await this.database.query(
+      `WITH ScopedRules AS (${SCOPED_RULES})
+       SELECT rr.rule_id, rr.part_option_id, rr.required_part_type_id
+       FROM RuleRequirements rr
+       JOIN ScopedRules ir ON rr.rule_id = ir.id
+       WHERE rr.part_option_id IN (${placeholders})
+       GROUP BY rr.rule_id, rr.part_option_id, rr.required_part_type_id
+       HAVING SUM(rr.allowed_part_option_id IN (${placeholders})) = 0`,
+      [productId, productId, ...selectedIds, ...selectedIds]
+    );
+
+    // Check condition sets: a set is violated when all its members are selected
+    const violatedSets = await this.database.query(
+      `WITH ScopedRules AS (${SCOPED_RULES})
+       SELECT rcs.rule_id, GROUP_CONCAT(rcs.part_option_id) AS part_option_ids
+       FROM RuleConditionSets rcs
+       JOIN ScopedRules ir ON rcs.rule_id = ir.id
+       WHERE rcs.rule_id IN (
+           SELECT rule_id FROM RuleConditionSets
+           WHERE part_option_id IN (${placeholders})
+         )
+       GROUP BY rcs.rule_id, rcs.set_number
+       HAVING SUM(rcs.part_option_id IN (${placeholders})) = COUNT(*)`,
+      [productId, productId, ...selectedIds, ...selectedIds]
+    );
+
+    for (const set of violatedSets) {
+      incompatibilities.push({
+        ruleId: set.rule_id,
+        partOptionIds: set.part_option_ids
+          .split(',')
+          .map(Number)
+          .sort((a, b) => a - b),
+      });
+    }
+
+    if (incompatibilities.length > 0 || unmetRequirements.length > 0) {
       return {
         valid: false,
         message: 'Selected options contain incompatible combinations',
         incompatibilities,
+        unmetRequirements: unmetRequirements.map((requirement) => ({
+          ruleId: requirement.rule_id,
+          partOptionId: requirement.part_option_id,
+          requiredPartTypeId: requirement.required_part_type_id,
+        })),
       };
     }
 
     // Check inventory availability
     const unavailableOptions = [];
 
-    for (const option of selectedOptions) {
+    for (const option of optionSelections) {
       const inventory = await this.database.query(
         'SELECT in_stock, quantity FROM Inventory WHERE part_option_id = ?',
         [option.partOptionId]
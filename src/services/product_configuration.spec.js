@@ -1,10 +1,11 @@
 const ProductConfigurationService = require('./product_configuration');
 const database = require('../../tests/mock_database');
+const { encodeBuildCode } = require('./build_codes');
 
 describe('ProductConfigurationService', () => {
   const options = [
-    { id: 10, name: 'Option A', base_price: 100 },
-    { id: 11, name: 'Option B', base_price: 200 },
+    { id: 10, name: 'Option A', base_price: 100, active: 1 },
+    { id: 11, name: 'Option B', base_price: 200, active: 1 },
   ];
   const inventory = [
     {
@@ -20,25 +21,60 @@ describe('ProductConfigurationService', () => {
       expected_restock_date: '2025-06-01',
     },
   ];
+  const conflict = {
+    part_option_id: 11,
+    rule_id: 1,
+    name: 'A/B clash',
+    description: 'Option B cannot be used with Option A',
+    triggered_by: '10',
+  };
+
+  // Prices are looked up as of the service clock, for a visitor
+  const clock = () => new Date('2026-03-01T09:30:00Z');
+  const now = '2026-03-01 09:30:00';
+  const times = [now, now, now, now, null];
 
   let configService;
 
   beforeEach(() => {
     database.reset();
-    configService = new ProductConfigurationService(database);
+    configService = new ProductConfigurationService(database, { clock });
   });
 
   describe('getAvailableOptions', () => {
-    it('returns options with inventory status', async () => {
+    beforeEach(() => {
+      jest
+        .spyOn(configService, 'findDeadEndOptions')
+        .mockResolvedValue(new Map());
+      jest
+        .spyOn(configService, 'loadPricingContext')
+        .mockResolvedValue({ basePrice: 0, options: [], pricingRules: [] });
+    });
+
+    it('returns options with inventory status and attributes', async () => {
+      const diameter = {
+        attributeId: 2,
+        name: 'Diameter',
+        dataType: 'number',
+        unit: 'in',
+      };
       database.query
-        .mockResolvedValueOnce(options) // For PartOptions
+        .mockResolvedValueOnce([
+          {
+            ...options[0],
+            attributes: JSON.stringify([{ ...diameter, value: '28' }]),
+          },
+          options[1],
+        ]) // For PartOptions
         .mockResolvedValueOnce(inventory); // For Inventory
 
       const result = await configService.getAvailableOptions(1, 2, []);
 
       expect(database.query).toHaveBeenCalledWith(
-        'SELECT * FROM PartOptions WHERE part_type_id = ? AND active = TRUE',
-        [2]
+        expect.stringContaining(
+          'FROM OfferedOptions po WHERE po.part_type_id = ?'
+        ),
+        [1, ...times, 2]
       );
       expect(database.query).toHaveBeenCalledWith(
         expect.stringContaining('SELECT part_option_id, quantity, in_stock'),
@@ -47,16 +83,28 @@ describe('ProductConfigurationService', () => {
       expect(result).toEqual([
         {
           ...options[0],
+          attributes: [{ ...diameter, value: 28 }],
           inventory: inventory[0],
+          status: 'available',
+          blockingRules: [],
+          unfillablePartTypes: [],
+          expectedRestockDate: null,
           basePrice: 100,
           finalPrice: 100,
+          displayPrice: 100,
           priceAdjustments: [],
         },
         {
           ...options[1],
+          attributes: [],
           inventory: inventory[1],
+          status: 'out_of_stock',
+          blockingRules: [],
+          unfillablePartTypes: [],
+          expectedRestockDate: '2025-06-01',
           basePrice: 200,
           finalPrice: 200,
+          displayPrice: 200,
           priceAdjustments: [],
         },
       ]);
@@ -70,16 +118,13 @@ describe('ProductConfigurationService', () => {
       expect(database.query).toHaveBeenCalledTimes(1);
     });
 
-    it('filters out incompatible options based on current selections', async () => {
+    it('marks incompatible options with the rules blocking them', async () => {
       // Mock: options, incompatibilities, inventory
       const currentSelections = [{ partOptionId: 10 }];
-      const incompatibilities = [
-        { part_option_id: 11, incompatible_with_part_option_id: 10 },
-      ];
       database.query
         .mockResolvedValueOnce(options) // For PartOptions
-        .mockResolvedValueOnce(incompatibilities) // For incompatibility rules
-        .mockResolvedValueOnce([inventory[0]]) // Only compatible inventory
+        .mockResolvedValueOnce([conflict]) // For incompatibility rules
+        .mockResolvedValueOnce([inventory[0]]) // For Inventory
         .mockResolvedValueOnce([]) // pricingRules
         .mockResolvedValueOnce([]); // pricingRules
 
@@ -89,18 +134,961 @@ describe('ProductConfigurationService', () => {
         currentSelections
       );
 
+      expect(result.map((option) => option.status)).toEqual([
+        'available',
+        'incompatible',
+      ]);
+      expect(result[1]).toMatchObject({
+        id: 11,
+        blockingRules: [
+          {
+            ruleId: 1,
+            name: 'A/B clash',
+            description: 'Option B cannot be used with Option A',
+            triggeredBy: [10],
+          },
+        ],
+        expectedRestockDate: null,
+      });
+    });
+
+    it('marks available options that lead to a dead end', async () => {
+      const rimColor = { id: 4, name: 'Rim Color' };
+      configService.findDeadEndOptions.mockResolvedValueOnce(
+        new Map([
+          [10, [rimColor]],
+          [11, [rimColor]],
+        ])
+      );
+      database.query
+        .mockResolvedValueOnce(options) // For PartOptions
+        .mockResolvedValueOnce(inventory); // For Inventory
+
+      const result = await configService.getAvailableOptions(1, 2, []);
+
+      expect(configService.findDeadEndOptions).toHaveBeenCalledWith(
+        1,
+        [],
+        [10, 11]
+      );
+      expect(result[0]).toMatchObject({
+        status: 'dead_end',
+        unfillablePartTypes: [rimColor],
+      });
+      // Being out of stock takes precedence over leading to a dead end
+      expect(result[1]).toMatchObject({
+        status: 'out_of_stock',
+        unfillablePartTypes: [],
+      });
+    });
+
+    it('marks inactive options regardless of stock or rules', async () => {
+      database.query
+        .mockResolvedValueOnce([{ ...options[0], active: 0 }]) // For PartOptions
+        .mockResolvedValueOnce([inventory[0]]); // For Inventory
+
+      const result = await configService.getAvailableOptions(1, 2, []);
+
+      expect(result[0].status).toBe('inactive');
+    });
+  });
+
+  describe('getProductConfigurator', () => {
+    const product = {
+      id: 1,
+      category_id: 1,
+      name: 'Bike',
+      description: null,
+      base_price: 100,
+      active: 1,
+    };
+    // Frame 10 clashes with wheel 11, wheel 12 is out of stock
+    const model = {
+      partTypes: [
+        {
+          id: 1,
+          name: 'Frame',
+          required: 1,
+          min_selections: 1,
+          max_selections: 1,
+          display_order: 1,
+          optionIds: [10],
+        },
+        {
+          id: 2,
+          name: 'Wheels',
+          required: 1,
+          min_selections: 1,
+          max_selections: 1,
+          display_order: 2,
+          optionIds: [11, 12],
+        },
+      ],
+      options: new Map([
+        [
+          10,
+          {
+            id: 10,
+            part_type_id: 1,
+            active: 1,
+            base_price: 50,
+            quantity: 3,
+            in_stock: 1,
+          },
+        ],
+        [
+          11,
+          {
+            id: 11,
+            part_type_id: 2,
+            active: 1,
+            base_price: 30,
+            quantity: 3,
+            in_stock: 1,
+          },
+        ],
+        [
+          12,
+          {
+            id: 12,
+            part_type_id: 2,
+            active: 1,
+            base_price: 40,
+            quantity: 0,
+            in_stock: 0,
+            expected_restock_date: '2025-06-01',
+          },
+        ],
+      ]),
+      exclusions: [{ ruleId: 1, partOptionIds: [10, 11] }],
+      requirements: [],
+      rules: new Map([[1, { name: 'Clash', description: 'No 10 with 11' }]]),
+    };
+
+    beforeEach(() => {
+      jest
+        .spyOn(configService, 'loadProductConstraints')
+        .mockResolvedValue(model);
+      jest.spyOn(configService, 'loadPricingRules').mockResolvedValue([
+        {
+          id: 5,
+          name: 'Frame and wheels',
+          price_adjustment: -10,
+          is_percentage: 0,
+          target: 'option',
+          target_part_option_id: 12,
+          conditionGroups: [
+            [{ partOptionIds: [10] }],
+            [{ partOptionIds: [12] }],
+          ],
+        },
+      ]);
+      jest
+        .spyOn(configService, 'calculateTotalPrice')
+        .mockResolvedValue({ totalPrice: 150 });
+    });
+
+    it('returns null if the product does not exist', async () => {
+      database.query.mockResolvedValueOnce([]);
+      const result = await configService.getProductConfigurator(99);
+      expect(result).toBeNull();
+    });
+
+    it('returns every part type with option status and prices', async () => {
+      database.query.mockResolvedValueOnce([product]);
+
+      const result = await configService.getProductConfigurator(1, [
+        { partOptionId: 10 },
+      ]);
+
+      expect(database.query).toHaveBeenCalledTimes(1);
+      expect(result.product).toEqual(product);
+      expect(result.pricing).toEqual({ totalPrice: 150 });
+      expect(result.missingPartTypes).toEqual([{ id: 2, name: 'Wheels' }]);
+
+      const [frames, wheels] = result.partTypes;
+      expect(frames.selectedOptionIds).toEqual([10]);
+      expect(wheels.selectedOptionIds).toEqual([]);
+      expect(wheels.options[0]).toMatchObject({
+        id: 11,
+        status: 'incompatible',
+        blockingRules: [
+          {
+            ruleId: 1,
+            name: 'Clash',
+            description: 'No 10 with 11',
+            triggeredBy: [10],
+          },
+        ],
+        finalPrice: 30,
+      });
+      expect(wheels.options[1]).toMatchObject({
+        id: 12,
+        status: 'out_of_stock',
+        expectedRestockDate: '2025-06-01',
+        inventory: {
+          quantity: 0,
+          in_stock: false,
+          expected_restock_date: '2025-06-01',
+        },
+        finalPrice: 30,
+      });
+    });
+
+    it('starts from the selections of a preset', async () => {
+      database.query.mockResolvedValueOnce([product]);
+      const preset = {
+        id: 3,
+        name: 'Starter',
+        selections: [{ partOptionId: 10 }, { partOptionId: 12 }],
+        valid: false,
+        validation: { valid: false, unavailableOptions: [12] },
+      };
+      jest
+        .spyOn(configService, 'getProductPresets')
+        .mockResolvedValue([preset]);
+
+      const result = await configService.getProductConfigurator(1, [], {
+        presetId: 3,
+      });
+
+      expect(configService.getProductPresets).toHaveBeenCalledWith(1, {
+        presetId: 3,
+      });
+      expect(configService.calculateTotalPrice).toHaveBeenCalledWith(
+        1,
+        preset.selections,
+        {
+          priceListId: null,
+          country: null,
+          priceDisplay: 'net',
+          asOf: null,
+          customerId: null,
+        }
+      );
+      expect(result.preset).toEqual(preset);
+      expect(result.presetFound).toBe(true);
+      expect(result.selections).toEqual(preset.selections);
+      expect(result.partTypes[1].selectedOptionIds).toEqual([12]);
+    });
+
+    it('keeps the given selections if the preset is not found', async () => {
+      database.query.mockResolvedValueOnce([product]);
+      jest.spyOn(configService, 'getProductPresets').mockResolvedValue([]);
+
+      const result = await configService.getProductConfigurator(
+        1,
+        [{ partOptionId: 11 }],
+        { presetId: 99 }
+      );
+
+      expect(result.preset).toBeNull();
+      expect(result.presetFound).toBe(false);
+      expect(result.selections).toEqual([{ partOptionId: 11 }]);
+    });
+  });
+
+  describe('getProductPresets', () => {
+    it('groups the preset rows into selections and validates each preset', async () => {
+      database.query.mockResolvedValueOnce([
+        {
+          id: 1,
+          name: 'Commuter',
+          description: null,
+          display_order: 1,
+          active: 1,
+          part_type_id: 1,
+          part_option_id: 10,
+        },
+        {
+          id: 1,
+          name: 'Commuter',
+          description: null,
+          display_order: 1,
+          active: 1,
+          part_type_id: 6,
+          part_option_id: null,
+        },
+        {
+          id: 2,
+          name: 'Empty',
+          description: null,
+          display_order: 2,
+          active: 1,
+          part_type_id: null,
+          part_option_id: null,
+        },
+      ]);
+      jest
+        .spyOn(configService, 'validateConfiguration')
+        .mockResolvedValueOnce({
+          valid: true,
+          message: 'Configuration is valid',
+        })
+        .mockResolvedValueOnce({
+          valid: false,
+          message: 'Missing required selections: Frame',
+        });
+
+      const result = await configService.getProductPresets(1);
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('FROM ProductPresets pp'),
+        [1, null, null, 0]
+      );
+      expect(configService.validateConfiguration).toHaveBeenCalledWith(1, [
+        { partOptionId: 10 },
+        { partTypeId: 6, none: true },
+      ]);
       expect(result).toEqual([
+        expect.objectContaining({
+          id: 1,
+          name: 'Commuter',
+          selections: [{ partOptionId: 10 }, { partTypeId: 6, none: true }],
+          valid: true,
+        }),
+        expect.objectContaining({
+          id: 2,
+          selections: [],
+          valid: false,
+          validation: {
+            valid: false,
+            message: 'Missing required selections: Frame',
+          },
+        }),
+      ]);
+    });
+  });
+
+  describe('restoreBuildCode', () => {
+    const code = encodeBuildCode(1, [
+      { partOptionId: 10 },
+      { partOptionId: 11 },
+      { partTypeId: 6, none: true },
+    ]);
+
+    it('rejects codes that cannot be decoded', async () => {
+      const result = await configService.restoreBuildCode('nope');
+      expect(result).toEqual({ success: false, message: 'Invalid build code' });
+      expect(database.query).not.toHaveBeenCalled();
+    });
+
+    it('restores the selections that are still offered and validates them', async () => {
+      database.query
+        .mockResolvedValueOnce([{ id: 1, name: 'Bike', active: 1 }]) // Product
+        .mockResolvedValueOnce([{ id: 10 }]) // Active options
+        .mockResolvedValueOnce([{ part_type_id: 6 }]); // Product part types
+      jest.spyOn(configService, 'validateConfiguration').mockResolvedValue({
+        valid: false,
+        message: 'Missing required selections: Wheels',
+      });
+
+      const result = await configService.restoreBuildCode(code);
+
+      expect(database.query).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('FROM PartOptions'),
+        [10, 11]
+      );
+      expect(configService.validateConfiguration).toHaveBeenCalledWith(1, [
+        { partOptionId: 10 },
+        { partTypeId: 6, none: true },
+      ]);
+      expect(result).toMatchObject({
+        success: true,
+        message:
+          'Build restored without 1 selections that are no longer offered',
+        product: { id: 1, name: 'Bike' },
+        removedSelections: [{ partOptionId: 11 }],
+        validation: { valid: false },
+      });
+    });
+
+    it('reports codes of products that no longer exist', async () => {
+      database.query.mockResolvedValueOnce([]);
+
+      const result = await configService.restoreBuildCode(code);
+
+      expect(result).toEqual({
+        success: false,
+        message: 'Product not found',
+        productId: 1,
+      });
+    });
+  });
+
+  describe('suggestRepairs', () => {
+    // Frames 10 and 11, wheels 12 and 13; wheel 13 does not fit frame 10
+    const model = {
+      partTypes: [
         {
-          ...options[0],
-          inventory: inventory[0],
-          basePrice: 100,
-          finalPrice: 100,
-          priceAdjustments: [],
+          id: 1,
+          name: 'Frame',
+          min_selections: 1,
+          max_selections: 1,
+          optionIds: [10, 11],
+        },
+        {
+          id: 2,
+          name: 'Wheels',
+          min_selections: 1,
+          max_selections: 1,
+          optionIds: [12, 13],
+        },
+      ],
+      options: new Map(
+        [
+          { id: 10, name: 'Diamond', base_price: 100 },
+          { id: 11, name: 'Full-suspension', base_price: 130 },
+          { id: 12, name: 'Road', base_price: 80 },
+          { id: 13, name: 'Mountain', base_price: 90 },
+        ].map((option) => [
+          option.id,
+          { ...option, active: 1, in_stock: 1, quantity: 5 },
+        ])
+      ),
+      exclusions: [{ ruleId: 1, partOptionIds: [10, 13] }],
+      requirements: [],
+    };
+
+    beforeEach(() => {
+      jest
+        .spyOn(configService, 'loadProductConstraints')
+        .mockResolvedValue(model);
+      jest.spyOn(configService, 'loadPricingRules').mockResolvedValue([]);
+    });
+
+    it('keeps the new selection and swaps the others with their price delta', async () => {
+      database.query.mockResolvedValueOnce([{ base_price: 100 }]);
+
+      const result = await configService.suggestRepairs(
+        1,
+        [{ partOptionId: 10 }, { partOptionId: 12 }],
+        [{ partOptionId: 10 }, { partOptionId: 13 }]
+      );
+
+      expect(result).toEqual({
+        success: true,
+        message: 'The configuration can be made valid again',
+        suggestions: [
+          {
+            changes: [
+              {
+                action: 'swap',
+                partTypeId: 1,
+                partTypeName: 'Frame',
+                from: { id: 10, name: 'Diamond' },
+                to: { id: 11, name: 'Full-suspension' },
+              },
+            ],
+            selections: [{ partOptionId: 13 }, { partOptionId: 11 }],
+            totalPrice: 320,
+            priceDelta: 30,
+          },
+        ],
+      });
+    });
+
+    it('suggests nothing for a valid configuration', async () => {
+      database.query.mockResolvedValueOnce([{ base_price: 100 }]);
+
+      const result = await configService.suggestRepairs(
+        1,
+        [],
+        [{ partOptionId: 11 }, { partOptionId: 13 }]
+      );
+
+      expect(result).toEqual({
+        success: true,
+        message: 'Configuration is already valid',
+        suggestions: [],
+      });
+    });
+
+    it('reports configurations that cannot be repaired', async () => {
+      database.query.mockResolvedValueOnce([{ base_price: 100 }]);
+      // The only other frame is out of stock
+      const options = new Map(model.options);
+      options.set(11, { ...options.get(11), in_stock: 0 });
+      configService.loadProductConstraints.mockResolvedValue({
+        ...model,
+        options,
+      });
+
+      const result = await configService.suggestRepairs(
+        1,
+        [{ partOptionId: 10 }],
+        [{ partOptionId: 10 }, { partOptionId: 13 }]
+      );
+
+      expect(result).toMatchObject({
+        success: false,
+        message:
+          'No change of up to 3 other selections makes this configuration valid',
+      });
+    });
+  });
+
+  describe('autocompleteConfiguration', () => {
+    // Frames 10 and 11 (default), wheels 12 and 13 (out of stock)
+    const model = {
+      partTypes: [
+        {
+          id: 1,
+          name: 'Frame',
+          required: 1,
+          min_selections: 1,
+          max_selections: 1,
+          optionIds: [10, 11],
+          default_part_option_id: 11,
+        },
+        {
+          id: 2,
+          name: 'Wheels',
+          required: 1,
+          min_selections: 1,
+          max_selections: 1,
+          optionIds: [12, 13],
+        },
+      ],
+      options: new Map(
+        [
+          { id: 10, part_type_id: 1, base_price: 50 },
+          { id: 11, part_type_id: 1, base_price: 60 },
+          { id: 12, part_type_id: 2, base_price: 30 },
+          { id: 13, part_type_id: 2, base_price: 20, in_stock: 0 },
+        ].map((o) => [o.id, { active: 1, in_stock: 1, quantity: 5, ...o }])
+      ),
+      exclusions: [],
+      requirements: [],
+      rules: new Map(),
+    };
+    const pricingRules = [
+      {
+        id: 1,
+        name: 'Frame 10 surcharge',
+        price_adjustment: 25,
+        is_percentage: 0,
+        conditionGroups: [[{ partOptionIds: [10] }], [{ partOptionIds: [12] }]],
+      },
+    ];
+
+    beforeEach(() => {
+      jest
+        .spyOn(configService, 'loadProductConstraints')
+        .mockResolvedValue(model);
+      jest
+        .spyOn(configService, 'loadPricingRules')
+        .mockResolvedValue(pricingRules);
+      jest
+        .spyOn(configService, 'calculateTotalPrice')
+        .mockImplementation(async (productId, selections) => ({
+          selections,
+        }));
+      database.query.mockResolvedValueOnce([{ base_price: 100 }]); // Product
+    });
+
+    it('picks the build with the lowest total price', async () => {
+      const result = await configService.autocompleteConfiguration(1, []);
+
+      // Frame 10 is cheaper on its own, but not with its surcharge
+      expect(result).toEqual({
+        success: true,
+        message: 'Configuration completed',
+        selections: [{ partOptionId: 11 }, { partOptionId: 12 }],
+        pricing: { selections: result.selections },
+      });
+    });
+
+    it('keeps the selections made by the user', async () => {
+      const result = await configService.autocompleteConfiguration(1, [
+        { partOptionId: 10 },
+      ]);
+
+      expect(result.selections).toEqual([
+        { partOptionId: 10 },
+        { partOptionId: 12 },
+      ]);
+    });
+
+    it('prefers the default options with the default strategy', async () => {
+      const modelWithFrameDefault = {
+        ...model,
+        partTypes: [
+          { ...model.partTypes[0], default_part_option_id: 10 },
+          model.partTypes[1],
+        ],
+      };
+      configService.loadProductConstraints.mockResolvedValue(
+        modelWithFrameDefault
+      );
+
+      const result = await configService.autocompleteConfiguration(1, [], {
+        strategy: 'default',
+      });
+
+      expect(result.selections).toEqual([
+        { partOptionId: 10 },
+        { partOptionId: 12 },
+      ]);
+    });
+
+    it('names the part type that cannot be satisfied', async () => {
+      const result = await configService.autocompleteConfiguration(1, [
+        { partOptionId: 13 },
+      ]);
+
+      expect(result).toEqual({
+        success: false,
+        message: 'No valid configuration can be completed: Wheels',
+        unsatisfiablePartTypes: [{ id: 2, name: 'Wheels' }],
+      });
+    });
+
+    it('rejects options not offered on the product', async () => {
+      const result = await configService.autocompleteConfiguration(1, [
+        { partOptionId: 99 },
+      ]);
+
+      expect(result.success).toBe(false);
+      expect(result.notOfferedOptions).toEqual([99]);
+    });
+
+    it('rejects two options of a single-choice part type', async () => {
+      const result = await configService.autocompleteConfiguration(1, [
+        { partOptionId: 10 },
+        { partOptionId: 11 },
+      ]);
+
+      expect(result).toEqual({
+        success: false,
+        message: 'Too many selections: Frame (at most 1)',
+      });
+    });
+  });
+
+  describe('valid configurations', () => {
+    // Frames 10 and 11, wheels 12 and 13 (out of stock), 10 clashes with 13
+    const model = {
+      partTypes: [
+        {
+          id: 1,
+          name: 'Frame',
+          required: 1,
+          min_selections: 1,
+          max_selections: 1,
+          optionIds: [10, 11],
+        },
+        {
+          id: 2,
+          name: 'Wheels',
+          required: 1,
+          min_selections: 1,
+          max_selections: 1,
+          optionIds: [12, 13],
+        },
+      ],
+      options: new Map(
+        [
+          { id: 10, part_type_id: 1, base_price: 50 },
+          { id: 11, part_type_id: 1, base_price: 60 },
+          { id: 12, part_type_id: 2, base_price: 30 },
+          { id: 13, part_type_id: 2, base_price: 20, quantity: 0 },
+        ].map((o) => [o.id, { active: 1, in_stock: 1, quantity: 5, ...o }])
+      ),
+      exclusions: [{ ruleId: 1, partOptionIds: [10, 13] }],
+      requirements: [],
+      rules: new Map(),
+    };
+
+    beforeEach(() => {
+      jest
+        .spyOn(configService, 'loadProductConstraints')
+        .mockResolvedValue(model);
+      jest.spyOn(configService, 'loadPricingRules').mockResolvedValue([
+        {
+          id: 1,
+          name: 'Frame 11 discount',
+          price_adjustment: -10,
+          is_percentage: 1,
+          conditionGroups: [
+            [{ partOptionIds: [11] }],
+            [{ partOptionIds: [12] }],
+          ],
+        },
+      ]);
+    });
+
+    it('returns null if the product does not exist', async () => {
+      database.query.mockResolvedValue([]);
+      expect(await configService.getValidConfigurations(99)).toBeNull();
+      expect(await configService.countValidConfigurations(99)).toBeNull();
+    });
+
+    it('lists a page of configurations with their price', async () => {
+      database.query.mockResolvedValueOnce([{ base_price: 100 }]); // Product
+
+      const result = await configService.getValidConfigurations(1, {
+        limit: 1,
+      });
+
+      expect(result).toEqual({
+        configurations: [
+          {
+            selections: [{ partOptionId: 10 }, { partOptionId: 12 }],
+            totalPrice: 180,
+          },
+        ],
+        offset: 0,
+        limit: 1,
+        hasMore: true,
+      });
+    });
+
+    it('lists options out of stock when ignoring stock', async () => {
+      database.query.mockResolvedValueOnce([{ base_price: 100 }]); // Product
+
+      const result = await configService.getValidConfigurations(1, {
+        offset: 1,
+        ignoreStock: true,
+      });
+
+      expect(
+        result.configurations.map((configuration) =>
+          configuration.selections.map((s) => s.partOptionId)
+        )
+      ).toEqual([
+        [11, 12],
+        [11, 13],
+      ]);
+      expect(result.hasMore).toBe(false);
+    });
+
+    it('counts configurations with their price statistics', async () => {
+      database.query.mockResolvedValueOnce([{ base_price: 100 }]); // Product
+
+      const result = await configService.countValidConfigurations(1);
+
+      // 10 + 12 = 180, 11 + 12 = 190 - 10%
+      expect(result.count).toBe(2);
+      expect(result.minPrice).toBe(171);
+      expect(result.maxPrice).toBe(180);
+      // 175.5 rounded to a whole cent
+      expect(result.averagePrice).toBe(176);
+      expect(result.truncated).toBe(false);
+    });
+
+    it('stops counting a large product at the limit', async () => {
+      // 30 part types of 4 options each: 4^30 configurations
+      const partTypes = [];
+      const options = new Map();
+      for (let i = 1; i <= 30; i++) {
+        const optionIds = [1, 2, 3, 4].map((j) => i * 10 + j);
+        partTypes.push({
+          id: i,
+          name: `Part ${i}`,
+          required: 1,
+          min_selections: 1,
+          max_selections: 1,
+          optionIds,
+        });
+        for (const id of optionIds) {
+          options.set(id, {
+            id,
+            part_type_id: i,
+            base_price: 10,
+            active: 1,
+            in_stock: 1,
+            quantity: 5,
+          });
+        }
+      }
+      configService.loadProductConstraints.mockResolvedValue({
+        ...model,
+        partTypes,
+        options,
+        exclusions: [],
+      });
+      configService.loadPricingRules.mockResolvedValue([]);
+      database.query.mockResolvedValueOnce([{ base_price: 100 }]); // Product
+
+      const result = await configService.countValidConfigurations(1, {
+        limit: 1000,
+      });
+
+      expect(result).toEqual({
+        count: 1000,
+        truncated: true,
+        minPrice: 400,
+        maxPrice: 400,
+        averagePrice: 400,
+      });
+    });
+  });
+
+  describe('loadProductConstraints', () => {
+    it('loads part types, options and rules with a fixed number of queries', async () => {
+      database.query
+        .mockResolvedValueOnce([
+          {
+            id: 1,
+            name: 'Frame',
+            required: 1,
+            min_selections: 1,
+            max_selections: 1,
+            display_order: 1,
+          },
+          {
+            id: 2,
+            name: 'Wheels',
+            required: 1,
+            min_selections: 1,
+            max_selections: 1,
+            display_order: 2,
+          },
+        ]) // part types
+        .mockResolvedValueOnce([
+          { id: 10, part_type_id: 1, in_stock: 1, quantity: 3 },
+          { id: 11, part_type_id: 2, in_stock: 1, quantity: 3 },
+          { id: 12, part_type_id: 2, in_stock: 0, quantity: 0 },
+        ]) // options with inventory
+        .mockResolvedValueOnce([
+          {
+            rule_id: 1,
+            part_option_id: 11,
+            incompatible_with_part_option_id: 10,
+          },
+        ]) // pairwise conditions
+        .mockResolvedValueOnce([
+          { rule_id: 2, set_number: 1, part_option_id: 10 },
+          { rule_id: 2, set_number: 1, part_option_id: 12 },
+          { rule_id: 2, set_number: 1, part_option_id: 14 },
+        ]) // condition sets
+        .mockResolvedValueOnce([
+          {
+            rule_id: 3,
+            part_option_id: 12,
+            required_part_type_id: 1,
+            allowed_part_option_id: 10,
+          },
+          {
+            rule_id: 3,
+            part_option_id: 12,
+            required_part_type_id: 1,
+            allowed_part_option_id: 13,
+          },
+        ]); // requirements
+
+      const model = await configService.loadProductConstraints(1);
+
+      expect(database.query).toHaveBeenCalledTimes(5);
+      expect(model.partTypes.map((partType) => partType.optionIds)).toEqual([
+        [10],
+        [11, 12],
+      ]);
+      expect(model.options.get(12)).toMatchObject({ part_type_id: 2 });
+      expect(model.exclusions).toEqual([
+        { ruleId: 1, partOptionIds: [11, 10] },
+        { ruleId: 2, partOptionIds: [10, 12, 14] },
+      ]);
+      expect(model.rules.size).toBe(3);
+      expect(model.requirements).toEqual([
+        {
+          ruleId: 3,
+          partOptionId: 12,
+          requiredPartTypeId: 1,
+          allowedPartOptionIds: new Set([10, 13]),
         },
       ]);
     });
   });
 
+  describe('findDeadEndOptions', () => {
+    it('returns an empty map without querying if there are no candidates', async () => {
+      const result = await configService.findDeadEndOptions(1, [], []);
+      expect(result.size).toBe(0);
+      expect(database.query).not.toHaveBeenCalled();
+    });
+
+    it('names the part types that could no longer be filled', async () => {
+      jest.spyOn(configService, 'loadProductConstraints').mockResolvedValue({
+        partTypes: [
+          {
+            id: 1,
+            name: 'Frame',
+            required: 1,
+            min_selections: 1,
+            max_selections: 1,
+            optionIds: [10],
+          },
+          {
+            id: 2,
+            name: 'Wheels',
+            required: 1,
+            min_selections: 1,
+            max_selections: 1,
+            optionIds: [11],
+          },
+        ],
+        options: new Map([
+          [
+            10,
+            { id: 10, part_type_id: 1, active: 1, in_stock: 1, quantity: 1 },
+          ],
+          [
+            11,
+            { id: 11, part_type_id: 2, active: 1, in_stock: 0, quantity: 0 },
+          ],
+        ]),
+        exclusions: [],
+        requirements: [],
+      });
+
+      const result = await configService.findDeadEndOptions(1, []);
+
+      // The only wheel is out of stock, so no frame can lead anywhere
+      expect(result).toEqual(new Map([[10, [{ id: 2, name: 'Wheels' }]]]));
+    });
+  });
+
+  describe('getBlockingRules', () => {
+    it('returns an empty map without querying if nothing is selected', async () => {
+      const result = await configService.getBlockingRules(options, []);
+      expect(result.size).toBe(0);
+      expect(database.query).not.toHaveBeenCalled();
+    });
+
+    it('merges the selections triggering the same rule', async () => {
+      database.query.mockResolvedValueOnce([
+        conflict,
+        { ...conflict, triggered_by: '12' },
+        { ...conflict, rule_id: 2, name: 'Set', triggered_by: '12,13' },
+      ]);
+
+      const result = await configService.getBlockingRules(options, [
+        { partOptionId: 10 },
+        { partOptionId: 12 },
+        { partOptionId: 13 },
+      ]);
+
+      expect(result.get(11)).toEqual([
+        {
+          ruleId: 1,
+          name: 'A/B clash',
+          description: 'Option B cannot be used with Option A',
+          triggeredBy: [10, 12],
+        },
+        {
+          ruleId: 2,
+          name: 'Set',
+          description: conflict.description,
+          triggeredBy: [12, 13],
+        },
+      ]);
+      expect(result.has(10)).toBe(false);
+    });
+  });
+
   describe('filterIncompatibleOptions', () => {
     it('returns all options if currentSelections is empty', async () => {
       const result = await configService.filterIncompatibleOptions(options, []);
@@ -109,10 +1097,7 @@ describe('ProductConfigurationService', () => {
 
     it('filters out options that are incompatible', async () => {
       const currentSelections = [{ partOptionId: 10 }];
-      const incompatibilities = [
-        { part_option_id: 11, incompatible_with_part_option_id: 10 },
-      ];
-      database.query.mockResolvedValueOnce(incompatibilities);
+      database.query.mockResolvedValueOnce([conflict]);
 
       const result = await configService.filterIncompatibleOptions(
         options,
@@ -132,6 +1117,48 @@ describe('ProductConfigurationService', () => {
       expect(result).toEqual(options);
     });
 
+    it('checks condition sets against the current selections', async () => {
+      const currentSelections = [{ partOptionId: 3 }, { partOptionId: 13 }];
+      // Option 11 completes a set whose other members are already selected
+      database.query.mockResolvedValueOnce([
+        { ...conflict, triggered_by: '3,13' },
+      ]);
+
+      const result = await configService.filterIncompatibleOptions(
+        options,
+        currentSelections
+      );
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('FROM RuleConditionSets rcs'),
+        [
+          null,
+          null,
+          10,
+          11,
+          3,
+          13,
+          10,
+          11,
+          3,
+          13,
+          3,
+          13,
+          10,
+          11,
+          10,
+          11,
+          3,
+          13,
+          10,
+          11,
+          3,
+          13,
+        ]
+      );
+      expect(result).toEqual([options[0]]);
+    });
+
     it('filters out multiple incompatible options from multiple selections', async () => {
       const currentSelections = [
         { partOptionId: options[0].id },
@@ -140,8 +1167,9 @@ describe('ProductConfigurationService', () => {
       // First selection incompatible with options[0], second with none
       database.query.mockResolvedValueOnce([
         {
-          part_option_id: currentSelections[0].partOptionId,
-          incompatible_with_part_option_id: options[0].id,
+          ...conflict,
+          part_option_id: options[0].id,
+          triggered_by: String(currentSelections[0].partOptionId),
         },
       ]);
 
@@ -199,13 +1227,13 @@ describe('ProductConfigurationService', () => {
     });
 
     it('returns invalid if required part types are missing', async () => {
-      // Mock required part types
+      // Mock part types
       database.query
         .mockResolvedValueOnce([
-          { id: 1, name: 'Frame' },
-          { id: 2, name: 'Wheel' },
-        ]) // requiredPartTypes
-        .mockResolvedValueOnce({ part_type_id: 1 }); // Only Frame selected
+          { id: 1, name: 'Frame', min_selections: 1, max_selections: 1 },
+          { id: 2, name: 'Wheel', min_selections: 1, max_selections: 1 },
+        ]) // partTypes
+        .mockResolvedValueOnce({ part_type_id: 1, offered: 1, active: 1 }); // Only Frame selected
 
       const selectedOptions = [{ partOptionId: 10 }];
       const result = await configService.validateConfiguration(
@@ -219,12 +1247,17 @@ describe('ProductConfigurationService', () => {
     });
 
     it('returns invalid if selected options are incompatible', async () => {
-      // Mock required part types (all present)
+      // Mock part types (all present)
       database.query
-        .mockResolvedValueOnce([{ id: 1, name: 'Frame' }]) // requiredPartTypes
-        .mockResolvedValueOnce([{ part_type_id: 1 }]) // for option 1
-        .mockResolvedValueOnce([{ part_type_id: 1 }]) // for option 2
-        .mockResolvedValueOnce([{}]); // conflict found
+        .mockResolvedValueOnce([
+          { id: 1, name: 'Frame', min_selections: 1, max_selections: 1 },
+          { id: 2, name: 'Wheel', min_selections: 1, max_selections: 1 },
+        ]) // partTypes
+        .mockResolvedValueOnce([{ part_type_id: 1, offered: 1, active: 1 }]) // for option 1
+        .mockResolvedValueOnce([{ part_type_id: 2, offered: 1, active: 1 }]) // for option 2
+        .mockResolvedValueOnce([{}]) // conflict found
+        .mockResolvedValueOnce([]) // no unmet requirements
+        .mockResolvedValueOnce([]); // no violated condition sets
 
       const selectedOptions = [{ partOptionId: 10 }, { partOptionId: 11 }];
       const result = await configService.validateConfiguration(
@@ -234,15 +1267,208 @@ describe('ProductConfigurationService', () => {
 
       expect(result.valid).toBe(false);
       expect(result.message).toMatch(/incompatible combinations/);
-      expect(result.incompatibilities.length).toBeGreaterThan(0);
+      expect(result.incompatibilities).toEqual([
+        { optionA: 10, optionB: 11, partOptionIds: [10, 11] },
+      ]);
+    });
+
+    it('returns invalid if an option is not offered on the product', async () => {
+      database.query
+        .mockResolvedValueOnce([
+          { id: 1, name: 'Frame', min_selections: 1, max_selections: 1 },
+        ]) // partTypes
+        .mockResolvedValueOnce([{ part_type_id: 1, offered: 0 }]); // for option 7
+
+      const result = await configService.validateConfiguration(2, [
+        { partOptionId: 7 },
+      ]);
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('FROM OfferedOptions'),
+        [2, 7]
+      );
+      expect(result).toEqual({
+        valid: false,
+        message: 'Some selected options are not offered on this product',
+        notOfferedOptions: [7],
+      });
+    });
+
+    it('returns invalid if an option is no longer sold', async () => {
+      database.query
+        .mockResolvedValueOnce([
+          { id: 1, name: 'Frame', min_selections: 1, max_selections: 1 },
+        ]) // partTypes
+        .mockResolvedValueOnce([{ part_type_id: 1, offered: 1, active: 0 }]); // for option 3
+
+      const result = await configService.validateConfiguration(1, [
+        { partOptionId: 3 },
+      ]);
+
+      expect(result).toEqual({
+        valid: false,
+        message: 'Some selected options are no longer sold',
+        inactiveOptions: [3],
+      });
+    });
+
+    it('returns invalid if a part type has more options than it allows', async () => {
+      database.query
+        .mockResolvedValueOnce([
+          { id: 1, name: 'Frame', min_selections: 1, max_selections: 1 },
+        ]) // partTypes
+        .mockResolvedValueOnce([{ part_type_id: 1, offered: 1, active: 1 }]) // for option 10
+        .mockResolvedValueOnce([{ part_type_id: 1, offered: 1, active: 1 }]); // for option 11
+
+      const result = await configService.validateConfiguration(5, [
+        { partOptionId: 10 },
+        { partOptionId: 11 },
+      ]);
+
+      expect(result).toEqual({
+        valid: false,
+        message: 'Too many selections: Frame (at most 1)',
+      });
+    });
+
+    it('accepts several options of a multi-select part type and "none"', async () => {
+      database.query
+        .mockResolvedValueOnce([
+          { id: 1, name: 'Frame', min_selections: 1, max_selections: 1 },
+          { id: 6, name: 'Accessories', min_selections: 0, max_selections: 3 },
+          { id: 7, name: 'Mudguards', min_selections: 0, max_selections: 1 },
+        ]) // partTypes
+        .mockResolvedValueOnce([{ part_type_id: 1, offered: 1, active: 1 }]) // for option 10
+        .mockResolvedValueOnce([{ part_type_id: 6, offered: 1, active: 1 }]) // for option 14
+        .mockResolvedValueOnce([{ part_type_id: 6, offered: 1, active: 1 }]) // for option 15
+        .mockResolvedValueOnce([]) // 10 vs 14
+        .mockResolvedValueOnce([]) // 10 vs 15
+        .mockResolvedValueOnce([]) // 14 vs 15
+        .mockResolvedValueOnce([]) // no unmet requirements
+        .mockResolvedValueOnce([]) // no violated condition sets
+        .mockResolvedValue([{ in_stock: 1, quantity: 5 }]); // inventory
+
+      const result = await configService.validateConfiguration(5, [
+        { partOptionId: 10 },
+        { partOptionId: 14 },
+        { partOptionId: 15 },
+        { partTypeId: 7, none: true },
+      ]);
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('FROM RuleRequirements rr'),
+        [5, 5, 10, 14, 15, 10, 14, 15]
+      );
+      expect(result.valid).toBe(true);
+    });
+
+    it('returns invalid if "none" is chosen for a required part type', async () => {
+      database.query.mockResolvedValueOnce([
+        { id: 1, name: 'Frame', min_selections: 1, max_selections: 1 },
+      ]); // partTypes
+
+      const result = await configService.validateConfiguration(5, [
+        { partTypeId: 1, none: true },
+      ]);
+
+      expect(result).toEqual({
+        valid: false,
+        message: '"None" cannot be selected for: Frame',
+        invalidNonePartTypeIds: [1],
+      });
+    });
+
+    it('returns invalid if an option is selected twice', async () => {
+      database.query
+        .mockResolvedValueOnce([
+          { id: 6, name: 'Accessories', min_selections: 0, max_selections: 3 },
+        ]) // partTypes
+        .mockResolvedValue([{ part_type_id: 6, offered: 1, active: 1 }]); // for option 14
+
+      const result = await configService.validateConfiguration(5, [
+        { partOptionId: 14 },
+        { partOptionId: 14 },
+      ]);
+
+      expect(result).toEqual({
+        valid: false,
+        message: 'Some options are selected more than once',
+        duplicateOptions: [14],
+      });
+    });
+
+    it('returns invalid if a "requires" rule is not met', async () => {
+      database.query
+        .mockResolvedValueOnce([
+          { id: 1, name: 'Frame', min_selections: 1, max_selections: 1 },
+        ]) // partTypes
+        .mockResolvedValueOnce([{ part_type_id: 1, offered: 1, active: 1 }]) // for option 10
+        .mockResolvedValueOnce([{ part_type_id: 3, offered: 1, active: 1 }]) // for option 11
+        .mockResolvedValueOnce([]) // no pairwise conflict
+        .mockResolvedValueOnce([
+          { rule_id: 4, part_option_id: 11, required_part_type_id: 1 },
+        ]) // unmet requirements
+        .mockResolvedValueOnce([]); // no violated condition sets
+
+      const selectedOptions = [{ partOptionId: 10 }, { partOptionId: 11 }];
+      const result = await configService.validateConfiguration(
+        5,
+        selectedOptions
+      );
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('FROM RuleRequirements rr'),
+        [5, 5, 10, 11, 10, 11]
+      );
+      expect(result.valid).toBe(false);
+      expect(result.message).toMatch(/incompatible combinations/);
+      expect(result.incompatibilities).toEqual([]);
+      expect(result.unmetRequirements).toEqual([
+        { ruleId: 4, partOptionId: 11, requiredPartTypeId: 1 },
+      ]);
+    });
+
+    it('reports the full offending set of a violated condition set', async () => {
+      database.query
+        .mockResolvedValueOnce([]) // partTypes
+        .mockResolvedValueOnce([{ part_type_id: 1, offered: 1, active: 1 }]) // for option 3
+        .mockResolvedValueOnce([{ part_type_id: 3, offered: 1, active: 1 }]) // for option 8
+        .mockResolvedValueOnce([{ part_type_id: 5, offered: 1, active: 1 }]) // for option 13
+        .mockResolvedValueOnce([]) // 3 vs 8
+        .mockResolvedValueOnce([]) // 3 vs 13
+        .mockResolvedValueOnce([]) // 8 vs 13
+        .mockResolvedValueOnce([]) // no unmet requirements
+        .mockResolvedValueOnce([{ rule_id: 3, part_option_ids: '13,3,8' }]); // violated condition sets
+
+      const selectedOptions = [
+        { partOptionId: 3 },
+        { partOptionId: 8 },
+        { partOptionId: 13 },
+      ];
+      const result = await configService.validateConfiguration(
+        5,
+        selectedOptions
+      );
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('FROM RuleConditionSets rcs'),
+        [5, 5, 3, 8, 13, 3, 8, 13]
+      );
+      expect(result.valid).toBe(false);
+      expect(result.incompatibilities).toEqual([
+        { ruleId: 3, partOptionIds: [3, 8, 13] },
+      ]);
     });
 
     it('returns invalid if any selected option is out of stock', async () => {
-      // Mock required part types (all present)
+      // Mock part types (all present)
       database.query
-        .mockResolvedValueOnce([{ id: 1, name: 'Frame' }]) // requiredPartTypes
-        .mockResolvedValueOnce([{ part_type_id: 1 }]) // for option
-        .mockResolvedValueOnce([]) // no incompatibilities
+        .mockResolvedValueOnce([
+          { id: 1, name: 'Frame', min_selections: 1, max_selections: 1 },
+        ]) // partTypes
+        .mockResolvedValueOnce([{ part_type_id: 1, offered: 1, active: 1 }]) // for option
+        .mockResolvedValueOnce([]) // no unmet requirements
+        .mockResolvedValueOnce([]) // no violated condition sets
         .mockResolvedValueOnce([{ in_stock: false, quantity: 0 }]); // inventory
 
       const selectedOptions = [{ partOptionId: 10 }];
@@ -258,8 +1484,12 @@ describe('ProductConfigurationService', () => {
 
     it('returns valid if all checks pass', async () => {
       database.query
-        .mockResolvedValueOnce([{ id: 1, name: 'Frame' }]) // requiredPartTypes
-        .mockResolvedValueOnce([{ part_type_id: 1 }]) // for option
+        .mockResolvedValueOnce([
+          { id: 1, name: 'Frame', min_selections: 1, max_selections: 1 },
+        ]) // partTypes
+        .mockResolvedValueOnce([{ part_type_id: 1, offered: 1, active: 1 }]) // for option
+        .mockResolvedValueOnce([]) // no unmet requirements
+        .mockResolvedValueOnce([]) // no violated condition sets
         .mockResolvedValueOnce([{ in_stock: true, quantity: 5 }]); // inventory
 
       const selectedOptions = [{ partOptionId: 10 }];
@@ -274,72 +1504,150 @@ describe('ProductConfigurationService', () => {
   });
 
   describe('calculateOptionPrices', () => {
-    it('returns options with basePrice, finalPrice, and priceAdjustments', async () => {
-      const testOptions = [
-        { id: 10, name: 'Option A', base_price: 100 },
-        { id: 11, name: 'Option B', base_price: 200 },
-      ];
-      // Mock getPriceAdjustments to return a flat adjustment for Option A, none for Option B
-      jest
-        .spyOn(configService, 'getPriceAdjustments')
-        .mockImplementationOnce(async () => [
-          { price_adjustment: 10, is_percentage: false },
-        ])
-        .mockImplementationOnce(async () => []);
+    const rule = (fields) => ({
+      name: 'Rule',
+      conditionGroups: [[{ partOptionIds: [10] }]],
+      ...fields,
+    });
+    const testOptions = [
+      { id: 11, part_type_id: 2, name: 'Option A', base_price: 100 },
+      { id: 12, part_type_id: 2, name: 'Option B', base_price: 200 },
+    ];
 
-      const result = await configService.calculateOptionPrices(
-        testOptions,
-        1,
-        []
-      );
+    it('prices each option with the current selections', async () => {
+      jest.spyOn(configService, 'loadPricingContext').mockResolvedValue({
+        basePrice: 500,
+        options: [{ id: 10, part_type_id: 1, base_price: 50 }],
+        pricingRules: [
+          rule({
+            id: 1,
+            price_adjustment: 10,
+            is_percentage: 0,
+            target: 'option',
+            target_part_option_id: 11,
+          }),
+        ],
+      });
 
+      const result = await configService.calculateOptionPrices(testOptions, 1, [
+        { partOptionId: 10 },
+      ]);
+
+      expect(configService.loadPricingContext).toHaveBeenCalledWith(1, [10], {
+        priceListId: null,
+        asOf: null,
+        customerId: null,
+      });
       expect(result[0]).toMatchObject({
-        id: 10,
+        id: 11,
         basePrice: 100,
         finalPrice: 110,
-        priceAdjustments: [{ price_adjustment: 10, is_percentage: false }],
+        priceAdjustments: [{ id: 1, amount: 10 }],
       });
       expect(result[1]).toMatchObject({
-        id: 11,
+        id: 12,
         basePrice: 200,
         finalPrice: 200,
         priceAdjustments: [],
       });
     });
 
-    it('applies percentage adjustments correctly', async () => {
-      const testOptions = [{ id: 12, name: 'Option C', base_price: 100 }];
-      jest
-        .spyOn(configService, 'getPriceAdjustments')
-        .mockResolvedValueOnce([{ price_adjustment: 10, is_percentage: true }]);
-      const result = await configService.calculateOptionPrices(
-        testOptions,
-        1,
-        []
-      );
-      expect(result[0].finalPrice).toBeCloseTo(110);
+    it('shows configuration-wide adjustments without changing the option price', async () => {
+      jest.spyOn(configService, 'loadPricingContext').mockResolvedValue({
+        basePrice: 500,
+        options: [{ id: 10, part_type_id: 1, base_price: 50 }],
+        pricingRules: [
+          rule({ id: 1, price_adjustment: -10, is_percentage: 1 }),
+        ],
+      });
+
+      const result = await configService.calculateOptionPrices(testOptions, 1, [
+        { partOptionId: 10 },
+      ]);
+
+      // 10% of 500 + 50 + 100, the same amount the cart would take off
+      expect(result[0].finalPrice).toBe(100);
+      expect(result[0].priceAdjustments[0].amount).toBeCloseTo(-65);
     });
   });
 
   describe('getPriceAdjustments', () => {
-    it('returns empty array if selections length <= 1', async () => {
+    it('returns empty array if no option is selected', async () => {
       const result = await configService.getPriceAdjustments(1, [
-        { partOptionId: 10 },
+        { partTypeId: 7, none: true },
       ]);
       expect(result).toEqual([]);
+      expect(database.query).not.toHaveBeenCalled();
     });
 
-    it('returns pricing rules for multiple selections', async () => {
-      const pricingRules = [
-        { id: 1, name: 'Combo', price_adjustment: 20, is_percentage: false },
-      ];
-      database.query.mockResolvedValueOnce(pricingRules);
+    it('returns pricing rules whose conditions are all selected', async () => {
+      const combo = {
+        id: 1,
+        name: 'Combo',
+        price_adjustment: 20,
+        is_percentage: false,
+      };
+      const partial = {
+        id: 2,
+        name: 'Partial',
+        price_adjustment: 5,
+        is_percentage: false,
+      };
+      const condition = (rule, id, group, partOptionId) => ({
+        ...rule,
+        condition_id: id,
+        group_number: group,
+        negated: 0,
+        part_option_id: partOptionId,
+      });
+      database.query.mockResolvedValueOnce([
+        condition(combo, 1, 1, 10),
+        condition(combo, 2, 2, 11),
+        condition(partial, 3, 1, 10),
+        condition(partial, 4, 2, 12),
+      ]);
 
       const result = await configService.getPriceAdjustments(1, [
         { partOptionId: 10 },
         { partOptionId: 11 },
       ]);
-      expect(result).toEqual(pricingRules);
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('pr.product_id IS NULL OR pr.product_id = ?'),
+        [1, 1, ...times]
+      );
+      expect(result).toEqual([combo]);
+    });
+
+    it('matches alternatives, negated conditions and any option of a part type', async () => {
+      // Matte finish (4) with any frame (1, 2 or 3) except diamond (2), and
+      // road (6) or mountain (7) wheels
+      const rule = {
+        id: 1,
+        name: 'Matte except diamond',
+        price_adjustment: 40,
+        is_percentage: 0,
+      };
+      const rows = [
+        { condition_id: 1, group_number: 1, negated: 0, part_option_id: 4 },
+        { condition_id: 2, group_number: 2, negated: 0, part_option_id: 1 },
+        { condition_id: 2, group_number: 2, negated: 0, part_option_id: 2 },
+        { condition_id: 2, group_number: 2, negated: 0, part_option_id: 3 },
+        { condition_id: 3, group_number: 3, negated: 1, part_option_id: 2 },
+        { condition_id: 4, group_number: 4, negated: 0, part_option_id: 6 },
+        { condition_id: 5, group_number: 4, negated: 0, part_option_id: 7 },
+      ].map((row) => ({ ...rule, ...row }));
+      database.query.mockResolvedValue(rows);
+      const adjustments = (ids) =>
+        configService.getPriceAdjustments(
+          1,
+          ids.map((partOptionId) => ({ partOptionId }))
+        );
+
+      expect(await adjustments([4, 3, 7])).toEqual([rule]);
+      expect(await adjustments([4, 1, 6])).toEqual([rule]);
+      expect(await adjustments([4, 2, 6])).toEqual([]);
+      expect(await adjustments([4, 6])).toEqual([]);
+      expect(await adjustments([4, 1, 8])).toEqual([]);
     });
   });
 
@@ -352,8 +1660,22 @@ describe('ProductConfigurationService', () => {
           { id: 11, base_price: 30 },
         ]) // Option prices
         .mockResolvedValueOnce([
-          { price_adjustment: 10, is_percentage: false },
-          { price_adjustment: 10, is_percentage: true },
+          {
+            id: 1,
+            condition_id: 1,
+            group_number: 1,
+            part_option_id: 10,
+            price_adjustment: 10,
+            is_percentage: 0,
+          },
+          {
+            id: 2,
+            condition_id: 2,
+            group_number: 1,
+            part_option_id: 11,
+            price_adjustment: 10,
+            is_percentage: 1,
+          },
         ]); // Adjustments
 
       const selectedOptions = [{ partOptionId: 10 }, { partOptionId: 11 }];
@@ -369,6 +1691,74 @@ describe('ProductConfigurationService', () => {
       expect(result.totalPrice).toBeCloseTo(176);
     });
 
+    it('leaves part types explicitly left empty out of the price', async () => {
+      database.query
+        .mockResolvedValueOnce([{ base_price: 100 }]) // Product base price
+        .mockResolvedValueOnce([{ id: 10, base_price: 20 }]) // Option prices
+        .mockResolvedValueOnce([]); // Adjustments
+
+      const result = await configService.calculateTotalPrice(1, [
+        { partOptionId: 10 },
+        { partTypeId: 7, none: true },
+      ]);
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('WHERE po.id IN (?)'),
+        [...times, 1, 10]
+      );
+      expect(result.totalPrice).toBe(120);
+    });
+
+    it('prices options at their sale price as of a preview date', async () => {
+      database.query
+        .mockResolvedValueOnce([{ id: 1, base_price: 100 }]) // Product
+        .mockResolvedValueOnce([
+          { id: 10, base_price: 20, override_price: 15 },
+          { id: 11, base_price: 30, override_price: null },
+        ]) // Option prices
+        .mockResolvedValueOnce([]); // Adjustments
+
+      const result = await configService.calculateTotalPrice(
+        1,
+        [{ partOptionId: 10 }, { partOptionId: 11 }],
+        { asOf: '2026-11-28T10:00:00Z' }
+      );
+
+      const preview = '2026-11-28 10:00:00';
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('FROM PartOptionPriceOverrides'),
+        [preview, preview, preview, preview, null, 1, 10, 11]
+      );
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('pr.valid_to IS NULL OR pr.valid_to > ?'),
+        [1, 1, preview, preview, preview, preview, null]
+      );
+      expect(result.totalPrice).toBe(145);
+    });
+
+    it('prices a configuration for the customer groups of a customer', async () => {
+      database.query
+        .mockResolvedValueOnce([{ id: 1, base_price: 100 }]) // Product
+        .mockResolvedValueOnce([{ id: 10, base_price: 20, override_price: 12 }]) // Option prices
+        .mockResolvedValueOnce([]); // Adjustments
+
+      const result = await configService.calculateTotalPrice(
+        1,
+        [{ partOptionId: 10 }],
+        { customerId: 42 }
+      );
+
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('cgm.customer_id = ? AND cg.active = TRUE'),
+        [...times.slice(0, 4), 42, 1, 10]
+      );
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('pr.customer_group_id IS NULL OR EXISTS'),
+        [1, 1, ...times.slice(0, 4), 42]
+      );
+      expect(result.totalPrice).toBe(112);
+    });
+
     it('returns total with no options and no adjustments', async () => {
       database.query
         .mockResolvedValueOnce([{ base_price: 100 }]) // Product base price
@@ -380,6 +1770,70 @@ describe('ProductConfigurationService', () => {
       expect(result.optionPriceSum).toBe(0);
       expect(result.adjustments).toEqual([]);
       expect(result.totalPrice).toBe(100);
+      expect(result.currency).toBe('EUR');
+      expect(result.priceListId).toBeNull();
+    });
+
+    it('prices in a price list', async () => {
+      database.query
+        .mockResolvedValueOnce([
+          {
+            id: 2,
+            name: 'Switzerland',
+            currency: 'CHF',
+            exchange_rate: 0.94,
+            rounding_step: 5,
+          },
+        ]) // Price list
+        .mockResolvedValueOnce([
+          {
+            product_id: null,
+            part_option_id: 10,
+            pricing_rule_id: null,
+            price: 25,
+          },
+        ]) // Price list prices
+        .mockResolvedValueOnce([{ base_price: 1000 }]) // Product base price
+        .mockResolvedValueOnce([{ id: 10, base_price: 20 }]) // Option prices
+        .mockResolvedValueOnce([
+          {
+            id: 1,
+            condition_id: 1,
+            group_number: 1,
+            part_option_id: 10,
+            price_adjustment: 100,
+            is_percentage: 0,
+          },
+        ]); // Adjustments
+
+      const result = await configService.calculateTotalPrice(
+        1,
+        [{ partOptionId: 10 }],
+        { priceListId: 2 }
+      );
+
+      // 940 converted, 25 set on the list, and 95 converted
+      expect(result.basePrice).toBe(940);
+      expect(result.optionPriceSum).toBe(25);
+      expect(result.totalPrice).toBe(1060);
+      expect(result.currency).toBe('CHF');
+      expect(result.priceListId).toBe(2);
+    });
+
+    it('keeps catalogue prices for an inactive or unknown price list', async () => {
+      database.query
+        .mockResolvedValueOnce([]) // Price list
+        .mockResolvedValueOnce([{ base_price: 100 }]) // Product base price
+        .mockResolvedValueOnce([]) // Option prices
+        .mockResolvedValueOnce([]); // Adjustments
+
+      const result = await configService.calculateTotalPrice(1, [], {
+        priceListId: 9,
+      });
+
+      expect(result.totalPrice).toBe(100);
+      expect(result.currency).toBe('EUR');
+      expect(result.priceListId).toBeNull();
     });
   });
 });
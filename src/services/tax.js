@@ -0,0 +1,170 @@
+/**
+ * Tax
+ *
+ * Catalogue and price list prices are net of tax. Tax (VAT) depends on the
+ * destination country and on the tax category of what is sold: a product's
+ * base price is in the product's category, and each option is in its own
+ * category or else the product's. A category without a rate in the country is
+ * exempt there.
+ *
+ * The pricing rules of a configuration are split between the tax categories
+ * before taxing it: a rule on an option already is in the option's price, a
+ * rule on a part type is shared between the options of that part type, and a
+ * rule on the whole configuration between all of its lines, in proportion to
+ * their prices. Tax is rounded once per tax category (see money.js).
+ */
+const { percentageOf, roundMinorUnits } = require('./money');
+
+/**
+ * Splits an amount in minor units in proportion to weights, so that the
+ * parts add up to the amount exactly. Without any weight, the first part
+ * takes it all.
+ */
+function allocate(amount, weights) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total === 0) {
+    return weights.map((_weight, index) => (index === 0 ? amount : 0));
+  }
+
+  // Rounding the running total, rather than each part, leaves no remainder
+  let cumulative = 0;
+  let allocated = 0;
+  return weights.map((weight) => {
+    cumulative += weight;
+    const upTo = roundMinorUnits((amount * cumulative) / total);
+    const part = upTo - allocated;
+    allocated = upTo;
+    return part;
+  });
+}
+
+/**
+ * The tax category of a part option, which is the product's unless it has
+ * its own
+ */
+function taxCategoryOf(option, productTaxCategoryId) {
+  return option.tax_category_id || productTaxCategoryId || null;
+}
+
+/**
+ * Works out the net amount of a priced configuration in each tax category
+ *
+ * @param {Object} pricing - The result of priceConfiguration
+ * @param {number|null} productTaxCategoryId - The tax category of the product
+ * @param {Array} options - The selected options, with their `id` and
+ *   `tax_category_id`
+ * @returns {Map} The net amount keyed by tax category ID (null for exempt)
+ */
+function netByTaxCategory(pricing, productTaxCategoryId, options) {
+  const lines = [
+    {
+      partTypeId: null,
+      taxCategoryId: productTaxCategoryId || null,
+      amount: pricing.basePrice,
+    },
+    ...pricing.lines.map((line) => ({
+      partTypeId: line.partTypeId,
+      taxCategoryId: taxCategoryOf(
+        options.find((option) => option.id === line.partOptionId),
+        productTaxCategoryId
+      ),
+      amount: line.finalPrice,
+    })),
+  ];
+
+  const shareOut = (amount, targetLines) => {
+    const parts = allocate(
+      amount,
+      targetLines.map((line) => Math.abs(line.amount))
+    );
+    targetLines.forEach((line, index) => {
+      line.share = (line.share || 0) + parts[index];
+    });
+  };
+
+  for (const adjustment of pricing.adjustments) {
+    if (adjustment.target === 'part_type') {
+      shareOut(
+        adjustment.amount,
+        lines.filter(
+          (line) => line.partTypeId === adjustment.target_part_type_id
+        )
+      );
+    } else if (adjustment.target !== 'option') {
+      shareOut(adjustment.amount, lines);
+    }
+  }
+
+  const net = new Map();
+  for (const line of lines) {
+    net.set(
+      line.taxCategoryId,
+      (net.get(line.taxCategoryId) || 0) + line.amount + (line.share || 0)
+    );
+  }
+
+  return net;
+}
+
+/**
+ * Taxes net amounts per tax category at the rates of a country
+ *
+ * @param {Map} netAmounts - Net amounts keyed by tax category ID
+ * @param {Map} rates - The rate (percent) of each tax category in the
+ *   country, keyed by tax category ID
+ * @returns {Object} One line per tax category with its `rate`, `netAmount`
+ *   and `taxAmount`, and the `netTotal`, `taxTotal` and `grossTotal`
+ */
+function applyTaxRates(netAmounts, rates) {
+  const lines = [...netAmounts].map(([taxCategoryId, netAmount]) => {
+    const rate = rates.has(taxCategoryId) ? rates.get(taxCategoryId) : 0;
+
+    return {
+      taxCategoryId,
+      rate,
+      netAmount,
+      taxAmount: percentageOf(netAmount, rate),
+    };
+  });
+
+  const netTotal = lines.reduce((sum, line) => sum + line.netAmount, 0);
+  const taxTotal = lines.reduce((sum, line) => sum + line.taxAmount, 0);
+
+  return { lines, netTotal, taxTotal, grossTotal: netTotal + taxTotal };
+}
+
+/**
+ * Taxes another net amount (e.g. the price of an order item times its
+ * quantity) split between tax categories like a taxed configuration
+ *
+ * @param {number} netAmount - The amount to tax
+ * @param {Object} tax - A result of applyTaxRates
+ * @returns {Object} The amount taxed, as applyTaxRates returns it
+ */
+function reapportionTax(netAmount, tax) {
+  const parts = allocate(
+    netAmount,
+    tax.lines.map((line) => Math.abs(line.netAmount))
+  );
+
+  return applyTaxRates(
+    new Map(tax.lines.map((line, index) => [line.taxCategoryId, parts[index]])),
+    new Map(tax.lines.map((line) => [line.taxCategoryId, line.rate]))
+  );
+}
+
+/**
+ * Adds the tax of a net price at a rate, for prices displayed gross
+ */
+function grossPrice(netPrice, rate) {
+  return netPrice + percentageOf(netPrice, rate || 0);
+}
+
+module.exports = {
+  allocate,
+  taxCategoryOf,
+  netByTaxCategory,
+  applyTaxRates,
+  reapportionTax,
+  grossPrice,
+};
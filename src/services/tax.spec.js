@@ -0,0 +1,93 @@
+const {
+  allocate,
+  netByTaxCategory,
+  applyTaxRates,
+  reapportionTax,
+  grossPrice,
+} = require('./tax');
+
+describe('tax', () => {
+  // A 1000 product (standard) with a frame (10) and a bell (20, reduced)
+  const options = [
+    { id: 10, tax_category_id: null },
+    { id: 20, tax_category_id: 2 },
+  ];
+  const pricing = (adjustments = []) => ({
+    basePrice: 1000,
+    lines: [
+      { partOptionId: 10, partTypeId: 1, basePrice: 500, finalPrice: 500 },
+      { partOptionId: 20, partTypeId: 2, basePrice: 100, finalPrice: 100 },
+    ],
+    adjustments,
+  });
+
+  it('splits an amount in proportion without losing a cent', () => {
+    expect(allocate(100, [1, 1, 1])).toEqual([33, 34, 33]);
+    expect(allocate(-100, [3, 1])).toEqual([-75, -25]);
+    expect(allocate(10, [0, 0])).toEqual([10, 0]);
+  });
+
+  it('taxes options in their own category or the product one', () => {
+    const tax = applyTaxRates(
+      netByTaxCategory(pricing(), 1, options),
+      new Map([
+        [1, 21],
+        [2, 10],
+      ])
+    );
+
+    expect(tax.lines).toEqual([
+      { taxCategoryId: 1, rate: 21, netAmount: 1500, taxAmount: 315 },
+      { taxCategoryId: 2, rate: 10, netAmount: 100, taxAmount: 10 },
+    ]);
+    expect(tax.netTotal).toBe(1600);
+    expect(tax.taxTotal).toBe(325);
+    expect(tax.grossTotal).toBe(1925);
+  });
+
+  it('shares configuration and part type adjustments between categories', () => {
+    const net = netByTaxCategory(
+      pricing([
+        { target: 'configuration', amount: -160 },
+        { target: 'part_type', target_part_type_id: 2, amount: 20 },
+        { target: 'option', target_part_option_id: 10, amount: 50 },
+      ]),
+      1,
+      options
+    );
+
+    // A sixteenth of the configuration discount is on the bell, with all of
+    // the part type one. Option adjustments are in the line final prices
+    expect(net).toEqual(
+      new Map([
+        [1, 1350],
+        [2, 110],
+      ])
+    );
+  });
+
+  it('leaves categories without a rate in the country exempt', () => {
+    const tax = applyTaxRates(
+      netByTaxCategory(pricing(), null, options),
+      new Map([[2, 10]])
+    );
+
+    expect(tax.taxTotal).toBe(10);
+  });
+
+  it('taxes another amount split like a configuration', () => {
+    const tax = applyTaxRates(
+      new Map([
+        [1, 750],
+        [2, 250],
+      ]),
+      new Map([
+        [1, 21],
+        [2, 10],
+      ])
+    );
+
+    expect(reapportionTax(3000, tax).taxTotal).toBe(473 + 75);
+    expect(grossPrice(1000, 5.5)).toBe(1055);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Volume discounts
+ *
+ * Volume discounts take a percentage off items bought in quantity. An `item`
+ * tier counts the units of a single cart item, i.e. identical bikes, and a
+ * `cart` threshold the units of every cart item in its product or category
+ * scope. Of each basis, only the highest percentage an item qualifies for is
+ * applied, and the two are taken of the item's amount (its price times its
+ * quantity) side by side rather than one after the other.
+ */
+const { percentageOf } = require('./money');
+const { isInScope } = require('./coupons');
+
+const VOLUME_DISCOUNT_BASES = ['item', 'cart'];
+
+/**
+ * Works out the volume discounts of the items of a cart
+ *
+ * @param {Array} tiers - The active volume discounts
+ * @param {Array} items - The cart items, with their `id`, `product_id`,
+ *   `category_id`, `quantity` and `amount`
+ * @returns {Array} The discounts applied, each with the `orderItemId`, the
+ *   `volumeDiscountId`, its `description` and the `amount` taken off
+ */
+function volumeDiscounts(tiers, items) {
+  const unitsInScope = (tier) =>
+    items
+      .filter((item) => isInScope(tier, item))
+      .reduce((sum, item) => sum + item.quantity, 0);
+
+  const discounts = [];
+  for (const item of items) {
+    let remaining = item.amount;
+
+    for (const basis of VOLUME_DISCOUNT_BASES) {
+      const [best] = tiers
+        .filter(
+          (tier) =>
+            tier.basis === basis &&
+            isInScope(tier, item) &&
+            (basis === 'item' ? item.quantity : unitsInScope(tier)) >=
+              tier.min_quantity
+        )
+        .sort((a, b) => b.discount_percent - a.discount_percent);
+
+      if (best) {
+        // Two percentages of the same amount could add up to more than it
+        const amount = Math.min(
+          percentageOf(item.amount, best.discount_percent),
+          remaining
+        );
+        remaining -= amount;
+        discounts.push({
+          orderItemId: item.id,
+          volumeDiscountId: best.id,
+          description: best.name,
+          amount,
+        });
+      }
+    }
+  }
+
+  return discounts;
+}
+
+module.exports = { VOLUME_DISCOUNT_BASES, volumeDiscounts };
@@ -0,0 +1,88 @@
+const { volumeDiscounts } = require('./volume_discounts');
+
+describe('volumeDiscounts', () => {
+  const tier = (fields) => ({
+    basis: 'item',
+    product_id: null,
+    category_id: 1,
+    ...fields,
+  });
+  const tiers = [
+    tier({ id: 1, name: '5+ bikes', min_quantity: 5, discount_percent: 8 }),
+    tier({ id: 2, name: '10+ bikes', min_quantity: 10, discount_percent: 12 }),
+    tier({
+      id: 3,
+      name: '3 bikes in one order',
+      basis: 'cart',
+      min_quantity: 3,
+      discount_percent: 5,
+    }),
+  ];
+  const bike = (id, quantity, fields) => ({
+    id,
+    product_id: 1,
+    category_id: 1,
+    quantity,
+    amount: 40000 * quantity,
+    ...fields,
+  });
+
+  it('applies the highest tier the quantity of an item reaches', () => {
+    expect(volumeDiscounts(tiers.slice(0, 2), [bike(1, 4)])).toEqual([]);
+    expect(volumeDiscounts(tiers.slice(0, 2), [bike(1, 5)])).toEqual([
+      {
+        orderItemId: 1,
+        volumeDiscountId: 1,
+        description: '5+ bikes',
+        amount: 16000,
+      },
+    ]);
+    expect(
+      volumeDiscounts(tiers.slice(0, 2), [bike(1, 12)]).map(
+        (discount) => discount.volumeDiscountId
+      )
+    ).toEqual([2]);
+  });
+
+  it('counts the units of every item in scope for a cart threshold', () => {
+    const skis = bike(3, 1, { product_id: 3, category_id: 2 });
+
+    expect(volumeDiscounts(tiers, [bike(1, 1), bike(2, 1), skis])).toEqual([]);
+    expect(
+      volumeDiscounts(tiers, [bike(1, 2), bike(2, 1, { product_id: 2 }), skis])
+    ).toEqual([
+      {
+        orderItemId: 1,
+        volumeDiscountId: 3,
+        description: '3 bikes in one order',
+        amount: 4000,
+      },
+      {
+        orderItemId: 2,
+        volumeDiscountId: 3,
+        description: '3 bikes in one order',
+        amount: 2000,
+      },
+    ]);
+  });
+
+  it('adds up an item tier and a cart threshold, up to the amount', () => {
+    expect(
+      volumeDiscounts(tiers, [bike(1, 5)]).map((discount) => discount.amount)
+    ).toEqual([16000, 10000]);
+
+    const generous = [
+      tier({ id: 4, name: 'Half', min_quantity: 1, discount_percent: 60 }),
+      tier({
+        id: 5,
+        name: 'Half again',
+        basis: 'cart',
+        min_quantity: 1,
+        discount_percent: 60,
+      }),
+    ];
+    expect(
+      volumeDiscounts(generous, [bike(1, 1)]).map((discount) => discount.amount)
+    ).toEqual([24000, 16000]);
+  });
+});
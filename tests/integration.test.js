@@ -2,7 +2,7 @@
  * Tests for the product configuration functionality
  *
  * These tests verify that:
- * 1. Compatible options are correctly filtered
+ * 1. Incompatible options are correctly flagged
  * 2. Prices are calculated correctly
  * 3. Configurations can be validated
  *
@@ -10,16 +10,24 @@
  * It's required to have the database seeded running `npm run db:seed`.
  */
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
 const ProductConfigurationService = require('../src/services/product_configuration');
+const AdminService = require('../src/services/admin');
+const OrderService = require('../src/services/orders');
 const SQLiteDatabase = require('../src/db/database');
-const { getDatabaseFilePath } = require('../src/db/setup');
+const { getDatabaseFilePath, initializeSchema } = require('../src/db/setup');
+const { applyMigrations } = require('../src/db/migrate');
 
 describe('Integration tests', () => {
   let configService;
 
   beforeEach(() => {
     const db = new SQLiteDatabase(getDatabaseFilePath());
-    configService = new ProductConfigurationService(db);
+    // Before the example Black Friday campaign
+    configService = new ProductConfigurationService(db, {
+      clock: () => new Date('2026-10-01T12:00:00Z'),
+    });
   });
 
   test('should return all frame options when no prior selections', async () => {
@@ -39,7 +47,7 @@ describe('Integration tests', () => {
     expect(inStockOptions.length).toBe(2);
   });
 
-  test('should filter incompatible wheel options after selecting diamond frame', async () => {
+  test('should mark incompatible wheel options after selecting diamond frame', async () => {
     const wheelOptionsForDiamond = await configService.getAvailableOptions(
       1,
       3,
@@ -48,18 +56,66 @@ describe('Integration tests', () => {
       ]
     );
 
-    // With Diamond frame, Mountain Wheels should be incompatible, so we should
-    // only have Road Wheels as an available option (id 3)
-    expect(wheelOptionsForDiamond.length).toBe(2);
+    // All wheel options are returned, so the storefront can explain why some
+    // of them cannot be picked
+    expect(wheelOptionsForDiamond.length).toBe(3);
 
-    // Mountain Wheels should be filtered out due to the incompatibility rule
+    // Mountain Wheels are incompatible due to the "requires" rule
     const mountainWheelsOption = wheelOptionsForDiamond.find(
-      (opt) => opt.id === 4
+      (opt) => opt.id === 7
     );
-    expect(mountainWheelsOption).toBeFalsy();
+    expect(mountainWheelsOption.status).toBe('incompatible');
+    expect(mountainWheelsOption.blockingRules).toEqual([
+      {
+        ruleId: 1,
+        name: 'Mountain wheels require full-suspension',
+        description:
+          'Mountain wheels can only be used with full-suspension frames',
+        triggeredBy: [2],
+      },
+    ]);
+
+    // Fat Bike Wheels are out of stock and report their restock date
+    const fatWheels = wheelOptionsForDiamond.find((opt) => opt.id === 8);
+    expect(fatWheels.status).toBe('out_of_stock');
+    expect(fatWheels.expectedRestockDate).toBe('2025-06-15');
+  });
+
+  test('should only offer full-suspension frames after selecting mountain wheels', async () => {
+    const frameOptions = await configService.getAvailableOptions(1, 1, [
+      { partOptionId: 7 }, // Mountain wheels
+    ]);
+
+    // The "requires" rule restricts the frame type to full-suspension only
+    const availableFrames = frameOptions.filter(
+      (opt) => opt.status === 'available'
+    );
+    expect(availableFrames.map((opt) => opt.id)).toEqual([1]);
+  });
+
+  test('should only disable the last missing member of a condition set', async () => {
+    // With only the step-through frame selected, the 8-speed chain is fine
+    const chainsForFrame = await configService.getAvailableOptions(1, 5, [
+      { partOptionId: 3 }, // Step-through frame
+    ]);
+    expect(chainsForFrame.map((opt) => opt.status)).toEqual([
+      'available',
+      'available',
+    ]);
+
+    // Adding fat bike wheels completes the set except for the 8-speed chain
+    const chainsForFatFrame = await configService.getAvailableOptions(1, 5, [
+      { partOptionId: 3 }, // Step-through frame
+      { partOptionId: 8 }, // Fat bike wheels
+    ]);
+    expect(chainsForFatFrame.map((opt) => opt.status)).toEqual([
+      'available',
+      'incompatible',
+    ]);
+    expect(chainsForFatFrame[1].blockingRules[0].triggeredBy).toEqual([3, 8]);
   });
 
-  test('should filter incompatible wheel options after red rim color', async () => {
+  test('should mark incompatible options in both directions of a rule', async () => {
     const wheelOptionsForRimColor = await configService.getAvailableOptions(
       1,
       3,
@@ -68,13 +124,1132 @@ describe('Integration tests', () => {
       ]
     );
 
-    // With Diamond frame, Mountain Wheels should be incompatible, so we should
-    // only have Road Wheels as an available option (id 3)
-    expect(wheelOptionsForRimColor.length).toBe(2);
-
-    // Mountain Wheels should be filtered out due to the incompatibility rule
+    // Fat bike wheels are not available with red rims
     const fatWheels = wheelOptionsForRimColor.find((opt) => opt.id === 8);
-    expect(fatWheels).toBeFalsy();
+    expect(fatWheels.status).toBe('incompatible');
+
+    const rimOptionsForFatWheels = await configService.getAvailableOptions(
+      1,
+      4,
+      [
+        { partOptionId: 8 }, // Fat bike wheels
+      ]
+    );
+
+    // ...and red rims are not available with fat bike wheels
+    const redRim = rimOptionsForFatWheels.find((opt) => opt.id === 9);
+    expect(redRim.status).toBe('incompatible');
+    expect(redRim.blockingRules[0].triggeredBy).toEqual([8]);
+  });
+
+  test('should only offer the wheels assigned to the City Cruiser', async () => {
+    const wheelOptions = await configService.getAvailableOptions(2, 3, []);
+
+    // Mountain wheels are not assigned to the City Cruiser
+    expect(wheelOptions.map((opt) => opt.id)).toEqual([6, 8]);
+
+    // Part types without assignments offer all of their options
+    const rimOptions = await configService.getAvailableOptions(2, 4, []);
+    expect(rimOptions.map((opt) => opt.id)).toEqual([9, 10, 11]);
+  });
+
+  test('should reject options not offered on the product', async () => {
+    const validationResult = await configService.validateConfiguration(2, [
+      { partOptionId: 1 }, // Full-suspension frame
+      { partOptionId: 4 }, // Matte finish
+      { partOptionId: 7 }, // Mountain wheels
+      { partOptionId: 10 }, // Black rim
+    ]);
+
+    expect(validationResult.valid).toBeFalsy();
+    expect(validationResult.notOfferedOptions).toEqual([1, 7]);
+  });
+
+  test('should only apply product-scoped pricing rules to their product', async () => {
+    const adjustments = await configService.getPriceAdjustments(2, [
+      { partOptionId: 7 }, // Mountain wheels
+      { partOptionId: 13 }, // 8-speed chain
+    ]);
+
+    // The premium combination discount only applies to the Adventure Bike
+    expect(adjustments.map((rule) => rule.id)).not.toContain(4);
+  });
+
+  test('should apply a pricing rule with alternative and negated conditions', async () => {
+    const ruleIds = async (partOptionIds) =>
+      (
+        await configService.getPriceAdjustments(
+          2,
+          partOptionIds.map((partOptionId) => ({ partOptionId }))
+        )
+      ).map((rule) => rule.id);
+
+    // Rear rack or kickstand, on any frame but the step-through
+    expect(await ruleIds([2, 15])).toContain(5);
+    expect(await ruleIds([2, 17])).toContain(5);
+    expect(await ruleIds([3, 15])).not.toContain(5);
+    expect(await ruleIds([2, 16])).not.toContain(5);
+    expect(await ruleIds([15])).not.toContain(5);
+  });
+
+  test('should price an option the same on the product page and in the cart', async () => {
+    const selections = [1, 7, 10, 13].map((partOptionId) => ({ partOptionId }));
+    const configurator = await configService.getProductConfigurator(
+      1,
+      selections
+    );
+    const matte = configurator.partTypes
+      .find((partType) => partType.id === 2)
+      .options.find((option) => option.id === 4);
+
+    const pricing = await configService.calculateTotalPrice(1, [
+      ...selections,
+      { partOptionId: 4 },
+    ]);
+
+    // The matte surcharge applies to the option, then the premium discount
+    // to the whole configuration
+    expect(matte.finalPrice).toBe(5000);
+    expect(
+      pricing.lines.find((line) => line.partOptionId === 4).finalPrice
+    ).toBe(5000);
+    expect(pricing.adjustments.map((adjustment) => adjustment.id)).toEqual([
+      1, 4,
+    ]);
+    expect(matte.priceAdjustments).toEqual(pricing.adjustments);
+    // 120 + 130 + 95 + 15 + 55 + 50 for matte, less 10%, in cents
+    expect(pricing.totalPrice).toBe(41850);
+    expect(pricing.currency).toBe('EUR');
+  });
+
+  test('should keep the price breakdown the customer saw with the cart item', async () => {
+    const db = configService.database;
+    const orderService = new OrderService(db, {
+      clock: () => new Date('2026-10-01T12:00:00Z'),
+    });
+    const selections = [1, 7, 10, 13, 4].map((partOptionId) => ({
+      partOptionId,
+    }));
+
+    const { breakdown } = await configService.calculateTotalPrice(
+      1,
+      selections
+    );
+
+    // Options in the display order of their part types, and the rules with
+    // the amount they made: 415 + 50 for matte, less 46.50
+    expect(breakdown.product).toEqual({
+      productId: 1,
+      name: 'Adventure Bike',
+      price: 12000,
+    });
+    expect(
+      breakdown.options.map((line) => [
+        line.partTypeName,
+        line.name,
+        line.price,
+      ])
+    ).toEqual([
+      ['Frame Type', 'Full-suspension', 13000],
+      ['Frame Finish', 'Matte', 0],
+      ['Wheels', 'Mountain Wheels', 9500],
+      ['Rim Color', 'Black', 1500],
+      ['Chain', '8-speed Chain', 5500],
+    ]);
+    expect(breakdown.subtotal).toBe(41500);
+    expect(
+      breakdown.adjustments.map((line) => [line.name, line.amount])
+    ).toEqual([
+      ['Matte finish on full-suspension', 5000],
+      ['Premium combination discount', -4650],
+    ]);
+    expect(breakdown.total).toBe(41850);
+
+    await db.query('BEGIN');
+    try {
+      const [{ id: customerId }] = await db.query(
+        `INSERT INTO Customers (email, name, password_hash)
+         VALUES ('breakdown@example.com', 'Breakdown', 'x')
+         RETURNING id`
+      );
+      await orderService.addToCart(customerId, 1, selections);
+
+      const cart = await orderService.getCart(customerId);
+      expect(cart.items[0].price_breakdown).toEqual(breakdown);
+    } finally {
+      await db.query('ROLLBACK');
+    }
+  });
+
+  test('should show orders as they were when the catalogue changes', async () => {
+    const db = configService.database;
+    const adminService = new AdminService(db);
+    const orderService = new OrderService(db, {
+      clock: () => new Date('2026-10-01T12:00:00Z'),
+    });
+    const selections = [1, 7, 10, 13, 4].map((partOptionId) => ({
+      partOptionId,
+    }));
+
+    await db.query('BEGIN');
+    try {
+      const [{ id: customerId }] = await db.query(
+        `INSERT INTO Customers (email, name, password_hash)
+         VALUES ('snapshot@example.com', 'Snapshot', 'x')
+         RETURNING id`
+      );
+      await orderService.addToCart(customerId, 1, selections);
+      const before = await orderService.getCart(customerId);
+
+      // Marcus renames and reprices the frame, and renames the product
+      await db.query(
+        `UPDATE PartOptions SET name = 'Enduro', base_price = 15000
+         WHERE id = 1`
+      );
+      await db.query(
+        "UPDATE Products SET name = 'Adventure Bike 2027' WHERE id = 1"
+      );
+
+      const after = await orderService.getCart(customerId);
+      const order = await adminService.getOrderDetails(before.id);
+
+      for (const item of [after.items[0], order.items[0]]) {
+        expect(item.product_name).toBe('Adventure Bike');
+        expect(item.price).toBe(41850);
+        expect(item.configuration).toEqual(before.items[0].configuration);
+        expect(item.price_breakdown).toEqual(before.items[0].price_breakdown);
+      }
+      expect(after.items[0].configuration[0]).toEqual({
+        part_type_id: 1,
+        part_option_id: 1,
+        part_type: 'Frame Type',
+        option_name: 'Full-suspension',
+        option_price: 13000,
+      });
+    } finally {
+      await db.query('ROLLBACK');
+    }
+  });
+
+  test('should preview the prices of a sale campaign', async () => {
+    const selections = [1, 7, 10, 13, 4].map((partOptionId) => ({
+      partOptionId,
+    }));
+
+    const today = await configService.calculateTotalPrice(1, selections);
+    const blackFriday = await configService.calculateTotalPrice(1, selections, {
+      asOf: '2026-11-28T10:00:00Z',
+    });
+    const [wheels] = (
+      await configService.getAvailableOptions(1, 3, selections, {
+        asOf: '2026-11-28T10:00:00Z',
+      })
+    ).filter((option) => option.id === 7);
+
+    expect(today.totalPrice).toBe(41850);
+    // Mountain wheels on sale at 79, and 10% off on top of the other
+    // discounts: 120 + 329 less 10%, less 10%
+    expect(wheels.basePrice).toBe(7900);
+    expect(
+      blackFriday.adjustments.map((adjustment) => adjustment.name)
+    ).toEqual([
+      'Matte finish on full-suspension',
+      'Premium combination discount',
+      'Black Friday bike discount',
+    ]);
+    expect(blackFriday.totalPrice).toBe(36369);
+
+    // The campaign ends before midnight on 1 December
+    const after = await configService.calculateTotalPrice(1, selections, {
+      asOf: '2026-12-01T00:00:00Z',
+    });
+    expect(after.totalPrice).toBe(41850);
+  });
+
+  test('should show members the prices of their customer groups', async () => {
+    const db = configService.database;
+    const adminService = new AdminService(db);
+    const orderService = new OrderService(db, {
+      clock: () => new Date('2026-10-01T12:00:00Z'),
+    });
+    const selections = [1, 7, 10, 13, 4].map((partOptionId) => ({
+      partOptionId,
+    }));
+
+    await db.query('BEGIN');
+    try {
+      const [{ id: customerId }] = await db.query(
+        `INSERT INTO Customers (email, name, password_hash)
+         VALUES ('rider@example.com', 'Club rider', 'x')
+         RETURNING id`
+      );
+      // Racing club and staff
+      await adminService.addCustomersToGroup(1, [customerId]);
+      await adminService.addCustomersToGroup(2, [customerId]);
+
+      const visitor = await configService.getProductConfigurator(1, selections);
+      const member = await configService.getProductConfigurator(1, selections, {
+        customerId,
+      });
+      const memberFrame = member.partTypes
+        .find((partType) => partType.id === 1)
+        .options.find((option) => option.id === 1);
+
+      expect(visitor.pricing.totalPrice).toBe(41850);
+      // The full-suspension frame at its staff price of 110, then the
+      // racing club's 15% off after the premium discount
+      expect(memberFrame.basePrice).toBe(11000);
+      expect(
+        member.pricing.adjustments.map((adjustment) => adjustment.name)
+      ).toEqual([
+        'Matte finish on full-suspension',
+        'Premium combination discount',
+        'Racing club discount',
+      ]);
+      expect(member.pricing.totalPrice).toBe(34042);
+
+      await orderService.addToCart(customerId, 1, selections);
+      const cart = await orderService.getCart(customerId);
+      expect(cart.total).toBe(34042);
+    } finally {
+      await db.query('ROLLBACK');
+    }
+  });
+
+  test('should take a coupon off the cart until the customer has used it', async () => {
+    const db = configService.database;
+    const orderService = new OrderService(db, {
+      clock: () => new Date('2026-04-15T12:00:00Z'),
+    });
+    const selections = [1, 7, 10, 13, 4].map((partOptionId) => ({
+      partOptionId,
+    }));
+
+    // The carts are rolled back, so the example data stays as seeded
+    await db.query('BEGIN');
+    try {
+      const [{ id: customerId }] = await db.query(
+        `INSERT INTO Customers (email, name, password_hash)
+         VALUES ('ana@example.com', 'Ana', 'x')
+         RETURNING id`
+      );
+      await orderService.addToCart(customerId, 1, selections);
+
+      expect(
+        await orderService.applyCoupon(customerId, 'freeaccessory')
+      ).toEqual({
+        success: false,
+        message: 'Coupon FREEACCESSORY does not apply to any item in the cart',
+      });
+      expect(await orderService.applyCoupon(customerId, 'spring10')).toEqual({
+        success: false,
+        message: 'Coupon SPRING10 needs a cart of at least €500.00',
+      });
+
+      // A second bike takes the cart to 837
+      await orderService.addToCart(customerId, 1, selections);
+      expect(await orderService.applyCoupon(customerId, 'spring10')).toEqual({
+        success: true,
+        message: 'Coupon SPRING10 applied',
+        discount: 8370,
+      });
+
+      const cart = await orderService.getCart(customerId);
+      expect(cart.total).toBe(75330);
+      expect(cart.items.map((item) => item.discount_amount)).toEqual([
+        4185, 4185,
+      ]);
+      expect(cart.coupon).toEqual({
+        code: 'SPRING10',
+        description: '10% off carts of 500 euros or more this spring',
+        discount: 8370,
+        problem: null,
+      });
+
+      // SPRING10 can be used once per customer
+      await db.query("UPDATE Orders SET status = 'pending' WHERE id = ?", [
+        cart.id,
+      ]);
+      await orderService.addToCart(customerId, 1, selections, 2);
+      expect(await orderService.applyCoupon(customerId, 'SPRING10')).toEqual({
+        success: false,
+        message: 'You have already used coupon SPRING10',
+      });
+    } finally {
+      await db.query('ROLLBACK');
+    }
+  });
+
+  test('should take volume discounts off a club order', async () => {
+    const db = configService.database;
+    const orderService = new OrderService(db, {
+      clock: () => new Date('2026-10-01T12:00:00Z'),
+    });
+    const selections = [1, 7, 10, 13, 4].map((partOptionId) => ({
+      partOptionId,
+    }));
+
+    await db.query('BEGIN');
+    try {
+      const [{ id: customerId }] = await db.query(
+        `INSERT INTO Customers (email, name, password_hash)
+         VALUES ('club@example.com', 'Cycling club', 'x')
+         RETURNING id`
+      );
+      await orderService.addToCart(customerId, 1, selections, 5);
+      await orderService.addToCart(customerId, 1, selections, 1);
+
+      const cart = await orderService.getCart(customerId);
+
+      // Five identical bikes at 418.50 get 8% off, and all six 3% off
+      expect(cart.items.map((item) => item.discounts)).toEqual([
+        [
+          { kind: 'volume', description: '5+ identical bikes', amount: 16740 },
+          {
+            kind: 'volume',
+            description: '3+ bikes in one order',
+            amount: 6278,
+          },
+        ],
+        [
+          {
+            kind: 'volume',
+            description: '3+ bikes in one order',
+            amount: 1256,
+          },
+        ],
+      ]);
+      expect(cart.discounts).toEqual([
+        { kind: 'volume', description: '5+ identical bikes', amount: 16740 },
+        { kind: 'volume', description: '3+ bikes in one order', amount: 7534 },
+      ]);
+      expect(cart.discountTotal).toBe(24274);
+      expect(cart.total).toBe(6 * 41850 - 24274);
+    } finally {
+      await db.query('ROLLBACK');
+    }
+  });
+
+  test('should place an order from a cart while the parts are in stock', async () => {
+    const db = configService.database;
+    const orderService = new OrderService(db, {
+      clock: () => new Date('2026-10-01T12:00:00Z'),
+    });
+    const selections = [1, 7, 10, 13, 4].map((partOptionId) => ({
+      partOptionId,
+    }));
+
+    await db.query('BEGIN');
+    try {
+      const [{ id: customerId }] = await db.query(
+        `INSERT INTO Customers (email, name, password_hash)
+         VALUES ('order@example.com', 'Order', 'x')
+         RETURNING id`
+      );
+
+      await orderService.addToCart(customerId, 1, selections);
+      let cart = await orderService.getCart(customerId);
+      const result = await orderService.checkout(
+        cart.id,
+        { country: 'ES' },
+        {}
+      );
+
+      // 21% Spanish VAT on 418.50
+      expect(result).toMatchObject({
+        success: true,
+        orderId: cart.id,
+        taxTotal: 8789,
+      });
+      const [order] = await db.query(
+        'SELECT status, tax_country, tax_total FROM Orders WHERE id = ?',
+        [cart.id]
+      );
+      expect(order).toEqual({
+        status: 'pending',
+        tax_country: 'ES',
+        tax_total: 8789,
+      });
+
+      // Only ten sets of mountain wheels are in stock
+      await orderService.addToCart(customerId, 1, selections, 11);
+      cart = await orderService.getCart(customerId);
+      expect(
+        await orderService.checkout(cart.id, { country: 'ES' }, {})
+      ).toEqual({
+        success: false,
+        message: 'Some items are no longer available',
+        unavailableItems: [
+          {
+            orderItemId: cart.items[0].id,
+            partOptionId: 7,
+            requestedQuantity: 11,
+            availableQuantity: 10,
+          },
+        ],
+      });
+    } finally {
+      await db.query('ROLLBACK');
+    }
+  });
+
+  test('should only charge the discounts still running at checkout', async () => {
+    const db = configService.database;
+    const orderService = new OrderService(db, {
+      clock: () => new Date('2026-10-01T12:00:00Z'),
+    });
+    const selections = [1, 7, 10, 13, 4].map((partOptionId) => ({
+      partOptionId,
+    }));
+
+    await db.query('BEGIN');
+    try {
+      const [{ id: customerId }] = await db.query(
+        `INSERT INTO Customers (email, name, password_hash)
+         VALUES ('rental@example.com', 'Rental', 'x')
+         RETURNING id`
+      );
+      await orderService.addToCart(customerId, 1, selections, 3);
+      await orderService.applyCoupon(customerId, 'WELCOME25');
+      const cart = await orderService.getCart(customerId);
+
+      // 3% off three bikes, then 25 off
+      expect(cart.total).toBe(125550 - 3767 - 2500);
+
+      // Marcus withdraws the coupon before the customer checks out
+      await db.query('UPDATE Coupons SET active = 0 WHERE id = 2');
+      expect(
+        await orderService.checkout(cart.id, { country: 'ES' }, {})
+      ).toEqual({
+        success: false,
+        message: 'Coupon WELCOME25 is not valid',
+      });
+
+      // He brings it back, and ends the volume discount instead
+      await db.query('UPDATE Coupons SET active = 1 WHERE id = 2');
+      await db.query('UPDATE VolumeDiscounts SET active = 0 WHERE id = 3');
+      jest.spyOn(orderService, 'processPayment');
+      const result = await orderService.checkout(
+        cart.id,
+        { country: 'ES' },
+        {}
+      );
+
+      expect(result.success).toBe(true);
+      expect(orderService.processPayment).toHaveBeenCalledWith(
+        123050 + result.taxTotal,
+        'EUR',
+        {}
+      );
+      const [order] = await db.query(
+        `SELECT total_price, discount_total, coupon_id FROM Orders
+         WHERE id = ?`,
+        [cart.id]
+      );
+      expect(order).toEqual({
+        total_price: 123050,
+        discount_total: 2500,
+        coupon_id: 2,
+      });
+    } finally {
+      await db.query('ROLLBACK');
+    }
+  });
+
+  test('should price a configuration in Swiss francs', async () => {
+    const selections = [1, 7, 10, 13, 4].map((partOptionId) => ({
+      partOptionId,
+    }));
+    const configurator = await configService.getProductConfigurator(
+      1,
+      selections,
+      { priceListId: 1 }
+    );
+    const matte = configurator.partTypes
+      .find((partType) => partType.id === 2)
+      .options.find((option) => option.id === 4);
+
+    const pricing = await configService.calculateTotalPrice(1, selections, {
+      priceListId: 1,
+    });
+
+    // The product and the matte surcharge are priced on the list, the
+    // options are converted at 0.94 and rounded to 5 centimes
+    expect(pricing.currency).toBe('CHF');
+    expect(pricing.priceListId).toBe(1);
+    expect(pricing.basePrice).toBe(11500);
+    expect(pricing.adjustments.map((adjustment) => adjustment.amount)).toEqual([
+      4500, -4373,
+    ]);
+    // 115 + 122.20 + 89.30 + 14.10 + 51.70 + 45 for matte, less 10%
+    expect(pricing.totalPrice).toBe(39357);
+    expect(configurator.pricing).toEqual(pricing);
+    expect(matte.finalPrice).toBe(
+      pricing.lines.find((line) => line.partOptionId === 4).finalPrice
+    );
+
+    const [wheels] = (
+      await configService.getAvailableOptions(1, 3, selections, {
+        priceListId: 1,
+      })
+    ).filter((option) => option.id === 7);
+    expect(wheels.basePrice).toBe(
+      pricing.lines.find((line) => line.partOptionId === 7).basePrice
+    );
+  });
+
+  test('should convert sale prices rather than use the list price', async () => {
+    const db = configService.database;
+    const selections = [1, 7, 10, 13, 4].map((partOptionId) => ({
+      partOptionId,
+    }));
+    const priceWheels = async (asOf) => {
+      const options = { priceListId: 1, asOf };
+      const [wheels] = (
+        await configService.getAvailableOptions(1, 3, selections, options)
+      ).filter((option) => option.id === 7);
+      const configurator = await configService.getProductConfigurator(
+        1,
+        selections,
+        options
+      );
+
+      return [
+        wheels.basePrice,
+        configurator.partTypes
+          .find((partType) => partType.id === 3)
+          .options.find((option) => option.id === 7).basePrice,
+        configurator.pricing.lines.find((line) => line.partOptionId === 7)
+          .basePrice,
+      ];
+    };
+
+    await db.query('BEGIN');
+    try {
+      await db.query(
+        `INSERT INTO PriceListPrices (price_list_id, part_option_id, price)
+         VALUES (1, 7, 9000)`
+      );
+
+      expect(await priceWheels(null)).toEqual([9000, 9000, 9000]);
+      // The Black Friday price of 79 euros, at 0.94 and rounded to 5 centimes
+      expect(await priceWheels('2026-11-28T10:00:00Z')).toEqual([
+        7425, 7425, 7425,
+      ]);
+    } finally {
+      await db.query('ROLLBACK');
+    }
+  });
+
+  test('should convert group prices rather than use the list price', async () => {
+    const db = configService.database;
+    const adminService = new AdminService(db);
+    const selections = [1, 7, 10, 13, 4].map((partOptionId) => ({
+      partOptionId,
+    }));
+    const priceFrame = async (customerId) => {
+      const options = { priceListId: 1, customerId };
+      const configurator = await configService.getProductConfigurator(
+        1,
+        selections,
+        options
+      );
+      const pricing = await configService.calculateTotalPrice(
+        1,
+        selections,
+        options
+      );
+
+      return [
+        configurator.partTypes
+          .find((partType) => partType.id === 1)
+          .options.find((option) => option.id === 1).basePrice,
+        pricing.lines.find((line) => line.partOptionId === 1).basePrice,
+      ];
+    };
+
+    await db.query('BEGIN');
+    try {
+      const [{ id: customerId }] = await db.query(
+        `INSERT INTO Customers (email, name, password_hash)
+         VALUES ('staff@example.com', 'Staff', 'x')
+         RETURNING id`
+      );
+      await adminService.addCustomersToGroup(2, [customerId]);
+      await db.query(
+        `INSERT INTO PriceListPrices (price_list_id, part_option_id, price)
+         VALUES (1, 1, 14000)`
+      );
+
+      expect(await priceFrame(null)).toEqual([14000, 14000]);
+      // The staff price of 110 euros, at 0.94
+      expect(await priceFrame(customerId)).toEqual([10340, 10340]);
+    } finally {
+      await db.query('ROLLBACK');
+    }
+  });
+
+  test('should show gross prices with the VAT of the destination', async () => {
+    const selections = [
+      { partOptionId: 3 }, // Step-through frame
+      { partOptionId: 16 }, // Bell, at the reduced rate
+    ];
+
+    const pricing = await configService.calculateTotalPrice(2, selections, {
+      country: 'ES',
+      priceDisplay: 'gross',
+    });
+
+    // 21% of 210 and 10% of 8
+    expect(pricing.totalPrice).toBe(21800);
+    expect(pricing.tax.lines).toEqual([
+      { taxCategoryId: 1, rate: 21, netAmount: 21000, taxAmount: 4410 },
+      { taxCategoryId: 2, rate: 10, netAmount: 800, taxAmount: 80 },
+    ]);
+    expect(pricing.displayTotal).toBe(26290);
+
+    const accessories = await configService.getAvailableOptions(
+      2,
+      6,
+      selections,
+      { country: 'ES', priceDisplay: 'gross' }
+    );
+    expect(
+      accessories.map((option) => [option.id, option.displayPrice])
+    ).toEqual([
+      [14, 1452],
+      [15, 4235],
+      [16, 880],
+      [17, 2178],
+    ]);
+  });
+
+  test('should build the whole configurator with a bounded number of queries', async () => {
+    const selections = [
+      { partOptionId: 2 }, // Diamond frame
+      { partOptionId: 4 }, // Matte finish
+    ];
+    const querySpy = jest.spyOn(configService.database, 'query');
+
+    const configurator = await configService.getProductConfigurator(
+      1,
+      selections
+    );
+
+    expect(querySpy.mock.calls.length).toBeLessThanOrEqual(10);
+    expect(configurator.product.name).toBe('Adventure Bike');
+    expect(configurator.partTypes.map((partType) => partType.id)).toEqual([
+      1, 2, 3, 4, 5,
+    ]);
+    expect(
+      configurator.missingPartTypes.map((partType) => partType.id)
+    ).toEqual([3, 4, 5]);
+    expect(configurator.pricing.totalPrice).toBe(
+      (await configService.calculateTotalPrice(1, selections)).totalPrice
+    );
+
+    // Every part type matches what getAvailableOptions returns for it
+    for (const partType of configurator.partTypes) {
+      const options = await configService.getAvailableOptions(
+        1,
+        partType.id,
+        selections
+      );
+      expect(
+        partType.options.map((opt) => [opt.id, opt.status, opt.finalPrice])
+      ).toEqual(options.map((opt) => [opt.id, opt.status, opt.finalPrice]));
+    }
+  });
+
+  test('should complete a configuration with the cheapest valid build', async () => {
+    const result = await configService.autocompleteConfiguration(1, [
+      { partOptionId: 2 }, // Diamond frame
+    ]);
+
+    // Matte finish costs more on a diamond frame, so shiny is cheaper
+    expect(result.selections.map((s) => s.partOptionId)).toEqual([
+      2, 5, 6, 10, 12,
+    ]);
+    expect(result.pricing.totalPrice).toBe(38800);
+
+    const validationResult = await configService.validateConfiguration(
+      1,
+      result.selections
+    );
+    expect(validationResult.valid).toBeTruthy();
+  });
+
+  test('should complete a configuration with the default options', async () => {
+    const result = await configService.autocompleteConfiguration(1, [], {
+      strategy: 'default',
+    });
+
+    // Full-suspension frame and mountain wheels are the Adventure Bike defaults
+    expect(result.selections.map((s) => s.partOptionId)).toEqual([
+      1, 4, 7, 10, 12,
+    ]);
+  });
+
+  test('should explain why a configuration cannot be completed', async () => {
+    const result = await configService.autocompleteConfiguration(1, [
+      { partOptionId: 8 }, // Fat bike wheels, out of stock
+    ]);
+
+    expect(result.success).toBeFalsy();
+    expect(result.unsatisfiablePartTypes).toEqual([{ id: 3, name: 'Wheels' }]);
+  });
+
+  test('should enumerate exactly the configurations validateConfiguration accepts', async () => {
+    const partTypes = await configService.database.query(
+      `SELECT part_type_id FROM ProductPartTypes
+       WHERE product_id = 1 ORDER BY display_order`
+    );
+    const optionsByPartType = await Promise.all(
+      partTypes.map((partType) =>
+        configService.getAvailableOptions(1, partType.part_type_id, [])
+      )
+    );
+
+    // Brute force every combination of one option per part type
+    let combinations = [[]];
+    for (const options of optionsByPartType) {
+      combinations = combinations.flatMap((combination) =>
+        options.map((option) => [...combination, option.id])
+      );
+    }
+    const accepted = [];
+    for (const combination of combinations) {
+      const validationResult = await configService.validateConfiguration(
+        1,
+        combination.map((partOptionId) => ({ partOptionId }))
+      );
+      if (validationResult.valid) {
+        accepted.push(combination);
+      }
+    }
+
+    const page = await configService.getValidConfigurations(1, {
+      limit: combinations.length,
+    });
+    expect(
+      page.configurations.map((configuration) =>
+        configuration.selections.map((s) => s.partOptionId)
+      )
+    ).toEqual(accepted);
+
+    const stats = await configService.countValidConfigurations(1);
+    expect(stats.count).toBe(accepted.length);
+    expect(stats.minPrice).toBe(
+      Math.min(...page.configurations.map((c) => c.totalPrice))
+    );
+
+    // Fat bike wheels are only out of stock, so they add configurations
+    const withoutStock = await configService.countValidConfigurations(1, {
+      ignoreStock: true,
+    });
+    expect(withoutStock.count).toBeGreaterThan(stats.count);
+  });
+
+  test('should compare option attributes with attribute rules', async () => {
+    const wheelOptions = await configService.getAvailableOptions(1, 3, [
+      { partOptionId: 3 }, // Step-through frame, takes up to 28" wheels
+    ]);
+
+    const mountainWheels = wheelOptions.find((opt) => opt.id === 7);
+    expect(mountainWheels.attributes).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ name: 'Diameter', unit: 'in', value: 29 }),
+        expect.objectContaining({ name: 'Terrain', value: 'trail' }),
+      ])
+    );
+    expect(mountainWheels.blockingRules.map((rule) => rule.name)).toContain(
+      'Wheels fit the frame'
+    );
+
+    // 28" road wheels fit
+    const roadWheels = wheelOptions.find((opt) => opt.id === 6);
+    expect(roadWheels.status).toBe('available');
+
+    const validationResult = await configService.validateConfiguration(1, [
+      { partOptionId: 3 },
+      { partOptionId: 4 },
+      { partOptionId: 7 },
+      { partOptionId: 10 },
+      { partOptionId: 12 },
+    ]);
+    expect(validationResult.incompatibilities).toContainEqual({
+      optionA: 3,
+      optionB: 7,
+      partOptionIds: [3, 7],
+    });
+  });
+
+  test('should accept up to three accessories or an explicit "none"', async () => {
+    // City Cruiser with a diamond frame, matte finish, road wheels, black rims
+    // and a single-speed chain
+    const build = [2, 4, 6, 10, 12].map((partOptionId) => ({ partOptionId }));
+    const accessories = (ids) => ids.map((partOptionId) => ({ partOptionId }));
+
+    const withThree = [...build, ...accessories([14, 15, 16])];
+    expect(
+      (await configService.validateConfiguration(2, withThree)).valid
+    ).toBe(true);
+    expect(
+      await configService.validateConfiguration(2, [
+        ...withThree,
+        { partOptionId: 17 },
+      ])
+    ).toEqual({
+      valid: false,
+      message: 'Too many selections: Accessories (at most 3)',
+    });
+    expect(
+      (
+        await configService.validateConfiguration(2, [
+          ...build,
+          { partTypeId: 6, none: true },
+        ])
+      ).valid
+    ).toBe(true);
+
+    // Bottle cage and bell add 12 + 8 to the price
+    const [withAccessories, withNone] = await Promise.all([
+      configService.calculateTotalPrice(2, [
+        ...build,
+        ...accessories([14, 16]),
+      ]),
+      configService.calculateTotalPrice(2, [
+        ...build,
+        { partTypeId: 6, none: true },
+      ]),
+    ]);
+    expect(withAccessories.totalPrice - withNone.totalPrice).toBe(2000);
+
+    // Once three accessories are picked, the fourth cannot be added
+    const configurator = await configService.getProductConfigurator(
+      2,
+      accessories([14, 15, 16])
+    );
+    const accessoryType = configurator.partTypes.find((pt) => pt.id === 6);
+    expect(accessoryType.selectedOptionIds).toEqual([14, 15, 16]);
+    expect(
+      accessoryType.options.find((option) => option.id === 17).status
+    ).toBe('dead_end');
+
+    // 24 builds, each with any of the 15 sets of at most three accessories
+    const stats = await configService.countValidConfigurations(2);
+    expect(stats.count).toBe(24 * 15);
+  });
+
+  test('should load a valid preset as the starting configuration', async () => {
+    const presets = await configService.getProductPresets(2);
+    expect(presets.map((preset) => [preset.name, preset.valid])).toEqual([
+      ['Commuter', true],
+    ]);
+
+    const configurator = await configService.getProductConfigurator(2, [], {
+      presetId: presets[0].id,
+    });
+    expect(configurator.preset.name).toBe('Commuter');
+    expect(configurator.missingPartTypes).toEqual([]);
+    expect(
+      configurator.partTypes.find((pt) => pt.id === 6).selectedOptionIds
+    ).toEqual([15, 16]);
+    // Presets of other products are not loaded
+    const otherProduct = await configService.getProductConfigurator(1, [], {
+      presetId: 2,
+    });
+    expect(otherProduct.preset).toBeNull();
+    expect(otherProduct.presetFound).toBe(false);
+
+    // A preset that breaks a rule cannot be saved
+    const adminService = new AdminService(configService.database);
+    const result = await adminService.createProductPreset(1, {
+      name: 'Broken',
+      selections: [2, 4, 7, 10, 12].map((partOptionId) => ({ partOptionId })),
+    });
+    expect(result).toMatchObject({
+      success: false,
+      message:
+        'Preset is not a valid configuration: Selected options contain incompatible combinations',
+    });
+  });
+
+  test('should flag a preset with an option no longer sold', async () => {
+    const db = configService.database;
+
+    await db.query('BEGIN');
+    try {
+      // The bell of the Commuter preset
+      await db.query('UPDATE PartOptions SET active = FALSE WHERE id = 16');
+
+      const [commuter] = await configService.getProductPresets(2);
+      expect(commuter).toMatchObject({
+        name: 'Commuter',
+        valid: false,
+        validation: { inactiveOptions: [16] },
+      });
+
+      const configurator = await configService.getProductConfigurator(2, [], {
+        presetId: commuter.id,
+      });
+      expect(configurator.presetFound).toBe(true);
+      expect(configurator.preset.valid).toBe(false);
+    } finally {
+      await db.query('ROLLBACK');
+    }
+  });
+
+  test('should restore a build from its code', async () => {
+    const [commuter] = await configService.getProductPresets(2);
+    const code = configService.getBuildCode(2, commuter.selections);
+
+    const restored = await configService.restoreBuildCode(code);
+    expect(restored).toMatchObject({
+      success: true,
+      product: { id: 2, name: 'City Cruiser' },
+      removedSelections: [],
+      validation: { valid: true },
+    });
+    expect(restored.selections).toHaveLength(commuter.selections.length);
+
+    // Option 99 does not exist, so the build is missing a chain
+    const stale = await configService.restoreBuildCode(
+      configService.getBuildCode(
+        1,
+        [1, 4, 7, 10, 99].map((partOptionId) => ({ partOptionId }))
+      )
+    );
+    expect(stale).toMatchObject({
+      removedSelections: [{ partOptionId: 99 }],
+      validation: {
+        valid: false,
+        message: 'Missing required selections: Chain',
+      },
+    });
+  });
+
+  test('should suggest switching the frame when mountain wheels are picked', async () => {
+    const build = (ids) => ids.map((partOptionId) => ({ partOptionId }));
+
+    const result = await configService.suggestRepairs(
+      1,
+      build([2, 4, 6, 10, 12]),
+      build([2, 4, 7, 10, 12])
+    );
+
+    // Full-suspension costs 30 more, and matte on it 15 more than on diamond
+    expect(result.suggestions).toEqual([
+      expect.objectContaining({
+        changes: [
+          expect.objectContaining({
+            action: 'swap',
+            from: { id: 2, name: 'Diamond' },
+            to: { id: 1, name: 'Full-suspension' },
+          }),
+        ],
+        priceDelta: 4500,
+      }),
+    ]);
+    expect(
+      (
+        await configService.validateConfiguration(
+          1,
+          result.suggestions[0].selections
+        )
+      ).valid
+    ).toBe(true);
+  });
+
+  test('should find no contradictions in the example rules', async () => {
+    const adminService = new AdminService(configService.database);
+
+    const analysis = await adminService.analyzeRules();
+
+    expect(analysis).toEqual({ errors: [], warnings: [] });
+  });
+
+  test('should analyze a new rule against the products it involves', async () => {
+    const db = configService.database;
+    const adminService = new AdminService(db);
+
+    await db.query('BEGIN');
+    try {
+      // Mountain wheels (7) made incompatible with themselves
+      const rule = await adminService.createIncompatibilityRule({
+        name: 'Broken rule',
+        conditions: [{ partOptionId: 7, incompatibleWithPartOptionId: 7 }],
+      });
+      const pricingRule = await adminService.createPricingRule({
+        name: 'Two frames discount',
+        priceAdjustment: -500,
+        conditions: [1, 2],
+      });
+
+      expect(
+        rule.analysis.errors.map((error) => [error.code, error.partOptionIds])
+      ).toEqual([
+        ['self_condition', [7]],
+        ['unselectable_option', [7]],
+      ]);
+      expect(
+        pricingRule.analysis.errors.map((error) => [
+          error.code,
+          error.partOptionIds,
+        ])
+      ).toEqual([['pricing_rule_never_matches', [1, 2]]]);
+    } finally {
+      await db.query('ROLLBACK');
+    }
+  });
+
+  test('should create a product and a part option', async () => {
+    const db = configService.database;
+    const adminService = new AdminService(db);
+
+    await db.query('BEGIN');
+    try {
+      const product = await adminService.createProduct({
+        categoryId: 1,
+        name: 'Gravel bike',
+        description: 'A bike for gravel roads',
+        basePrice: 15000,
+        partTypes: [1, 3],
+      });
+      const partOption = await adminService.createPartOption({
+        partTypeId: 3,
+        name: 'Gravel wheels',
+        description: 'Wide wheels for gravel roads',
+        basePrice: 9000,
+        initialStock: 5,
+      });
+
+      const [productRow] = await db.query(
+        'SELECT active FROM Products WHERE id = ?',
+        [product.id]
+      );
+      const partTypeRows = await db.query(
+        `SELECT part_type_id, display_order FROM ProductPartTypes
+         WHERE product_id = ? ORDER BY display_order`,
+        [product.id]
+      );
+      const [partOptionRow] = await db.query(
+        `SELECT po.active, i.quantity, i.in_stock
+         FROM PartOptions po
+         JOIN Inventory i ON i.part_option_id = po.id
+         WHERE po.id = ?`,
+        [partOption.id]
+      );
+
+      expect(productRow).toEqual({ active: 1 });
+      expect(partTypeRows).toEqual([
+        { part_type_id: 1, display_order: 1 },
+        { part_type_id: 3, display_order: 2 },
+      ]);
+      expect(partOptionRow).toEqual({ active: 1, quantity: 5, in_stock: 1 });
+    } finally {
+      await db.query('ROLLBACK');
+    }
   });
 
   test('should calculate price correctly for a complete configuration', async () => {
@@ -84,7 +1259,7 @@ describe('Integration tests', () => {
       [1]
     );
     // Adjust this expectation based on the new base price in example_data.js
-    expect(productQuery[0].base_price).toBe(120.0);
+    expect(productQuery[0].base_price).toBe(12000);
 
     // Now test the price calculation with updated partOptionIds and expected values
     const priceDetails = await configService.calculateTotalPrice(1, [
@@ -93,9 +1268,11 @@ describe('Integration tests', () => {
       { partOptionId: 9 }, // Updated rim option
     ]);
 
-    expect(priceDetails.basePrice).toBe(120);
-    expect(priceDetails.optionPriceSum).toBe(150); // 140 + 90 + 20
-    expect(priceDetails.totalPrice).toBe(305);
+    expect(priceDetails.basePrice).toBe(12000);
+    expect(priceDetails.optionPriceSum).toBe(15000); // 100 + 30 + 20, in cents
+    // No pricing rule has all of its conditions selected
+    expect(priceDetails.adjustments).toEqual([]);
+    expect(priceDetails.totalPrice).toBe(27000);
   });
 
   test('should validate a complete valid configuration', async () => {
@@ -110,6 +1287,36 @@ describe('Integration tests', () => {
     expect(validationResult.valid).toBeTruthy();
   });
 
+  test('should reject mountain wheels on a diamond frame', async () => {
+    const validationResult = await configService.validateConfiguration(1, [
+      { partOptionId: 2 }, // Diamond frame
+      { partOptionId: 4 }, // Matte finish
+      { partOptionId: 7 }, // Mountain wheels
+      { partOptionId: 10 }, // Black rim
+      { partOptionId: 12 }, // Single-speed chain
+    ]);
+
+    expect(validationResult.valid).toBeFalsy();
+    expect(validationResult.unmetRequirements).toEqual([
+      { ruleId: 1, partOptionId: 7, requiredPartTypeId: 1 },
+    ]);
+  });
+
+  test('should report the full set of options that cannot be combined', async () => {
+    const validationResult = await configService.validateConfiguration(1, [
+      { partOptionId: 3 }, // Step-through frame
+      { partOptionId: 5 }, // Shiny finish
+      { partOptionId: 8 }, // Fat bike wheels
+      { partOptionId: 10 }, // Black rim
+      { partOptionId: 13 }, // 8-speed chain
+    ]);
+
+    expect(validationResult.valid).toBeFalsy();
+    expect(validationResult.incompatibilities).toEqual([
+      { ruleId: 3, partOptionIds: [3, 8, 13] },
+    ]);
+  });
+
   test('should reject an invalid configuration with missing parts', async () => {
     const invalidValidationResult = await configService.validateConfiguration(
       1,
@@ -122,3 +1329,176 @@ describe('Integration tests', () => {
     expect(invalidValidationResult.valid).toBeFalsy();
   });
 });
+
+describe('Database migrations', () => {
+  // The tables of a database, each with its sorted column names
+  const schemaOf = async (db) => {
+    const tables = await db.query(
+      `SELECT name FROM sqlite_master
+       WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+       ORDER BY name`
+    );
+    const schema = {};
+    for (const { name } of tables) {
+      const columns = await db.query(`PRAGMA table_info(${name})`);
+      schema[name] = columns.map((column) => column.name).sort();
+    }
+    return schema;
+  };
+
+  test('should bring a database of the original schema up to date', async () => {
+    const db = new SQLiteDatabase(':memory:');
+    const fresh = new SQLiteDatabase(':memory:');
+    initializeSchema(fresh.db);
+
+    db.db.exec(
+      fs.readFileSync(
+        path.join(__dirname, 'fixtures', 'original_data_model.sql'),
+        'utf8'
+      )
+    );
+    const statements = [
+      "INSERT INTO Categories (id, name) VALUES (1, 'Bicycles')",
+      `INSERT INTO Products (id, category_id, name, base_price)
+       VALUES (1, 1, 'Adventure Bike', 120.5)`,
+      `INSERT INTO PartTypes (id, name, required)
+       VALUES (1, 'Frame Type', TRUE), (2, 'Accessories', FALSE)`,
+      `INSERT INTO PartOptions (id, part_type_id, name, base_price)
+       VALUES (1, 1, 'Full-suspension', 19.99), (2, 2, 'Bell', 8)`,
+      `INSERT INTO PricingRules (id, name, price_adjustment, is_percentage)
+       VALUES (1, 'Bell surcharge', 35, FALSE),
+              (2, 'Premium discount', -12.5, TRUE)`,
+      `INSERT INTO PricingRuleConditions (pricing_rule_id, part_option_id)
+       VALUES (1, 2), (2, 1), (2, 2)`,
+      `INSERT INTO Customers (id, email, name, password_hash)
+       VALUES (1, 'ana@example.com', 'Ana', 'x')`,
+      `INSERT INTO Orders (id, customer_id, status, total_price)
+       VALUES (1, 1, 'pending', 302.99999)`,
+      `INSERT INTO OrderItems (id, order_id, product_id, price)
+       VALUES (1, 1, 1, 1.005)`,
+      `INSERT INTO OrderItemConfiguration (order_item_id, part_option_id)
+       VALUES (1, 1)`,
+    ];
+    for (const statement of statements) {
+      await db.query(statement);
+    }
+
+    try {
+      expect(await applyMigrations(db)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      expect(await applyMigrations(db)).toEqual([]);
+      expect(await schemaOf(db)).toEqual(await schemaOf(fresh));
+
+      const [product] = await db.query('SELECT base_price FROM Products');
+      const [option] = await db.query(
+        'SELECT base_price FROM PartOptions WHERE id = 1'
+      );
+      const partTypes = await db.query(
+        'SELECT min_selections, max_selections FROM PartTypes ORDER BY id'
+      );
+      const rules = await db.query(
+        'SELECT price_adjustment, target FROM PricingRules ORDER BY id'
+      );
+      const conditions = await db.query(
+        `SELECT pricing_rule_id, group_number, part_option_id, negated
+         FROM PricingRuleConditions ORDER BY id`
+      );
+      const [order] = await db.query(
+        'SELECT total_price, currency, price_list_id FROM Orders'
+      );
+      const [item] = await db.query(
+        'SELECT price, product_name FROM OrderItems'
+      );
+      const [configuration] = await db.query(
+        `SELECT part_type_id, part_type_name, option_name, option_price
+         FROM OrderItemConfiguration`
+      );
+
+      expect(product.base_price).toBe(12050);
+      expect(option.base_price).toBe(1999);
+      // Part types that were not required can be left empty
+      expect(partTypes).toEqual([
+        { min_selections: 1, max_selections: 1 },
+        { min_selections: 0, max_selections: 1 },
+      ]);
+      // Percentages are not amounts and stay as they are
+      expect(rules).toEqual([
+        { price_adjustment: 3500, target: 'configuration' },
+        { price_adjustment: -12.5, target: 'configuration' },
+      ]);
+      // Every condition of a rule had to hold
+      expect(conditions).toEqual([
+        { pricing_rule_id: 1, group_number: 1, part_option_id: 2, negated: 0 },
+        { pricing_rule_id: 2, group_number: 1, part_option_id: 1, negated: 0 },
+        { pricing_rule_id: 2, group_number: 2, part_option_id: 2, negated: 0 },
+      ]);
+      expect(order).toEqual({
+        total_price: 30300,
+        currency: 'EUR',
+        price_list_id: null,
+      });
+      expect(item).toEqual({ price: 101, product_name: 'Adventure Bike' });
+      // Names are taken from the catalogue, and past option prices are unknown
+      expect(configuration).toEqual({
+        part_type_id: 1,
+        part_type_name: 'Frame Type',
+        option_name: 'Full-suspension',
+        option_price: null,
+      });
+    } finally {
+      db.close();
+      fresh.close();
+    }
+  });
+
+  test('should stop at order configuration rows of unknown options', async () => {
+    const db = new SQLiteDatabase(':memory:');
+
+    db.db.exec(
+      fs.readFileSync(
+        path.join(__dirname, 'fixtures', 'original_data_model.sql'),
+        'utf8'
+      )
+    );
+    const statements = [
+      "INSERT INTO Categories (id, name) VALUES (1, 'Bicycles')",
+      `INSERT INTO Products (id, category_id, name, base_price)
+       VALUES (1, 1, 'Adventure Bike', 120.5)`,
+      `INSERT INTO PartTypes (id, name, required)
+       VALUES (1, 'Frame Type', TRUE)`,
+      `INSERT INTO PartOptions (id, part_type_id, name, base_price)
+       VALUES (1, 1, 'Full-suspension', 19.99)`,
+      `INSERT INTO Customers (id, email, name, password_hash)
+       VALUES (1, 'ana@example.com', 'Ana', 'x')`,
+      `INSERT INTO Orders (id, customer_id, status, total_price)
+       VALUES (1, 1, 'pending', 140.49)`,
+      `INSERT INTO OrderItems (id, order_id, product_id, price)
+       VALUES (1, 1, 1, 140.49)`,
+      // The option of the second row was deleted with foreign keys off
+      `INSERT INTO OrderItemConfiguration (id, order_item_id, part_option_id)
+       VALUES (1, 1, 1), (2, 1, 9)`,
+    ];
+    db.db.pragma('foreign_keys = OFF');
+    for (const statement of statements) {
+      await db.query(statement);
+    }
+    db.db.pragma('foreign_keys = ON');
+
+    try {
+      await expect(applyMigrations(db)).rejects.toThrow(
+        'OrderItemConfiguration rows 2 name part options that do not exist'
+      );
+
+      const [{ user_version: version }] = await db.query('PRAGMA user_version');
+      const configuration = await db.query(
+        'SELECT id, part_option_id FROM OrderItemConfiguration ORDER BY id'
+      );
+      expect(version).toBe(0);
+      expect(configuration).toEqual([
+        { id: 1, part_option_id: 1 },
+        { id: 2, part_option_id: 9 },
+      ]);
+    } finally {
+      db.close();
+    }
+  });
+});